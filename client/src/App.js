@@ -22,8 +22,15 @@ import ProductDetails from "./pages/ProductDetails";
 import Categories from "./pages/Categories";
 import CategoryProduct from "./pages/CategoryProduct";
 import CartPage from "./pages/CartPage";
+import OrderLookup from "./pages/OrderLookup";
 import AdminOrders from "./pages/admin/AdminOrders";
+import AdminReturns from "./pages/admin/AdminReturns";
+import Coupons from "./pages/admin/Coupons";
+import ShippingZones from "./pages/admin/ShippingZones";
+import ExchangeRates from "./pages/admin/ExchangeRates";
+import Carriers from "./pages/admin/Carriers";
 import ForgotPassword from "./pages/Auth/ForgotPassword";
+import ClaimOrders from "./pages/Auth/ClaimOrders";
 function App() {
   return (
     <>
@@ -32,6 +39,7 @@ function App() {
         <Route path="/product/:slug" element={<ProductDetails />} />
         <Route path="/categories" element={<Categories />} />
         <Route path="/cart" element={<CartPage />} />
+        <Route path="/order-lookup" element={<OrderLookup />} />
         <Route path="/category/:slug" element={<CategoryProduct />} />
         <Route path="/search" element={<Search />} />
         <Route path="/dashboard" element={<PrivateRoute />}>
@@ -47,10 +55,16 @@ function App() {
           <Route path="admin/products" element={<Products />} />
           <Route path="admin/users" element={<Users />} />
           <Route path="admin/orders" element={<AdminOrders />} />
+          <Route path="admin/returns" element={<AdminReturns />} />
+          <Route path="admin/coupons" element={<Coupons />} />
+          <Route path="admin/shipping" element={<ShippingZones />} />
+          <Route path="admin/exchange-rates" element={<ExchangeRates />} />
+          <Route path="admin/carriers" element={<Carriers />} />
         </Route>
         <Route path="/register" element={<Register />} />
         <Route path="/login" element={<Login />} />
         <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/claim-orders" element={<ClaimOrders />} />
         <Route path="/about" element={<About />} />
         <Route path="/contact" element={<Contact />} />
         <Route path="/policy" element={<Policy />} />
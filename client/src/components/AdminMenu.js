@@ -30,6 +30,36 @@ const AdminMenu = () => {
           >
             Orders
           </NavLink>
+          <NavLink
+            to="/dashboard/admin/returns"
+            className="list-group-item list-group-item-action"
+          >
+            Returns
+          </NavLink>
+          <NavLink
+            to="/dashboard/admin/coupons"
+            className="list-group-item list-group-item-action"
+          >
+            Coupons
+          </NavLink>
+          <NavLink
+            to="/dashboard/admin/shipping"
+            className="list-group-item list-group-item-action"
+          >
+            Shipping
+          </NavLink>
+          <NavLink
+            to="/dashboard/admin/exchange-rates"
+            className="list-group-item list-group-item-action"
+          >
+            Exchange Rates
+          </NavLink>
+          <NavLink
+            to="/dashboard/admin/carriers"
+            className="list-group-item list-group-item-action"
+          >
+            Carriers
+          </NavLink>
           {/* <NavLink
             to="/dashboard/admin/users"
             className="list-group-item list-group-item-action"
@@ -0,0 +1,37 @@
+import React from "react";
+
+// Horizontal bars scaled to the largest value, enough for the dashboard
+// without pulling in a charting library. format turns a value into its label.
+const BarChart = ({ title, data = [], format = (value) => value }) => {
+  const max = Math.max(...data.map((d) => d.value), 0);
+  return (
+    <div className="mb-4">
+      {title && <h5>{title}</h5>}
+      {!data.length && <p className="text-muted">Nothing in this range</p>}
+      {data.map((d) => (
+        <div className="d-flex align-items-center mb-1" key={d.label}>
+          <div className="text-truncate" style={{ width: "30%" }} title={d.label}>
+            {d.label}
+          </div>
+          <div className="flex-grow-1 mx-2">
+            <div
+              className="bg-primary rounded"
+              role="img"
+              aria-label={`${d.label}: ${format(d.value)}`}
+              style={{
+                height: "1rem",
+                width: max ? `${(d.value / max) * 100}%` : 0,
+                minWidth: d.value ? "2px" : 0,
+              }}
+            />
+          </div>
+          <div className="text-end" style={{ width: "20%" }}>
+            {format(d.value)}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default BarChart;
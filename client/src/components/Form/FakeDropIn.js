@@ -0,0 +1,42 @@
+import React, { useState, useEffect, useRef } from "react";
+
+// Stand-in for braintree's DropIn when the server runs the fake payment
+// provider. Hands the same { requestPaymentMethod } instance to onInstance.
+const FAKE_NONCES = {
+  approve: "fake-valid-nonce",
+  decline: "fake-processor-declined-visa-nonce",
+};
+
+const FakeDropIn = ({ onInstance }) => {
+  const [outcome, setOutcome] = useState("approve");
+  const outcomeRef = useRef(outcome);
+  outcomeRef.current = outcome;
+
+  useEffect(() => {
+    onInstance({
+      requestPaymentMethod: async () => ({
+        nonce: FAKE_NONCES[outcomeRef.current],
+      }),
+    });
+    //eslint-disable-next-line
+  }, []);
+
+  return (
+    <div className="mb-3">
+      <label htmlFor="fake-payment-outcome" className="form-label">
+        Test payment
+      </label>
+      <select
+        id="fake-payment-outcome"
+        className="form-select"
+        value={outcome}
+        onChange={(e) => setOutcome(e.target.value)}
+      >
+        <option value="approve">Approve payment</option>
+        <option value="decline">Decline payment</option>
+      </select>
+    </div>
+  );
+};
+
+export default FakeDropIn;
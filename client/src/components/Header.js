@@ -4,12 +4,14 @@ import { useAuth } from "../context/auth";
 import toast from "react-hot-toast";
 import SearchInput from "./Form/SearchInput";
 import useCategory from "../hooks/useCategory";
-import { useCart } from "../context/cart";
+import { useCart, cartCount } from "../context/cart";
+import { useCurrency } from "../context/currency";
 import { Badge } from "antd";
 import "../styles/Header.css";
 const Header = () => {
   const [auth, setAuth] = useAuth();
   const [cart] = useCart();
+  const { currency, currencies, setCurrency } = useCurrency();
   const categories = useCategory();
   const handleLogout = () => {
     setAuth({
@@ -122,8 +124,24 @@ const Header = () => {
                   </li>
                 </>
               )}
+              {currencies.length > 1 && (
+                <li className="nav-item">
+                  <select
+                    className="form-select form-select-sm mt-1"
+                    aria-label="Currency"
+                    value={currency}
+                    onChange={(e) => setCurrency(e.target.value)}
+                  >
+                    {currencies.map((code) => (
+                      <option key={code} value={code}>
+                        {code}
+                      </option>
+                    ))}
+                  </select>
+                </li>
+              )}
               <li className="nav-item">
-                <Badge count={cart?.length} showZero>
+                <Badge count={cartCount(cart)} showZero>
                   <NavLink to="/cart" className="nav-link">
                     Cart
                   </NavLink>
@@ -0,0 +1,32 @@
+import React from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+
+// the invoice needs the auth header, so fetch it instead of linking to it
+const InvoiceButton = ({ orderId }) => {
+  const handleDownload = async () => {
+    try {
+      const { data } = await axios.get(
+        `/api/v1/auth/orders/${orderId}/invoice`,
+        { responseType: "blob" }
+      );
+      const url = window.URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `invoice-${orderId}.pdf`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.log(error);
+      toast.error("Could not download the invoice");
+    }
+  };
+
+  return (
+    <button className="btn btn-outline-secondary btn-sm" onClick={handleDownload}>
+      Download Invoice
+    </button>
+  );
+};
+
+export default InvoiceButton;
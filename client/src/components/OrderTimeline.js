@@ -0,0 +1,28 @@
+import React from "react";
+import moment from "moment";
+
+// status changes of an order, oldest first
+const OrderTimeline = ({ history = [], showActor = false }) => {
+  if (!history.length) return null;
+  return (
+    <div className="container mb-3">
+      <h6>Order History</h6>
+      <ul className="list-group list-group-flush">
+        {history.map((h, i) => (
+          <li className="list-group-item" key={i}>
+            <strong>{h.status}</strong>{" "}
+            <span className="text-muted">
+              {moment(h.changedAt).format("D MMM YYYY, h:mm a")}
+            </span>
+            {showActor && h.changedBy?.name && (
+              <span className="text-muted"> by {h.changedBy.name}</span>
+            )}
+            {h.note && <div>{h.note}</div>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default OrderTimeline;
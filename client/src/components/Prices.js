@@ -1,32 +1,33 @@
+// ranges are in cents, the unit prices are stored in
 export const Prices = [
     {
       _id: 0,
       name: "$0 to 19",
-      array: [0, 19],
+      array: [0, 1999],
     },
     {
       _id: 1,
       name: "$20 to 39",
-      array: [20, 39],
+      array: [2000, 3999],
     },
     {
       _id: 2,
       name: "$40 to 59",
-      array: [40, 59],
+      array: [4000, 5999],
     },
     {
       _id: 3,
       name: "$60 to 79",
-      array: [60, 79],
+      array: [6000, 7999],
     },
     {
       _id: 4,
       name: "$80 to 99",
-      array: [80, 99],
+      array: [8000, 9999],
     },
     {
       _id: 4,
       name: "$100 or more",
-      array: [100, 9999],
+      array: [10000, 999999999],
     },
   ];
\ No newline at end of file
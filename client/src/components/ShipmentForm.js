@@ -0,0 +1,144 @@
+import React, { useState } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+
+const productId = (product) => String(product?._id || product);
+
+// mirrors unshippedQuantities in helpers/shipmentHelper.js on the server
+const unshippedLines = (order) => {
+  const left = {};
+  order.products?.forEach((item) => {
+    const id = productId(item.product);
+    left[id] = left[id] || {
+      product: id,
+      name: item.product?.name || "Product no longer available",
+      quantity: 0,
+    };
+    left[id].quantity += item.quantity;
+  });
+  order.shipments?.forEach((shipment) =>
+    shipment.items.forEach((item) => {
+      const line = left[productId(item.product)];
+      if (line) line.quantity -= item.quantity;
+    })
+  );
+  return Object.values(left).filter((line) => line.quantity > 0);
+};
+
+// Admins add a parcel to an order: carrier, tracking number, dates and how
+// many of each item that is still waiting went into it.
+const ShipmentForm = ({ order, carriers, onShipped }) => {
+  const lines = unshippedLines(order);
+  const [carrier, setCarrier] = useState("");
+  const [trackingNumber, setTrackingNumber] = useState("");
+  const [shippedAt, setShippedAt] = useState("");
+  const [estimatedDelivery, setEstimatedDelivery] = useState("");
+  // quantities default to everything that is left
+  const [quantities, setQuantities] = useState({});
+
+  if (!lines.length) return null;
+
+  const quantityOf = (line) => quantities[line.product] ?? line.quantity;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post(
+        `/api/v1/shipment/create-shipment/${order._id}`,
+        {
+          carrier,
+          trackingNumber,
+          shippedAt,
+          estimatedDelivery,
+          items: lines.map((line) => ({
+            product: line.product,
+            quantity: Number(quantityOf(line)),
+          })),
+        }
+      );
+      if (data?.success) {
+        toast.success("Shipment added");
+        setTrackingNumber("");
+        setQuantities({});
+        onShipped();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  return (
+    <form className="container mb-3" onSubmit={handleSubmit}>
+      <h6>Add Shipment</h6>
+      <div className="row g-2 mb-2">
+        <div className="col-md-3">
+          <select
+            className="form-select"
+            aria-label="Carrier"
+            value={carrier}
+            onChange={(e) => setCarrier(e.target.value)}
+          >
+            <option value="">Carrier</option>
+            {carriers.map((c) => (
+              <option key={c._id} value={c._id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="col-md-3">
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Tracking Number"
+            value={trackingNumber}
+            onChange={(e) => setTrackingNumber(e.target.value)}
+          />
+        </div>
+        <div className="col-md-3">
+          <input
+            type="date"
+            className="form-control"
+            aria-label="Ship date"
+            value={shippedAt}
+            onChange={(e) => setShippedAt(e.target.value)}
+          />
+        </div>
+        <div className="col-md-3">
+          <input
+            type="date"
+            className="form-control"
+            aria-label="Estimated delivery"
+            value={estimatedDelivery}
+            onChange={(e) => setEstimatedDelivery(e.target.value)}
+          />
+        </div>
+      </div>
+      {lines.map((line) => (
+        <div className="row g-2 mb-1 align-items-center" key={line.product}>
+          <div className="col-md-6">{line.name}</div>
+          <div className="col-md-3">
+            <input
+              type="number"
+              min="0"
+              max={line.quantity}
+              className="form-control form-control-sm"
+              aria-label={`Quantity of ${line.name}`}
+              value={quantityOf(line)}
+              onChange={(e) =>
+                setQuantities({ ...quantities, [line.product]: e.target.value })
+              }
+            />
+          </div>
+          <div className="col-md-3">of {line.quantity} left</div>
+        </div>
+      ))}
+      <button type="submit" className="btn btn-primary btn-sm">
+        Add Shipment
+      </button>
+    </form>
+  );
+};
+
+export default ShipmentForm;
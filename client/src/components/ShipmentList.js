@@ -0,0 +1,52 @@
+import React from "react";
+import moment from "moment";
+
+const productId = (product) => String(product?._id || product);
+
+// Parcels an order went out in, with what is in each and how to track it.
+// Dates are picked as whole days, so they are shown as saved (UTC).
+const ShipmentList = ({ order }) => {
+  const shipments = order?.shipments || [];
+  if (!shipments.length) return null;
+
+  const productName = (product) =>
+    order.products?.find(
+      (item) => productId(item.product) === productId(product)
+    )?.product?.name || "Product no longer available";
+
+  return (
+    <div className="container mb-3">
+      <h6>Shipments</h6>
+      <ul className="list-group list-group-flush">
+        {shipments.map((s, i) => (
+          <li className="list-group-item" key={s._id || i}>
+            <strong>{s.carrier}</strong> :{" "}
+            {s.trackingUrl ? (
+              <a href={s.trackingUrl} target="_blank" rel="noopener noreferrer">
+                {s.trackingNumber}
+              </a>
+            ) : (
+              s.trackingNumber
+            )}
+            <div className="text-muted">
+              Shipped {moment.utc(s.shippedAt).format("D MMM YYYY")}
+              {s.estimatedDelivery &&
+                `, expected ${moment
+                  .utc(s.estimatedDelivery)
+                  .format("D MMM YYYY")}`}
+            </div>
+            <div>
+              {s.items
+                .map(
+                  (item) => `${item.quantity} x ${productName(item.product)}`
+                )
+                .join(", ")}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ShipmentList;
@@ -1,14 +1,89 @@
-import { useState, useContext, createContext, useEffect } from "react";
+import { useState, useContext, createContext, useEffect, useRef } from "react";
+import axios from "axios";
+import { useAuth } from "./auth";
 
 const CartContext = createContext();
+
+//cart lines look like { product, quantity, price }
+const addCartItem = (cart, product, quantity = 1) => {
+  const line = cart.find((item) => item.product._id === product._id);
+  if (line) {
+    return updateCartItemQuantity(cart, product._id, line.quantity + quantity);
+  }
+  return [...cart, { product, quantity, price: product.price }];
+};
+
+const updateCartItemQuantity = (cart, pid, quantity) =>
+  cart.map((item) =>
+    item.product._id === pid ? { ...item, quantity } : item
+  );
+
+const removeCartItem = (cart, pid) =>
+  cart.filter((item) => item.product._id !== pid);
+
+const cartCount = (cart) =>
+  (cart || []).reduce((count, item) => count + item.quantity, 0);
+
+const cartTotal = (cart) =>
+  (cart || []).reduce((total, item) => total + item.price * item.quantity, 0);
+
+// older carts in localStorage hold one product object per unit
+const normalizeCart = (items) =>
+  items.reduce(
+    (cart, item) =>
+      item.product && item.quantity ? [...cart, item] : addCartItem(cart, item),
+    []
+  );
+
+const toCartLines = (cart) =>
+  cart.map((item) => ({ product: item.product._id, quantity: item.quantity }));
+
 const CartProvider = ({ children }) => {
-  const [cart, setCart] = useState([]);
+  const [auth] = useAuth();
+  const [cart, setCartState] = useState([]);
+  const prevToken = useRef(auth?.token);
 
   useEffect(() => {
     let existingCartItem = localStorage.getItem("cart");
-    if (existingCartItem) setCart(JSON.parse(existingCartItem));
+    if (existingCartItem)
+      setCartState(normalizeCart(JSON.parse(existingCartItem)));
   }, []);
 
+  //signed in carts live on the server
+  const getServerCart = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/cart/get-cart");
+      if (data?.success) {
+        setCartState(data.cart);
+        localStorage.setItem("cart", JSON.stringify(data.cart));
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    if (auth?.token) {
+      getServerCart();
+    } else if (prevToken.current) {
+      // logged out, don't leave the cart behind for the next person
+      setCartState([]);
+      localStorage.removeItem("cart");
+    }
+    prevToken.current = auth?.token;
+    //eslint-disable-next-line
+  }, [auth?.token]);
+
+  const setCart = (items) => {
+    setCartState(items);
+    localStorage.setItem("cart", JSON.stringify(items));
+    if (auth?.token) {
+      axios
+        .put("/api/v1/cart/update-cart", { cart: toCartLines(items) })
+        .catch((error) => console.log(error));
+    }
+  };
+
   return (
     <CartContext.Provider value={[cart, setCart]}>
       {children}
@@ -19,4 +94,14 @@ const CartProvider = ({ children }) => {
 // custom hook
 const useCart = () => useContext(CartContext);
 
-export { useCart, CartProvider };
\ No newline at end of file
+export {
+  useCart,
+  CartProvider,
+  addCartItem,
+  updateCartItemQuantity,
+  removeCartItem,
+  cartCount,
+  cartTotal,
+  normalizeCart,
+  toCartLines,
+};
@@ -0,0 +1,57 @@
+import { useState, useContext, createContext, useEffect } from "react";
+import axios from "axios";
+import { convertMoney, formatMoney, storeCurrency } from "../helpers/money";
+
+const CurrencyContext = createContext();
+
+const CurrencyProvider = ({ children }) => {
+  const [currency, setCurrencyState] = useState(
+    localStorage.getItem("currency") || storeCurrency
+  );
+  const [rates, setRates] = useState([]);
+
+  //exchange rates kept by the admin
+  const getRates = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/currency/get-rates");
+      if (data?.success) setRates(data.rates);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    getRates();
+  }, []);
+
+  const setCurrency = (code) => {
+    setCurrencyState(code);
+    localStorage.setItem("currency", code);
+  };
+
+  // a currency whose rate was removed falls back to the store currency
+  const rate = rates.find((r) => r.currency === currency);
+  const display = rate ? currency : storeCurrency;
+
+  // store currency amounts as shown to the buyer
+  const formatPrice = (minor) =>
+    formatMoney(
+      convertMoney(minor, rate?.rate ?? 1, storeCurrency, display),
+      display
+    );
+
+  const currencies = [storeCurrency, ...rates.map((r) => r.currency)];
+
+  return (
+    <CurrencyContext.Provider
+      value={{ currency: display, currencies, setCurrency, formatPrice }}
+    >
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
+
+// custom hook
+const useCurrency = () => useContext(CurrencyContext);
+
+export { useCurrency, CurrencyProvider };
@@ -0,0 +1,27 @@
+// The API sends money as whole minor units (cents for USD) with a currency
+// code. These mirror helpers/moneyHelper.js on the server.
+
+// keep in step with STORE_CURRENCY on the server
+export const storeCurrency = (
+  process.env.REACT_APP_STORE_CURRENCY || "USD"
+).toUpperCase();
+
+const formatter = (currency) =>
+  new Intl.NumberFormat("en-US", { style: "currency", currency });
+
+const minorDigits = (currency) =>
+  formatter(currency).resolvedOptions().maximumFractionDigits;
+
+export const toMajorUnits = (minor, currency = storeCurrency) =>
+  Number(`${minor || 0}e-${minorDigits(currency)}`);
+
+// what an admin types ("54.99") to what the API stores (5499)
+export const toMinorUnits = (amount, currency = storeCurrency) =>
+  Math.round(Number(`${Number(amount)}e${minorDigits(currency)}`));
+
+export const formatMoney = (minor, currency = storeCurrency) =>
+  formatter(currency).format(toMajorUnits(minor, currency));
+
+// minor units of one currency to minor units of another at rate
+export const convertMoney = (minor, rate, from, to) =>
+  toMinorUnits(toMajorUnits(minor, from) * rate, to);
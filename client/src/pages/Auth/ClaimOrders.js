@@ -0,0 +1,50 @@
+import React, { useState, useEffect } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import Layout from "./../../components/Layout";
+import axios from "axios";
+
+// opened from the email sent after registering, moves the orders placed as a
+// guest with the same email to the new account
+const ClaimOrders = () => {
+  const [params] = useSearchParams();
+  const [result, setResult] = useState(null);
+
+  const claim = async () => {
+    try {
+      const { data } = await axios.post("/api/v1/auth/claim-orders", {
+        user: params.get("user"),
+        token: params.get("token"),
+      });
+      setResult(data);
+    } catch (error) {
+      console.log(error);
+      setResult({
+        success: false,
+        message: error?.response?.data?.message || "Something went wrong",
+      });
+    }
+  };
+
+  useEffect(() => {
+    claim();
+    //eslint-disable-next-line
+  }, []);
+
+  return (
+    <Layout title={"Add Your Orders"}>
+      <div className="container p-3 text-center">
+        <h1>Add Your Orders</h1>
+        {!result && <p>Adding your orders ...</p>}
+        {result?.success && (
+          <p>
+            {result.claimedOrders} earlier order(s) added to your account.{" "}
+            <Link to="/dashboard/user/orders">See your orders</Link>
+          </p>
+        )}
+        {result && !result.success && <p>{result.message}</p>}
+      </div>
+    </Layout>
+  );
+};
+
+export default ClaimOrders;
@@ -0,0 +1,82 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import axios from "axios";
+import { MemoryRouter, Routes, Route } from "react-router-dom";
+import "@testing-library/jest-dom/extend-expect";
+import ClaimOrders from "./ClaimOrders";
+
+jest.mock("axios");
+jest.mock("react-hot-toast");
+
+jest.mock("../../context/auth", () => ({
+  useAuth: jest.fn(() => [null, jest.fn()]),
+}));
+
+jest.mock("../../context/cart", () => ({
+  ...jest.requireActual("../../context/cart"),
+  useCart: jest.fn(() => [null, jest.fn()]),
+}));
+
+jest.mock("../../context/currency", () => ({
+  useCurrency: jest.fn(() => ({ currency: "USD", currencies: ["USD"] })),
+}));
+
+jest.mock("../../context/search", () => ({
+  useSearch: jest.fn(() => [{ keyword: "" }, jest.fn()]),
+}));
+
+jest.mock("../../hooks/useCategory", () => jest.fn(() => []));
+
+const renderPage = () =>
+  render(
+    <MemoryRouter initialEntries={["/claim-orders?user=user1&token=abc"]}>
+      <Routes>
+        <Route path="/claim-orders" element={<ClaimOrders />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+describe("ClaimOrders Component", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("should send the user and token of the link", async () => {
+    axios.post.mockResolvedValueOnce({
+      data: { success: true, claimedOrders: 2 },
+    });
+
+    renderPage();
+
+    expect(
+      await screen.findByText(/2 earlier order\(s\) added to your account/)
+    ).toBeInTheDocument();
+    expect(axios.post).toHaveBeenCalledWith("/api/v1/auth/claim-orders", {
+      user: "user1",
+      token: "abc",
+    });
+    expect(screen.getByText("See your orders")).toHaveAttribute(
+      "href",
+      "/dashboard/user/orders"
+    );
+  });
+
+  it("should show why a link did not work", async () => {
+    axios.post.mockRejectedValueOnce({
+      response: { data: { success: false, message: "This link is invalid" } },
+    });
+
+    renderPage();
+
+    expect(await screen.findByText("This link is invalid")).toBeInTheDocument();
+  });
+
+  it("should fall back to a generic message", async () => {
+    axios.post.mockRejectedValueOnce(new Error("Network Error"));
+
+    renderPage();
+
+    expect(await screen.findByText("Something went wrong")).toBeInTheDocument();
+  });
+});
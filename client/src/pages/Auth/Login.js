@@ -5,6 +5,7 @@ import { useNavigate, useLocation } from "react-router-dom";
 import toast from "react-hot-toast";
 import "../../styles/AuthStyles.css";
 import { useAuth } from "../../context/auth";
+import { normalizeCart, toCartLines } from "../../context/cart";
 
 const Login = () => {
   const [email, setEmail] = useState("");
@@ -16,6 +17,21 @@ const Login = () => {
   const location = useLocation();
   
 
+  //move the guest cart onto the account before the session starts
+  const mergeGuestCart = async (token) => {
+    try {
+      const guestCart = JSON.parse(localStorage.getItem("cart") || "[]");
+      if (!guestCart.length) return;
+      await axios.post(
+        "/api/v1/cart/merge-cart",
+        { cart: toCartLines(normalizeCart(guestCart)) },
+        { headers: { Authorization: token } }
+      );
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
   // form function
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -33,6 +49,7 @@ const Login = () => {
               color: "white",
             },
           });
+        await mergeGuestCart(res.data.token);
         setAuth({
             ...auth,
             user: res.data.user,
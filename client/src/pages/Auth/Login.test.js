@@ -15,9 +15,14 @@ jest.mock("../../context/auth", () => ({
 }));
 
 jest.mock("../../context/cart", () => ({
+  ...jest.requireActual("../../context/cart"),
   useCart: jest.fn(() => [null, jest.fn()]), // Mock useCart hook to return null state and a mock function
 }));
 
+jest.mock("../../context/currency", () => ({
+  useCurrency: jest.fn(() => ({ currency: "USD", currencies: ["USD"] })), // Mock useCurrency hook with only the store currency
+}));
+
 jest.mock("../../context/search", () => ({
   useSearch: jest.fn(() => [{ keyword: "" }, jest.fn()]), // Mock useSearch hook to return null state and a mock function
 }));
@@ -133,6 +138,52 @@ describe("Login Component", () => {
     });
   });
 
+  it("should merge the guest cart into the account on login", async () => {
+    window.localStorage.getItem.mockReturnValueOnce(
+      JSON.stringify([
+        { product: { _id: "p1" }, quantity: 2, price: 5 },
+        { product: { _id: "p2" }, quantity: 1, price: 8 },
+      ])
+    );
+    axios.post
+      .mockResolvedValueOnce({
+        data: {
+          success: true,
+          user: { id: 1, name: "John Doe", email: "test@example.com" },
+          token: "mockToken",
+        },
+      })
+      .mockResolvedValueOnce({ data: { success: true, cart: [] } });
+
+    const { getByPlaceholderText, getByText } = render(
+      <MemoryRouter initialEntries={["/login"]}>
+        <Routes>
+          <Route path="/login" element={<Login />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    fireEvent.change(getByPlaceholderText("Enter Your Email"), {
+      target: { value: "test@example.com" },
+    });
+    fireEvent.change(getByPlaceholderText("Enter Your Password"), {
+      target: { value: "password123" },
+    });
+    fireEvent.click(getByText("LOGIN"));
+
+    await waitFor(() => expect(axios.post).toHaveBeenCalledTimes(2));
+    expect(axios.post).toHaveBeenLastCalledWith(
+      "/api/v1/cart/merge-cart",
+      {
+        cart: [
+          { product: "p1", quantity: 2 },
+          { product: "p2", quantity: 1 },
+        ],
+      },
+      { headers: { Authorization: "mockToken" } }
+    );
+  });
+
   it("should display error message on failed login", async () => {
     axios.post.mockRejectedValueOnce({ message: "Invalid credentials" });
 
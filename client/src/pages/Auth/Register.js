@@ -29,6 +29,12 @@ const Register = () => {
       });
       if (res && res.data.success) {
         toast.success("Register Successfully, please login");
+        //orders placed as a guest with this email, added from the mailed link
+        if (res.data.guestOrders) {
+          toast.success(
+            `We emailed you a link to add ${res.data.guestOrders} earlier order(s) to your account`
+          );
+        }
         navigate("/login");
       } else {
         toast.error(res.data.message);
@@ -1,10 +1,20 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import Layout from "./../components/Layout";
-import { useCart } from "../context/cart";
+import {
+  useCart,
+  cartCount,
+  cartTotal,
+  removeCartItem,
+  updateCartItemQuantity,
+  toCartLines,
+} from "../context/cart";
 import { useAuth } from "../context/auth";
+import { useCurrency } from "../context/currency";
 import { useNavigate } from "react-router-dom";
 import DropIn from "braintree-web-drop-in-react";
+import FakeDropIn from "../components/Form/FakeDropIn";
 import { AiFillWarning } from "react-icons/ai";
+import { formatMoney } from "../helpers/money";
 import axios from "axios";
 import toast from "react-hot-toast";
 import "../styles/CartStyles.css";
@@ -13,43 +23,63 @@ const CartPage = () => {
   const [auth, setAuth] = useAuth();
   const [cart, setCart] = useCart();
   const [clientToken, setClientToken] = useState("");
+  const [paymentProvider, setPaymentProvider] = useState("");
   const [instance, setInstance] = useState("");
   const [loading, setLoading] = useState(false);
+  const [stockErrors, setStockErrors] = useState({});
+  const [shippingAddress, setShippingAddress] = useState({
+    name: "",
+    address: "",
+    phone: "",
+    region: "",
+  });
+  const [taxRegions, setTaxRegions] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [shippingMethod, setShippingMethod] = useState("");
+  const [editingAddress, setEditingAddress] = useState(false);
+  //guests get their order emails here instead of on an account
+  const [guestEmail, setGuestEmail] = useState("");
+  const [couponCode, setCouponCode] = useState("");
+  const [coupon, setCoupon] = useState(null);
+  // one key per checkout attempt so a retried request can't charge twice
+  const checkoutKey = useRef(null);
   const navigate = useNavigate();
 
+  const { currency, formatPrice } = useCurrency();
+
   //total price
   const totalPrice = () => {
     try {
-      let total = 0;
-      cart?.map((item) => {
-        total = total + item.price;
-      });
-      return total.toLocaleString("en-US", {
-        style: "currency",
-        currency: "USD",
-      });
+      if (summary) {
+        return formatMoney(summary.display.amount, summary.display.currency);
+      }
+      return formatPrice(cartTotal(cart) - (coupon?.discount || 0));
     } catch (error) {
       console.log(error);
     }
   };
   //detele item
-  const removeCartItem = (pid) => {
+  const removeItem = (pid) => {
     try {
-      let myCart = [...cart];
-      let index = myCart.findIndex((item) => item._id === pid);
-      myCart.splice(index, 1);
-      setCart(myCart);
-      localStorage.setItem("cart", JSON.stringify(myCart));
+      setCart(removeCartItem(cart, pid));
+      setStockErrors({ ...stockErrors, [pid]: undefined });
     } catch (error) {
       console.log(error);
     }
   };
+  //change line quantity
+  const changeQuantity = (pid, quantity) => {
+    if (quantity < 1) return;
+    setCart(updateCartItemQuantity(cart, pid, quantity));
+    setStockErrors({ ...stockErrors, [pid]: undefined });
+  };
 
   //get payment gateway token
   const getToken = async () => {
     try {
       const { data } = await axios.get("/api/v1/product/braintree/token");
       setClientToken(data?.clientToken);
+      setPaymentProvider(data?.provider);
     } catch (error) {
       console.log(error);
     }
@@ -58,23 +88,147 @@ const CartPage = () => {
     getToken();
   }, [auth?.token]);
 
+  //deliver to the profile address unless the buyer changes it
+  useEffect(() => {
+    setShippingAddress({
+      name: auth?.user?.name || "",
+      address: auth?.user?.address || "",
+      phone: auth?.user?.phone || "",
+      region: "",
+    });
+  }, [auth?.user]);
+
+  //regions we charge tax for
+  const getTaxRegions = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/cart/tax-regions");
+      if (data?.success) setTaxRegions(data.regions);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+  useEffect(() => {
+    getTaxRegions();
+  }, []);
+
+  //tax and the final total are worked out by the server
+  const getSummary = async () => {
+    try {
+      const { data } = await axios.post("/api/v1/cart/checkout-summary", {
+        cart: toCartLines(cart),
+        couponCode: coupon?.code,
+        region: shippingAddress.region,
+        shippingMethod,
+        displayCurrency: currency,
+      });
+      if (data?.success) {
+        setSummary(data);
+        //keep the buyer's pick while it is still on offer, else the first one
+        if (!data.shipping.method) {
+          setShippingMethod(data.shipping.methods[0]?._id || "");
+        }
+      }
+    } catch (error) {
+      console.log(error);
+      setSummary(null);
+    }
+  };
+  useEffect(() => {
+    if (cart?.length) getSummary();
+    else setSummary(null);
+    //eslint-disable-next-line
+  }, [
+    auth?.token,
+    cart,
+    coupon,
+    shippingAddress.region,
+    shippingMethod,
+    currency,
+  ]);
+
+  const unshippable = (pid) =>
+    summary?.shipping?.unshippable?.some((line) => line.product === pid);
+
+  const updateShippingAddress = (field) => (e) =>
+    setShippingAddress({ ...shippingAddress, [field]: e.target.value });
+
+  //check a coupon code against the current cart
+  const applyCoupon = async (code) => {
+    try {
+      const { data } = await axios.post("/api/v1/coupon/validate-coupon", {
+        code,
+        cart: toCartLines(cart),
+      });
+      if (data?.success) {
+        setCoupon({ code: data.coupon.code, discount: data.discount });
+        return true;
+      }
+    } catch (error) {
+      console.log(error);
+      setCoupon(null);
+      toast.error(error?.response?.data?.message || "Invalid coupon code");
+    }
+    return false;
+  };
+
+  //a different cart is a different checkout attempt
+  useEffect(() => {
+    checkoutKey.current = null;
+    // the discount depends on what is in the cart
+    if (coupon && cart?.length) applyCoupon(coupon.code);
+    if (!cart?.length) setCoupon(null);
+    //eslint-disable-next-line
+  }, [cart]);
+
   //handle payments
   const handlePayment = async () => {
     try {
       setLoading(true);
       const { nonce } = await instance.requestPaymentMethod();
-      const { data } = await axios.post("/api/v1/product/braintree/payment", {
-        nonce,
-        cart,
-      });
+      if (!checkoutKey.current) checkoutKey.current = crypto.randomUUID();
+      const { data } = await axios.post(
+        "/api/v1/product/braintree/payment",
+        {
+          nonce,
+          cart,
+          shippingAddress,
+          couponCode: coupon?.code,
+          shippingMethod,
+          displayCurrency: currency,
+          ...(auth?.token ? {} : { email: guestEmail }),
+        },
+        { headers: { "Idempotency-Key": checkoutKey.current } }
+      );
       setLoading(false);
-      localStorage.removeItem("cart");
+      checkoutKey.current = null;
       setCart([]);
-      navigate("/dashboard/user/orders");
+      //guests have no order list, open their order instead
+      if (data?.lookupToken) {
+        navigate(`/order-lookup?order=${data.order}&token=${data.lookupToken}`);
+      } else {
+        navigate("/dashboard/user/orders");
+      }
       toast.success("Payment Completed Successfully ");
     } catch (error) {
+      //declined cards land here too (402), the cart is kept so the buyer can
+      //try another card
       console.log(error);
       setLoading(false);
+      //point at the lines we can't fill
+      const insufficient = error?.response?.data?.insufficient;
+      if (insufficient) {
+        setStockErrors(
+          insufficient.reduce(
+            (errors, line) => ({ ...errors, [line.product]: line.available }),
+            {}
+          )
+        );
+      }
+      toast.error(error?.response?.data?.message || "Payment failed");
+      //charged, but the order could not be saved so the money went back
+      if (error?.response?.data?.paymentCancelled) {
+        toast("Your payment for this order has been cancelled");
+      }
     }
   };
   return (
@@ -88,8 +242,8 @@ const CartPage = () => {
                 : `Hello  ${auth?.token && auth?.user?.name}`}
               <p className="text-center">
                 {cart?.length
-                  ? `You Have ${cart.length} items in your cart ${
-                      auth?.token ? "" : "please login to checkout !"
+                  ? `You Have ${cartCount(cart)} items in your cart ${
+                      auth?.token ? "" : "login or checkout as a guest !"
                     }`
                   : " Your Cart Is Empty"}
               </p>
@@ -99,7 +253,7 @@ const CartPage = () => {
         <div className="container ">
           <div className="row ">
             <div className="col-md-7  p-0 m-0">
-              {cart?.map((p) => (
+              {cart?.map(({ product: p, quantity, price }) => (
                 <div className="row card flex-row" key={p._id}>
                   <div className="col-md-4">
                     <img
@@ -113,12 +267,41 @@ const CartPage = () => {
                   <div className="col-md-4">
                     <p>{p.name}</p>
                     <p>{p.description.substring(0, 30)}</p>
-                    <p>Price : {p.price}</p>
+                    <p>Price : {formatPrice(price)}</p>
+                    <p>Subtotal : {formatPrice(price * quantity)}</p>
+                    {unshippable(p._id) && (
+                      <p className="text-danger">
+                        Not available for delivery
+                      </p>
+                    )}
+                    {stockErrors[p._id] !== undefined && (
+                      <p className="text-danger">
+                        {stockErrors[p._id]
+                          ? `Insufficient stock, only ${stockErrors[p._id]} left`
+                          : "Insufficient stock, out of stock"}
+                      </p>
+                    )}
                   </div>
                   <div className="col-md-4 cart-remove-btn">
+                    <div className="cart-quantity mb-2">
+                      <button
+                        className="btn btn-outline-secondary btn-sm"
+                        onClick={() => changeQuantity(p._id, quantity - 1)}
+                        disabled={quantity <= 1}
+                      >
+                        -
+                      </button>
+                      <span className="mx-2">{quantity}</span>
+                      <button
+                        className="btn btn-outline-secondary btn-sm"
+                        onClick={() => changeQuantity(p._id, quantity + 1)}
+                      >
+                        +
+                      </button>
+                    </div>
                     <button
                       className="btn btn-danger"
-                      onClick={() => removeCartItem(p._id)}
+                      onClick={() => removeItem(p._id)}
                     >
                       Remove
                     </button>
@@ -130,62 +313,230 @@ const CartPage = () => {
               <h2>Cart Summary</h2>
               <p>Total | Checkout | Payment</p>
               <hr />
-              <h4>Total : {totalPrice()} </h4>
-              {auth?.user?.address ? (
-                <>
-                  <div className="mb-3">
-                    <h4>Current Address</h4>
-                    <h5>{auth?.user?.address}</h5>
+              {coupon && (
+                <div className="mb-2">
+                  <p>
+                    Discount ({coupon.code}) : -{formatPrice(coupon.discount)}{" "}
                     <button
-                      className="btn btn-outline-warning"
-                      onClick={() => navigate("/dashboard/user/profile")}
+                      className="btn btn-link btn-sm"
+                      onClick={() => setCoupon(null)}
                     >
-                      Update Address
+                      Remove
                     </button>
-                  </div>
+                  </p>
+                </div>
+              )}
+              {summary && (
+                <>
+                  <p>Items : {formatPrice(summary.subtotal)}</p>
+                  <p>
+                    {summary.tax.label} : {formatPrice(summary.tax.amount)}
+                  </p>
+                  {summary.shipping.method && (
+                    <p>
+                      Shipping : {formatPrice(summary.shipping.method.fee)}
+                    </p>
+                  )}
                 </>
+              )}
+              <h4>Total : {totalPrice()} </h4>
+              {summary && summary.display.currency !== summary.currency && (
+                <p className="text-muted">
+                  Charged in {summary.currency} :{" "}
+                  {formatMoney(summary.total, summary.currency)}
+                </p>
+              )}
+              {cart?.length > 0 && !coupon && (
+                <div className="mb-3 d-flex gap-2">
+                  <input
+                    type="text"
+                    className="form-control"
+                    placeholder="Coupon Code"
+                    value={couponCode}
+                    onChange={(e) => setCouponCode(e.target.value)}
+                  />
+                  <button
+                    className="btn btn-outline-secondary"
+                    disabled={!couponCode.trim()}
+                    onClick={async () => {
+                      if (await applyCoupon(couponCode)) {
+                        toast.success("Coupon applied");
+                        setCouponCode("");
+                      }
+                    }}
+                  >
+                    Apply
+                  </button>
+                </div>
+              )}
+              {!auth?.token && cart?.length > 0 && (
+                <div className="mb-3">
+                  <h4>Checkout as Guest</h4>
+                  <input
+                    type="email"
+                    className="form-control mb-2"
+                    placeholder="Email"
+                    value={guestEmail}
+                    onChange={(e) => setGuestEmail(e.target.value)}
+                  />
+                  <button
+                    className="btn btn-link p-0"
+                    onClick={() =>
+                      navigate("/login", {
+                        state: "/cart",
+                      })
+                    }
+                  >
+                    Have an account? Login to checkout
+                  </button>
+                </div>
+              )}
+              {!auth?.token || editingAddress || shippingAddress.address ? (
+                <div className="mb-3">
+                  <h4>Delivery Address</h4>
+                  {editingAddress || !auth?.token ? (
+                    <>
+                      <input
+                        type="text"
+                        className="form-control mb-2"
+                        placeholder="Recipient Name"
+                        value={shippingAddress.name}
+                        onChange={updateShippingAddress("name")}
+                      />
+                      <input
+                        type="text"
+                        className="form-control mb-2"
+                        placeholder="Delivery Address"
+                        value={shippingAddress.address}
+                        onChange={updateShippingAddress("address")}
+                      />
+                      <input
+                        type="text"
+                        className="form-control mb-2"
+                        placeholder="Contact Phone"
+                        value={shippingAddress.phone}
+                        onChange={updateShippingAddress("phone")}
+                      />
+                      <select
+                        className="form-select mb-2"
+                        value={shippingAddress.region}
+                        onChange={updateShippingAddress("region")}
+                      >
+                        <option value="">Select Region</option>
+                        {taxRegions.map((r) => (
+                          <option key={r.code} value={r.code}>
+                            {r.name}
+                          </option>
+                        ))}
+                      </select>
+                      {auth?.token && (
+                        <button
+                          className="btn btn-outline-warning"
+                          onClick={() => setEditingAddress(false)}
+                        >
+                          Done
+                        </button>
+                      )}
+                    </>
+                  ) : (
+                    <>
+                      <h5>{shippingAddress.name}</h5>
+                      <h5>{shippingAddress.address}</h5>
+                      <h5>{shippingAddress.phone}</h5>
+                      {shippingAddress.region && (
+                        <h5>
+                          {taxRegions.find(
+                            (r) => r.code === shippingAddress.region
+                          )?.name || shippingAddress.region}
+                        </h5>
+                      )}
+                      <button
+                        className="btn btn-outline-warning"
+                        onClick={() => setEditingAddress(true)}
+                      >
+                        Change Address
+                      </button>
+                    </>
+                  )}
+                </div>
               ) : (
                 <div className="mb-3">
-                  {auth?.token ? (
-                    <button
-                      className="btn btn-outline-warning"
-                      onClick={() => navigate("/dashboard/user/profile")}
-                    >
-                      Update Address
-                    </button>
+                  <button
+                    className="btn btn-outline-warning"
+                    onClick={() => setEditingAddress(true)}
+                  >
+                    Add Address
+                  </button>
+                </div>
+              )}
+              {summary && (
+                <div className="mb-3">
+                  <h4>Shipping Method</h4>
+                  {summary.shipping.methods.length ? (
+                    summary.shipping.methods.map((m) => (
+                      <div className="form-check" key={m._id}>
+                        <input
+                          className="form-check-input"
+                          type="radio"
+                          name="shippingMethod"
+                          id={`shipping-${m._id}`}
+                          checked={shippingMethod === m._id}
+                          onChange={() => setShippingMethod(m._id)}
+                        />
+                        <label
+                          className="form-check-label"
+                          htmlFor={`shipping-${m._id}`}
+                        >
+                          {m.name}
+                          {m.estimatedDays ? ` (${m.estimatedDays})` : ""} -{" "}
+                          {m.fee ? formatPrice(m.fee) : "Free"}
+                        </label>
+                      </div>
+                    ))
                   ) : (
-                    <button
-                      className="btn btn-outline-warning"
-                      onClick={() =>
-                        navigate("/login", {
-                          state: "/cart",
-                        })
-                      }
-                    >
-                      Please Login to checkout
-                    </button>
+                    <p className="text-danger">
+                      {summary.shipping.zone
+                        ? "No shipping method is available for this cart"
+                        : "We do not deliver to this region"}
+                    </p>
                   )}
                 </div>
               )}
               <div className="mt-2">
-                {!clientToken || !auth?.token || !cart?.length ? (
+                {!clientToken || !cart?.length ? (
                   ""
                 ) : (
                   <>
-                    <DropIn
-                      options={{
-                        authorization: clientToken,
-                        paypal: {
-                          flow: "vault",
-                        },
-                      }}
-                      onInstance={(instance) => setInstance(instance)}
-                    />
+                    {paymentProvider === "fake" ? (
+                      <FakeDropIn
+                        onInstance={(instance) => setInstance(instance)}
+                      />
+                    ) : (
+                      <DropIn
+                        options={{
+                          authorization: clientToken,
+                          paypal: {
+                            flow: "vault",
+                          },
+                        }}
+                        onInstance={(instance) => setInstance(instance)}
+                      />
+                    )}
 
                     <button
                       className="btn btn-primary"
                       onClick={handlePayment}
-                      disabled={loading || !instance || !auth?.user?.address}
+                      disabled={
+                        loading ||
+                        !instance ||
+                        (!auth?.token &&
+                          (!guestEmail.trim() ||
+                            !shippingAddress.name.trim())) ||
+                        !shippingAddress.address.trim() ||
+                        !shippingAddress.phone.trim() ||
+                        !summary?.shipping?.method ||
+                        summary.shipping.unshippable.length > 0
+                      }
                     >
                       {loading ? "Processing ...." : "Make Payment"}
                     </button>
@@ -2,10 +2,12 @@ import React, { useState, useEffect } from "react";
 import Layout from "../components/Layout";
 import { useParams, useNavigate } from "react-router-dom";
 import "../styles/CategoryProductStyles.css";
+import { useCurrency } from "../context/currency";
 import axios from "axios";
 const CategoryProduct = () => {
   const params = useParams();
   const navigate = useNavigate();
+  const { formatPrice } = useCurrency();
   const [products, setProducts] = useState([]);
   const [category, setCategory] = useState([]);
 
@@ -43,10 +45,7 @@ const CategoryProduct = () => {
                     <div className="card-name-price">
                       <h5 className="card-title">{p.name}</h5>
                       <h5 className="card-title card-price">
-                        {p.price.toLocaleString("en-US", {
-                          style: "currency",
-                          currency: "USD",
-                        })}
+                        {formatPrice(p.price)}
                       </h5>
                     </div>
                     <p className="card-text ">
@@ -62,11 +61,7 @@ const CategoryProduct = () => {
                       {/* <button
                     className="btn btn-dark ms-1"
                     onClick={() => {
-                      setCart([...cart, p]);
-                      localStorage.setItem(
-                        "cart",
-                        JSON.stringify([...cart, p])
-                      );
+                      setCart(addCartItem(cart, p));
                       toast.success("Item Added to cart");
                     }}
                   >
@@ -2,7 +2,8 @@ import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { Checkbox, Radio } from "antd";
 import { Prices } from "../components/Prices";
-import { useCart } from "../context/cart";
+import { useCart, addCartItem } from "../context/cart";
+import { useCurrency } from "../context/currency";
 import axios from "axios";
 import toast from "react-hot-toast";
 import Layout from "./../components/Layout";
@@ -12,6 +13,7 @@ import "../styles/Homepages.css";
 const HomePage = () => {
   const navigate = useNavigate();
   const [cart, setCart] = useCart();
+  const { formatPrice } = useCurrency();
   const [products, setProducts] = useState([]);
   const [categories, setCategories] = useState([]);
   const [checked, setChecked] = useState([]);
@@ -163,10 +165,7 @@ const HomePage = () => {
                   <div className="card-name-price">
                     <h5 className="card-title">{p.name}</h5>
                     <h5 className="card-title card-price">
-                      {p.price.toLocaleString("en-US", {
-                        style: "currency",
-                        currency: "USD",
-                      })}
+                      {formatPrice(p.price)}
                     </h5>
                   </div>
                   <p className="card-text ">
@@ -182,11 +181,7 @@ const HomePage = () => {
                     <button
                       className="btn btn-dark ms-1"
                       onClick={() => {
-                        setCart([...cart, p]);
-                        localStorage.setItem(
-                          "cart",
-                          JSON.stringify([...cart, p])
-                        );
+                        setCart(addCartItem(cart, p));
                         toast.success("Item Added to cart");
                       }}
                     >
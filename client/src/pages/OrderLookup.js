@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import Layout from "./../components/Layout";
+import OrderTimeline from "../components/OrderTimeline";
+import ShipmentList from "../components/ShipmentList";
+import { formatMoney } from "../helpers/money";
+import axios from "axios";
+import moment from "moment";
+import toast from "react-hot-toast";
+
+// guests find their order with its number and their email, or straight from
+// the link in their order emails (order number and token in the url)
+const OrderLookup = () => {
+  const [params, setParams] = useSearchParams();
+  const [orderId, setOrderId] = useState(params.get("order") || "");
+  const [email, setEmail] = useState("");
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const lookup = async (details) => {
+    try {
+      setLoading(true);
+      const { data } = await axios.post("/api/v1/auth/order-lookup", details);
+      if (data?.success) {
+        setOrder(data.order);
+        //keep a link that opens the order again
+        setParams({ order: data.order._id, token: data.token });
+      }
+    } catch (error) {
+      console.log(error);
+      setOrder(null);
+      toast.error(error?.response?.data?.message || "Something went wrong");
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    const token = params.get("token");
+    if (params.get("order") && token) {
+      lookup({ order: params.get("order"), token });
+    }
+    //eslint-disable-next-line
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    lookup({ order: orderId.trim(), email });
+  };
+
+  return (
+    <Layout title={"Find Your Order"}>
+      <div className="container p-3">
+        <h1 className="text-center">Find Your Order</h1>
+        <form className="row g-2 mb-4" onSubmit={handleSubmit}>
+          <div className="col-md-5">
+            <input
+              type="text"
+              className="form-control"
+              placeholder="Order Number"
+              value={orderId}
+              onChange={(e) => setOrderId(e.target.value)}
+              required
+            />
+          </div>
+          <div className="col-md-5">
+            <input
+              type="email"
+              className="form-control"
+              placeholder="Email used at checkout"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+            />
+          </div>
+          <div className="col-md-2">
+            <button
+              type="submit"
+              className="btn btn-primary w-100"
+              disabled={loading}
+            >
+              {loading ? "Looking ..." : "Find Order"}
+            </button>
+          </div>
+        </form>
+        {order && (
+          <div className="border shadow p-3">
+            <h4>Order {order.orderNumber || order._id}</h4>
+            <p>
+              Placed {moment(order.createdAt).format("D MMM YYYY, h:mm a")} :{" "}
+              <strong>{order.status}</strong>
+            </p>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th scope="col">Item</th>
+                  <th scope="col">Quantity</th>
+                  <th scope="col">Price</th>
+                </tr>
+              </thead>
+              <tbody>
+                {order.products?.map((item, i) => (
+                  <tr key={i}>
+                    <td>
+                      {item.product?.name || "Product no longer available"}
+                    </td>
+                    <td>{item.quantity}</td>
+                    <td>
+                      {formatMoney(item.price * item.quantity, order.currency)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {order.discount?.amount > 0 && (
+              <p>
+                Discount ({order.discount.code}) : -
+                {formatMoney(order.discount.amount, order.currency)}
+              </p>
+            )}
+            {order.tax?.label && (
+              <p>
+                {order.tax.label} :{" "}
+                {formatMoney(order.tax.amount, order.currency)}
+              </p>
+            )}
+            {order.shipping?.method && (
+              <p>
+                Delivery : {order.shipping.method} :{" "}
+                {formatMoney(order.shipping.fee, order.currency)}
+              </p>
+            )}
+            <h5>Total : {formatMoney(order.total, order.currency)}</h5>
+            {order.shippingAddress && (
+              <p>
+                Ship to : {order.shippingAddress.name},{" "}
+                {order.shippingAddress.address}
+              </p>
+            )}
+            <ShipmentList order={order} />
+            <OrderTimeline history={order.statusHistory} />
+            <p className="text-muted">
+              <Link to="/register">Create an account</Link> with the same email
+              to keep all your orders in one place.
+            </p>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default OrderLookup;
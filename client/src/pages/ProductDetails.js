@@ -2,11 +2,13 @@ import React, { useState, useEffect } from "react";
 import Layout from "./../components/Layout";
 import axios from "axios";
 import { useParams, useNavigate } from "react-router-dom";
+import { useCurrency } from "../context/currency";
 import "../styles/ProductDetailsStyles.css";
 
 const ProductDetails = () => {
     const params = useParams();
     const navigate = useNavigate();
+    const { formatPrice } = useCurrency();
     const [product, setProduct] = useState({});
     const [relatedProducts, setRelatedProducts] = useState([]);
 
@@ -78,10 +80,8 @@ const ProductDetails = () => {
                     <h6>Description : {product.description}</h6>
                     <h6>
                         Price :
-                        {product?.price?.toLocaleString("en-US", {
-                            style: "currency",
-                            currency: "USD",
-                        })}
+                        {product.price !== undefined &&
+                            formatPrice(product.price)}
                     </h6>
                     <h6>Category : {product?.category?.name}</h6>
                     <button class="btn btn-secondary ms-1">ADD TO CART</button>
@@ -105,10 +105,7 @@ const ProductDetails = () => {
                                 <div className="card-name-price">
                                     <h5 className="card-title">{p.name}</h5>
                                     <h5 className="card-title card-price">
-                                        {p.price.toLocaleString("en-US", {
-                                            style: "currency",
-                                            currency: "USD",
-                                        })}
+                                        {formatPrice(p.price)}
                                     </h5>
                                 </div>
                                 <p className="card-text ">
@@ -1,8 +1,10 @@
 import React from "react";
 import Layout from "./../components/Layout";
 import { useSearch } from "../context/search";
+import { useCurrency } from "../context/currency";
 const Search = () => {
   const [values, setValues] = useSearch();
+  const { formatPrice } = useCurrency();
   return (
     <Layout title={"Search results"}>
       <div className="container">
@@ -26,7 +28,9 @@ const Search = () => {
                   <p className="card-text">
                     {p.description.substring(0, 30)}...
                   </p>
-                  <p className="card-text"> $ {p.price}</p>
+                  <p className="card-text">
+                    {formatPrice(p.price)}
+                  </p>
                   <button class="btn btn-primary ms-1">More Details</button>
                   <button class="btn btn-secondary ms-1">ADD TO CART</button>
                 </div>
@@ -1,9 +1,63 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import moment from "moment";
+import { Select } from "antd";
 import AdminMenu from "../../components/AdminMenu";
 import Layout from "./../../components/Layout";
+import BarChart from "../../components/BarChart";
 import { useAuth } from "../../context/auth";
+import { formatMoney } from "../../helpers/money";
+const { Option } = Select;
+
+const PERIOD_FORMATS = {
+  day: "D MMM",
+  week: "[Week of] D MMM",
+  month: "MMM YYYY",
+};
+
+const defaultRange = () => ({
+  from: moment().subtract(29, "days").format("YYYY-MM-DD"),
+  to: moment().format("YYYY-MM-DD"),
+  interval: "day",
+});
+
 const AdminDashboard = () => {
   const [auth] = useAuth();
+  const [range, setRange] = useState(defaultRange);
+  const [stats, setStats] = useState(null);
+
+  const updateRange = (field) => (e) =>
+    setRange({ ...range, [field]: e?.target ? e.target.value : e });
+
+  //get analytics
+  const getStats = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/analytics/sales", {
+        params: range,
+      });
+      if (data?.success) setStats(data);
+    } catch (error) {
+      console.log(error);
+      toast.error(
+        error?.response?.data?.message || "Something went wrong in getting sales"
+      );
+    }
+  };
+
+  useEffect(() => {
+    if (auth?.token) getStats();
+  }, [auth?.token]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    getStats();
+  };
+
+  const money = (amount) => formatMoney(amount, stats?.currency);
+  const periodLabel = (period) =>
+    moment(period).format(PERIOD_FORMATS[stats?.interval] || "D MMM");
+
   return (
     <Layout>
       <div className="container-fluid m-3 p-3">
@@ -17,6 +71,113 @@ const AdminDashboard = () => {
               <h3> Admin Email : {auth?.user?.email}</h3>
               <h3> Admin Contact : {auth?.user?.phone}</h3>
             </div>
+            <h1 className="mt-4">Sales</h1>
+            <form className="row g-2 mb-3" onSubmit={handleSubmit}>
+              <div className="col-md-3">
+                <input
+                  type="date"
+                  className="form-control"
+                  aria-label="From"
+                  value={range.from}
+                  onChange={updateRange("from")}
+                />
+              </div>
+              <div className="col-md-3">
+                <input
+                  type="date"
+                  className="form-control"
+                  aria-label="To"
+                  value={range.to}
+                  onChange={updateRange("to")}
+                />
+              </div>
+              <div className="col-md-3">
+                <Select
+                  className="w-100"
+                  value={range.interval}
+                  onChange={updateRange("interval")}
+                >
+                  <Option value="day">By day</Option>
+                  <Option value="week">By week</Option>
+                  <Option value="month">By month</Option>
+                </Select>
+              </div>
+              <div className="col-md-3">
+                <button type="submit" className="btn btn-primary">
+                  Show
+                </button>
+              </div>
+            </form>
+            {stats && (
+              <>
+                <div className="row mb-4">
+                  {[
+                    ["Revenue", money(stats.totals.revenue)],
+                    ["Orders", stats.totals.orders],
+                    ["Average Order", money(stats.totals.averageOrderValue)],
+                    ["New Customers", stats.totals.newCustomers],
+                  ].map(([label, value]) => (
+                    <div className="col-md-3" key={label}>
+                      <div className="card p-3 text-center">
+                        <h6>{label}</h6>
+                        <h4>{value}</h4>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <BarChart
+                  title="Revenue"
+                  format={money}
+                  data={stats.series.map((s) => ({
+                    label: periodLabel(s.period),
+                    value: s.revenue,
+                  }))}
+                />
+                <BarChart
+                  title="Orders"
+                  data={stats.series.map((s) => ({
+                    label: periodLabel(s.period),
+                    value: s.orders,
+                  }))}
+                />
+                <BarChart
+                  title="New Customers"
+                  data={stats.series.map((s) => ({
+                    label: periodLabel(s.period),
+                    value: s.customers,
+                  }))}
+                />
+                <div className="row">
+                  <div className="col-md-6">
+                    <BarChart
+                      title="Top Products"
+                      format={money}
+                      data={stats.topProducts.map((p) => ({
+                        label: p.name || "Product no longer available",
+                        value: p.revenue,
+                      }))}
+                    />
+                  </div>
+                  <div className="col-md-6">
+                    <BarChart
+                      title="Top Categories"
+                      format={money}
+                      data={stats.topCategories.map((c) => ({
+                        label: c.name || "Uncategorised",
+                        value: c.revenue,
+                      }))}
+                    />
+                  </div>
+                </div>
+                <BarChart
+                  title="Orders by Status"
+                  data={stats.statuses.map((s) => ({
+                    label: s.status,
+                    value: s.count,
+                  }))}
+                />
+              </>
+            )}
           </div>
         </div>
       </div>
@@ -24,4 +185,4 @@ const AdminDashboard = () => {
   );
 };
 
-export default AdminDashboard;
\ No newline at end of file
+export default AdminDashboard;
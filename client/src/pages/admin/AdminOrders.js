@@ -5,24 +5,107 @@ import AdminMenu from "../../components/AdminMenu";
 import Layout from "../../components/Layout";
 import { useAuth } from "../../context/auth";
 import moment from "moment";
-import { Select } from "antd";
+import { useSearchParams } from "react-router-dom";
+import { Select, Input, Pagination } from "antd";
+import OrderTimeline from "../../components/OrderTimeline";
+import InvoiceButton from "../../components/InvoiceButton";
+import ShipmentList from "../../components/ShipmentList";
+import ShipmentForm from "../../components/ShipmentForm";
+import { formatMoney, toMajorUnits, toMinorUnits } from "../../helpers/money";
 const { Option } = Select;
 
+// mirrors helpers/orderStatusHelper.js on the server
+const nextStatuses = {
+  "Not Process": ["Processing", "Cancelled"],
+  Processing: ["Shipped", "Cancelled"],
+  Shipped: ["Delivered"],
+  Delivered: [],
+  Cancelled: [],
+  delivered: [],
+  cancel: [],
+};
+
+// mirrors orderNextStatuses, a partly shipped order can't be cancelled and
+// an unpaid one can only be cancelled
+const allowedStatuses = (o) =>
+  (nextStatuses[o?.status] || []).filter((s) =>
+    s === "Cancelled" ? !o?.shipments?.length : !!o?.payment?.success
+  );
+
+// mirrors SHIPPABLE_STATUSES in helpers/shipmentHelper.js on the server
+const shippableStatuses = ["Processing", "Shipped"];
+
+// query string keys understood by /all-orders, totals are minor units
+const FILTER_KEYS = [
+  "status",
+  "from",
+  "to",
+  "buyer",
+  "number",
+  "minTotal",
+  "maxTotal",
+  "payment",
+  "sort",
+];
+const MONEY_KEYS = ["minTotal", "maxTotal"];
+
+// the filter form shows totals in dollars, the URL keeps them in cents
+const filtersFromParams = (params) =>
+  FILTER_KEYS.reduce((filters, key) => {
+    const value = params.get(key) || "";
+    filters[key] =
+      value && MONEY_KEYS.includes(key) ? String(toMajorUnits(value)) : value;
+    return filters;
+  }, {});
+
+const paramsFromFilters = (filters) =>
+  FILTER_KEYS.reduce((params, key) => {
+    const value = String(filters[key] ?? "").trim();
+    if (value) {
+      params[key] = MONEY_KEYS.includes(key)
+        ? String(toMinorUnits(value))
+        : value;
+    }
+    return params;
+  }, {});
+
 const AdminOrders = () => {
   const [status, setStatus] = useState([
     "Not Process",
     "Processing",
     "Shipped",
-    "deliverd",
-    "cancel",
+    "Delivered",
+    "Cancelled",
   ]);
-  const [changeStatus, setCHangeStatus] = useState("");
+  const [notes, setNotes] = useState({});
   const [orders, setOrders] = useState([]);
+  const [carriers, setCarriers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [filters, setFilters] = useState(() =>
+    filtersFromParams(searchParams)
+  );
   const [auth, setAuth] = useAuth();
+  const page = Number(searchParams.get("page")) || 1;
+  const perPage = Number(searchParams.get("perPage")) || 20;
+
   const getOrders = async () => {
     try {
-      const { data } = await axios.get("/api/v1/auth/all-orders");
-      setOrders(data);
+      const { data } = await axios.get("/api/v1/auth/all-orders", {
+        params: Object.fromEntries(searchParams),
+      });
+      setOrders(data.orders);
+      setTotal(data.total);
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  const getCarriers = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/shipment/get-carriers");
+      if (data?.success) setCarriers(data.carriers);
     } catch (error) {
       console.log(error);
     }
@@ -30,16 +113,72 @@ const AdminOrders = () => {
 
   useEffect(() => {
     if (auth?.token) getOrders();
+  }, [auth?.token, searchParams]);
+
+  useEffect(() => {
+    if (auth?.token) getCarriers();
   }, [auth?.token]);
 
+  // back and forward change the URL, keep the form in step with it
+  useEffect(() => {
+    setFilters(filtersFromParams(searchParams));
+  }, [searchParams]);
+
+  const updateFilter = (key) => (e) =>
+    setFilters({ ...filters, [key]: e?.target ? e.target.value : e });
+
+  // new filters start again from the first page
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setSearchParams(paramsFromFilters(filters));
+  };
+
+  const clearFilters = () => setSearchParams({});
+
+  // the export needs the auth header, so fetch it instead of linking to it
+  const exportOrders = async (format) => {
+    try {
+      // same filters as the list, but every page of them
+      const params = Object.fromEntries(searchParams);
+      delete params.page;
+      delete params.perPage;
+      const { data, headers } = await axios.get(
+        "/api/v1/auth/all-orders/export",
+        { params: { ...params, format }, responseType: "blob" }
+      );
+      const filename = /filename="(.+)"/.exec(
+        headers?.["content-disposition"] || ""
+      )?.[1];
+      const url = window.URL.createObjectURL(data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename || `orders.${format}`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.log(error);
+      toast.error("Could not export the orders");
+    }
+  };
+
+  const changePage = (nextPage, nextPerPage) =>
+    setSearchParams({
+      ...Object.fromEntries(searchParams),
+      page: String(nextPerPage !== perPage ? 1 : nextPage),
+      perPage: String(nextPerPage),
+    });
+
   const handleChange = async (orderId, value) => {
     try {
-      const { data } = await axios.put(`/api/v1/auth/order-status/${orderId}`, {
+      await axios.put(`/api/v1/auth/order-status/${orderId}`, {
         status: value,
+        note: notes[orderId],
       });
+      setNotes({ ...notes, [orderId]: "" });
       getOrders();
     } catch (error) {
       console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
     }
   };
   return (
@@ -50,66 +189,281 @@ const AdminOrders = () => {
         </div>
         <div className="col-md-9">
           <h1 className="text-center">All Orders</h1>
+          <form className="row g-2 mb-3" onSubmit={applyFilters}>
+            <div className="col-md-3">
+              <Select
+                className="w-100"
+                placeholder="Any status"
+                allowClear
+                value={filters.status || undefined}
+                onChange={updateFilter("status")}
+              >
+                {status.map((s) => (
+                  <Option key={s} value={s}>
+                    {s}
+                  </Option>
+                ))}
+              </Select>
+            </div>
+            <div className="col-md-3">
+              <Select
+                className="w-100"
+                placeholder="Any payment"
+                allowClear
+                value={filters.payment || undefined}
+                onChange={updateFilter("payment")}
+              >
+                <Option value="success">Paid</Option>
+                <Option value="failed">Failed</Option>
+              </Select>
+            </div>
+            <div className="col-md-3">
+              <input
+                type="text"
+                className="form-control"
+                placeholder="Order number"
+                value={filters.number}
+                onChange={updateFilter("number")}
+              />
+            </div>
+            <div className="col-md-3">
+              <input
+                type="text"
+                className="form-control"
+                placeholder="Buyer name or email"
+                value={filters.buyer}
+                onChange={updateFilter("buyer")}
+              />
+            </div>
+            <div className="col-md-3">
+              <input
+                type="date"
+                className="form-control"
+                aria-label="Placed from"
+                value={filters.from}
+                onChange={updateFilter("from")}
+              />
+            </div>
+            <div className="col-md-3">
+              <input
+                type="date"
+                className="form-control"
+                aria-label="Placed until"
+                value={filters.to}
+                onChange={updateFilter("to")}
+              />
+            </div>
+            <div className="col-md-3">
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                className="form-control"
+                placeholder="Min total"
+                value={filters.minTotal}
+                onChange={updateFilter("minTotal")}
+              />
+            </div>
+            <div className="col-md-3">
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                className="form-control"
+                placeholder="Max total"
+                value={filters.maxTotal}
+                onChange={updateFilter("maxTotal")}
+              />
+            </div>
+            <div className="col-md-3">
+              <Select
+                className="w-100"
+                value={filters.sort || "newest"}
+                onChange={updateFilter("sort")}
+              >
+                <Option value="newest">Newest first</Option>
+                <Option value="oldest">Oldest first</Option>
+                <Option value="total-desc">Highest total</Option>
+                <Option value="total-asc">Lowest total</Option>
+              </Select>
+            </div>
+            <div className="col-md-9">
+              <button type="submit" className="btn btn-primary">
+                Apply Filters
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary ms-2"
+                onClick={clearFilters}
+              >
+                Clear
+              </button>
+            </div>
+          </form>
+          <div className="d-flex align-items-center mb-3">
+            <span className="me-auto">
+              {total} {total === 1 ? "order" : "orders"} found
+            </span>
+            <button
+              type="button"
+              className="btn btn-outline-secondary btn-sm"
+              onClick={() => exportOrders("csv")}
+              disabled={!total}
+            >
+              Export CSV
+            </button>
+            <button
+              type="button"
+              className="btn btn-outline-secondary btn-sm ms-2"
+              onClick={() => exportOrders("json")}
+              disabled={!total}
+            >
+              Export JSON
+            </button>
+          </div>
           {orders?.map((o, i) => {
             return (
-              <div className="border shadow">
+              <div className="border shadow" key={o._id}>
                 <table className="table">
                   <thead>
                     <tr>
-                      <th scope="col">#</th>
+                      <th scope="col">Order</th>
                       <th scope="col">Status</th>
                       <th scope="col">Buyer</th>
                       <th scope="col"> date</th>
                       <th scope="col">Payment</th>
                       <th scope="col">Quantity</th>
+                      <th scope="col">Total</th>
                     </tr>
                   </thead>
                   <tbody>
                     <tr>
-                      <td>{i + 1}</td>
+                      {/* orders placed before numbers were added */}
+                      <td>{o?.orderNumber || (page - 1) * perPage + i + 1}</td>
                       <td>
                         <Select
                           bordered={false}
                           onChange={(value) => handleChange(o._id, value)}
-                          defaultValue={o?.status}
+                          value={o?.status}
                         >
                           {status.map((s, i) => (
-                            <Option key={i} value={s}>
+                            <Option
+                              key={i}
+                              value={s}
+                              disabled={!allowedStatuses(o).includes(s)}
+                            >
                               {s}
                             </Option>
                           ))}
                         </Select>
+                        {allowedStatuses(o).length > 0 && (
+                          <Input
+                            size="small"
+                            placeholder="Note (optional)"
+                            value={notes[o._id] || ""}
+                            onChange={(e) =>
+                              setNotes({ ...notes, [o._id]: e.target.value })
+                            }
+                          />
+                        )}
+                      </td>
+                      <td>
+                        {o?.buyer?.name || o?.shippingAddress?.name}
+                        <br />
+                        <small>{o?.buyer?.email || o?.guestEmail}</small>
+                        {!o?.buyer && o?.guestEmail && (
+                          <span className="badge bg-secondary ms-1">Guest</span>
+                        )}
                       </td>
-                      <td>{o?.buyer?.name}</td>
-                      <td>{moment(o?.createAt).fromNow()}</td>
-                      <td>{o?.payment.success ? "Success" : "Failed"}</td>
-                      <td>{o?.products?.length}</td>
+                      <td>{moment(o?.createdAt).fromNow()}</td>
+                      <td className="text-capitalize">
+                        {o?.paymentStatus ||
+                          (o?.payment.success ? "Success" : "Failed")}
+                      </td>
+                      <td>
+                        {o?.products?.reduce(
+                          (count, item) => count + item.quantity,
+                          0
+                        )}
+                      </td>
+                      <td>{formatMoney(o?.total, o?.currency)}</td>
                     </tr>
                   </tbody>
                 </table>
+                {o?.display && o.display.currency !== o.currency && (
+                  <div className="container">
+                    <p>
+                      Shown at checkout as{" "}
+                      {formatMoney(o.display.amount, o.display.currency)}
+                    </p>
+                  </div>
+                )}
+                {o?.shippingAddress && (
+                  <div className="container">
+                    <p>
+                      Ship to : {o.shippingAddress.name}, {o.shippingAddress.address}
+                    </p>
+                    <p>Contact : {o.shippingAddress.phone}</p>
+                  </div>
+                )}
+                {o?.shipping?.method && (
+                  <div className="container">
+                    <p>
+                      Delivery : {o.shipping.method} ({o.shipping.zone}) :{" "}
+                      {formatMoney(o.shipping.fee, o.currency)}
+                    </p>
+                  </div>
+                )}
+                <div className="container mb-2">
+                  <InvoiceButton orderId={o._id} />
+                </div>
                 <div className="container">
-                  {o?.products?.map((p, i) => (
-                    <div className="row mb-2 p-3 card flex-row" key={p._id}>
+                  {o?.products?.map(({ product: p, quantity, price }, i) => (
+                    <div className="row mb-2 p-3 card flex-row" key={i}>
                       <div className="col-md-4">
-                        <img
-                          src={`/api/v1/product/product-photo/${p._id}`}
-                          className="card-img-top"
-                          alt={p.name}
-                          width="100px"
-                          height={"100px"}
-                        />
+                        {p && (
+                          <img
+                            src={`/api/v1/product/product-photo/${p._id}`}
+                            className="card-img-top"
+                            alt={p.name}
+                            width="100px"
+                            height={"100px"}
+                          />
+                        )}
                       </div>
                       <div className="col-md-8">
-                        <p>{p.name}</p>
-                        <p>{p.description.substring(0, 30)}</p>
-                        <p>Price : {p.price}</p>
+                        <p>{p ? p.name : "Product no longer available"}</p>
+                        <p>{p?.description?.substring(0, 30)}</p>
+                        <p>Price : {formatMoney(price, o.currency)}</p>
+                        <p>Quantity : {quantity}</p>
+                        <p>Subtotal : {formatMoney(price * quantity, o.currency)}</p>
                       </div>
                     </div>
                   ))}
                 </div>
+                <ShipmentList order={o} />
+                {shippableStatuses.includes(o?.status) && (
+                  <ShipmentForm
+                    order={o}
+                    carriers={carriers}
+                    onShipped={getOrders}
+                  />
+                )}
+                <OrderTimeline history={o?.statusHistory} showActor />
               </div>
             );
           })}
+          {total > 0 && (
+            <Pagination
+              className="my-3 text-center"
+              current={page}
+              pageSize={perPage}
+              total={total}
+              onChange={changePage}
+              showSizeChanger
+              pageSizeOptions={[10, 20, 50, 100]}
+            />
+          )}
         </div>
       </div>
     </Layout>
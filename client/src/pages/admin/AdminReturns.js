@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import moment from "moment";
+import { Select } from "antd";
+import AdminMenu from "../../components/AdminMenu";
+import Layout from "../../components/Layout";
+import OrderTimeline from "../../components/OrderTimeline";
+import { useAuth } from "../../context/auth";
+import { formatMoney } from "../../helpers/money";
+const { Option } = Select;
+
+// mirrors RETURN_STATUSES in helpers/returnHelper.js on the server
+const RETURN_STATUSES = [
+  "Requested",
+  "Approved",
+  "Rejected",
+  "Received",
+  "Refunded",
+];
+
+const AdminReturns = () => {
+  const [auth] = useAuth();
+  const [returns, setReturns] = useState([]);
+  const [status, setStatus] = useState("Requested");
+
+  //get returns
+  const getReturns = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/returns/all-returns", {
+        params: status ? { status } : {},
+      });
+      if (data?.success) setReturns(data.returns);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting returns");
+    }
+  };
+
+  useEffect(() => {
+    if (auth?.token) getReturns();
+  }, [auth?.token, status]);
+
+  //approve, reject, receive or refund a return
+  const handleAction = async (returnId, action, body = {}) => {
+    try {
+      const { data } = await axios.put(
+        `/api/v1/returns/${action}/${returnId}`,
+        body
+      );
+      if (data?.success) toast.success(data.message);
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+    getReturns();
+  };
+
+  const handleReject = (returnId) => {
+    const note = window.prompt("Why is this return rejected?");
+    if (note?.trim()) handleAction(returnId, "reject", { note });
+  };
+
+  return (
+    <Layout title={"Dashboard - Returns"}>
+      <div className="row dashboard">
+        <div className="col-md-3">
+          <AdminMenu />
+        </div>
+        <div className="col-md-9">
+          <h1 className="text-center">Returns</h1>
+          <Select
+            className="mb-3 w-25"
+            placeholder="Any status"
+            allowClear
+            value={status || undefined}
+            onChange={(value) => setStatus(value || "")}
+          >
+            {RETURN_STATUSES.map((s) => (
+              <Option key={s} value={s}>
+                {s}
+              </Option>
+            ))}
+          </Select>
+          {!returns.length && <p>No returns to show</p>}
+          {returns.map((r) => (
+            <div className="border shadow mb-3 p-3" key={r._id}>
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th scope="col">Order</th>
+                    <th scope="col">Buyer</th>
+                    <th scope="col">Requested</th>
+                    <th scope="col">Status</th>
+                    <th scope="col">Refund</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    <td>{r.order.orderNumber || r.order._id}</td>
+                    <td>
+                      {r.order.buyer?.name}
+                      <br />
+                      <small>{r.order.buyer?.email}</small>
+                    </td>
+                    <td>{moment(r.createdAt).fromNow()}</td>
+                    <td>{r.status}</td>
+                    <td>
+                      {r.refundAmount !== undefined
+                        ? formatMoney(r.refundAmount, r.order.currency)
+                        : "-"}
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+              <p>Reason : {r.reason}</p>
+              <ul>
+                {r.items.map((item, i) => (
+                  <li key={i}>
+                    {item.quantity} x{" "}
+                    {item.product?.name || "Product no longer available"} @{" "}
+                    {formatMoney(item.price, r.order.currency)}
+                  </li>
+                ))}
+              </ul>
+              {r.refundError && (
+                <p className="text-danger">Refund failed : {r.refundError}</p>
+              )}
+              <div className="d-flex gap-2 mb-2">
+                {r.status === "Requested" && (
+                  <>
+                    <button
+                      className="btn btn-primary btn-sm"
+                      onClick={() => handleAction(r._id, "approve")}
+                    >
+                      Approve
+                    </button>
+                    <button
+                      className="btn btn-danger btn-sm"
+                      onClick={() => handleReject(r._id)}
+                    >
+                      Reject
+                    </button>
+                  </>
+                )}
+                {r.status === "Approved" && (
+                  <button
+                    className="btn btn-primary btn-sm"
+                    onClick={() => handleAction(r._id, "receive")}
+                  >
+                    Mark Received And Refund
+                  </button>
+                )}
+                {r.status === "Received" && !r.refunding && (
+                  <button
+                    className="btn btn-warning btn-sm"
+                    onClick={() => handleAction(r._id, "refund")}
+                  >
+                    Retry Refund
+                  </button>
+                )}
+              </div>
+              <OrderTimeline history={r.history} showActor />
+            </div>
+          ))}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default AdminReturns;
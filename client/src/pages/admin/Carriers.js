@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from "react";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+
+const emptyCarrier = { name: "", trackingUrl: "" };
+
+const Carriers = () => {
+  const [carriers, setCarriers] = useState([]);
+  const [carrier, setCarrier] = useState(emptyCarrier);
+  const [editingId, setEditingId] = useState(null);
+
+  const updateField = (field) => (e) =>
+    setCarrier({ ...carrier, [field]: e.target.value });
+
+  //get all carriers
+  const getAllCarriers = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/shipment/get-carriers");
+      if (data?.success) {
+        setCarriers(data.carriers);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting carriers");
+    }
+  };
+
+  useEffect(() => {
+    getAllCarriers();
+  }, []);
+
+  const resetForm = () => {
+    setCarrier(emptyCarrier);
+    setEditingId(null);
+  };
+
+  //create or update carrier
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = editingId
+        ? await axios.put(
+            `/api/v1/shipment/update-carrier/${editingId}`,
+            carrier
+          )
+        : await axios.post("/api/v1/shipment/create-carrier", carrier);
+      if (data?.success) {
+        toast.success(`${data.carrier.name} is saved`);
+        resetForm();
+        getAllCarriers();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  const handleEdit = (c) => {
+    setEditingId(c._id);
+    setCarrier({ name: c.name, trackingUrl: c.trackingUrl || "" });
+  };
+
+  //delete carrier
+  const handleDelete = async (id) => {
+    try {
+      const { data } = await axios.delete(
+        `/api/v1/shipment/delete-carrier/${id}`
+      );
+      if (data?.success) {
+        toast.success("Carrier is deleted");
+        getAllCarriers();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Carriers"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Carriers</h1>
+            <p>
+              The tracking link is the carrier's tracking page with{" "}
+              <code>{"{tracking}"}</code> where the tracking number goes.
+              Shipments keep the link they were sent with.
+            </p>
+            <form className="p-3 w-75" onSubmit={handleSubmit}>
+              <div className="row mb-2">
+                <div className="col">
+                  <input
+                    type="text"
+                    className="form-control"
+                    placeholder="Carrier Name"
+                    value={carrier.name}
+                    onChange={updateField("name")}
+                  />
+                </div>
+                <div className="col">
+                  <input
+                    type="text"
+                    className="form-control"
+                    placeholder="https://.../track?id={tracking}"
+                    value={carrier.trackingUrl}
+                    onChange={updateField("trackingUrl")}
+                  />
+                </div>
+              </div>
+              <button type="submit" className="btn btn-primary">
+                {editingId ? "Update Carrier" : "Add Carrier"}
+              </button>
+              {editingId && (
+                <button
+                  type="button"
+                  className="btn btn-secondary ms-2"
+                  onClick={resetForm}
+                >
+                  Cancel
+                </button>
+              )}
+            </form>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th scope="col">Name</th>
+                  <th scope="col">Tracking Link</th>
+                  <th scope="col">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {carriers?.map((c) => (
+                  <tr key={c._id}>
+                    <td>{c.name}</td>
+                    <td>{c.trackingUrl || "None"}</td>
+                    <td>
+                      <button
+                        className="btn btn-primary ms-2"
+                        onClick={() => handleEdit(c)}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        className="btn btn-danger ms-2"
+                        onClick={() => handleDelete(c._id)}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Carriers;
@@ -0,0 +1,323 @@
+import React, { useEffect, useState } from "react";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+import moment from "moment";
+import { Select } from "antd";
+import { formatMoney, toMinorUnits } from "./../../helpers/money";
+const { Option } = Select;
+
+const emptyCoupon = {
+  code: "",
+  description: "",
+  type: "percent",
+  value: "",
+  minSpend: "",
+  categories: [],
+  products: [],
+  usageLimit: "",
+  perUserLimit: "",
+  startsAt: "",
+  expiresAt: "",
+};
+
+// amounts typed in dollars, the API takes cents
+const moneyFields = (coupon) =>
+  coupon.type === "fixed" ? ["value", "minSpend"] : ["minSpend"];
+
+// blank number and date inputs mean "no limit"
+const toPayload = (coupon) =>
+  Object.entries(coupon).reduce(
+    (payload, [key, value]) =>
+      value === ""
+        ? payload
+        : {
+            ...payload,
+            [key]: moneyFields(coupon).includes(key)
+              ? toMinorUnits(value)
+              : value,
+          },
+    {}
+  );
+
+const Coupons = () => {
+  const [coupons, setCoupons] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [coupon, setCoupon] = useState(emptyCoupon);
+
+  const updateField = (field) => (e) =>
+    setCoupon({ ...coupon, [field]: e.target.value });
+
+  //get all coupons
+  const getAllCoupons = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/coupon/get-coupons");
+      if (data?.success) {
+        setCoupons(data.coupons);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting coupons");
+    }
+  };
+
+  //categories and products to scope coupons to
+  const getScopes = async () => {
+    try {
+      const [categoryRes, productRes] = await Promise.all([
+        axios.get("/api/v1/category/get-category"),
+        axios.get("/api/v1/product/get-product"),
+      ]);
+      setCategories(categoryRes.data?.category || []);
+      setProducts(productRes.data?.products || []);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    getAllCoupons();
+    getScopes();
+  }, []);
+
+  //create coupon
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post(
+        "/api/v1/coupon/create-coupon",
+        toPayload(coupon)
+      );
+      if (data?.success) {
+        toast.success(`${data.coupon.code} is created`);
+        setCoupon(emptyCoupon);
+        getAllCoupons();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  //enable or disable a coupon
+  const toggleActive = async (c) => {
+    try {
+      const { data } = await axios.put(
+        `/api/v1/coupon/update-coupon/${c._id}`,
+        { active: !c.active }
+      );
+      if (data?.success) {
+        getAllCoupons();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  //delete coupon
+  const handleDelete = async (id) => {
+    try {
+      const { data } = await axios.delete(
+        `/api/v1/coupon/delete-coupon/${id}`
+      );
+      if (data?.success) {
+        toast.success("Coupon is deleted");
+        getAllCoupons();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Coupons"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Manage Coupons</h1>
+            <form className="p-3 w-75" onSubmit={handleSubmit}>
+              <div className="row mb-2">
+                <div className="col">
+                  <input
+                    type="text"
+                    className="form-control"
+                    placeholder="Code"
+                    value={coupon.code}
+                    onChange={updateField("code")}
+                  />
+                </div>
+                <div className="col">
+                  <select
+                    className="form-select"
+                    value={coupon.type}
+                    onChange={updateField("type")}
+                  >
+                    <option value="percent">Percent off</option>
+                    <option value="fixed">Fixed amount off</option>
+                  </select>
+                </div>
+                <div className="col">
+                  <input
+                    type="number"
+                    className="form-control"
+                    placeholder="Value"
+                    value={coupon.value}
+                    onChange={updateField("value")}
+                  />
+                </div>
+              </div>
+              <input
+                type="text"
+                className="form-control mb-2"
+                placeholder="Description"
+                value={coupon.description}
+                onChange={updateField("description")}
+              />
+              <div className="row mb-2">
+                <div className="col">
+                  <input
+                    type="number"
+                    className="form-control"
+                    placeholder="Minimum Spend"
+                    value={coupon.minSpend}
+                    onChange={updateField("minSpend")}
+                  />
+                </div>
+                <div className="col">
+                  <input
+                    type="number"
+                    className="form-control"
+                    placeholder="Total Uses"
+                    value={coupon.usageLimit}
+                    onChange={updateField("usageLimit")}
+                  />
+                </div>
+                <div className="col">
+                  <input
+                    type="number"
+                    className="form-control"
+                    placeholder="Uses Per Customer"
+                    value={coupon.perUserLimit}
+                    onChange={updateField("perUserLimit")}
+                  />
+                </div>
+              </div>
+              <div className="row mb-2">
+                <div className="col">
+                  <label className="form-label">Starts</label>
+                  <input
+                    type="date"
+                    className="form-control"
+                    value={coupon.startsAt}
+                    onChange={updateField("startsAt")}
+                  />
+                </div>
+                <div className="col">
+                  <label className="form-label">Expires</label>
+                  <input
+                    type="date"
+                    className="form-control"
+                    value={coupon.expiresAt}
+                    onChange={updateField("expiresAt")}
+                  />
+                </div>
+              </div>
+              <Select
+                mode="multiple"
+                bordered={false}
+                placeholder="Only for categories (optional)"
+                className="form-select mb-2"
+                value={coupon.categories}
+                onChange={(value) => setCoupon({ ...coupon, categories: value })}
+              >
+                {categories.map((c) => (
+                  <Option key={c._id} value={c._id}>
+                    {c.name}
+                  </Option>
+                ))}
+              </Select>
+              <Select
+                mode="multiple"
+                bordered={false}
+                placeholder="Only for products (optional)"
+                className="form-select mb-2"
+                value={coupon.products}
+                onChange={(value) => setCoupon({ ...coupon, products: value })}
+              >
+                {products.map((p) => (
+                  <Option key={p._id} value={p._id}>
+                    {p.name}
+                  </Option>
+                ))}
+              </Select>
+              <button type="submit" className="btn btn-primary">
+                Create Coupon
+              </button>
+            </form>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th scope="col">Code</th>
+                  <th scope="col">Discount</th>
+                  <th scope="col">Min Spend</th>
+                  <th scope="col">Used</th>
+                  <th scope="col">Valid</th>
+                  <th scope="col">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {coupons?.map((c) => (
+                  <tr key={c._id}>
+                    <td>{c.code}</td>
+                    <td>
+                      {c.type === "percent"
+                        ? `${c.value}%`
+                        : formatMoney(c.value)}
+                    </td>
+                    <td>{c.minSpend ? formatMoney(c.minSpend) : "-"}</td>
+                    <td>
+                      {c.usedCount}
+                      {c.usageLimit ? ` / ${c.usageLimit}` : ""}
+                    </td>
+                    <td>
+                      {c.startsAt
+                        ? moment(c.startsAt).format("D MMM YYYY")
+                        : "-"}
+                      {" to "}
+                      {c.expiresAt
+                        ? moment(c.expiresAt).format("D MMM YYYY")
+                        : "-"}
+                    </td>
+                    <td>
+                      <button
+                        className="btn btn-primary ms-2"
+                        onClick={() => toggleActive(c)}
+                      >
+                        {c.active ? "Disable" : "Enable"}
+                      </button>
+                      <button
+                        className="btn btn-danger ms-2"
+                        onClick={() => handleDelete(c._id)}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Coupons;
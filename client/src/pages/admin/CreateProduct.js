@@ -3,6 +3,7 @@ import Layout from "./../../components/Layout";
 import AdminMenu from "./../../components/AdminMenu";
 import toast from "react-hot-toast";
 import axios from "axios";
+import { toMinorUnits } from "./../../helpers/money";
 import { Select } from "antd";
 import { useNavigate } from "react-router-dom";
 const { Option } = Select;
@@ -16,6 +17,8 @@ const CreateProduct = () => {
     const [category, setCategory] = useState("");
     const [quantity, setQuantity] = useState("");
     const [shipping, setShipping] = useState("");
+    const [taxClass, setTaxClass] = useState("standard");
+    const [weight, setWeight] = useState("");
     const [photo, setPhoto] = useState("");
     const [errors, setErrors] = useState({});
 
@@ -72,10 +75,13 @@ const CreateProduct = () => {
             const productData = new FormData();
             productData.append("name", name);
             productData.append("description", description);
-            productData.append("price", price);
+            productData.append("price", toMinorUnits(price));
             productData.append("quantity", quantity);
             productData.append("photo", photo);
             productData.append("category", category);
+            productData.append("taxClass", taxClass);
+            if (shipping !== "") productData.append("shipping", shipping);
+            if (weight !== "") productData.append("weight", weight);
 
             const { data } = await axios.post(
                 "/api/v1/product/create-product",
@@ -212,6 +218,15 @@ const CreateProduct = () => {
                                 )}
                             </div>
 
+                            <div className="mb-3">
+                                <input
+                                    type="number"
+                                    value={weight}
+                                    placeholder="Weight in kg (for shipping)"
+                                    className="form-control"
+                                    onChange={(e) => setWeight(e.target.value)}
+                                />
+                            </div>
                             <div className="mb-3">
                                 <Select
                                     bordered={false}
@@ -226,6 +241,20 @@ const CreateProduct = () => {
                                 </Select>
                             </div>
 
+                            <div className="mb-3">
+                                <Select
+                                    bordered={false}
+                                    placeholder="Select Tax Class"
+                                    size="large"
+                                    className="form-select mb-3"
+                                    onChange={(value) => setTaxClass(value)}
+                                    value={taxClass}
+                                >
+                                    <Option value="standard">Standard Rate</Option>
+                                    <Option value="reduced">Reduced Rate</Option>
+                                    <Option value="exempt">Tax Exempt</Option>
+                                </Select>
+                            </div>
                             <div className="mb-3">
                                 <button
                                     className="btn btn-primary"
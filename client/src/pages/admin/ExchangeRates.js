@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from "react";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+import moment from "moment";
+
+const emptyRate = { currency: "", rate: "" };
+
+const ExchangeRates = () => {
+  const [base, setBase] = useState("");
+  const [rates, setRates] = useState([]);
+  const [rate, setRate] = useState(emptyRate);
+  const [editingId, setEditingId] = useState(null);
+
+  const updateField = (field) => (e) =>
+    setRate({ ...rate, [field]: e.target.value });
+
+  //get all rates
+  const getAllRates = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/currency/get-rates");
+      if (data?.success) {
+        setBase(data.base);
+        setRates(data.rates);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting exchange rates");
+    }
+  };
+
+  useEffect(() => {
+    getAllRates();
+  }, []);
+
+  const resetForm = () => {
+    setRate(emptyRate);
+    setEditingId(null);
+  };
+
+  //create or update rate
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = editingId
+        ? await axios.put(`/api/v1/currency/update-rate/${editingId}`, {
+            rate: rate.rate,
+          })
+        : await axios.post("/api/v1/currency/create-rate", rate);
+      if (data?.success) {
+        toast.success(`${data.rate.currency} is saved`);
+        resetForm();
+        getAllRates();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  const handleEdit = (r) => {
+    setEditingId(r._id);
+    setRate({ currency: r.currency, rate: r.rate });
+  };
+
+  //delete rate
+  const handleDelete = async (id) => {
+    try {
+      const { data } = await axios.delete(
+        `/api/v1/currency/delete-rate/${id}`
+      );
+      if (data?.success) {
+        toast.success("Exchange rate is deleted");
+        getAllRates();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Exchange Rates"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Exchange Rates</h1>
+            <p>
+              Prices are kept and charged in {base}. Buyers can choose to see
+              them in any currency below.
+            </p>
+            <form className="p-3 w-75" onSubmit={handleSubmit}>
+              <div className="row mb-2">
+                <div className="col">
+                  <input
+                    type="text"
+                    className="form-control"
+                    placeholder="Currency Code, e.g. SGD"
+                    value={rate.currency}
+                    onChange={updateField("currency")}
+                    disabled={!!editingId}
+                  />
+                </div>
+                <div className="col">
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    className="form-control"
+                    placeholder={`Units for 1 ${base}`}
+                    value={rate.rate}
+                    onChange={updateField("rate")}
+                  />
+                </div>
+              </div>
+              <button type="submit" className="btn btn-primary">
+                {editingId ? "Update Rate" : "Add Rate"}
+              </button>
+              {editingId && (
+                <button
+                  type="button"
+                  className="btn btn-secondary ms-2"
+                  onClick={resetForm}
+                >
+                  Cancel
+                </button>
+              )}
+            </form>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th scope="col">Currency</th>
+                  <th scope="col">Rate</th>
+                  <th scope="col">Updated</th>
+                  <th scope="col">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rates?.map((r) => (
+                  <tr key={r._id}>
+                    <td>{r.currency}</td>
+                    <td>
+                      1 {base} = {r.rate} {r.currency}
+                    </td>
+                    <td>{moment(r.updatedAt).fromNow()}</td>
+                    <td>
+                      <button
+                        className="btn btn-primary ms-2"
+                        onClick={() => handleEdit(r)}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        className="btn btn-danger ms-2"
+                        onClick={() => handleDelete(r._id)}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default ExchangeRates;
@@ -0,0 +1,399 @@
+import React, { useEffect, useState } from "react";
+import Layout from "./../../components/Layout";
+import AdminMenu from "./../../components/AdminMenu";
+import toast from "react-hot-toast";
+import axios from "axios";
+import { Select } from "antd";
+import { toMajorUnits, toMinorUnits } from "./../../helpers/money";
+const { Option } = Select;
+
+const emptyMethod = {
+  name: "",
+  type: "flat",
+  fee: "",
+  tiers: [],
+  freeOver: "",
+  estimatedDays: "",
+};
+
+const emptyZone = { name: "", regions: [], methods: [emptyMethod] };
+
+// fees are typed in dollars and sent in cents, so are the upper bounds of
+// value tiers; weight tiers stay in kg
+const tierBound = (type, upTo) =>
+  type === "value" ? toMinorUnits(upTo) : Number(upTo);
+
+// blank inputs are left out so the server keeps them unset
+const toMethodPayload = ({ _id, fee, freeOver, tiers, ...method }) => ({
+  ...method,
+  ...(_id && { _id }),
+  ...(fee !== "" && { fee: toMinorUnits(fee) }),
+  ...(freeOver !== "" &&
+    freeOver != null && { freeOver: toMinorUnits(freeOver) }),
+  tiers:
+    method.type === "flat"
+      ? []
+      : tiers.map(({ upTo, fee }) =>
+          upTo === "" || upTo == null
+            ? { fee: toMinorUnits(fee) }
+            : { upTo: tierBound(method.type, upTo), fee: toMinorUnits(fee) }
+        ),
+});
+
+// the other way round, for editing a saved method
+const toMethodForm = (m) => ({
+  ...emptyMethod,
+  ...m,
+  fee: m.fee == null ? "" : toMajorUnits(m.fee),
+  freeOver: m.freeOver == null ? "" : toMajorUnits(m.freeOver),
+  tiers: (m.tiers || []).map(({ upTo, fee }) => ({
+    upTo: upTo == null || m.type !== "value" ? upTo : toMajorUnits(upTo),
+    fee: toMajorUnits(fee),
+  })),
+  estimatedDays: m.estimatedDays || "",
+});
+
+const ShippingZones = () => {
+  const [zones, setZones] = useState([]);
+  const [regions, setRegions] = useState([]);
+  const [zone, setZone] = useState(emptyZone);
+  const [editingId, setEditingId] = useState(null);
+
+  const updateMethod = (index, fields) =>
+    setZone({
+      ...zone,
+      methods: zone.methods.map((m, i) =>
+        i === index ? { ...m, ...fields } : m
+      ),
+    });
+
+  const updateTier = (index, tierIndex, fields) =>
+    updateMethod(index, {
+      tiers: zone.methods[index].tiers.map((t, i) =>
+        i === tierIndex ? { ...t, ...fields } : t
+      ),
+    });
+
+  //get all zones
+  const getAllZones = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/shipping/get-zones");
+      if (data?.success) {
+        setZones(data.zones);
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting shipping zones");
+    }
+  };
+
+  //regions a zone can cover, same codes as the delivery address
+  const getRegions = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/cart/tax-regions");
+      if (data?.success) setRegions(data.regions);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    getAllZones();
+    getRegions();
+  }, []);
+
+  const resetForm = () => {
+    setZone(emptyZone);
+    setEditingId(null);
+  };
+
+  //create or update zone
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const payload = { ...zone, methods: zone.methods.map(toMethodPayload) };
+      const { data } = editingId
+        ? await axios.put(`/api/v1/shipping/update-zone/${editingId}`, payload)
+        : await axios.post("/api/v1/shipping/create-zone", payload);
+      if (data?.success) {
+        toast.success(`${data.zone.name} is saved`);
+        resetForm();
+        getAllZones();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  const handleEdit = (z) => {
+    setEditingId(z._id);
+    setZone({
+      name: z.name,
+      regions: z.regions,
+      methods: z.methods.map(toMethodForm),
+    });
+  };
+
+  //enable or disable a zone
+  const toggleActive = async (z) => {
+    try {
+      const { data } = await axios.put(
+        `/api/v1/shipping/update-zone/${z._id}`,
+        { active: !z.active }
+      );
+      if (data?.success) {
+        getAllZones();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error?.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  //delete zone
+  const handleDelete = async (id) => {
+    try {
+      const { data } = await axios.delete(
+        `/api/v1/shipping/delete-zone/${id}`
+      );
+      if (data?.success) {
+        toast.success("Shipping zone is deleted");
+        getAllZones();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong");
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Shipping Zones"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Shipping Zones</h1>
+            <form className="p-3 w-75" onSubmit={handleSubmit}>
+              <input
+                type="text"
+                className="form-control mb-2"
+                placeholder="Zone Name"
+                value={zone.name}
+                onChange={(e) => setZone({ ...zone, name: e.target.value })}
+              />
+              <Select
+                mode="multiple"
+                bordered={false}
+                placeholder="Regions (leave empty for all other regions)"
+                className="form-select mb-3"
+                value={zone.regions}
+                onChange={(value) => setZone({ ...zone, regions: value })}
+              >
+                {regions.map((r) => (
+                  <Option key={r.code} value={r.code}>
+                    {r.name}
+                  </Option>
+                ))}
+              </Select>
+              {zone.methods.map((m, index) => (
+                <div className="border rounded p-2 mb-2" key={index}>
+                  <div className="row mb-2">
+                    <div className="col">
+                      <input
+                        type="text"
+                        className="form-control"
+                        placeholder="Method Name"
+                        value={m.name}
+                        onChange={(e) =>
+                          updateMethod(index, { name: e.target.value })
+                        }
+                      />
+                    </div>
+                    <div className="col">
+                      <select
+                        className="form-select"
+                        value={m.type}
+                        onChange={(e) =>
+                          updateMethod(index, { type: e.target.value })
+                        }
+                      >
+                        <option value="flat">Flat rate</option>
+                        <option value="weight">By weight (kg)</option>
+                        <option value="value">By order value</option>
+                      </select>
+                    </div>
+                    <div className="col">
+                      <input
+                        type="text"
+                        className="form-control"
+                        placeholder="Delivery Time"
+                        value={m.estimatedDays}
+                        onChange={(e) =>
+                          updateMethod(index, { estimatedDays: e.target.value })
+                        }
+                      />
+                    </div>
+                  </div>
+                  <div className="row mb-2">
+                    {m.type === "flat" && (
+                      <div className="col">
+                        <input
+                          type="number"
+                          className="form-control"
+                          placeholder="Fee"
+                          value={m.fee}
+                          onChange={(e) =>
+                            updateMethod(index, { fee: e.target.value })
+                          }
+                        />
+                      </div>
+                    )}
+                    <div className="col">
+                      <input
+                        type="number"
+                        className="form-control"
+                        placeholder="Free Shipping Over"
+                        value={m.freeOver}
+                        onChange={(e) =>
+                          updateMethod(index, { freeOver: e.target.value })
+                        }
+                      />
+                    </div>
+                  </div>
+                  {m.type !== "flat" && (
+                    <>
+                      {m.tiers.map((t, tierIndex) => (
+                        <div className="row mb-2" key={tierIndex}>
+                          <div className="col">
+                            <input
+                              type="number"
+                              className="form-control"
+                              placeholder="Up To (empty for no limit)"
+                              value={t.upTo ?? ""}
+                              onChange={(e) =>
+                                updateTier(index, tierIndex, {
+                                  upTo: e.target.value,
+                                })
+                              }
+                            />
+                          </div>
+                          <div className="col">
+                            <input
+                              type="number"
+                              className="form-control"
+                              placeholder="Fee"
+                              value={t.fee}
+                              onChange={(e) =>
+                                updateTier(index, tierIndex, {
+                                  fee: e.target.value,
+                                })
+                              }
+                            />
+                          </div>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        className="btn btn-outline-secondary btn-sm me-2"
+                        onClick={() =>
+                          updateMethod(index, {
+                            tiers: [...m.tiers, { upTo: "", fee: "" }],
+                          })
+                        }
+                      >
+                        Add Tier
+                      </button>
+                    </>
+                  )}
+                  <button
+                    type="button"
+                    className="btn btn-outline-danger btn-sm"
+                    onClick={() =>
+                      setZone({
+                        ...zone,
+                        methods: zone.methods.filter((_, i) => i !== index),
+                      })
+                    }
+                  >
+                    Remove Method
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                className="btn btn-outline-secondary mb-2"
+                onClick={() =>
+                  setZone({ ...zone, methods: [...zone.methods, emptyMethod] })
+                }
+              >
+                Add Method
+              </button>
+              <div>
+                <button type="submit" className="btn btn-primary">
+                  {editingId ? "Update Zone" : "Create Zone"}
+                </button>
+                {editingId && (
+                  <button
+                    type="button"
+                    className="btn btn-secondary ms-2"
+                    onClick={resetForm}
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th scope="col">Zone</th>
+                  <th scope="col">Regions</th>
+                  <th scope="col">Methods</th>
+                  <th scope="col">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {zones?.map((z) => (
+                  <tr key={z._id}>
+                    <td>{z.name}</td>
+                    <td>
+                      {z.regions.length
+                        ? z.regions.join(", ")
+                        : "All other regions"}
+                    </td>
+                    <td>{z.methods.map((m) => m.name).join(", ")}</td>
+                    <td>
+                      <button
+                        className="btn btn-primary ms-2"
+                        onClick={() => handleEdit(z)}
+                      >
+                        Edit
+                      </button>
+                      <button
+                        className="btn btn-primary ms-2"
+                        onClick={() => toggleActive(z)}
+                      >
+                        {z.active ? "Disable" : "Enable"}
+                      </button>
+                      <button
+                        className="btn btn-danger ms-2"
+                        onClick={() => handleDelete(z._id)}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default ShippingZones;
@@ -3,6 +3,7 @@ import Layout from "./../../components/Layout";
 import AdminMenu from "./../../components/AdminMenu";
 import toast from "react-hot-toast";
 import axios from "axios";
+import { toMinorUnits, toMajorUnits } from "./../../helpers/money";
 import { Select } from "antd";
 import { useNavigate, useParams } from "react-router-dom";
 const { Option } = Select;
@@ -17,6 +18,8 @@ const UpdateProduct = () => {
     const [category, setCategory] = useState("");
     const [quantity, setQuantity] = useState("");
     const [shipping, setShipping] = useState("");
+    const [taxClass, setTaxClass] = useState("standard");
+    const [weight, setWeight] = useState("");
     const [photo, setPhoto] = useState("");
     const [id, setId] = useState("");
     const [errors, setErrors] = useState({});
@@ -30,10 +33,17 @@ const UpdateProduct = () => {
             setName(data.product.name);
             setId(data.product._id);
             setDescription(data.product.description);
-            setPrice(data.product.price);
-            setPrice(data.product.price);
+            setPrice(toMajorUnits(data.product.price));
             setQuantity(data.product.quantity);
-            setShipping(data.product.shipping);
+            setShipping(
+                data.product.shipping === undefined
+                    ? ""
+                    : data.product.shipping
+                    ? "1"
+                    : "0"
+            );
+            setTaxClass(data.product.taxClass || "standard");
+            setWeight(data.product.weight ?? "");
             setCategory(data.product.category._id);
         } catch (error) {
             console.log(error);
@@ -96,10 +106,13 @@ const UpdateProduct = () => {
             const productData = new FormData();
             productData.append("name", name);
             productData.append("description", description);
-            productData.append("price", price);
+            productData.append("price", toMinorUnits(price));
             productData.append("quantity", quantity);
             if (photo) productData.append("photo", photo);
             productData.append("category", category);
+            productData.append("taxClass", taxClass);
+            if (shipping !== "") productData.append("shipping", shipping);
+            if (weight !== "") productData.append("weight", weight);
 
             const { data } = await axios.put(
                 `/api/v1/product/update-product/${id}`,
@@ -271,6 +284,15 @@ const UpdateProduct = () => {
                                     </p>
                                 )}
                             </div>
+                            <div className="mb-3">
+                                <input
+                                    type="number"
+                                    value={weight}
+                                    placeholder="Weight in kg (for shipping)"
+                                    className="form-control"
+                                    onChange={(e) => setWeight(e.target.value)}
+                                />
+                            </div>
                             <div className="mb-3">
                                 <Select
                                     bordered={false}
@@ -281,12 +303,26 @@ const UpdateProduct = () => {
                                     onChange={(value) => {
                                         setShipping(value);
                                     }}
-                                    value={shipping ? "yes" : "No"}
+                                    value={shipping || undefined}
                                 >
                                     <Option value="0">No</Option>
                                     <Option value="1">Yes</Option>
                                 </Select>
                             </div>
+                            <div className="mb-3">
+                                <Select
+                                    bordered={false}
+                                    placeholder="Select Tax Class"
+                                    size="large"
+                                    className="form-select mb-3"
+                                    onChange={(value) => setTaxClass(value)}
+                                    value={taxClass}
+                                >
+                                    <Option value="standard">Standard Rate</Option>
+                                    <Option value="reduced">Reduced Rate</Option>
+                                    <Option value="exempt">Tax Exempt</Option>
+                                </Select>
+                            </div>
                             <div className="mb-3">
                                 <button
                                     className="btn btn-primary"
@@ -2,11 +2,61 @@ import React, { useState, useEffect } from "react";
 import UserMenu from "../../components/UserMenu";
 import Layout from "./../../components/Layout";
 import axios from "axios";
+import toast from "react-hot-toast";
 import { useAuth } from "../../context/auth";
 import moment from "moment";
+import OrderTimeline from "../../components/OrderTimeline";
+import ShipmentList from "../../components/ShipmentList";
+import InvoiceButton from "../../components/InvoiceButton";
+import { formatMoney, toMinorUnits } from "../../helpers/money";
+
+// orders can only be cancelled until the first parcel ships
+const CANCELLABLE = ["Not Process", "Processing"];
+
+const canCancel = (o) =>
+  CANCELLABLE.includes(o?.status) && !o?.shipments?.length;
+
+const productId = (product) => String(product?._id || product);
+
+// delivered, paid orders can be returned until returnableUntil, which the
+// server also fills in for orders delivered before it was stored
+const canReturn = (o) =>
+  ["Delivered", "delivered", "deliverd"].includes(o?.status) &&
+  o?.payment?.success &&
+  o?.returnableUntil &&
+  new Date(o.returnableUntil) > new Date();
+
+// units of each product not already part of a return (mirrors returnHelper)
+const returnableQuantities = (o) => {
+  const left = {};
+  o.products?.forEach((item) => {
+    const key = productId(item.product);
+    left[key] = (left[key] || 0) + item.quantity;
+  });
+  o.returns
+    ?.filter((r) => r.status !== "Rejected")
+    .forEach((r) =>
+      r.items.forEach((item) => {
+        left[productId(item.product)] -= item.quantity;
+      })
+    );
+  return left;
+};
+
+// the gateway reports the refunded amount as a decimal string
+const cancellationRefund = (o) =>
+  o.cancellation.refund.status === "voided"
+    ? "Payment voided"
+    : `${formatMoney(
+        toMinorUnits(o.cancellation.refund.amount, o.currency),
+        o.currency
+      )} refunded`;
+
+const emptyReturn = { orderId: null, quantities: {}, reason: "" };
 
 const Orders = () => {
   const [orders, setOrders] = useState([]);
+  const [returnForm, setReturnForm] = useState(emptyReturn);
   const [auth, setAuth] = useAuth();
   const getOrders = async () => {
     try {
@@ -20,6 +70,56 @@ const Orders = () => {
   useEffect(() => {
     if (auth?.token) getOrders();
   }, [auth?.token]);
+
+  const handleCancel = async (orderId) => {
+    try {
+      const reason = window.prompt("Why do you want to cancel this order?");
+      if (!reason?.trim()) return;
+      const { data } = await axios.post(
+        `/api/v1/auth/orders/${orderId}/cancel`,
+        { reason }
+      );
+      if (data?.success) {
+        toast.success("Order cancelled");
+        getOrders();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+  const setReturnQuantity = (product, quantity) =>
+    setReturnForm({
+      ...returnForm,
+      quantities: { ...returnForm.quantities, [product]: quantity },
+    });
+
+  //request return
+  const handleReturn = async (e) => {
+    e.preventDefault();
+    try {
+      const items = Object.entries(returnForm.quantities)
+        .filter(([, quantity]) => Number(quantity) > 0)
+        .map(([product, quantity]) => ({ product, quantity: Number(quantity) }));
+      const { data } = await axios.post(
+        `/api/v1/returns/request/${returnForm.orderId}`,
+        { items, reason: returnForm.reason }
+      );
+      if (data?.success) {
+        toast.success("Return requested");
+        setReturnForm(emptyReturn);
+        getOrders();
+      }
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Something went wrong");
+    }
+  };
+
+  const productName = (o, product) =>
+    o.products?.find((item) => productId(item.product) === productId(product))
+      ?.product?.name || "Product no longer available";
+
   return (
     <Layout title={"Your Orders"}>
       <div className="container-flui p-3 m-3 dashboard">
@@ -35,45 +135,206 @@ const Orders = () => {
                   <table className="table">
                     <thead>
                       <tr>
-                        <th scope="col">#</th>
+                        <th scope="col">Order</th>
                         <th scope="col">Status</th>
                         <th scope="col">Buyer</th>
                         <th scope="col"> date</th>
                         <th scope="col">Payment</th>
                         <th scope="col">Quantity</th>
+                        <th scope="col">Total</th>
                       </tr>
                     </thead>
                     <tbody>
                       <tr>
-                        <td>{i + 1}</td>
+                        {/* orders placed before numbers were added */}
+                        <td>{o?.orderNumber || i + 1}</td>
                         <td>{o?.status}</td>
                         <td>{o?.buyer?.name}</td>
                         <td>{moment(o?.createAt).fromNow()}</td>
-                        <td>{o?.payment.success ? "Success" : "Failed"}</td>
-                        <td>{o?.products?.length}</td>
+                        <td className="text-capitalize">
+                          {o?.paymentStatus ||
+                            (o?.payment.success ? "Success" : "Failed")}
+                        </td>
+                        <td>
+                          {o?.products?.reduce(
+                            (count, item) => count + item.quantity,
+                            0
+                          )}
+                        </td>
+                        <td>{formatMoney(o?.total, o?.currency)}</td>
                       </tr>
                     </tbody>
                   </table>
+                  {o?.display && o.display.currency !== o.currency && (
+                    <div className="container">
+                      <p>
+                        Shown at checkout as{" "}
+                        {formatMoney(o.display.amount, o.display.currency)}
+                      </p>
+                    </div>
+                  )}
+                  {o?.shippingAddress && (
+                    <div className="container">
+                      <p>
+                        Ship to : {o.shippingAddress.name}, {o.shippingAddress.address}
+                      </p>
+                      <p>Contact : {o.shippingAddress.phone}</p>
+                    </div>
+                  )}
+                  {o?.tax?.label && (
+                    <div className="container">
+                      <p>
+                        {o.tax.label} ({o.tax.region}) :{" "}
+                        {formatMoney(o.tax.amount, o.currency)}
+                      </p>
+                    </div>
+                  )}
+                  {o?.shipping?.method && (
+                    <div className="container">
+                      <p>
+                        Delivery : {o.shipping.method}
+                        {o.shipping.estimatedDays
+                          ? ` (${o.shipping.estimatedDays})`
+                          : ""}{" "}
+                        : {formatMoney(o.shipping.fee, o.currency)}
+                      </p>
+                    </div>
+                  )}
+                  <div className="container mb-2 d-flex gap-2">
+                    <InvoiceButton orderId={o._id} />
+                    {canCancel(o) && (
+                      <button
+                        className="btn btn-outline-danger btn-sm"
+                        onClick={() => handleCancel(o._id)}
+                      >
+                        Cancel Order
+                      </button>
+                    )}
+                    {canReturn(o) && returnForm.orderId !== o._id && (
+                      <button
+                        className="btn btn-outline-secondary btn-sm"
+                        onClick={() =>
+                          setReturnForm({ ...emptyReturn, orderId: o._id })
+                        }
+                      >
+                        Return Items
+                      </button>
+                    )}
+                  </div>
+                  {returnForm.orderId === o._id && (
+                    <form className="container mb-3" onSubmit={handleReturn}>
+                      <p>
+                        Returns are accepted until{" "}
+                        {moment(o.returnableUntil).format("D MMM YYYY")}
+                      </p>
+                      {Object.entries(returnableQuantities(o))
+                        .filter(([, left]) => left > 0)
+                        .map(([product, left]) => (
+                          <div className="row mb-2" key={product}>
+                            <label
+                              className="col-md-8 col-form-label"
+                              htmlFor={`return-${product}`}
+                            >
+                              {productName(o, product)}
+                            </label>
+                            <div className="col-md-4">
+                              <input
+                                id={`return-${product}`}
+                                type="number"
+                                min="0"
+                                max={left}
+                                className="form-control"
+                                value={returnForm.quantities[product] || 0}
+                                onChange={(e) =>
+                                  setReturnQuantity(product, e.target.value)
+                                }
+                              />
+                            </div>
+                          </div>
+                        ))}
+                      <textarea
+                        className="form-control mb-2"
+                        placeholder="Why are you returning these items?"
+                        value={returnForm.reason}
+                        onChange={(e) =>
+                          setReturnForm({ ...returnForm, reason: e.target.value })
+                        }
+                      />
+                      <button type="submit" className="btn btn-primary btn-sm">
+                        Request Return
+                      </button>
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-sm ms-2"
+                        onClick={() => setReturnForm(emptyReturn)}
+                      >
+                        Cancel
+                      </button>
+                    </form>
+                  )}
+                  {o?.returns?.length > 0 && (
+                    <div className="container mb-2">
+                      <h6>Returns</h6>
+                      {o.returns.map((r) => (
+                        <div className="mb-2" key={r._id}>
+                          <p>
+                            {moment(r.createdAt).format("D MMM YYYY")} :{" "}
+                            <strong>{r.status}</strong>
+                            {r.refundAmount > 0 &&
+                              ` : ${formatMoney(r.refundAmount, o.currency)} refunded`}
+                          </p>
+                          <p>
+                            {r.items
+                              .map(
+                                (item) =>
+                                  `${item.quantity} x ${productName(o, item.product)}`
+                              )
+                              .join(", ")}
+                          </p>
+                          {r.status === "Rejected" && r.history?.at(-1)?.note && (
+                            <p>Reason : {r.history.at(-1).note}</p>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {o?.cancellation?.reason && (
+                    <div className="container mb-2">
+                      <p>Cancellation reason : {o.cancellation.reason}</p>
+                      {o.cancellation.refund && (
+                        <p>
+                          Refund :{" "}
+                          {cancellationRefund(o)}
+                        </p>
+                      )}
+                    </div>
+                  )}
                   <div className="container">
-                    {o?.products?.map((p, i) => (
-                      <div className="row mb-2 p-3 card flex-row" key={p._id}>
+                    {o?.products?.map(({ product: p, quantity, price }, i) => (
+                      <div className="row mb-2 p-3 card flex-row" key={i}>
                         <div className="col-md-4">
-                          <img
-                            src={`/api/v1/product/product-photo/${p._id}`}
-                            className="card-img-top"
-                            alt={p.name}
-                            width="100px"
-                            height={"100px"}
-                          />
+                          {p && (
+                            <img
+                              src={`/api/v1/product/product-photo/${p._id}`}
+                              className="card-img-top"
+                              alt={p.name}
+                              width="100px"
+                              height={"100px"}
+                            />
+                          )}
                         </div>
                         <div className="col-md-8">
-                          <p>{p.name}</p>
-                          <p>{p.description.substring(0, 30)}</p>
-                          <p>Price : {p.price}</p>
+                          <p>{p ? p.name : "Product no longer available"}</p>
+                          <p>{p?.description?.substring(0, 30)}</p>
+                          <p>Price : {formatMoney(price, o.currency)}</p>
+                          <p>Quantity : {quantity}</p>
+                          <p>Subtotal : {formatMoney(price * quantity, o.currency)}</p>
                         </div>
                       </div>
                     ))}
                   </div>
+                  <ShipmentList order={o} />
+                  <OrderTimeline history={o?.statusHistory} />
                 </div>
               );
             })}
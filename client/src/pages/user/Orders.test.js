@@ -1,5 +1,5 @@
 import React from "react";
-import { render, screen } from "@testing-library/react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
 import Orders from "./Orders";
 import axios from "axios";
 import { useAuth } from "../../context/auth";
@@ -7,6 +7,7 @@ import "@testing-library/jest-dom";
 
 // Mock modules
 jest.mock("axios");
+jest.mock("react-hot-toast");
 jest.mock("../../context/auth", () => ({
   useAuth: jest.fn(),
 }));
@@ -39,10 +40,13 @@ describe("Orders Component", () => {
         payment: { success: true },
         products: [
           {
-            _id: "1",
-            name: "Product 1",
-            description: "Description of Product 1",
-            price: 10,
+            product: {
+              _id: "1",
+              name: "Product 1",
+              description: "Description of Product 1",
+            },
+            quantity: 1,
+            price: 1000,
           },
         ],
       },
@@ -59,7 +63,24 @@ describe("Orders Component", () => {
     expect(await screen.findByText("tyy")).toBeInTheDocument();
     expect(await screen.findByText("Success")).toBeInTheDocument();
     expect(await screen.findByText("Product 1")).toBeInTheDocument();
-    expect(await screen.findByText("Price : 10")).toBeInTheDocument();
+    expect(await screen.findByText("Price : $10.00")).toBeInTheDocument();
+  });
+
+  it("should show the order number of each order", async () => {
+    mockAuthContext();
+    mockOrdersAPI([
+      {
+        _id: "order1",
+        orderNumber: "VV-2026-000123",
+        status: "Processing",
+        payment: { success: true },
+        products: [],
+      },
+    ]);
+
+    render(<Orders />);
+
+    expect(await screen.findByText("VV-2026-000123")).toBeInTheDocument();
   });
 
   it("should render UserMenu and Layout components", async () => {
@@ -82,16 +103,22 @@ describe("Orders Component", () => {
         payment: { success: true },
         products: [
           {
-            _id: "1",
-            name: "Product 1",
-            description: "Description of Product 1",
-            price: 10,
+            product: {
+              _id: "1",
+              name: "Product 1",
+              description: "Description of Product 1",
+            },
+            quantity: 1,
+            price: 1000,
           },
           {
-            _id: "2",
-            name: "Product 2",
-            description: "Description of Product 2",
-            price: 20,
+            product: {
+              _id: "2",
+              name: "Product 2",
+              description: "Description of Product 2",
+            },
+            quantity: 1,
+            price: 2000,
           },
         ],
       },
@@ -117,10 +144,13 @@ describe("Orders Component", () => {
         payment: { success: false },
         products: [
           {
-            _id: "1",
-            name: "Product 1",
-            description: "Description of Product 1",
-            price: 10,
+            product: {
+              _id: "1",
+              name: "Product 1",
+              description: "Description of Product 1",
+            },
+            quantity: 1,
+            price: 1000,
           },
         ],
       },
@@ -136,6 +166,454 @@ describe("Orders Component", () => {
     expect(await screen.findByText("Failed")).toBeInTheDocument();
   });
 
+  it("should render the quantity and subtotal of each line", async () => {
+    const mockOrders = [
+      {
+        _id: "order1",
+        status: "Processing",
+        buyer: { name: "tyy" },
+        createAt: "2024-09-09T12:00:00Z",
+        payment: { success: true },
+        total: 5300,
+        products: [
+          {
+            product: {
+              _id: "1",
+              name: "Product 1",
+              description: "Description of Product 1",
+            },
+            quantity: 3,
+            price: 1500,
+          },
+          {
+            product: null,
+            quantity: 2,
+            price: 400,
+          },
+        ],
+      },
+    ];
+
+    mockAuthContext(); // Mock auth context
+    mockOrdersAPI(mockOrders); // Mock API response
+
+    render(<Orders />);
+
+    expect(await screen.findByText("Quantity : 3")).toBeInTheDocument();
+    expect(screen.getByText("Subtotal : $45.00")).toBeInTheDocument();
+    expect(screen.getByText("Product no longer available")).toBeInTheDocument();
+    expect(screen.getByText("Subtotal : $8.00")).toBeInTheDocument();
+    // total units across the order
+    expect(screen.getByText("5")).toBeInTheDocument();
+    expect(screen.getByText("$53.00")).toBeInTheDocument();
+  });
+
+  it("should show the total in the currency the buyer checked out in", async () => {
+    const mockOrders = [
+      {
+        _id: "order1",
+        status: "Processing",
+        buyer: { name: "tyy" },
+        createAt: "2024-09-09T12:00:00Z",
+        payment: { success: true },
+        currency: "USD",
+        total: 2000,
+        display: { currency: "EUR", rate: 0.9, amount: 1800 },
+        products: [],
+      },
+    ];
+
+    mockAuthContext(); // Mock auth context
+    mockOrdersAPI(mockOrders); // Mock API response
+
+    render(<Orders />);
+
+    expect(await screen.findByText("$20.00")).toBeInTheDocument();
+    expect(screen.getByText("Shown at checkout as €18.00")).toBeInTheDocument();
+  });
+
+  it("should show the payment status reported by the gateway", async () => {
+    const mockOrders = [
+      {
+        _id: "order1",
+        status: "Delivered",
+        buyer: { name: "tyy" },
+        createAt: "2024-09-09T12:00:00Z",
+        payment: { success: true },
+        paymentStatus: "disputed",
+        products: [],
+      },
+    ];
+
+    mockAuthContext(); // Mock auth context
+    mockOrdersAPI(mockOrders); // Mock API response
+
+    render(<Orders />);
+
+    expect(await screen.findByText("disputed")).toBeInTheDocument();
+    expect(screen.queryByText("Success")).not.toBeInTheDocument();
+  });
+
+  it("should render the status history of an order", async () => {
+    const mockOrders = [
+      {
+        _id: "order1",
+        status: "Shipped",
+        buyer: { name: "tyy" },
+        createAt: "2024-09-09T12:00:00Z",
+        payment: { success: true },
+        products: [],
+        statusHistory: [
+          { status: "Not Process", changedAt: "2024-09-09T12:00:00Z" },
+          {
+            status: "Shipped",
+            changedAt: "2024-09-10T12:00:00Z",
+            changedBy: { name: "Admin" },
+            note: "Sent with DHL",
+          },
+        ],
+      },
+    ];
+
+    mockAuthContext(); // Mock auth context
+    mockOrdersAPI(mockOrders); // Mock API response
+
+    render(<Orders />);
+
+    expect(await screen.findByText("Order History")).toBeInTheDocument();
+    expect(screen.getByText("Not Process")).toBeInTheDocument();
+    expect(screen.getByText("Sent with DHL")).toBeInTheDocument();
+    // who changed the status is only shown to admins
+    expect(screen.queryByText(/by Admin/)).not.toBeInTheDocument();
+  });
+
+  it("should let the buyer cancel an order that has not shipped", async () => {
+    mockAuthContext();
+    mockOrdersAPI([
+      { _id: "order1", status: "Processing", payment: { success: true }, products: [] },
+      { _id: "order2", status: "Shipped", payment: { success: true }, products: [] },
+    ]);
+    axios.post.mockResolvedValue({ data: { success: true } });
+    jest.spyOn(window, "prompt").mockReturnValue("Changed my mind");
+
+    render(<Orders />);
+
+    const buttons = await screen.findAllByText("Cancel Order");
+    expect(buttons).toHaveLength(1);
+    fireEvent.click(buttons[0]);
+
+    await waitFor(() =>
+      expect(axios.post).toHaveBeenCalledWith(
+        "/api/v1/auth/orders/order1/cancel",
+        { reason: "Changed my mind" }
+      )
+    );
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it("should not offer cancelling once a parcel has shipped", async () => {
+    mockAuthContext();
+    mockOrdersAPI([
+      {
+        _id: "order1",
+        status: "Processing",
+        payment: { success: true },
+        products: [],
+        shipments: [{ _id: "s1", carrier: "DHL", items: [] }],
+      },
+    ]);
+
+    render(<Orders />);
+
+    expect(await screen.findByText("DHL")).toBeInTheDocument();
+    expect(screen.queryByText("Cancel Order")).not.toBeInTheDocument();
+  });
+
+  it("should not cancel without a reason", async () => {
+    mockAuthContext();
+    mockOrdersAPI([
+      { _id: "order1", status: "Not Process", payment: { success: true }, products: [] },
+    ]);
+    jest.spyOn(window, "prompt").mockReturnValue(null);
+
+    render(<Orders />);
+
+    fireEvent.click(await screen.findByText("Cancel Order"));
+
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it("should show the reason of a cancelled order", async () => {
+    mockAuthContext();
+    mockOrdersAPI([
+      {
+        _id: "order1",
+        status: "Cancelled",
+        payment: { success: true },
+        products: [],
+        cancellation: { reason: "Too slow", refund: { status: "voided" } },
+      },
+    ]);
+
+    render(<Orders />);
+
+    expect(await screen.findByText("Cancellation reason : Too slow")).toBeInTheDocument();
+    expect(screen.getByText("Refund : Payment voided")).toBeInTheDocument();
+    expect(screen.queryByText("Cancel Order")).not.toBeInTheDocument();
+  });
+
+  it("should show a refunded cancellation in the order currency", async () => {
+    mockAuthContext();
+    mockOrdersAPI([
+      {
+        _id: "order1",
+        status: "Cancelled",
+        currency: "USD",
+        payment: { success: true },
+        products: [],
+        cancellation: {
+          reason: "Too slow",
+          refund: { status: "submitted_for_settlement", amount: "1054.98" },
+        },
+      },
+    ]);
+
+    render(<Orders />);
+
+    expect(await screen.findByText("Refund : $1,054.98 refunded")).toBeInTheDocument();
+  });
+
+  it("should let the buyer return items of a delivered order", async () => {
+    mockAuthContext();
+    mockOrdersAPI([
+      {
+        _id: "order1",
+        status: "Delivered",
+        payment: { success: true },
+        returnableUntil: new Date(Date.now() + 86400000).toISOString(),
+        products: [{ product: { _id: "p1", name: "Laptop" }, quantity: 2, price: 1000 }],
+        returns: [],
+      },
+      {
+        _id: "order2",
+        status: "Delivered",
+        payment: { success: true },
+        returnableUntil: "2020-01-01T00:00:00Z",
+        products: [],
+      },
+    ]);
+    axios.post.mockResolvedValue({ data: { success: true } });
+
+    render(<Orders />);
+
+    const buttons = await screen.findAllByText("Return Items");
+    expect(buttons).toHaveLength(1);
+    fireEvent.click(buttons[0]);
+    fireEvent.change(screen.getByLabelText("Laptop"), { target: { value: "1" } });
+    fireEvent.change(screen.getByPlaceholderText("Why are you returning these items?"), {
+      target: { value: "Too heavy" },
+    });
+    fireEvent.click(screen.getByText("Request Return"));
+
+    await waitFor(() =>
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/returns/request/order1", {
+        items: [{ product: "p1", quantity: 1 }],
+        reason: "Too heavy",
+      })
+    );
+  });
+
+  it("should offer returns on orders saved with an old status spelling", async () => {
+    mockAuthContext();
+    mockOrdersAPI([
+      {
+        _id: "order1",
+        status: "deliverd",
+        payment: { success: true },
+        // filled in by the server for orders delivered before it was stored
+        returnableUntil: new Date(Date.now() + 86400000).toISOString(),
+        products: [{ product: { _id: "p1", name: "Laptop" }, quantity: 1, price: 1000 }],
+      },
+    ]);
+
+    render(<Orders />);
+
+    expect(await screen.findByText("Return Items")).toBeInTheDocument();
+  });
+
+  it("should show the returns of an order", async () => {
+    mockAuthContext();
+    mockOrdersAPI([
+      {
+        _id: "order1",
+        status: "Delivered",
+        payment: { success: true },
+        currency: "USD",
+        products: [{ product: { _id: "p1", name: "Laptop" }, quantity: 2, price: 1000 }],
+        returns: [
+          {
+            _id: "r1",
+            status: "Refunded",
+            createdAt: "2024-02-01T00:00:00Z",
+            items: [{ product: "p1", quantity: 1, price: 1000 }],
+            refundAmount: 1000,
+          },
+          {
+            _id: "r2",
+            status: "Rejected",
+            createdAt: "2024-02-02T00:00:00Z",
+            items: [{ product: "p1", quantity: 1, price: 1000 }],
+            history: [{ status: "Rejected", note: "Item was used" }],
+          },
+        ],
+      },
+    ]);
+
+    render(<Orders />);
+
+    expect(await screen.findByText(/\$10\.00 refunded/)).toBeInTheDocument();
+    expect(screen.getAllByText("1 x Laptop")).toHaveLength(2);
+    expect(screen.getByText("Reason : Item was used")).toBeInTheDocument();
+    expect(screen.queryByText("Return Items")).not.toBeInTheDocument();
+  });
+
+  it("should show the shipments of an order with their tracking links", async () => {
+    mockAuthContext();
+    mockOrdersAPI([
+      {
+        _id: "order1",
+        status: "Processing",
+        payment: { success: true },
+        products: [
+          { product: { _id: "p1", name: "Laptop" }, quantity: 2, price: 1000 },
+          { product: { _id: "p2", name: "Mouse" }, quantity: 1, price: 500 },
+        ],
+        shipments: [
+          {
+            _id: "s1",
+            carrier: "Example Post",
+            trackingNumber: "AB123",
+            trackingUrl: "https://post.example.com/track?id=AB123",
+            items: [{ product: "p1", quantity: 1 }],
+            shippedAt: "2024-03-01T00:00:00Z",
+            estimatedDelivery: "2024-03-04T00:00:00Z",
+          },
+          {
+            _id: "s2",
+            carrier: "Local Courier",
+            trackingNumber: "LC9",
+            items: [{ product: "p2", quantity: 1 }],
+            shippedAt: "2024-03-02T00:00:00Z",
+          },
+        ],
+      },
+    ]);
+
+    render(<Orders />);
+
+    const link = await screen.findByRole("link", { name: "AB123" });
+    expect(link).toHaveAttribute(
+      "href",
+      "https://post.example.com/track?id=AB123"
+    );
+    expect(screen.getByText("Example Post")).toBeInTheDocument();
+    expect(
+      screen.getByText("Shipped 1 Mar 2024, expected 4 Mar 2024")
+    ).toBeInTheDocument();
+    expect(screen.getByText("1 x Laptop")).toBeInTheDocument();
+    // carriers without a tracking page just show the number
+    expect(screen.getByText(/LC9/)).toBeInTheDocument();
+    expect(screen.queryByRole("link", { name: "LC9" })).not.toBeInTheDocument();
+  });
+
+  it("should download the invoice of an order", async () => {
+    mockAuthContext();
+    mockOrdersAPI([
+      { _id: "order1", status: "Delivered", payment: { success: true }, products: [] },
+    ]);
+    window.URL.createObjectURL = jest.fn().mockReturnValue("blob:invoice");
+    window.URL.revokeObjectURL = jest.fn();
+    const click = jest
+      .spyOn(HTMLAnchorElement.prototype, "click")
+      .mockImplementation(() => {});
+
+    render(<Orders />);
+
+    fireEvent.click(await screen.findByText("Download Invoice"));
+
+    await waitFor(() => expect(click).toHaveBeenCalled());
+    expect(axios.get).toHaveBeenCalledWith(
+      "/api/v1/auth/orders/order1/invoice",
+      { responseType: "blob" }
+    );
+    click.mockRestore();
+  });
+
+  it("should show where the order is being shipped", async () => {
+    mockAuthContext();
+    mockOrdersAPI([
+      {
+        _id: "order1",
+        status: "Processing",
+        payment: { success: true },
+        products: [],
+        shippingAddress: {
+          name: "Jane",
+          address: "1 Computing Drive",
+          phone: "81234567",
+        },
+      },
+    ]);
+
+    render(<Orders />);
+
+    expect(
+      await screen.findByText("Ship to : Jane, 1 Computing Drive")
+    ).toBeInTheDocument();
+    expect(screen.getByText("Contact : 81234567")).toBeInTheDocument();
+  });
+
+  it("should show the tax charged on the order", async () => {
+    mockAuthContext();
+    mockOrdersAPI([
+      {
+        _id: "order1",
+        status: "Processing",
+        payment: { success: true },
+        products: [],
+        tax: { region: "SG", label: "GST", amount: 900, lines: [] },
+      },
+    ]);
+
+    render(<Orders />);
+
+    expect(await screen.findByText("GST (SG) : $9.00")).toBeInTheDocument();
+  });
+
+  it("should show the delivery method of the order", async () => {
+    mockAuthContext();
+    mockOrdersAPI([
+      {
+        _id: "order1",
+        status: "Processing",
+        payment: { success: true },
+        products: [],
+        shipping: {
+          zone: "Singapore",
+          method: "Express",
+          fee: 1200,
+          estimatedDays: "1-2 days",
+        },
+      },
+    ]);
+
+    render(<Orders />);
+
+    expect(
+      await screen.findByText("Delivery : Express (1-2 days) : $12.00")
+    ).toBeInTheDocument();
+  });
+
   it("should render an order even if some product information is missing", async () => {
     const mockOrders = [
       {
@@ -146,9 +624,12 @@ describe("Orders Component", () => {
         payment: { success: true },
         products: [
           {
-            _id: "1",
-            name: null,
-            description: "Description of Product 1",
+            product: {
+              _id: "1",
+              name: null,
+              description: "Description of Product 1",
+            },
+            quantity: 1,
             price: null,
           },
         ],
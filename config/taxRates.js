@@ -0,0 +1,24 @@
+// Tax rates by shipping region and product tax class. Set TAX_RATES to a JSON
+// string of the same shape to use different rates. Products without a tax
+// class, or with one the region doesn't list, pay the standard rate.
+const taxRates = {
+  SG: {
+    name: "Singapore",
+    label: "GST",
+    rates: { standard: 0.09, exempt: 0 },
+  },
+  MY: {
+    name: "Malaysia",
+    label: "SST",
+    rates: { standard: 0.1, reduced: 0.05, exempt: 0 },
+  },
+  US: {
+    name: "United States",
+    label: "Sales Tax",
+    rates: { standard: 0.0725, exempt: 0 },
+  },
+};
+
+export const DEFAULT_TAX_REGION = "SG";
+
+export default taxRates;
@@ -1,10 +1,25 @@
 import { jest } from "@jest/globals";
-import { getOrdersController , orderStatusController, getAllOrdersController} from "./authController";
+import { Writable } from "stream";
+import { getOrdersController , orderStatusController, getAllOrdersController, exportOrdersController, cancelOrderController, orderInvoiceController, orderLookupController} from "./authController";
 import orderModel from '../models/orderModel';
+import productModel from '../models/productModel';
+import userModel from '../models/userModel';
+import { reversePayment } from '../helpers/paymentProvider';
+import { createInvoice } from '../helpers/invoiceHelper';
+import { releaseCoupon } from '../helpers/couponHelper';
+import { sendOrderStatusEmail } from '../helpers/notificationHelper';
+import { orderLookupToken } from '../helpers/guestHelper';
 
 jest.mock("../models/userModel.js");
 jest.mock('../models/orderModel');
+jest.mock('../models/productModel');
+jest.mock('../helpers/paymentProvider');
+jest.mock('../helpers/invoiceHelper');
+jest.mock('../helpers/couponHelper');
 jest.mock('../helpers/authHelper');
+jest.mock('../helpers/notificationHelper', () => ({
+    sendOrderStatusEmail: jest.fn(),
+}));
 
 describe('Get Orders Unit test', () => {
     let mockReq, mockRes;
@@ -46,6 +61,27 @@ describe('Get Orders Unit test', () => {
         expect(mockRes.json).toHaveBeenCalledWith(dummyOrders);
     });
 
+    it('should fill in the return deadline of orders delivered before it was stored', async () => {
+        const deliveredAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const orders = [
+            { _id: '1', status: 'Delivered', statusHistory: [{ status: 'Delivered', changedAt: deliveredAt }] },
+            { _id: '2', status: 'deliverd', shipments: [{ shippedAt: deliveredAt }], updatedAt: new Date() },
+            { _id: '3', status: 'Shipped' },
+        ];
+        orderModel.find.mockReturnValue({
+            populate: jest.fn().mockReturnValue({
+                populate: jest.fn().mockResolvedValue(orders)
+            })
+        });
+
+        await getOrdersController(mockReq, mockRes);
+
+        const [sent] = mockRes.json.mock.calls[0];
+        expect(sent[0].returnableUntil.getTime()).toBeGreaterThan(deliveredAt.getTime());
+        expect(sent[1].returnableUntil).toEqual(sent[0].returnableUntil);
+        expect(sent[2].returnableUntil).toBeUndefined();
+    });
+
     it('should respond on retrieval failure', async () => {
         const simulatedError = new Error('Data Retrieval Issue');
         
@@ -87,7 +123,7 @@ describe('Get Orders Unit test', () => {
 
         await getOrdersController(mockReq, mockRes);
 
-        expect(primaryPopulateMock).toHaveBeenCalledWith('products', '-photo');
+        expect(primaryPopulateMock).toHaveBeenCalledWith('products.product', '-photo');
         expect(secondaryPopulateMock).toHaveBeenCalledWith('buyer', 'name');
     });
 });
@@ -99,7 +135,8 @@ describe("Order Status Update and Tracking", () => {
     beforeEach(() => {
         mockReq = {
             params: { orderId: "123" },
-            body: { status: "Processing" }
+            body: { status: "Processing" },
+            user: { _id: "admin1" }
         };
         mockRes = {
             json: jest.fn(),
@@ -109,14 +146,26 @@ describe("Order Status Update and Tracking", () => {
         jest.clearAllMocks();
     });
 
-    it("should update order status for valid status values", async () => {
-        const validStatuses = ["Pending", "Processing", "Shipped", "Delivered", "Cancelled"];
+    it("should allow every step of the order lifecycle", async () => {
+        const steps = [
+            ["Not Process", "Processing"],
+            ["Processing", "Shipped"],
+            ["Shipped", "Delivered"],
+            ["Not Process", "Cancelled"],
+            ["Processing", "Cancelled"],
+        ];
     
-        for (const status of validStatuses) {
+        for (const [from, status] of steps) {
             mockReq.body.status = status;
             const mockUpdatedOrder = { _id: "123", status };
     
-            orderModel.findByIdAndUpdate.mockResolvedValue(mockUpdatedOrder);
+            // unpaid orders can still be cancelled without a refund
+            orderModel.findById.mockResolvedValue({
+                _id: "123",
+                status: from,
+                payment: { success: status !== "Cancelled" },
+            });
+            orderModel.findOneAndUpdate.mockResolvedValue(mockUpdatedOrder);
             await orderStatusController(mockReq, mockRes);
     
             expect(mockRes.json).toHaveBeenCalledWith(mockUpdatedOrder);
@@ -124,7 +173,7 @@ describe("Order Status Update and Tracking", () => {
     });
     
   
-    it('should successfully update order status', async () => {
+    it('should successfully update order status and record the change', async () => {
         const mockUpdatedOrder = {
           _id: '123',
           status: 'Processing',
@@ -132,32 +181,204 @@ describe("Order Status Update and Tracking", () => {
             { name: 'Product 1', price: 100 }
           ]
         };
+        mockReq.body.note = 'Picked by warehouse';
     
-        orderModel.findByIdAndUpdate.mockResolvedValue(mockUpdatedOrder);
+        orderModel.findById.mockResolvedValue({ _id: '123', status: 'Not Process', payment: { success: true } });
+        orderModel.findOneAndUpdate.mockResolvedValue(mockUpdatedOrder);
     
         await orderStatusController(mockReq, mockRes);
     
-        expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith(
-          '123',
-          { status: 'Processing' },
+        expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+          { _id: '123', status: 'Not Process' },
+          {
+            $set: { status: 'Processing' },
+            $push: {
+              statusHistory: {
+                status: 'Processing',
+                changedAt: expect.any(Date),
+                changedBy: 'admin1',
+                note: 'Picked by warehouse'
+              }
+            }
+          },
           { new: true }
         );
         expect(mockRes.json).toHaveBeenCalledWith(mockUpdatedOrder);
+        expect(sendOrderStatusEmail).toHaveBeenCalledWith('123', 'Picked by warehouse');
+    });
+
+    it("should open the return window when an order is delivered", async () => {
+        mockReq.body.status = "Delivered";
+        orderModel.findById.mockResolvedValue({ _id: "123", status: "Shipped", payment: { success: true } });
+        orderModel.findOneAndUpdate.mockResolvedValue({ _id: "123", status: "Delivered" });
+
+        await orderStatusController(mockReq, mockRes);
+
+        const [, update] = orderModel.findOneAndUpdate.mock.calls[0];
+        expect(update.$set).toEqual({
+            status: "Delivered",
+            returnableUntil: expect.any(Date),
+        });
+        expect(update.$set.returnableUntil.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it.each([
+        ["Not Process", "Shipped"],
+        ["Not Process", "Delivered"],
+        ["Shipped", "Cancelled"],
+        ["Delivered", "Processing"],
+        ["Cancelled", "Processing"],
+    ])("should reject moving an order from %s to %s", async (from, status) => {
+        mockReq.body.status = status;
+        orderModel.findById.mockResolvedValue({ _id: "123", status: from });
+
+        await orderStatusController(mockReq, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.send).toHaveBeenCalledWith(
+          expect.objectContaining({
+            success: false,
+            message: `Cannot change order status from ${from} to ${status}`
+          })
+        );
+        expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(sendOrderStatusEmail).not.toHaveBeenCalled();
+    });
+
+    it("should not let admins cancel a partly shipped order", async () => {
+        mockReq.body.status = "Cancelled";
+        orderModel.findById.mockResolvedValue({
+            _id: "123",
+            status: "Processing",
+            payment: { success: true },
+            shipments: [{ items: [{ product: "p1", quantity: 1 }] }],
+        });
+
+        await orderStatusController(mockReq, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.send).toHaveBeenCalledWith({
+          success: false,
+          message: "Cannot change order status from Processing to Cancelled",
+          allowed: ["Shipped"]
+        });
+        expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should only cancel if no parcel was added in the meantime", async () => {
+        mockReq.body.status = "Cancelled";
+        orderModel.findById.mockResolvedValue({ _id: "123", status: "Processing", shipments: [] });
+        orderModel.findOneAndUpdate.mockResolvedValue({ _id: "123", status: "Cancelled" });
+
+        await orderStatusController(mockReq, mockRes);
+
+        expect(orderModel.findOneAndUpdate.mock.calls[0][0]).toEqual({
+          _id: "123",
+          status: "Processing",
+          "shipments.0": { $exists: false },
+        });
+    });
+
+    it("should give back the payment, stock and coupon when an admin cancels", async () => {
+        mockReq.body = { status: "Cancelled", note: "Out of stock at supplier" };
+        const order = {
+            _id: "123",
+            buyer: "user1",
+            status: "Processing",
+            shipments: [],
+            payment: { success: true, transactionId: "txn1" },
+            discount: { code: "SAVE10", amount: 200 },
+            products: [{ product: "p1", quantity: 2, price: 1000 }],
+        };
+        const refund = { success: true, transactionId: "txn1", status: "voided" };
+        orderModel.findById.mockResolvedValue(order);
+        orderModel.findOneAndUpdate.mockResolvedValue({ ...order, status: "Cancelled" });
+        orderModel.findByIdAndUpdate.mockResolvedValue({ ...order, status: "Cancelled", paymentStatus: "refunded" });
+        reversePayment.mockResolvedValue(refund);
+
+        await orderStatusController(mockReq, mockRes);
+
+        expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+          { _id: "123", status: "Processing", "shipments.0": { $exists: false } },
+          expect.objectContaining({
+            $set: {
+              status: "Cancelled",
+              cancellation: { reason: "Out of stock at supplier", cancelledAt: expect.any(Date) }
+            }
+          }),
+          { new: true }
+        );
+        expect(reversePayment).toHaveBeenCalledWith(order.payment);
+        expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith("p1", { $inc: { quantity: 2 } });
+        expect(releaseCoupon).toHaveBeenCalledWith("SAVE10", "user1");
+        expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith(
+          "123",
+          { $set: expect.objectContaining({ "cancellation.refund": refund, paymentStatus: "refunded" }) },
+          { new: true }
+        );
+        expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ paymentStatus: "refunded" }));
+        expect(sendOrderStatusEmail).toHaveBeenCalledWith("123", "Out of stock at supplier");
+    });
+
+    it("should keep the order when an admin cancel can't refund it", async () => {
+        mockReq.body = { status: "Cancelled" };
+        orderModel.findById.mockResolvedValue({
+            _id: "123",
+            status: "Processing",
+            payment: { success: true, transactionId: "txn1" },
+            products: [{ product: "p1", quantity: 2, price: 1000 }],
+        });
+        orderModel.findOneAndUpdate.mockResolvedValue({ _id: "123", status: "Cancelled" });
+        reversePayment.mockResolvedValue({ success: false, message: "Gateway down" });
+
+        await orderStatusController(mockReq, mockRes);
+
+        expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith("123", {
+          $set: { status: "Processing" },
+          $unset: { cancellation: "" },
+          $pop: { statusHistory: 1 },
+        });
+        expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(500);
+        expect(sendOrderStatusEmail).not.toHaveBeenCalled();
+    });
+
+    it("should treat legacy status spellings as their current equivalents", async () => {
+        mockReq.body.status = "Processing";
+        orderModel.findById.mockResolvedValue({ _id: "123", status: "cancel" });
+
+        await orderStatusController(mockReq, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.send).toHaveBeenCalledWith({
+          success: false,
+          message: "Cannot change order status from Cancelled to Processing",
+          allowed: []
+        });
+    });
+
+    it("should reject unknown status values", async () => {
+        mockReq.body.status = "Pending";
+
+        await orderStatusController(mockReq, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.send).toHaveBeenCalledWith({
+          success: false,
+          message: "Invalid order status"
+        });
+        expect(orderModel.findById).not.toHaveBeenCalled();
     });
   
     it("should return 404 if order not found", async () => {
         mockReq.params = { orderId: "123" };
         mockReq.body = { status: "Shipped" };
 
-        orderModel.findByIdAndUpdate.mockResolvedValue(null);
+        orderModel.findById.mockResolvedValue(null);
       
         await orderStatusController(mockReq, mockRes);
 
-        expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith(
-          "123",
-          { status: "Shipped" },
-          { new: true }
-        );
+        expect(orderModel.findById).toHaveBeenCalledWith("123");
 
         expect(mockRes.status).toHaveBeenCalledWith(404);
 
@@ -165,12 +386,42 @@ describe("Order Status Update and Tracking", () => {
           success: false,
           message: "Order not found"
         });
+        expect(mockRes.json).not.toHaveBeenCalled();
       });
+
+    it("should only let admins cancel an order that was not paid for", async () => {
+        orderModel.findById.mockResolvedValue({
+            _id: "123",
+            status: "Not Process",
+            payment: { success: false },
+        });
+
+        await orderStatusController(mockReq, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+        expect(mockRes.send).toHaveBeenCalledWith({
+          success: false,
+          message: "Cannot change order status from Not Process to Processing",
+          allowed: ["Cancelled"]
+        });
+        expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should return 409 if the order changed status concurrently", async () => {
+        orderModel.findById.mockResolvedValue({ _id: "123", status: "Not Process", payment: { success: true } });
+        orderModel.findOneAndUpdate.mockResolvedValue(null);
+
+        await orderStatusController(mockReq, mockRes);
+
+        expect(mockRes.status).toHaveBeenCalledWith(409);
+        expect(mockRes.json).not.toHaveBeenCalled();
+    });
+
     it("should handle errors during status update", async () => {
         const mockError = new Error("Database error");
         
-        orderModel.findById.mockResolvedValue({ _id: "123", status: "Pending" }); 
-        orderModel.findByIdAndUpdate.mockRejectedValue(mockError);
+        orderModel.findById.mockResolvedValue({ _id: "123", status: "Not Process", payment: { success: true } });
+        orderModel.findOneAndUpdate.mockRejectedValue(mockError);
         
         await orderStatusController(mockReq, mockRes);
         
@@ -187,9 +438,21 @@ describe("Order Status Update and Tracking", () => {
   describe('getAllOrdersController unit tests', () => {
     let req;
     let res;
-    
+
+    // find(...).populate(...) x3 .sort(...).skip(...).limit(...) resolving to the orders
+    const mockOrderQuery = (result) => {
+        const query = {
+            populate: jest.fn().mockReturnThis(),
+            sort: jest.fn().mockReturnThis(),
+            skip: jest.fn().mockReturnThis(),
+            limit: jest.fn(() => result),
+        };
+        orderModel.find.mockReturnValue(query);
+        return query;
+    };
+
     beforeEach(() => {
-        req = {};
+        req = { query: {} };
         res = {
             json: jest.fn(),
             status: jest.fn().mockReturnThis(),
@@ -198,7 +461,7 @@ describe("Order Status Update and Tracking", () => {
         jest.clearAllMocks();
     });
 
-    it('should successfully retrieve all orders with sorted dates', async () => {
+    it('should return the first page of orders, newest first', async () => {
         const mockOrders = [
             {
                 _id: '123',
@@ -222,47 +485,632 @@ describe("Order Status Update and Tracking", () => {
                 createdAt: new Date('2024-02-15')
             }
         ];
+        const query = mockOrderQuery(Promise.resolve(mockOrders));
+        orderModel.countDocuments.mockResolvedValue(2);
 
-        const sortMock = jest.fn().mockResolvedValue(mockOrders);
-        const secondPopulateMock = jest.fn().mockReturnValue({ sort: sortMock });
-        const firstPopulateMock = jest.fn().mockReturnValue({
-            populate: secondPopulateMock
+        await getAllOrdersController(req, res);
+
+        expect(orderModel.find).toHaveBeenCalledWith({});
+        expect(query.populate).toHaveBeenCalledWith('products.product', '-photo');
+        expect(query.populate).toHaveBeenCalledWith('buyer', 'name email');
+        expect(query.populate).toHaveBeenCalledWith('statusHistory.changedBy', 'name');
+        expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+        expect(query.skip).toHaveBeenCalledWith(0);
+        expect(query.limit).toHaveBeenCalledWith(20);
+        expect(res.json).toHaveBeenCalledWith({
+            success: true,
+            orders: mockOrders,
+            total: 2,
+            page: 1,
+            pages: 1,
+            perPage: 20,
         });
+    });
 
-        orderModel.find.mockReturnValue({
-            populate: firstPopulateMock
+    it('should apply the filters, sort and page from the query string', async () => {
+        req.query = {
+            status: 'Delivered',
+            from: '2024-02-01',
+            to: '2024-02-29',
+            buyer: 'john',
+            minTotal: '1000',
+            maxTotal: '5000',
+            payment: 'success',
+            sort: 'total-desc',
+            page: '3',
+            perPage: '10',
+        };
+        userModel.find.mockReturnValue({
+            select: jest.fn().mockResolvedValue([{ _id: 'user1' }]),
         });
+        const query = mockOrderQuery(Promise.resolve([]));
+        orderModel.countDocuments.mockResolvedValue(25);
 
         await getAllOrdersController(req, res);
 
-        expect(orderModel.find).toHaveBeenCalledWith({});
-        expect(firstPopulateMock).toHaveBeenCalledWith('products', '-photo');
-        expect(secondPopulateMock).toHaveBeenCalledWith('buyer', 'name');
-        expect(sortMock).toHaveBeenCalledWith({ createdAt: '-1' });
-        expect(res.json).toHaveBeenCalledWith(mockOrders);
+        const filter = {
+            status: { $in: ['Delivered', 'delivered', 'deliverd'] },
+            createdAt: {
+                $gte: new Date('2024-02-01'),
+                $lt: new Date('2024-03-01'),
+            },
+            total: { $gte: 1000, $lte: 5000 },
+            'payment.success': true,
+            $or: [{ buyer: { $in: ['user1'] } }, { guestEmail: /john/i }],
+        };
+        expect(userModel.find).toHaveBeenCalledWith({
+            $or: [{ name: /john/i }, { email: /john/i }],
+        });
+        expect(orderModel.find).toHaveBeenCalledWith(filter);
+        expect(orderModel.countDocuments).toHaveBeenCalledWith(filter);
+        expect(query.sort).toHaveBeenCalledWith({ total: -1, createdAt: -1 });
+        expect(query.skip).toHaveBeenCalledWith(20);
+        expect(query.limit).toHaveBeenCalledWith(10);
+        expect(res.json).toHaveBeenCalledWith(
+            expect.objectContaining({ total: 25, page: 3, pages: 3, perPage: 10 })
+        );
+    });
+
+    it.each([
+        [{ status: 'Lost' }, 'Invalid order status'],
+        [{ from: 'yesterday' }, 'Dates must look like YYYY-MM-DD'],
+        [{ minTotal: '10.5' }, 'Totals must be a whole number of cents'],
+        [{ payment: 'maybe' }, 'Payment must be success or failed'],
+    ])('should reject the filter %o', async (query, message) => {
+        req.query = query;
+
+        await getAllOrdersController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.send).toHaveBeenCalledWith({ success: false, message });
+        expect(orderModel.find).not.toHaveBeenCalled();
     });
 
     it('should handle errors gracefully when retrieving all orders', async () => {
         const mockError = new Error('Database Error');
+        mockOrderQuery(Promise.reject(mockError));
+        orderModel.countDocuments.mockResolvedValue(0);
 
-        const sortMock = jest.fn().mockRejectedValue(mockError);
-        const secondPopulateMock = jest.fn().mockReturnValue({ sort: sortMock });
-        const firstPopulateMock = jest.fn().mockReturnValue({
-            populate: secondPopulateMock
+        await getAllOrdersController(req, res);
+
+        expect(orderModel.find).toHaveBeenCalledWith({});
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.send).toHaveBeenCalledWith({
+            success: false,
+            message: "Error While Getting All Orders",
+            error: mockError
         });
+    });
+});
 
-        orderModel.find.mockReturnValue({
-            populate: firstPopulateMock
+describe("exportOrdersController", () => {
+    let req, res, query;
+
+    // a real writable, so the controller can pipe into it
+    const createStreamResponse = () => {
+        const chunks = [];
+        const stream = new Writable({
+            write(chunk, encoding, callback) {
+                chunks.push(chunk);
+                callback();
+            }
         });
+        stream.setHeader = jest.fn();
+        stream.status = jest.fn().mockReturnThis();
+        stream.send = jest.fn();
+        stream.body = () => Buffer.concat(chunks).toString();
+        return stream;
+    };
 
-        await getAllOrdersController(req, res);
+    const mockOrderCursor = (source) => {
+        query = {
+            populate: jest.fn().mockReturnThis(),
+            sort: jest.fn().mockReturnThis(),
+            lean: jest.fn().mockReturnThis(),
+            cursor: jest.fn(() => source),
+        };
+        orderModel.find.mockReturnValue(query);
+    };
+
+    const orders = [
+        {
+            _id: "order1",
+            createdAt: new Date("2024-02-16"),
+            buyer: { name: "Jane", email: "jane@example.com" },
+            status: "Delivered",
+            payment: { success: true, transactionId: "txn1" },
+            currency: "USD",
+            products: [{ product: { _id: "p1", name: "Laptop" }, quantity: 1, price: 150000 }],
+            total: 150000,
+        },
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        req = { query: { status: "Delivered" } };
+        res = createStreamResponse();
+        mockOrderCursor(orders);
+    });
+
+    it("should stream matching orders as csv by default", async () => {
+        await exportOrdersController(req, res);
+
+        expect(orderModel.find).toHaveBeenCalledWith({
+            status: { $in: ["Delivered", "delivered", "deliverd"] }
+        });
+        expect(query.populate).toHaveBeenCalledWith("buyer", "name email");
+        expect(query.cursor).toHaveBeenCalled();
+        expect(res.setHeader).toHaveBeenCalledWith("Content-Type", "text/csv; charset=utf-8");
+        expect(res.setHeader).toHaveBeenCalledWith(
+            "Content-Disposition",
+            expect.stringMatching(/^attachment; filename="orders-\d{4}-\d{2}-\d{2}\.csv"$/)
+        );
+        const lines = res.body().trim().split("\r\n");
+        expect(lines).toHaveLength(2);
+        expect(lines[1]).toContain('"jane@example.com","Delivered","authorized","txn1"');
+        expect(lines[1]).toContain('"1 x Laptop @ 1500.00"');
+    });
+
+    it("should stream json when asked to", async () => {
+        req.query.format = "json";
+
+        await exportOrdersController(req, res);
+
+        expect(res.setHeader).toHaveBeenCalledWith(
+            "Content-Type",
+            "application/json; charset=utf-8"
+        );
+        const [record] = JSON.parse(res.body());
+        expect(record).toEqual(
+            expect.objectContaining({ orderId: "order1", transactionId: "txn1", total: "1500.00" })
+        );
+    });
+
+    it.each([
+        [{ format: "xlsx" }, "Export format must be csv or json"],
+        [{ status: "Lost" }, "Invalid order status"],
+    ])("should reject %o", async (query, message) => {
+        req.query = query;
+
+        await exportOrdersController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.send).toHaveBeenCalledWith({ success: false, message });
+        expect(orderModel.find).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 when the orders can not be read", async () => {
+        const mockError = new Error("Database Error");
+        orderModel.find.mockImplementation(() => {
+            throw mockError;
+        });
+
+        await exportOrdersController(req, res);
 
-        expect(orderModel.find).toHaveBeenCalledWith({});
         expect(res.status).toHaveBeenCalledWith(500);
         expect(res.send).toHaveBeenCalledWith({
             success: false,
-            message: "Error While Getting All Orders",
+            message: "Error While Exporting Orders",
             error: mockError
         });
     });
-});
\ No newline at end of file
+
+    it("should end the response when the cursor fails mid-stream", async () => {
+        async function* failingCursor() {
+            yield orders[0];
+            throw new Error("cursor closed");
+        }
+        mockOrderCursor(failingCursor());
+        res.headersSent = true;
+
+        await exportOrdersController(req, res);
+
+        expect(res.destroyed).toBe(true);
+        expect(res.send).not.toHaveBeenCalled();
+    });
+});
+
+describe("cancelOrderController", () => {
+    let req, res, order;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        req = {
+            params: { id: "order1" },
+            body: { reason: "Ordered the wrong size" },
+            user: { _id: "user1" }
+        };
+        res = {
+            json: jest.fn(),
+            status: jest.fn().mockReturnThis(),
+            send: jest.fn()
+        };
+        order = {
+            _id: "order1",
+            buyer: "user1",
+            status: "Not Process",
+            payment: { success: true, transactionId: "txn1" },
+            products: [{ product: "p1", quantity: 2, price: 10 }]
+        };
+        orderModel.findOne.mockResolvedValue(order);
+        orderModel.findOneAndUpdate.mockResolvedValue({ ...order, status: "Cancelled" });
+        orderModel.findByIdAndUpdate.mockResolvedValue({ ...order, status: "Cancelled" });
+        productModel.findByIdAndUpdate.mockResolvedValue({});
+        reversePayment.mockResolvedValue({ success: true, transactionId: "txn1", status: "voided" });
+    });
+
+    it("should only look up orders belonging to the buyer", async () => {
+        await cancelOrderController(req, res);
+
+        expect(orderModel.findOne).toHaveBeenCalledWith({ _id: "order1", buyer: "user1" });
+    });
+
+    it("should cancel the order, reverse the payment and restore stock", async () => {
+        await cancelOrderController(req, res);
+
+        expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+            { _id: "order1", status: "Not Process", "shipments.0": { $exists: false } },
+            {
+                $set: {
+                    status: "Cancelled",
+                    cancellation: { reason: "Ordered the wrong size", cancelledAt: expect.any(Date) }
+                },
+                $push: {
+                    statusHistory: expect.objectContaining({
+                        status: "Cancelled",
+                        changedBy: "user1",
+                        note: "Ordered the wrong size"
+                    })
+                }
+            },
+            { new: true }
+        );
+        expect(reversePayment).toHaveBeenCalledWith(order.payment);
+        expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith("p1", { $inc: { quantity: 2 } });
+        expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith(
+            "order1",
+            {
+                $set: {
+                    "cancellation.refund": { success: true, transactionId: "txn1", status: "voided" },
+                    paymentStatus: "refunded",
+                    paymentStatusAt: expect.any(Date),
+                },
+            },
+            { new: true }
+        );
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send).toHaveBeenCalledWith(
+            expect.objectContaining({ success: true, message: "Order Cancelled" })
+        );
+        expect(sendOrderStatusEmail).toHaveBeenCalledWith("order1", "Ordered the wrong size");
+    });
+
+    it("should give back the coupon used on the order", async () => {
+        order.discount = { code: "SAVE10", amount: 2 };
+
+        await cancelOrderController(req, res);
+
+        expect(releaseCoupon).toHaveBeenCalledWith("SAVE10", "user1");
+    });
+
+    it("should not refund or restock an order whose payment failed", async () => {
+        order.payment = { success: false };
+        order.discount = { code: "SAVE10", amount: 2 };
+
+        await cancelOrderController(req, res);
+
+        expect(reversePayment).not.toHaveBeenCalled();
+        expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+        expect(releaseCoupon).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should require a reason", async () => {
+        req.body = { reason: "  " };
+
+        await cancelOrderController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.send).toHaveBeenCalledWith({ success: false, message: "Reason is required" });
+        expect(orderModel.findOne).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for orders of other buyers", async () => {
+        orderModel.findOne.mockResolvedValue(null);
+
+        await cancelOrderController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it.each(["Shipped", "Delivered", "Cancelled"])("should refuse to cancel a %s order", async (status) => {
+        order.status = status;
+
+        await cancelOrderController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.send).toHaveBeenCalledWith({
+            success: false,
+            message: "Order can no longer be cancelled"
+        });
+        expect(reversePayment).not.toHaveBeenCalled();
+    });
+
+    it("should refuse to cancel an order with a parcel already shipped", async () => {
+        order.status = "Processing";
+        order.shipments = [{ items: [{ product: "p1", quantity: 1 }] }];
+
+        await cancelOrderController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.send).toHaveBeenCalledWith({
+            success: false,
+            message: "Order can no longer be cancelled"
+        });
+        expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(reversePayment).not.toHaveBeenCalled();
+    });
+
+    it("should return 409 when the order changed in the meantime", async () => {
+        orderModel.findOneAndUpdate.mockResolvedValue(null);
+
+        await cancelOrderController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(reversePayment).not.toHaveBeenCalled();
+    });
+
+    it("should put the order back when the refund fails", async () => {
+        reversePayment.mockResolvedValue({ success: false, message: "Declined" });
+
+        await cancelOrderController(req, res);
+
+        expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith("order1", {
+            $set: { status: "Not Process" },
+            $unset: { cancellation: "" },
+            $pop: { statusHistory: 1 }
+        });
+        expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.send).toHaveBeenCalledWith({
+            success: false,
+            message: "Could not refund the payment, please contact us"
+        });
+    });
+
+    it("should put the order back when the gateway throws", async () => {
+        reversePayment.mockRejectedValue(new Error("Gateway down"));
+
+        await cancelOrderController(req, res);
+
+        expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith(
+            "order1",
+            expect.objectContaining({ $set: { status: "Not Process" } })
+        );
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
+
+describe("orderInvoiceController", () => {
+    let req, res, doc, order;
+
+    const mockOrderLookup = (result) => {
+        orderModel.findById.mockReturnValue({
+            populate: jest.fn().mockReturnValue({
+                populate: jest.fn().mockResolvedValue(result)
+            })
+        });
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        req = { params: { id: "order1" }, user: { _id: "user1" } };
+        res = {
+            setHeader: jest.fn(),
+            status: jest.fn().mockReturnThis(),
+            send: jest.fn()
+        };
+        doc = { pipe: jest.fn(), end: jest.fn() };
+        createInvoice.mockReturnValue(doc);
+        order = {
+            _id: "order1",
+            buyer: { _id: "user1", name: "Jane" },
+            payment: { success: true, transactionId: "txn1" },
+            paymentStatus: "settled"
+        };
+        mockOrderLookup(order);
+    });
+
+    it("should stream the invoice pdf to the buyer", async () => {
+        await orderInvoiceController(req, res);
+
+        expect(res.setHeader).toHaveBeenCalledWith("Content-Type", "application/pdf");
+        expect(res.setHeader).toHaveBeenCalledWith(
+            "Content-Disposition",
+            'attachment; filename="invoice-order1.pdf"'
+        );
+        expect(createInvoice).toHaveBeenCalledWith(order);
+        expect(doc.pipe).toHaveBeenCalledWith(res);
+        expect(doc.end).toHaveBeenCalled();
+        expect(userModel.findById).not.toHaveBeenCalled();
+    });
+
+    it("should name the invoice after the order number", async () => {
+        order.orderNumber = "VV-2026-000123";
+
+        await orderInvoiceController(req, res);
+
+        expect(res.setHeader).toHaveBeenCalledWith(
+            "Content-Disposition",
+            'attachment; filename="invoice-VV-2026-000123.pdf"'
+        );
+    });
+
+    it.each([
+        ["declined", { payment: { success: false }, paymentStatus: "declined" }],
+        ["refunded", { paymentStatus: "refunded" }],
+    ])("should not invoice %s orders", async (_, fields) => {
+        Object.assign(order, fields);
+
+        await orderInvoiceController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.send).toHaveBeenCalledWith({
+            success: false,
+            message: "Invoices are only available for paid orders"
+        });
+        expect(createInvoice).not.toHaveBeenCalled();
+    });
+
+    it("should let admins download any invoice", async () => {
+        req.user._id = "admin1";
+        userModel.findById.mockResolvedValue({ role: 1 });
+
+        await orderInvoiceController(req, res);
+
+        expect(doc.pipe).toHaveBeenCalledWith(res);
+    });
+
+    it("should refuse other users", async () => {
+        req.user._id = "someone";
+        userModel.findById.mockResolvedValue({ role: 0 });
+
+        await orderInvoiceController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.send).toHaveBeenCalledWith({
+            success: false,
+            message: "UnAuthorized Access"
+        });
+        expect(createInvoice).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for unknown orders", async () => {
+        mockOrderLookup(null);
+
+        await orderInvoiceController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it("should return 500 when the invoice can't be generated", async () => {
+        const error = new Error("font missing");
+        createInvoice.mockImplementation(() => {
+            throw error;
+        });
+
+        await orderInvoiceController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(res.send).toHaveBeenCalledWith({
+            success: false,
+            message: "Error While Generating Invoice",
+            error
+        });
+    });
+});
+
+describe("orderLookupController", () => {
+    const orderId = "64b7f0c2a1b2c3d4e5f60718";
+    let req, res, order, query;
+
+    beforeAll(() => {
+        process.env.ORDER_LOOKUP_SECRET = "lookup-secret";
+    });
+
+    afterAll(() => {
+        delete process.env.ORDER_LOOKUP_SECRET;
+    });
+
+    const mockOrderLookup = (result) => {
+        query = {
+            select: jest.fn().mockReturnThis(),
+            populate: jest.fn().mockResolvedValue(result)
+        };
+        orderModel.findOne.mockReturnValue(query);
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        req = { body: { order: orderId, email: " Jane@Example.com " } };
+        res = {
+            status: jest.fn().mockReturnThis(),
+            send: jest.fn()
+        };
+        order = { _id: orderId, guestEmail: "jane@example.com", status: "Not Process" };
+        mockOrderLookup(order);
+    });
+
+    it("should find a guest order by id and email", async () => {
+        await orderLookupController(req, res);
+
+        expect(orderModel.findOne).toHaveBeenCalledWith({
+            _id: orderId,
+            guestEmail: { $exists: true }
+        });
+        expect(query.populate).toHaveBeenCalledWith("products.product", "-photo");
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send).toHaveBeenCalledWith({
+            success: true,
+            message: "Order Found",
+            order,
+            token: orderLookupToken(orderId, "jane@example.com")
+        });
+    });
+
+    it("should find a guest order by its order number", async () => {
+        req.body.order = " vv-2026-000123 ";
+
+        await orderLookupController(req, res);
+
+        expect(orderModel.findOne).toHaveBeenCalledWith({
+            orderNumber: "VV-2026-000123",
+            guestEmail: { $exists: true }
+        });
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should find a guest order by the token from its link", async () => {
+        req.body = { order: orderId, token: orderLookupToken(orderId, "jane@example.com") };
+
+        await orderLookupController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should give the same answer for a wrong email or token", async () => {
+        req.body.email = "someone@example.com";
+        await orderLookupController(req, res);
+
+        req.body = { order: orderId, token: "forged" };
+        await orderLookupController(req, res);
+
+        expect(res.status).toHaveBeenNthCalledWith(1, 404);
+        expect(res.status).toHaveBeenNthCalledWith(2, 404);
+        expect(res.send).toHaveBeenCalledWith({
+            success: false,
+            message: "No order matches these details"
+        });
+    });
+
+    it("should not query for ids that can't be orders", async () => {
+        req.body.order = "not-an-id";
+
+        await orderLookupController(req, res);
+
+        expect(orderModel.findOne).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it("should require the order number and an email or token", async () => {
+        req.body = { order: orderId };
+
+        await orderLookupController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.send).toHaveBeenCalledWith({
+            success: false,
+            message: "Order number and email are required"
+        });
+    });
+});
@@ -0,0 +1,105 @@
+import orderModel from "../models/orderModel.js";
+import userModel from "../models/userModel.js";
+import {
+  DEFAULT_RANGE_DAYS,
+  INTERVALS,
+  mergeSeries,
+  mergeStatusCounts,
+  newCustomersPipeline,
+  revenueSeriesPipeline,
+  salesTotalsPipeline,
+  statusCountsPipeline,
+  topCategoriesPipeline,
+  topProductsPipeline,
+} from "../helpers/analyticsHelper.js";
+import { storeCurrency } from "../helpers/moneyHelper.js";
+import { dateRange } from "../helpers/orderQueryHelper.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD of today and DEFAULT_RANGE_DAYS before, when none are given
+const defaultRange = () => {
+  const today = new Date();
+  const from = new Date(today.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY);
+  return {
+    from: from.toISOString().slice(0, 10),
+    to: today.toISOString().slice(0, 10),
+  };
+};
+
+//sales analytics
+export const salesAnalyticsController = async (req, res) => {
+  try {
+    const defaults = defaultRange();
+    const from = req.query.from || defaults.from;
+    const to = req.query.to || defaults.to;
+    const interval = req.query.interval || "day";
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).send({
+        success: false,
+        message: "Interval must be day, week or month",
+      });
+    }
+    const createdAt = dateRange(from, to);
+    if (!createdAt) {
+      return res.status(400).send({
+        success: false,
+        message: "Dates must look like YYYY-MM-DD",
+      });
+    }
+    if (createdAt.$gte >= createdAt.$lt) {
+      return res.status(400).send({
+        success: false,
+        message: "The start date must not be after the end date",
+      });
+    }
+
+    const [sales, [totals], topProducts, topCategories, statuses, customers] =
+      await Promise.all([
+        orderModel.aggregate(revenueSeriesPipeline(createdAt, interval)),
+        orderModel.aggregate(salesTotalsPipeline(createdAt)),
+        orderModel.aggregate(topProductsPipeline(createdAt)),
+        orderModel.aggregate(topCategoriesPipeline(createdAt)),
+        orderModel.aggregate(statusCountsPipeline(createdAt)),
+        userModel.aggregate(newCustomersPipeline(createdAt, interval)),
+      ]);
+    const revenue = totals?.revenue || 0;
+    const orders = totals?.orders || 0;
+
+    res.status(200).send({
+      success: true,
+      message: "Sales Analytics",
+      currency: storeCurrency(),
+      from,
+      to,
+      interval,
+      totals: {
+        revenue,
+        orders,
+        averageOrderValue: orders ? Math.round(revenue / orders) : 0,
+        newCustomers: customers.reduce((sum, row) => sum + row.customers, 0),
+      },
+      series: mergeSeries(sales, customers),
+      topProducts: topProducts.map(({ _id, name, quantity, revenue }) => ({
+        product: _id,
+        name,
+        quantity,
+        revenue,
+      })),
+      topCategories: topCategories.map(({ _id, name, quantity, revenue }) => ({
+        category: _id,
+        name,
+        quantity,
+        revenue,
+      })),
+      statuses: mergeStatusCounts(statuses),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Getting Sales Analytics",
+      error,
+    });
+  }
+};
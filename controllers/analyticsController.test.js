@@ -0,0 +1,148 @@
+import { jest } from "@jest/globals";
+import { salesAnalyticsController } from "./analyticsController";
+import orderModel from "../models/orderModel";
+import userModel from "../models/userModel";
+
+jest.mock("../models/orderModel.js");
+jest.mock("../models/userModel.js");
+
+const createMockResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  send: jest.fn(),
+});
+
+const feb1 = new Date("2024-02-01");
+
+let logSpy;
+beforeAll(() => {
+  logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  logSpy.mockRestore();
+});
+
+describe("salesAnalyticsController", () => {
+  let req, res;
+
+  // the order aggregations run in the order the controller starts them
+  const mockAggregations = ({
+    series = [],
+    totals = [],
+    products = [],
+    categories = [],
+    statuses = [],
+  }) => {
+    orderModel.aggregate
+      .mockResolvedValueOnce(series)
+      .mockResolvedValueOnce(totals)
+      .mockResolvedValueOnce(products)
+      .mockResolvedValueOnce(categories)
+      .mockResolvedValueOnce(statuses);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { query: { from: "2024-02-01", to: "2024-02-29", interval: "week" } };
+    res = createMockResponse();
+    userModel.aggregate.mockResolvedValue([{ _id: feb1, customers: 2 }]);
+  });
+
+  it("should report sales for the chosen range", async () => {
+    mockAggregations({
+      series: [{ _id: feb1, revenue: 30000, orders: 2 }],
+      totals: [{ _id: null, revenue: 30001, orders: 2 }],
+      products: [{ _id: "p1", name: "Laptop", quantity: 2, revenue: 30000 }],
+      categories: [{ _id: "c1", name: "Electronics", quantity: 2, revenue: 30000 }],
+      statuses: [{ _id: "Not Process", count: 3 }],
+    });
+
+    await salesAnalyticsController(req, res);
+
+    const [matchStage] = orderModel.aggregate.mock.calls[0][0];
+    expect(matchStage.$match.createdAt).toEqual({
+      $gte: new Date("2024-02-01"),
+      $lt: new Date("2024-03-01"),
+    });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Sales Analytics",
+      currency: "USD",
+      from: "2024-02-01",
+      to: "2024-02-29",
+      interval: "week",
+      totals: {
+        revenue: 30001,
+        orders: 2,
+        averageOrderValue: 15001,
+        newCustomers: 2,
+      },
+      series: [
+        { period: feb1.toISOString(), revenue: 30000, orders: 2, customers: 2 },
+      ],
+      topProducts: [{ product: "p1", name: "Laptop", quantity: 2, revenue: 30000 }],
+      topCategories: [
+        { category: "c1", name: "Electronics", quantity: 2, revenue: 30000 },
+      ],
+      statuses: [{ status: "Not Process", count: 3 }],
+    });
+  });
+
+  it("should report zeros when nothing was sold", async () => {
+    mockAggregations({});
+    userModel.aggregate.mockResolvedValue([]);
+
+    await salesAnalyticsController(req, res);
+
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        totals: { revenue: 0, orders: 0, averageOrderValue: 0, newCustomers: 0 },
+        series: [],
+      })
+    );
+  });
+
+  it("should default to the last 30 days by day", async () => {
+    req.query = {};
+    mockAggregations({});
+
+    await salesAnalyticsController(req, res);
+
+    const { from, to, interval } = res.send.mock.calls[0][0];
+    const days = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000);
+    expect(days).toBe(29);
+    expect(interval).toBe("day");
+  });
+
+  it.each([
+    [{ interval: "year" }, "Interval must be day, week or month"],
+    [{ from: "last week" }, "Dates must look like YYYY-MM-DD"],
+    [
+      { from: "2024-03-01", to: "2024-02-01" },
+      "The start date must not be after the end date",
+    ],
+  ])("should reject %o", async (query, message) => {
+    req.query = query;
+
+    await salesAnalyticsController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ success: false, message });
+    expect(orderModel.aggregate).not.toHaveBeenCalled();
+  });
+
+  it("should return 500 when an aggregation fails", async () => {
+    const error = new Error("db down");
+    orderModel.aggregate.mockRejectedValue(error);
+
+    await salesAnalyticsController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error While Getting Sales Analytics",
+      error,
+    });
+  });
+});
@@ -1,8 +1,49 @@
+import mongoose from "mongoose";
 import userModel from "../models/userModel.js";
 import orderModel from "../models/orderModel.js";
 
 import { comparePassword, hashPassword, validateEmail, validatePhone, validatePassword } from "./../helpers/authHelper.js";
+import {
+  ORDER_STATUSES,
+  canChangeStatus,
+  normalizeStatus,
+  orderNextStatuses,
+  statusHistoryEntry,
+} from "./../helpers/orderStatusHelper.js";
+import { cancelOrder } from "./../helpers/cancellationHelper.js";
+import { createInvoice } from "./../helpers/invoiceHelper.js";
+import {
+  orderReturnDeadline,
+  returnDeadline,
+} from "./../helpers/returnHelper.js";
+import {
+  EXPORT_CONTENT_TYPES,
+  EXPORT_FORMATS,
+  exportChunks,
+} from "./../helpers/orderExportHelper.js";
+import {
+  buildOrderFilter,
+  orderPage,
+  orderSort,
+} from "./../helpers/orderQueryHelper.js";
+import {
+  sendClaimOrdersEmail,
+  sendOrderStatusEmail,
+  sendPasswordResetEmail,
+  sendWelcomeEmail,
+} from "./../helpers/notificationHelper.js";
+import {
+  checkClaimOrdersToken,
+  checkLookupToken,
+  claimGuestOrders,
+  countGuestOrders,
+  normalizeEmail,
+  orderLookupToken,
+} from "./../helpers/guestHelper.js";
+import { orderKey, orderReference } from "./../helpers/orderNumberHelper.js";
 import JWT from "jsonwebtoken";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
 
 export const registerController = async (req, res) => {
   try {
@@ -67,11 +108,18 @@ export const registerController = async (req, res) => {
       password: hashedPassword,
       answer,
     }).save();
+    // not awaited, mail never holds up the response and never throws
+    sendWelcomeEmail(user);
+    // guest orders with this email only move over once the owner of the
+    // mailbox follows the link in this email
+    const guestOrders = await countGuestOrders(user.email);
+    if (guestOrders) sendClaimOrdersEmail(user, guestOrders);
 
     res.status(201).send({
       success: true,
       message: "User Register Successfully",
       user,
+      guestOrders,
     });
   } catch (error) {
     console.log(error);
@@ -169,6 +217,7 @@ export const forgotPasswordController = async (req, res) => {
     }
     const hashed = await hashPassword(newPassword);
     await userModel.findByIdAndUpdate(user._id, { password: hashed });
+    sendPasswordResetEmail(user);
     res.status(200).send({
       success: true,
       message: "Password Reset Successfully",
@@ -241,8 +290,18 @@ export const getOrdersController = async (req, res) => {
     
     const orders = await orderModel
       .find({ buyer: req.user._id })
-      .populate("products", "-photo")
+      .populate("products.product", "-photo")
       .populate("buyer", "name");
+    // orders delivered before returnableUntil was stored get the deadline
+    // the return request will be checked against, it is not saved here
+    orders.forEach((order) => {
+      if (
+        normalizeStatus(order.status) === "Delivered" &&
+        !order.returnableUntil
+      ) {
+        order.returnableUntil = orderReturnDeadline(order);
+      }
+    });
     res.json(orders);
   } catch (error) {
     console.log(error);
@@ -253,15 +312,107 @@ export const getOrdersController = async (req, res) => {
     });
   }
 };
+//find a guest order by its id and email, or the token from its lookup link
+export const orderLookupController = async (req, res) => {
+  try {
+    const { order: orderId, email, token } = req.body;
+    if (!orderId || (!email && !token)) {
+      return res.status(400).send({
+        success: false,
+        message: "Order number and email are required",
+      });
+    }
+    // guests quote their order number, older orders only have the id
+    const key = orderKey(orderId);
+    const order = key
+      ? await orderModel
+          .findOne({ ...key, guestEmail: { $exists: true } })
+          .select("-paymentEvents")
+          .populate("products.product", "-photo")
+      : null;
+    const found =
+      order &&
+      (token
+        ? checkLookupToken(order._id, order.guestEmail, token)
+        : normalizeEmail(email) === order.guestEmail);
+    // the same answer whether the order or the email is wrong
+    if (!found) {
+      return res.status(404).send({
+        success: false,
+        message: "No order matches these details",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Order Found",
+      order,
+      token: orderLookupToken(order._id, order.guestEmail),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Looking Up Order",
+      error,
+    });
+  }
+};
+
+//new account takes over its guest orders, from the link in the email
+export const claimGuestOrdersController = async (req, res) => {
+  try {
+    const { user: userId, token } = req.body;
+    const user = mongoose.isValidObjectId(userId)
+      ? await userModel.findById(userId)
+      : null;
+    if (!user || !checkClaimOrdersToken(user._id, user.email, token)) {
+      return res.status(400).send({
+        success: false,
+        message: "This link is invalid",
+      });
+    }
+    const claimedOrders = await claimGuestOrders(user);
+    res.status(200).send({
+      success: true,
+      message: "Orders added to your account",
+      claimedOrders,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Claiming Orders",
+      error,
+    });
+  }
+};
 //orders
 export const getAllOrdersController = async (req, res) => {
   try {
-    const orders = await orderModel
-      .find({})
-      .populate("products", "-photo")
-      .populate("buyer", "name")
-      .sort({ createdAt: "-1" });
-    res.json(orders);
+    const { filter, error } = await buildOrderFilter(req.query);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    const { page, perPage, skip } = orderPage(req.query);
+    const [orders, total] = await Promise.all([
+      orderModel
+        .find(filter)
+        .populate("products.product", "-photo")
+        .populate("buyer", "name email")
+        .populate("statusHistory.changedBy", "name")
+        .sort(orderSort(req.query.sort))
+        .skip(skip)
+        .limit(perPage),
+      orderModel.countDocuments(filter),
+    ]);
+    res.json({
+      success: true,
+      orders,
+      total,
+      page,
+      pages: Math.ceil(total / perPage),
+      perPage,
+    });
   } catch (error) {
     console.log(error);
     res.status(500).send({
@@ -272,25 +423,123 @@ export const getAllOrdersController = async (req, res) => {
   }
 };
 
+//export orders
+export const exportOrdersController = async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).send({
+        success: false,
+        message: "Export format must be csv or json",
+      });
+    }
+    const { filter, error } = await buildOrderFilter(req.query);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    // a cursor hands over one order at a time instead of the whole result
+    const orders = orderModel
+      .find(filter)
+      .populate("products.product", "name")
+      .populate("buyer", "name email")
+      .sort(orderSort(req.query.sort))
+      .lean()
+      .cursor();
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", EXPORT_CONTENT_TYPES[format]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="orders-${date}.${format}"`
+    );
+    await pipeline(Readable.from(exportChunks(orders, format)), res);
+  } catch (error) {
+    console.log(error);
+    // once streaming has started the status is sent, pipeline ends the response
+    if (res.headersSent) return;
+    res.status(500).send({
+      success: false,
+      message: "Error While Exporting Orders",
+      error,
+    });
+  }
+};
+
 //order status
 export const orderStatusController = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
+    const { status, note } = req.body;
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid order status",
+      });
+    }
+
+    const order = await orderModel.findById(orderId);
+    if (!order) {
+      return res.status(404).send({
+        success: false,
+        message: "Order not found",
+      });
+    }
+    if (!canChangeStatus(order, status)) {
+      return res.status(400).send({
+        success: false,
+        message: `Cannot change order status from ${normalizeStatus(
+          order.status
+        )} to ${status}`,
+        allowed: orderNextStatuses(order),
+      });
+    }
 
-    const orders = await orderModel.findByIdAndUpdate(
-      orderId,
-      { status },
+    // gives the money, stock and coupon back like a buyer's cancel does
+    if (status === "Cancelled") {
+      const result = await cancelOrder(order, {
+        reason: note,
+        changedBy: req.user._id,
+      });
+      if (result.conflict) {
+        return res.status(409).send({
+          success: false,
+          message: "Order status was changed by someone else, please refresh",
+        });
+      }
+      if (result.refundFailed) {
+        return res.status(500).send({
+          success: false,
+          message: "Could not refund the payment, the order was not cancelled",
+        });
+      }
+      sendOrderStatusEmail(result.order._id, note);
+      return res.json(result.order);
+    }
+
+    // only apply the change if nobody else moved the order in the meantime
+    const orders = await orderModel.findOneAndUpdate(
+      { _id: orderId, status: order.status },
+      {
+        $set: {
+          status,
+          // the return window starts when the goods arrive
+          ...(status === "Delivered"
+            ? { returnableUntil: returnDeadline(new Date()) }
+            : {}),
+        },
+        $push: {
+          statusHistory: statusHistoryEntry(status, req.user._id, note),
+        },
+      },
       { new: true }
     );
-
     if (!orders) {
-        res.status(404).send({
+      return res.status(409).send({
         success: false,
-        message: "Order not found",
+        message: "Order status was changed by someone else, please refresh",
       });
     }
-
+    sendOrderStatusEmail(orders._id, note);
     res.json(orders);
   } catch (error) {
     console.log(error);
@@ -300,4 +549,112 @@ export const orderStatusController = async (req, res) => {
       error,
     });
   }
-};
\ No newline at end of file
+};
+
+//buyer cancels their own order
+export const cancelOrderController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = req.body?.reason?.trim();
+    if (!reason) {
+      return res.status(400).send({
+        success: false,
+        message: "Reason is required",
+      });
+    }
+
+    const order = await orderModel.findOne({ _id: id, buyer: req.user._id });
+    if (!order) {
+      return res.status(404).send({
+        success: false,
+        message: "Order not found",
+      });
+    }
+    if (!canChangeStatus(order, "Cancelled")) {
+      return res.status(400).send({
+        success: false,
+        message: "Order can no longer be cancelled",
+      });
+    }
+
+    const result = await cancelOrder(order, {
+      reason,
+      changedBy: req.user._id,
+    });
+    if (result.conflict) {
+      return res.status(409).send({
+        success: false,
+        message: "Order status was changed by someone else, please refresh",
+      });
+    }
+    if (result.refundFailed) {
+      return res.status(500).send({
+        success: false,
+        message: "Could not refund the payment, please contact us",
+      });
+    }
+    sendOrderStatusEmail(id, reason);
+    res.status(200).send({
+      success: true,
+      message: "Order Cancelled",
+      order: result.order,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Cancelling Order",
+      error,
+    });
+  }
+};
+
+//invoice pdf for the buyer or an admin
+export const orderInvoiceController = async (req, res) => {
+  try {
+    const order = await orderModel
+      .findById(req.params.id)
+      .populate("products.product", "name")
+      .populate("buyer", "name address");
+    if (!order) {
+      return res.status(404).send({
+        success: false,
+        message: "Order not found",
+      });
+    }
+    if (String(order.buyer?._id) !== String(req.user._id)) {
+      const user = await userModel.findById(req.user._id);
+      if (user?.role !== 1) {
+        return res.status(401).send({
+          success: false,
+          message: "UnAuthorized Access",
+        });
+      }
+    }
+
+    // declined orders were never charged and cancelled or fully refunded
+    // ones were given back, neither has anything to invoice
+    if (!order.payment?.success || order.paymentStatus === "refunded") {
+      return res.status(409).send({
+        success: false,
+        message: "Invoices are only available for paid orders",
+      });
+    }
+
+    const doc = createInvoice(order);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="invoice-${orderReference(order)}.pdf"`
+    );
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Generating Invoice",
+      error,
+    });
+  }
+};
@@ -1,11 +1,32 @@
 import { expect, jest } from "@jest/globals";
-import { registerController, loginController, forgotPasswordController, testController } from "./authController";
+import { registerController, loginController, forgotPasswordController, testController, claimGuestOrdersController } from "./authController";
 import userModel from "../models/userModel";
 import * as authHelper from "./../helpers/authHelper.js";
 import JWT from "jsonwebtoken";
+import {
+  sendClaimOrdersEmail,
+  sendPasswordResetEmail,
+  sendWelcomeEmail,
+} from "../helpers/notificationHelper.js";
+import {
+  claimGuestOrders,
+  claimOrdersToken,
+  countGuestOrders,
+} from "../helpers/guestHelper.js";
 
 jest.mock("jsonwebtoken");
+jest.mock("../helpers/notificationHelper.js", () => ({
+  sendClaimOrdersEmail: jest.fn(),
+  sendWelcomeEmail: jest.fn(),
+  sendPasswordResetEmail: jest.fn(),
+  sendOrderStatusEmail: jest.fn(),
+}));
 jest.mock("../models/userModel.js");
+jest.mock("../helpers/guestHelper.js", () => ({
+  ...jest.requireActual("../helpers/guestHelper.js"),
+  claimGuestOrders: jest.fn(),
+  countGuestOrders: jest.fn(),
+}));
 jest.mock("./../helpers/authHelper.js", () => ({
   ...jest.requireActual("./../helpers/authHelper.js"),
   validateEmail: (email) => {
@@ -38,6 +59,7 @@ describe("Register Controller Test", () => {
     };
 
     JWT.sign.mockReturnValue("mocked_token");
+    countGuestOrders.mockResolvedValue(0);
   });
 
   test("email is empty", async () => {
@@ -210,9 +232,37 @@ describe("Register Controller Test", () => {
     expect(res.send).toHaveBeenCalledWith({
       success: true,
       message: "User Register Successfully",
-      user: expect.any(Object)
+      user: expect.any(Object),
+      guestOrders: 0,
     });
     expect(userModel.prototype.save).toHaveBeenCalled();
+    expect(sendWelcomeEmail).toHaveBeenCalledWith(savedUser);
+  });
+
+  test("guest orders with the same email wait for the emailed link", async () => {
+    req = {
+      body: {
+        name: "John Doe",
+        email: "john@example.com",
+        password: "Pass123!",
+        phone: "12344000",
+        address: "123 Street",
+        answer: "Football",
+      },
+    };
+    userModel.findOne = jest.fn().mockResolvedValue(null);
+    const savedUser = { ...req.body, _id: "userid" };
+    userModel.prototype.save = jest.fn().mockResolvedValue(savedUser);
+    countGuestOrders.mockResolvedValueOnce(2);
+
+    await registerController(req, res);
+
+    expect(countGuestOrders).toHaveBeenCalledWith("john@example.com");
+    expect(sendClaimOrdersEmail).toHaveBeenCalledWith(savedUser, 2);
+    expect(claimGuestOrders).not.toHaveBeenCalled();
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true, guestOrders: 2 })
+    );
   });
 
   test("invalid email", async () => { 
@@ -689,6 +739,9 @@ describe("Forgot Password Controller Test", () => {
       success: true,
       message: "Password Reset Successfully",
     });
+    expect(sendPasswordResetEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ email: "john@example.com" })
+    );
   });
   
   test("something went wrong in forgot password", async () => {
@@ -842,4 +895,69 @@ describe("Test Controller Test", () => {
 
     consoleSpy.mockRestore();
   });
-});
\ No newline at end of file
+});
+
+describe("claimGuestOrdersController", () => {
+  const userId = "5f8d0d55b54764421b7156c9";
+  const user = { _id: userId, email: "john@example.com" };
+  let req, res;
+
+  beforeAll(() => {
+    process.env.ORDER_LOOKUP_SECRET = "lookup-secret";
+  });
+
+  afterAll(() => {
+    delete process.env.ORDER_LOOKUP_SECRET;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+    };
+    userModel.findById = jest.fn().mockResolvedValue(user);
+  });
+
+  test("moves the guest orders over with a valid link", async () => {
+    req = { body: { user: userId, token: claimOrdersToken(userId, user.email) } };
+    claimGuestOrders.mockResolvedValueOnce(2);
+
+    await claimGuestOrdersController(req, res);
+
+    expect(claimGuestOrders).toHaveBeenCalledWith(user);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Orders added to your account",
+      claimedOrders: 2,
+    });
+  });
+
+  test.each([
+    ["a wrong token", { user: userId, token: "forged" }],
+    ["no token", { user: userId }],
+    ["a malformed user id", { user: "nope", token: "forged" }],
+  ])("refuses a link with %s", async (_, body) => {
+    req = { body };
+
+    await claimGuestOrdersController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "This link is invalid",
+    });
+    expect(claimGuestOrders).not.toHaveBeenCalled();
+  });
+
+  test("refuses a link for an account that no longer exists", async () => {
+    req = { body: { user: userId, token: claimOrdersToken(userId, user.email) } };
+    userModel.findById.mockResolvedValueOnce(null);
+
+    await claimGuestOrdersController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(claimGuestOrders).not.toHaveBeenCalled();
+  });
+});
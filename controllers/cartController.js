@@ -0,0 +1,304 @@
+import cartModel from "../models/cartModel.js";
+import productModel from "../models/productModel.js";
+import { priceCart } from "../helpers/checkoutHelper.js";
+import { applyCoupon } from "../helpers/couponHelper.js";
+import { calculateTax, taxRegions } from "../helpers/taxHelper.js";
+import { selectMethod, shippingQuote } from "../helpers/shippingHelper.js";
+import { storeCurrency } from "../helpers/moneyHelper.js";
+import { displayAmount } from "../helpers/currencyHelper.js";
+
+const isValidQuantity = (quantity) =>
+  Number.isInteger(Number(quantity)) && Number(quantity) > 0;
+
+// lines whose product has since been deleted populate to null
+const cartItems = (cart) =>
+  cart ? cart.items.filter((item) => item.product) : [];
+
+const populateCart = (cart) => cart.populate("items.product", "-photo");
+
+// collapse requested lines by product and snapshot current unit prices,
+// dropping anything that no longer exists
+const buildCartItems = async (lines) => {
+  const ids = lines.map((line) => line.product);
+  const products = await productModel
+    .find({ _id: { $in: ids } })
+    .select("_id price");
+  const items = [];
+  lines.forEach((line) => {
+    const product = products.find(
+      (p) => String(p._id) === String(line.product)
+    );
+    if (!product) return;
+    const existing = items.find(
+      (item) => String(item.product) === String(product._id)
+    );
+    if (existing) {
+      existing.quantity += Number(line.quantity);
+    } else {
+      items.push({
+        product: product._id,
+        quantity: Number(line.quantity),
+        price: product.price,
+      });
+    }
+  });
+  return items;
+};
+
+const validateLines = (lines) =>
+  Array.isArray(lines) &&
+  lines.every((line) => line?.product && isValidQuantity(line.quantity));
+
+const findOrCreateCart = async (user) =>
+  (await cartModel.findOne({ user })) || new cartModel({ user, items: [] });
+
+//get cart
+export const getCartController = async (req, res) => {
+  try {
+    const cart = await cartModel
+      .findOne({ user: req.user._id })
+      .populate("items.product", "-photo");
+    res.status(200).send({
+      success: true,
+      cart: cartItems(cart),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Getting Cart",
+      error,
+    });
+  }
+};
+
+//add item
+export const addToCartController = async (req, res) => {
+  try {
+    const { pid, quantity = 1 } = req.body;
+    if (!pid) {
+      return res.status(400).send({
+        success: false,
+        message: "Product ID is required",
+      });
+    }
+    if (!isValidQuantity(quantity)) {
+      return res.status(400).send({
+        success: false,
+        message: "Quantity must be a positive whole number",
+      });
+    }
+    const product = await productModel.findById(pid).select("_id price");
+    if (!product) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    const cart = await findOrCreateCart(req.user._id);
+    const line = cart.items.find(
+      (item) => String(item.product) === String(pid)
+    );
+    if (line) {
+      line.quantity += Number(quantity);
+      line.price = product.price;
+    } else {
+      cart.items.push({
+        product: product._id,
+        quantity: Number(quantity),
+        price: product.price,
+      });
+    }
+    await cart.save();
+    await populateCart(cart);
+    res.status(200).send({
+      success: true,
+      message: "Item Added to cart",
+      cart: cartItems(cart),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Adding To Cart",
+      error,
+    });
+  }
+};
+
+//replace cart contents
+export const updateCartController = async (req, res) => {
+  try {
+    const { cart: lines } = req.body;
+    if (!validateLines(lines)) {
+      return res.status(400).send({
+        success: false,
+        message: "Cart must be a list of products with quantities",
+      });
+    }
+    const cart = await findOrCreateCart(req.user._id);
+    cart.items = await buildCartItems(lines);
+    await cart.save();
+    await populateCart(cart);
+    res.status(200).send({
+      success: true,
+      message: "Cart Updated Successfully",
+      cart: cartItems(cart),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Updating Cart",
+      error,
+    });
+  }
+};
+
+//remove item line
+export const removeFromCartController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    const cart = await cartModel.findOne({ user: req.user._id });
+    const index = cart
+      ? cart.items.findIndex((item) => String(item.product) === String(pid))
+      : -1;
+    if (index === -1) {
+      return res.status(404).send({
+        success: false,
+        message: "Item not in cart",
+      });
+    }
+    cart.items.splice(index, 1);
+    await cart.save();
+    await populateCart(cart);
+    res.status(200).send({
+      success: true,
+      message: "Item Removed From Cart",
+      cart: cartItems(cart),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Removing From Cart",
+      error,
+    });
+  }
+};
+
+//clear cart
+export const clearCartController = async (req, res) => {
+  try {
+    await cartModel.findOneAndUpdate({ user: req.user._id }, { items: [] });
+    res.status(200).send({
+      success: true,
+      message: "Cart Cleared",
+      cart: [],
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Clearing Cart",
+      error,
+    });
+  }
+};
+
+//merge guest cart into account cart
+export const mergeCartController = async (req, res) => {
+  try {
+    const { cart: lines } = req.body;
+    if (!validateLines(lines)) {
+      return res.status(400).send({
+        success: false,
+        message: "Cart must be a list of products with quantities",
+      });
+    }
+    const cart = await findOrCreateCart(req.user._id);
+    // quantities for products already in the account cart are added together
+    cart.items = await buildCartItems([
+      ...cart.items.map((item) => ({
+        product: item.product,
+        quantity: item.quantity,
+      })),
+      ...lines,
+    ]);
+    await cart.save();
+    await populateCart(cart);
+    res.status(200).send({
+      success: true,
+      message: "Cart Merged Successfully",
+      cart: cartItems(cart),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Merging Cart",
+      error,
+    });
+  }
+};
+
+//tax regions for the address form
+export const taxRegionsController = async (req, res) => {
+  try {
+    res.status(200).send({
+      success: true,
+      regions: taxRegions(),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Getting Tax Regions",
+      error,
+    });
+  }
+};
+
+//price breakdown shown before payment, worked out like checkout does
+export const checkoutSummaryController = async (req, res) => {
+  try {
+    const { cart: lines, couponCode, region, shippingMethod, displayCurrency } =
+      req.body;
+    if (!validateLines(lines)) {
+      return res.status(400).send({
+        success: false,
+        message: "Cart must be a list of products with quantities",
+      });
+    }
+    const { items, total: subtotal } = await priceCart(lines);
+    let discount = 0;
+    let couponError;
+    if (couponCode) {
+      const applied = await applyCoupon(couponCode, items, req.user?._id);
+      discount = applied.discount || 0;
+      couponError = applied.error;
+    }
+    const tax = await calculateTax(items, region, discount);
+    const quote = await shippingQuote(items, region, discount);
+    const method = selectMethod(quote, shippingMethod);
+    const total = subtotal - discount + tax.amount + (method?.fee || 0);
+    res.status(200).send({
+      success: true,
+      subtotal,
+      discount,
+      couponError,
+      tax,
+      shipping: { ...quote, method },
+      total,
+      currency: storeCurrency(),
+      display: await displayAmount(total, displayCurrency),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Getting Checkout Summary",
+      error,
+    });
+  }
+};
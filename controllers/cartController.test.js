@@ -0,0 +1,503 @@
+import { jest } from "@jest/globals";
+import {
+  getCartController,
+  addToCartController,
+  updateCartController,
+  removeFromCartController,
+  clearCartController,
+  mergeCartController,
+  taxRegionsController,
+  checkoutSummaryController,
+} from "./cartController";
+import cartModel from "../models/cartModel";
+import productModel from "../models/productModel";
+import { applyCoupon } from "../helpers/couponHelper";
+import { calculateTax, taxRegions } from "../helpers/taxHelper";
+import { shippingQuote } from "../helpers/shippingHelper";
+import exchangeRateModel from "../models/exchangeRateModel";
+
+jest.mock("../models/cartModel.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/exchangeRateModel.js");
+jest.mock("../helpers/couponHelper.js");
+jest.mock("../helpers/taxHelper.js");
+jest.mock("../helpers/shippingHelper.js", () => ({
+  ...jest.requireActual("../helpers/shippingHelper.js"),
+  shippingQuote: jest.fn(),
+}));
+
+const createMockResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  send: jest.fn(),
+});
+
+// stands in for a cart document; populate is a no-op here
+const createMockCart = (items = []) => ({
+  items,
+  save: jest.fn().mockResolvedValue(),
+  populate: jest.fn().mockResolvedValue(),
+});
+
+const mockProductLookup = (products) => {
+  productModel.find.mockReturnValue({
+    select: jest.fn().mockResolvedValue(products),
+  });
+};
+
+let logSpy;
+beforeAll(() => {
+  logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  logSpy.mockRestore();
+});
+
+describe("getCartController", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { user: { _id: "u1" } };
+    res = createMockResponse();
+  });
+
+  it("should return the saved cart lines for the user", async () => {
+    const items = [{ product: { _id: "p1", name: "Book" }, quantity: 2, price: 5 }];
+    const populate = jest.fn().mockResolvedValue({ items });
+    cartModel.findOne.mockReturnValue({ populate });
+
+    await getCartController(req, res);
+
+    expect(cartModel.findOne).toHaveBeenCalledWith({ user: "u1" });
+    expect(populate).toHaveBeenCalledWith("items.product", "-photo");
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({ success: true, cart: items });
+  });
+
+  it("should leave out lines whose product was deleted", async () => {
+    const kept = { product: { _id: "p1" }, quantity: 1, price: 5 };
+    cartModel.findOne.mockReturnValue({
+      populate: jest
+        .fn()
+        .mockResolvedValue({ items: [kept, { product: null, quantity: 1 }] }),
+    });
+
+    await getCartController(req, res);
+
+    expect(res.send).toHaveBeenCalledWith({ success: true, cart: [kept] });
+  });
+
+  it("should return an empty cart when the user has none", async () => {
+    cartModel.findOne.mockReturnValue({
+      populate: jest.fn().mockResolvedValue(null),
+    });
+
+    await getCartController(req, res);
+
+    expect(res.send).toHaveBeenCalledWith({ success: true, cart: [] });
+  });
+
+  it("should return 500 when the lookup fails", async () => {
+    const error = new Error("db down");
+    cartModel.findOne.mockReturnValue({
+      populate: jest.fn().mockRejectedValue(error),
+    });
+
+    await getCartController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error While Getting Cart",
+      error,
+    });
+  });
+});
+
+describe("addToCartController", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { user: { _id: "u1" }, body: { pid: "p1" } };
+    res = createMockResponse();
+    productModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ _id: "p1", price: 20 }),
+    });
+  });
+
+  it("should add a new line with the current price", async () => {
+    const cart = createMockCart();
+    cartModel.findOne.mockResolvedValue(cart);
+
+    await addToCartController(req, res);
+
+    expect(cart.items).toEqual([{ product: "p1", quantity: 1, price: 20 }]);
+    expect(cart.save).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should bump the quantity of an existing line", async () => {
+    const cart = createMockCart([{ product: "p1", quantity: 2, price: 18 }]);
+    cartModel.findOne.mockResolvedValue(cart);
+    req.body.quantity = 3;
+
+    await addToCartController(req, res);
+
+    expect(cart.items).toEqual([{ product: "p1", quantity: 5, price: 20 }]);
+  });
+
+  it("should require a product id", async () => {
+    req.body = {};
+
+    await addToCartController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(cartModel.findOne).not.toHaveBeenCalled();
+  });
+
+  it("should reject a quantity that is not a positive whole number", async () => {
+    req.body.quantity = 1.5;
+
+    await addToCartController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Quantity must be a positive whole number",
+    });
+  });
+
+  it("should return 404 for an unknown product", async () => {
+    productModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue(null),
+    });
+
+    await addToCartController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Product not found",
+    });
+    expect(cartModel.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe("updateCartController", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      user: { _id: "u1" },
+      body: {
+        cart: [
+          { product: "p1", quantity: 2 },
+          { product: "gone", quantity: 1 },
+        ],
+      },
+    };
+    res = createMockResponse();
+  });
+
+  it("should replace the cart lines, dropping unknown products", async () => {
+    const cart = createMockCart([{ product: "p9", quantity: 1, price: 1 }]);
+    cartModel.findOne.mockResolvedValue(cart);
+    mockProductLookup([{ _id: "p1", price: 20 }]);
+
+    await updateCartController(req, res);
+
+    expect(cart.items).toEqual([{ product: "p1", quantity: 2, price: 20 }]);
+    expect(cart.save).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should reject lines without a valid quantity", async () => {
+    req.body.cart = [{ product: "p1", quantity: 0 }];
+
+    await updateCartController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Cart must be a list of products with quantities",
+    });
+  });
+
+  it("should reject a cart that is not a list", async () => {
+    req.body.cart = "p1";
+
+    await updateCartController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe("removeFromCartController", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { user: { _id: "u1" }, params: { pid: "p1" } };
+    res = createMockResponse();
+  });
+
+  it("should remove the whole line for the product", async () => {
+    const cart = createMockCart([
+      { product: "p1", quantity: 3, price: 5 },
+      { product: "p2", quantity: 1, price: 7 },
+    ]);
+    cartModel.findOne.mockResolvedValue(cart);
+
+    await removeFromCartController(req, res);
+
+    expect(cart.items).toEqual([{ product: "p2", quantity: 1, price: 7 }]);
+    expect(cart.save).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should return 404 when the item is not in the cart", async () => {
+    cartModel.findOne.mockResolvedValue(
+      createMockCart([{ product: "p2", quantity: 1, price: 7 }])
+    );
+
+    await removeFromCartController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Item not in cart",
+    });
+  });
+
+  it("should return 404 when the user has no cart", async () => {
+    cartModel.findOne.mockResolvedValue(null);
+
+    await removeFromCartController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe("clearCartController", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { user: { _id: "u1" } };
+    res = createMockResponse();
+  });
+
+  it("should empty the cart", async () => {
+    cartModel.findOneAndUpdate.mockResolvedValue({});
+
+    await clearCartController(req, res);
+
+    expect(cartModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { user: "u1" },
+      { items: [] }
+    );
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Cart Cleared",
+      cart: [],
+    });
+  });
+
+  it("should return 500 when clearing fails", async () => {
+    const error = new Error("db down");
+    cartModel.findOneAndUpdate.mockRejectedValue(error);
+
+    await clearCartController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
+describe("mergeCartController", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      user: { _id: "u1" },
+      body: {
+        cart: [
+          { product: "p1", quantity: 2 },
+          { product: "p2", quantity: 1 },
+        ],
+      },
+    };
+    res = createMockResponse();
+  });
+
+  it("should add guest quantities to the account cart", async () => {
+    const cart = createMockCart([{ product: "p1", quantity: 1, price: 10 }]);
+    cartModel.findOne.mockResolvedValue(cart);
+    mockProductLookup([
+      { _id: "p1", price: 12 },
+      { _id: "p2", price: 30 },
+    ]);
+
+    await mergeCartController(req, res);
+
+    expect(cart.items).toEqual([
+      { product: "p1", quantity: 3, price: 12 },
+      { product: "p2", quantity: 1, price: 30 },
+    ]);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Cart Merged Successfully",
+      cart: cart.items,
+    });
+  });
+
+  it("should reject a guest cart that is not a list", async () => {
+    req.body = {};
+
+    await mergeCartController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(productModel.find).not.toHaveBeenCalled();
+  });
+});
+
+describe("taxRegionsController", () => {
+  it("should list the configured tax regions", async () => {
+    const regions = [{ code: "SG", name: "Singapore", label: "GST" }];
+    taxRegions.mockReturnValue(regions);
+    const res = createMockResponse();
+
+    await taxRegionsController({}, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({ success: true, regions });
+  });
+});
+
+describe("checkoutSummaryController", () => {
+  let req, res;
+  const tax = { region: "SG", label: "GST", amount: 360, lines: [] };
+  const quote = {
+    zone: { _id: "z1", name: "Singapore" },
+    methods: [
+      { _id: "m1", name: "Standard", fee: 0 },
+      { _id: "m2", name: "Express", fee: 1200 },
+    ],
+    unshippable: [],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      user: { _id: "u1" },
+      body: { cart: [{ product: "p1", quantity: 2 }], region: "SG" },
+    };
+    res = createMockResponse();
+    mockProductLookup([{ _id: "p1", price: 2500 }]);
+    calculateTax.mockResolvedValue(tax);
+    shippingQuote.mockResolvedValue(quote);
+  });
+
+  it("should price the cart with tax for the region", async () => {
+    await checkoutSummaryController(req, res);
+
+    expect(calculateTax).toHaveBeenCalledWith(
+      [{ product: "p1", quantity: 2, price: 2500 }],
+      "SG",
+      0
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      subtotal: 5000,
+      discount: 0,
+      couponError: undefined,
+      tax,
+      shipping: { ...quote, method: undefined },
+      total: 5360,
+      currency: "USD",
+      display: { currency: "USD", rate: 1, amount: 5360 },
+    });
+  });
+
+  it("should show the total in the buyer's currency", async () => {
+    req.body.displayCurrency = "sgd";
+    exchangeRateModel.findOne.mockResolvedValue({ currency: "SGD", rate: 1.35 });
+
+    await checkoutSummaryController(req, res);
+
+    expect(exchangeRateModel.findOne).toHaveBeenCalledWith({ currency: "SGD" });
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        total: 5360,
+        currency: "USD",
+        display: { currency: "SGD", rate: 1.35, amount: 7236 },
+      })
+    );
+  });
+
+  it("should add the fee of the chosen shipping method", async () => {
+    req.body.shippingMethod = "m2";
+
+    await checkoutSummaryController(req, res);
+
+    expect(shippingQuote).toHaveBeenCalledWith(expect.any(Array), "SG", 0);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        shipping: { ...quote, method: quote.methods[1] },
+        total: 6560,
+      })
+    );
+  });
+
+  it("should take the coupon off before tax", async () => {
+    req.body.couponCode = "SAVE10";
+    applyCoupon.mockResolvedValue({ coupon: { code: "SAVE10" }, discount: 500 });
+
+    await checkoutSummaryController(req, res);
+
+    expect(applyCoupon).toHaveBeenCalledWith("SAVE10", expect.any(Array), "u1");
+    expect(calculateTax).toHaveBeenCalledWith(expect.any(Array), "SG", 500);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ discount: 500, total: 4860 })
+    );
+  });
+
+  it("should report a coupon that no longer applies without failing", async () => {
+    req.body.couponCode = "OLD";
+    applyCoupon.mockResolvedValue({ error: "Coupon has expired" });
+
+    await checkoutSummaryController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        discount: 0,
+        couponError: "Coupon has expired",
+      })
+    );
+  });
+
+  it("should price the cart for guests too", async () => {
+    delete req.user;
+    req.body.couponCode = "SAVE10";
+    applyCoupon.mockResolvedValue({ coupon: { code: "SAVE10" }, discount: 500 });
+
+    await checkoutSummaryController(req, res);
+
+    expect(applyCoupon).toHaveBeenCalledWith("SAVE10", expect.any(Array), undefined);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should reject a cart that is not a list", async () => {
+    req.body.cart = "p1";
+
+    await checkoutSummaryController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(calculateTax).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,210 @@
+import couponModel from "../models/couponModel.js";
+import { priceCart } from "../helpers/checkoutHelper.js";
+import { applyCoupon } from "../helpers/couponHelper.js";
+import { isMinorAmount } from "../helpers/moneyHelper.js";
+
+const COUPON_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "minSpend",
+  "categories",
+  "products",
+  "usageLimit",
+  "perUserLimit",
+  "startsAt",
+  "expiresAt",
+  "active",
+];
+
+const pickCouponFields = (body) =>
+  COUPON_FIELDS.reduce(
+    (fields, key) =>
+      body[key] === undefined ? fields : { ...fields, [key]: body[key] },
+    {}
+  );
+
+// returns an error message, or nothing when the coupon makes sense
+const validateCoupon = ({
+  code,
+  type,
+  value,
+  minSpend,
+  startsAt,
+  expiresAt,
+}) => {
+  if (!code?.trim()) return "Code is required";
+  if (!["percent", "fixed"].includes(type)) {
+    return "Type must be percent or fixed";
+  }
+  if (!(Number(value) > 0)) return "Value must be greater than zero";
+  if (type === "percent" && Number(value) > 100) {
+    return "Percentage can not be more than 100";
+  }
+  if (type === "fixed" && !isMinorAmount(value)) {
+    return "Value must be a whole number of cents";
+  }
+  if (minSpend !== undefined && !isMinorAmount(minSpend)) {
+    return "Minimum spend must be a whole number of cents";
+  }
+  if (startsAt && expiresAt && new Date(startsAt) > new Date(expiresAt)) {
+    return "Coupon can not expire before it starts";
+  }
+};
+
+//create coupon
+export const createCouponController = async (req, res) => {
+  try {
+    const fields = pickCouponFields(req.body);
+    const message = validateCoupon(fields);
+    if (message) {
+      return res.status(400).send({ success: false, message });
+    }
+    const existing = await couponModel.findOne({
+      code: fields.code.trim().toUpperCase(),
+    });
+    if (existing) {
+      return res.status(409).send({
+        success: false,
+        message: "Coupon code already exists",
+      });
+    }
+    const coupon = await new couponModel(fields).save();
+    res.status(201).send({
+      success: true,
+      message: "Coupon Created Successfully",
+      coupon,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Creating Coupon",
+      error,
+    });
+  }
+};
+
+//get all coupons
+export const getCouponsController = async (req, res) => {
+  try {
+    const coupons = await couponModel.find({}).sort({ createdAt: -1 });
+    res.status(200).send({
+      success: true,
+      message: "All Coupons",
+      coupons,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Getting Coupons",
+      error,
+    });
+  }
+};
+
+//update coupon
+export const updateCouponController = async (req, res) => {
+  try {
+    const coupon = await couponModel.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).send({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+    const fields = pickCouponFields(req.body);
+    const message = validateCoupon({ ...coupon.toObject(), ...fields });
+    if (message) {
+      return res.status(400).send({ success: false, message });
+    }
+    coupon.set(fields);
+    await coupon.save();
+    res.status(200).send({
+      success: true,
+      message: "Coupon Updated Successfully",
+      coupon,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Updating Coupon",
+      error,
+    });
+  }
+};
+
+//delete coupon
+export const deleteCouponController = async (req, res) => {
+  try {
+    await couponModel.findByIdAndDelete(req.params.id);
+    res.status(200).send({
+      success: true,
+      message: "Coupon Deleted Successfully",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Deleting Coupon",
+      error,
+    });
+  }
+};
+
+//check a code against the cart
+export const validateCouponController = async (req, res) => {
+  try {
+    const { code, cart } = req.body;
+    if (!code) {
+      return res.status(400).send({
+        success: false,
+        message: "Coupon code is required",
+      });
+    }
+    if (!Array.isArray(cart) || !cart.length) {
+      return res.status(400).send({
+        success: false,
+        message: "Cart is Empty",
+      });
+    }
+    const { items, total, invalid } = await priceCart(cart);
+    if (invalid) {
+      return res.status(400).send({
+        success: false,
+        message: "Every cart line needs a product and a quantity",
+      });
+    }
+    const { coupon, discount, error } = await applyCoupon(
+      code,
+      items,
+      req.user?._id
+    );
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Coupon Applied",
+      coupon: {
+        code: coupon.code,
+        description: coupon.description,
+        type: coupon.type,
+        value: coupon.value,
+      },
+      subtotal: total,
+      discount,
+      total: total - discount,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Validating Coupon",
+      error,
+    });
+  }
+};
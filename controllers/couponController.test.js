@@ -0,0 +1,225 @@
+import { jest } from "@jest/globals";
+import {
+  createCouponController,
+  deleteCouponController,
+  getCouponsController,
+  updateCouponController,
+  validateCouponController,
+} from "./couponController";
+import couponModel from "../models/couponModel";
+import { priceCart } from "../helpers/checkoutHelper";
+import { applyCoupon } from "../helpers/couponHelper";
+
+jest.mock("../models/couponModel.js");
+jest.mock("../helpers/checkoutHelper.js");
+jest.mock("../helpers/couponHelper.js");
+
+const createMockResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  send: jest.fn(),
+});
+
+let logSpy;
+beforeAll(() => {
+  logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  logSpy.mockRestore();
+});
+
+describe("createCouponController", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      body: { code: "save10", type: "percent", value: 10, minSpend: 50, usedCount: 99 },
+    };
+    res = createMockResponse();
+    couponModel.findOne.mockResolvedValue(null);
+    couponModel.prototype.save.mockResolvedValue({ code: "SAVE10" });
+  });
+
+  it("should create a coupon from the allowed fields", async () => {
+    await createCouponController(req, res);
+
+    expect(couponModel).toHaveBeenCalledWith({
+      code: "save10",
+      type: "percent",
+      value: 10,
+      minSpend: 50,
+    });
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should reject a duplicate code", async () => {
+    couponModel.findOne.mockResolvedValue({ code: "SAVE10" });
+
+    await createCouponController(req, res);
+
+    expect(couponModel.findOne).toHaveBeenCalledWith({ code: "SAVE10" });
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it.each([
+    [{ type: "percent", value: 10 }, "Code is required"],
+    [{ code: "A", type: "bogo", value: 10 }, "Type must be percent or fixed"],
+    [{ code: "A", type: "fixed", value: 0 }, "Value must be greater than zero"],
+    [{ code: "A", type: "percent", value: 120 }, "Percentage can not be more than 100"],
+    [{ code: "A", type: "fixed", value: 4.5 }, "Value must be a whole number of cents"],
+    [
+      { code: "A", type: "percent", value: 10, minSpend: 19.99 },
+      "Minimum spend must be a whole number of cents",
+    ],
+    [
+      { code: "A", type: "fixed", value: 5, startsAt: "2025-02-01", expiresAt: "2025-01-01" },
+      "Coupon can not expire before it starts",
+    ],
+  ])("should reject %o", async (body, message) => {
+    req.body = body;
+
+    await createCouponController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ success: false, message });
+  });
+});
+
+describe("getCouponsController", () => {
+  it("should list coupons newest first", async () => {
+    const res = createMockResponse();
+    const sort = jest.fn().mockResolvedValue([{ code: "SAVE10" }]);
+    couponModel.find.mockReturnValue({ sort });
+
+    await getCouponsController({}, res);
+
+    expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "All Coupons",
+      coupons: [{ code: "SAVE10" }],
+    });
+  });
+});
+
+describe("updateCouponController", () => {
+  let req, res, coupon;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { params: { id: "c1" }, body: { value: 20 } };
+    res = createMockResponse();
+    coupon = {
+      toObject: () => ({ code: "SAVE10", type: "percent", value: 10 }),
+      set: jest.fn(),
+      save: jest.fn().mockResolvedValue(),
+    };
+    couponModel.findById.mockResolvedValue(coupon);
+  });
+
+  it("should update the coupon", async () => {
+    await updateCouponController(req, res);
+
+    expect(coupon.set).toHaveBeenCalledWith({ value: 20 });
+    expect(coupon.save).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should validate the result of the update", async () => {
+    req.body = { value: 200 };
+
+    await updateCouponController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(coupon.save).not.toHaveBeenCalled();
+  });
+
+  it("should return 404 for unknown coupons", async () => {
+    couponModel.findById.mockResolvedValue(null);
+
+    await updateCouponController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe("deleteCouponController", () => {
+  it("should delete the coupon", async () => {
+    const res = createMockResponse();
+    couponModel.findByIdAndDelete.mockResolvedValue({});
+
+    await deleteCouponController({ params: { id: "c1" } }, res);
+
+    expect(couponModel.findByIdAndDelete).toHaveBeenCalledWith("c1");
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
+describe("validateCouponController", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      user: { _id: "u1" },
+      body: { code: "SAVE10", cart: [{ product: "p1", quantity: 2 }] },
+    };
+    res = createMockResponse();
+    priceCart.mockResolvedValue({
+      items: [{ product: "p1", quantity: 2, price: 50 }],
+      total: 100,
+      missing: [],
+      invalid: false,
+    });
+  });
+
+  it("should return the discount for the cart", async () => {
+    applyCoupon.mockResolvedValue({
+      coupon: { code: "SAVE10", type: "percent", value: 10 },
+      discount: 10,
+    });
+
+    await validateCouponController(req, res);
+
+    expect(applyCoupon).toHaveBeenCalledWith(
+      "SAVE10",
+      [{ product: "p1", quantity: 2, price: 50 }],
+      "u1"
+    );
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Coupon Applied",
+      coupon: { code: "SAVE10", description: undefined, type: "percent", value: 10 },
+      subtotal: 100,
+      discount: 10,
+      total: 90,
+    });
+  });
+
+  it("should explain why a coupon can't be used", async () => {
+    applyCoupon.mockResolvedValue({ error: "Coupon has expired" });
+
+    await validateCouponController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Coupon has expired",
+    });
+  });
+
+  it("should require a code and a cart", async () => {
+    req.body = { cart: [] };
+    await validateCouponController(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    req.body = { code: "SAVE10", cart: [] };
+    await validateCouponController(req, res);
+    expect(res.send).toHaveBeenLastCalledWith({
+      success: false,
+      message: "Cart is Empty",
+    });
+    expect(priceCart).not.toHaveBeenCalled();
+  });
+});
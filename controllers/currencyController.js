@@ -0,0 +1,120 @@
+import exchangeRateModel from "../models/exchangeRateModel.js";
+import { isCurrencyCode } from "../helpers/currencyHelper.js";
+import { storeCurrency } from "../helpers/moneyHelper.js";
+
+// returns an error message, or nothing when the rate can be saved
+const validateRate = ({ currency, rate }) => {
+  const code = String(currency || "").trim().toUpperCase();
+  if (!isCurrencyCode(code)) {
+    return "Currency must be a three letter ISO 4217 code";
+  }
+  if (code === storeCurrency()) {
+    return `${code} is the store currency`;
+  }
+  if (!(Number(rate) > 0)) return "Rate must be more than 0";
+};
+
+//create rate
+export const createRateController = async (req, res) => {
+  try {
+    const { currency, rate } = req.body;
+    const message = validateRate({ currency, rate });
+    if (message) {
+      return res.status(400).send({ success: false, message });
+    }
+    const code = currency.trim().toUpperCase();
+    const existing = await exchangeRateModel.findOne({ currency: code });
+    if (existing) {
+      return res.status(409).send({
+        success: false,
+        message: "Exchange rate already exists",
+      });
+    }
+    const exchangeRate = await new exchangeRateModel({
+      currency: code,
+      rate: Number(rate),
+    }).save();
+    res.status(201).send({
+      success: true,
+      message: "Exchange Rate Created Successfully",
+      rate: exchangeRate,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Creating Exchange Rate",
+      error,
+    });
+  }
+};
+
+//get all rates, public so the storefront can convert prices
+export const getRatesController = async (req, res) => {
+  try {
+    const rates = await exchangeRateModel.find({}).sort({ currency: 1 });
+    res.status(200).send({
+      success: true,
+      message: "All Exchange Rates",
+      base: storeCurrency(),
+      rates,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Getting Exchange Rates",
+      error,
+    });
+  }
+};
+
+//update rate, the currency itself can't change
+export const updateRateController = async (req, res) => {
+  try {
+    const exchangeRate = await exchangeRateModel.findById(req.params.id);
+    if (!exchangeRate) {
+      return res.status(404).send({
+        success: false,
+        message: "Exchange rate not found",
+      });
+    }
+    const { rate } = req.body;
+    const message = validateRate({ currency: exchangeRate.currency, rate });
+    if (message) {
+      return res.status(400).send({ success: false, message });
+    }
+    exchangeRate.rate = Number(rate);
+    await exchangeRate.save();
+    res.status(200).send({
+      success: true,
+      message: "Exchange Rate Updated Successfully",
+      rate: exchangeRate,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Updating Exchange Rate",
+      error,
+    });
+  }
+};
+
+//delete rate
+export const deleteRateController = async (req, res) => {
+  try {
+    await exchangeRateModel.findByIdAndDelete(req.params.id);
+    res.status(200).send({
+      success: true,
+      message: "Exchange Rate Deleted Successfully",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Deleting Exchange Rate",
+      error,
+    });
+  }
+};
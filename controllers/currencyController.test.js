@@ -0,0 +1,149 @@
+import { jest } from "@jest/globals";
+import {
+  createRateController,
+  deleteRateController,
+  getRatesController,
+  updateRateController,
+} from "./currencyController";
+import exchangeRateModel from "../models/exchangeRateModel";
+
+jest.mock("../models/exchangeRateModel.js");
+
+const createMockResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  send: jest.fn(),
+});
+
+let logSpy;
+beforeAll(() => {
+  logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  logSpy.mockRestore();
+});
+
+describe("createRateController", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { body: { currency: " sgd ", rate: "1.35" } };
+    res = createMockResponse();
+    exchangeRateModel.findOne.mockResolvedValue(null);
+    exchangeRateModel.prototype.save.mockResolvedValue({ currency: "SGD" });
+  });
+
+  it("should create a rate for the currency", async () => {
+    await createRateController(req, res);
+
+    expect(exchangeRateModel).toHaveBeenCalledWith({
+      currency: "SGD",
+      rate: 1.35,
+    });
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should reject a currency that already has a rate", async () => {
+    exchangeRateModel.findOne.mockResolvedValue({ currency: "SGD" });
+
+    await createRateController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(exchangeRateModel.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    [{ currency: "Dollars", rate: 1 }, "Currency must be a three letter ISO 4217 code"],
+    [{ currency: "USD", rate: 1 }, "USD is the store currency"],
+    [{ currency: "EUR", rate: 0 }, "Rate must be more than 0"],
+    [{ currency: "EUR", rate: "abc" }, "Rate must be more than 0"],
+  ])("should reject %o", async (body, message) => {
+    req.body = body;
+
+    await createRateController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ success: false, message });
+  });
+});
+
+describe("getRatesController", () => {
+  it("should list rates with the store currency they are against", async () => {
+    const res = createMockResponse();
+    const sort = jest.fn().mockResolvedValue([{ currency: "SGD", rate: 1.35 }]);
+    exchangeRateModel.find.mockReturnValue({ sort });
+
+    await getRatesController({}, res);
+
+    expect(sort).toHaveBeenCalledWith({ currency: 1 });
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "All Exchange Rates",
+      base: "USD",
+      rates: [{ currency: "SGD", rate: 1.35 }],
+    });
+  });
+});
+
+describe("updateRateController", () => {
+  let req, res, exchangeRate;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { params: { id: "r1" }, body: { rate: 1.4 } };
+    res = createMockResponse();
+    exchangeRate = {
+      currency: "SGD",
+      rate: 1.35,
+      save: jest.fn().mockResolvedValue(),
+    };
+    exchangeRateModel.findById.mockResolvedValue(exchangeRate);
+  });
+
+  it("should update the rate", async () => {
+    await updateRateController(req, res);
+
+    expect(exchangeRate.rate).toBe(1.4);
+    expect(exchangeRate.save).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should validate the new rate", async () => {
+    req.body = { rate: -1 };
+
+    await updateRateController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(exchangeRate.save).not.toHaveBeenCalled();
+  });
+
+  it("should return 404 for unknown rates", async () => {
+    exchangeRateModel.findById.mockResolvedValue(null);
+
+    await updateRateController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe("deleteRateController", () => {
+  it("should delete the rate", async () => {
+    const res = createMockResponse();
+    exchangeRateModel.findByIdAndDelete.mockResolvedValue({});
+
+    await deleteRateController({ params: { id: "r1" } }, res);
+
+    expect(exchangeRateModel.findByIdAndDelete).toHaveBeenCalledWith("r1");
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should return 500 when deleting fails", async () => {
+    const res = createMockResponse();
+    exchangeRateModel.findByIdAndDelete.mockRejectedValue(new Error("db down"));
+
+    await deleteRateController({ params: { id: "r1" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
@@ -1,33 +1,64 @@
 import { describe } from 'node:test';
+import mongoose from 'mongoose';
 import orderModel from '../models/orderModel';
+import cartModel from '../models/cartModel';
+import productModel from '../models/productModel';
+import userModel from '../models/userModel';
+import exchangeRateModel from '../models/exchangeRateModel';
 import {
   braintreeTokenController,
   brainTreePaymentController,
 } from './productController';
-import braintree from 'braintree';
-
-const token = { token: 'token' };
-const txnSuccess = { success: true };
+import { getPaymentProvider, reversePayment } from '../helpers/paymentProvider';
+import { applyCoupon, redeemCoupon } from '../helpers/couponHelper';
+import { calculateTax } from '../helpers/taxHelper';
+import { shippingQuote } from '../helpers/shippingHelper';
+import { sendOrderConfirmation } from '../helpers/notificationHelper';
+import { nextOrderNumber } from '../helpers/orderNumberHelper';
+
+const txnSuccess = { provider: 'braintree', success: true, transactionId: 'txn1' };
+const noTax = { region: 'SG', label: 'GST', amount: 0, lines: [] };
+const quoteWith = (methods, unshippable = []) => ({
+  zone: { _id: 'z1', name: 'Singapore' },
+  methods,
+  unshippable,
+});
+const freeDelivery = quoteWith([
+  { _id: 'm1', name: 'Standard', fee: 0, estimatedDays: '3-5 days' },
+]);
 
 jest.mock('fs');
 jest.mock('../models/orderModel');
-jest.mock('slugify', () => jest.fn().mockReturnValue('product'));
-jest.mock('braintree', () => ({
-  BraintreeGateway: jest.fn(() => ({
-    clientToken: {
-      generate: jest.fn(),
-    },
-    transaction: {
-      sale: jest.fn(),
-    },
-  })),
-  Environment: {
-    Sandbox: 'sandbox',
-  },
+jest.mock('../models/cartModel');
+jest.mock('../models/productModel');
+jest.mock('../models/userModel');
+jest.mock('../models/exchangeRateModel');
+jest.mock('../helpers/couponHelper');
+jest.mock('../helpers/taxHelper');
+jest.mock('../helpers/shippingHelper', () => ({
+  ...jest.requireActual('../helpers/shippingHelper'),
+  shippingQuote: jest.fn(),
+}));
+jest.mock('../helpers/notificationHelper', () => ({
+  sendOrderConfirmation: jest.fn(),
+}));
+jest.mock('../helpers/orderNumberHelper', () => ({
+  nextOrderNumber: jest.fn(),
 }));
+jest.mock('slugify', () => jest.fn().mockReturnValue('product'));
+jest.mock('../helpers/paymentProvider', () => {
+  const provider = {
+    name: 'braintree',
+    createClientToken: jest.fn(),
+    sale: jest.fn(),
+    refund: jest.fn(),
+    voidTransaction: jest.fn(),
+  };
+  return { getPaymentProvider: () => provider, reversePayment: jest.fn() };
+});
 
-// Get the gateway object
-const gateway = braintree.BraintreeGateway.mock.results[0].value;
+// Get the provider object
+const provider = getPaymentProvider();
 
 // Reusable mock response
 const createMockResponse = () => ({
@@ -40,10 +71,12 @@ const createMockResponse = () => ({
 let logSpy;
 beforeAll(() => {
   logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  process.env.ORDER_LOOKUP_SECRET = 'lookup-secret';
 });
 
 afterAll(() => {
   logSpy.mockRestore();
+  delete process.env.ORDER_LOOKUP_SECRET;
 });
 
 describe('braintreeTokenController', () => {
@@ -56,34 +89,35 @@ describe('braintreeTokenController', () => {
   });
 
   it('should obtain braintree controller token successfully', async () => {
-    const token = { clientToken: "mocked-client-token" }; 
-
-    gateway.clientToken.generate.mockImplementationOnce((_ , callback) => {
-      callback(null, token); // Return correct token format
-    });
+    provider.createClientToken.mockResolvedValueOnce('mocked-client-token');
 
     await braintreeTokenController(request, response);
 
-    expect(response.send).toHaveBeenCalledWith(token);
-});
+    expect(response.send).toHaveBeenCalledWith({
+      success: true,
+      clientToken: 'mocked-client-token',
+      provider: 'braintree',
+    });
+  });
 
 
   it('should handle error when token generation fails', async () => {
     const error = new Error('Error while getting token');
-
-    gateway.clientToken.generate.mockImplementationOnce((_ , callback) => {
-      callback(error, null);
-    });
+    provider.createClientToken.mockRejectedValueOnce(error);
 
     await braintreeTokenController(request, response);
 
     expect(response.status).toHaveBeenCalledWith(500);
-    expect(response.send).toHaveBeenCalledWith(error);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Error while getting payment token',
+      error,
+    });
   });
 
   it('should log error when generate() throws errors', async () => {
     const error = new Error('Error while getting token');
-    gateway.clientToken.generate.mockImplementationOnce(() => {
+    provider.createClientToken.mockImplementationOnce(() => {
       throw error;
     });
 
@@ -92,23 +126,19 @@ describe('braintreeTokenController', () => {
     expect(logSpy).toHaveBeenCalledWith(error);
   });
 
-  
+
   it('should handle empty token response gracefully', async () => {
-    gateway.clientToken.generate.mockImplementationOnce((_ , callback) => {
-      callback(null, {}); // Returning an empty object to simulate the issue
-    });
-  
+    provider.createClientToken.mockResolvedValueOnce(undefined);
+
     await braintreeTokenController(request, response);
-  
+
     expect(response.status).toHaveBeenCalledWith(500);
     expect(response.send).toHaveBeenCalledWith(expect.any(Object));
   });
-  
-  
+
+
   it('should not log sensitive information', async () => {
-    gateway.clientToken.generate.mockImplementationOnce((_, callback) => {
-      callback(null, token);
-    });
+    provider.createClientToken.mockResolvedValueOnce('mocked-client-token');
 
     await braintreeTokenController(request, response);
 
@@ -124,44 +154,523 @@ describe('brainTreePaymentController', () => {
     request = {
       body: {
         nonce: 'nonce',
-        cart: [{ _id: 'product1', price: 100 }],
+        cart: [{ product: { _id: 'product1' }, quantity: 2, price: 10000 }],
+        shippingAddress: { name: 'Jane', address: '1 Computing Drive', phone: '81234567' },
+        shippingMethod: 'm1',
       },
       user: {
         _id: '123',
       },
     };
     response = createMockResponse();
-    orderModel.prototype.save.mockResolvedValue(txnSuccess);
+    orderModel.prototype.save.mockResolvedValue({ _id: 'order1' });
+    nextOrderNumber.mockResolvedValue('VV-2026-000123');
+    productModel.find.mockReturnValue({
+      select: jest
+        .fn()
+        .mockResolvedValue([{ _id: 'product1', name: 'Laptop', price: 10000, quantity: 10 }]),
+    });
+    productModel.findOneAndUpdate.mockResolvedValue({ _id: 'product1' });
+    productModel.findByIdAndUpdate.mockResolvedValue({ _id: 'product1' });
+    calculateTax.mockResolvedValue(noTax);
+    shippingQuote.mockResolvedValue(freeDelivery);
+    // runs the checkout writes straight away, session is a stand in
+    jest
+      .spyOn(mongoose.connection, 'transaction')
+      .mockImplementation((fn) => fn('session'));
+    reversePayment.mockResolvedValue({ success: true });
   });
 
   it('should make payment successfully and create an order', async () => {
-    gateway.transaction.sale.mockImplementationOnce((_, callback) => {
-      callback(null, txnSuccess);
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+
+    await brainTreePaymentController(request, response);
+
+    expect(response.json).toHaveBeenCalledWith({ ok: true, order: 'order1' });
+    expect(orderModel.prototype.save).toHaveBeenCalled();
+    expect(sendOrderConfirmation).toHaveBeenCalledWith('order1');
+  });
+
+  it('should give the order the next order number', async () => {
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+    orderModel.prototype.save.mockResolvedValue({
+      _id: 'order1',
+      orderNumber: 'VV-2026-000123',
     });
 
     await brainTreePaymentController(request, response);
 
-    expect(response.json).toHaveBeenCalledWith({ ok: true });
+    expect(orderModel).toHaveBeenCalledWith(
+      expect.objectContaining({ orderNumber: 'VV-2026-000123' })
+    );
+    expect(response.json).toHaveBeenCalledWith({
+      ok: true,
+      order: 'order1',
+      orderNumber: 'VV-2026-000123',
+    });
+  });
+
+  it('should charge for every unit and store line items on the order', async () => {
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+
+    await brainTreePaymentController(request, response);
+
+    expect(provider.sale).toHaveBeenCalledWith({
+      amount: '200.00',
+      nonce: 'nonce',
+    });
+    expect(orderModel).toHaveBeenCalledWith(
+      expect.objectContaining({
+        products: [{ product: 'product1', quantity: 2, price: 10000 }],
+        total: 20000,
+        payment: txnSuccess,
+        paymentStatus: 'authorized',
+      })
+    );
+  });
+
+  it('should snapshot the shipping address on the order', async () => {
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+
+    await brainTreePaymentController(request, response);
+
+    expect(orderModel).toHaveBeenCalledWith(
+      expect.objectContaining({
+        shippingAddress: { name: 'Jane', address: '1 Computing Drive', phone: '81234567', region: '' },
+      })
+    );
+  });
+
+  it('should ship to the profile address when none is given', async () => {
+    delete request.body.shippingAddress;
+    userModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ name: 'Jane', address: 'Home', phone: '81234567' }),
+    });
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+
+    await brainTreePaymentController(request, response);
+
+    expect(orderModel).toHaveBeenCalledWith(
+      expect.objectContaining({
+        shippingAddress: { name: 'Jane', address: 'Home', phone: '81234567', region: '' },
+      })
+    );
+  });
+
+  it('should require a shipping address', async () => {
+    request.body.shippingAddress = { phone: '81234567' };
+    userModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ name: 'Jane', phone: '81234567' }),
+    });
+
+    await brainTreePaymentController(request, response);
+
+    expect(response.status).toHaveBeenCalledWith(400);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Shipping address is required',
+    });
+    expect(provider.sale).not.toHaveBeenCalled();
+  });
+
+  it('should require a contact phone', async () => {
+    request.body.shippingAddress = { address: 'Home' };
+    userModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ name: 'Jane', address: 'Home' }),
+    });
+
+    await brainTreePaymentController(request, response);
+
+    expect(response.status).toHaveBeenCalledWith(400);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Contact phone is required',
+    });
+    expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should charge the discounted total when a coupon is applied', async () => {
+    request.body.couponCode = 'SAVE10';
+    const coupon = { _id: 'c1', code: 'SAVE10' };
+    applyCoupon.mockResolvedValueOnce({ coupon, discount: 2000 });
+    redeemCoupon.mockResolvedValueOnce(true);
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+
+    await brainTreePaymentController(request, response);
+
+    expect(applyCoupon).toHaveBeenCalledWith(
+      'SAVE10',
+      [{ product: 'product1', quantity: 2, price: 10000 }],
+      '123'
+    );
+    expect(redeemCoupon).toHaveBeenCalledWith(coupon, 'session', '123');
+    expect(provider.sale).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: '180.00' })
+    );
+    expect(orderModel).toHaveBeenCalledWith(
+      expect.objectContaining({
+        subtotal: 20000,
+        discount: { code: 'SAVE10', amount: 2000 },
+        total: 18000,
+      })
+    );
+  });
+
+  it('should charge tax for the shipping region and store the breakdown', async () => {
+    request.body.shippingAddress.region = 'sg';
+    const tax = {
+      region: 'SG',
+      label: 'GST',
+      amount: 1800,
+      lines: [{ product: 'product1', taxClass: 'standard', rate: 0.09, taxable: 20000, amount: 1800 }],
+    };
+    calculateTax.mockResolvedValueOnce(tax);
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+
+    await brainTreePaymentController(request, response);
+
+    expect(calculateTax).toHaveBeenCalledWith(
+      [{ product: 'product1', quantity: 2, price: 10000 }],
+      'SG',
+      0
+    );
+    expect(provider.sale).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: '218.00' })
+    );
+    expect(orderModel).toHaveBeenCalledWith(
+      expect.objectContaining({ subtotal: 20000, tax, total: 21800 })
+    );
+  });
+
+  it('should add the fee of the chosen shipping method and store it', async () => {
+    request.body.shippingMethod = 'm2';
+    shippingQuote.mockResolvedValueOnce(
+      quoteWith([
+        { _id: 'm1', name: 'Standard', fee: 500 },
+        { _id: 'm2', name: 'Express', fee: 1500, estimatedDays: '1 day' },
+      ])
+    );
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+
+    await brainTreePaymentController(request, response);
+
+    expect(provider.sale).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: '215.00' })
+    );
+    expect(orderModel).toHaveBeenCalledWith(
+      expect.objectContaining({
+        shipping: {
+          zone: 'Singapore',
+          method: 'Express',
+          fee: 1500,
+          estimatedDays: '1 day',
+        },
+        total: 21500,
+      })
+    );
+  });
+
+  it('should charge the store currency and record the buyer\'s currency', async () => {
+    request.body.displayCurrency = 'JPY';
+    exchangeRateModel.findOne.mockResolvedValue({ currency: 'JPY', rate: 150.5 });
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+
+    await brainTreePaymentController(request, response);
+
+    expect(provider.sale).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: '200.00' })
+    );
+    expect(orderModel).toHaveBeenCalledWith(
+      expect.objectContaining({
+        total: 20000,
+        currency: 'USD',
+        display: { currency: 'JPY', rate: 150.5, amount: 30100 },
+      })
+    );
+  });
+
+  it('should require a shipping method that is open to the cart', async () => {
+    request.body.shippingMethod = 'gone';
+
+    await brainTreePaymentController(request, response);
+
+    expect(response.status).toHaveBeenCalledWith(400);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Please choose a shipping method',
+    });
+    expect(provider.sale).not.toHaveBeenCalled();
+  });
+
+  it('should refuse products that can not be shipped', async () => {
+    const unshippable = [{ product: 'product1', name: 'Sofa' }];
+    shippingQuote.mockResolvedValueOnce(quoteWith([], unshippable));
+
+    await brainTreePaymentController(request, response);
+
+    expect(response.status).toHaveBeenCalledWith(400);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Some items in your cart can not be shipped',
+      unshippable,
+    });
+    expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should refuse regions without a shipping zone', async () => {
+    shippingQuote.mockResolvedValueOnce({ zone: null, methods: [], unshippable: [] });
+
+    await brainTreePaymentController(request, response);
+
+    expect(response.status).toHaveBeenCalledWith(400);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'We do not deliver to this region',
+    });
+  });
+
+  it('should tax the discounted amount', async () => {
+    request.body.couponCode = 'SAVE10';
+    applyCoupon.mockResolvedValueOnce({ coupon: { _id: 'c1', code: 'SAVE10' }, discount: 2000 });
+    redeemCoupon.mockResolvedValueOnce(true);
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+
+    await brainTreePaymentController(request, response);
+
+    expect(calculateTax).toHaveBeenCalledWith(expect.any(Array), '', 2000);
+  });
+
+  it('should refuse a coupon that does not apply', async () => {
+    request.body.couponCode = 'OLD';
+    applyCoupon.mockResolvedValueOnce({ error: 'Coupon has expired' });
+
+    await brainTreePaymentController(request, response);
+
+    expect(response.status).toHaveBeenCalledWith(400);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Coupon has expired',
+    });
+    expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(provider.sale).not.toHaveBeenCalled();
+  });
+
+  it('should void the payment when the coupon ran out meanwhile', async () => {
+    request.body.couponCode = 'SAVE10';
+    applyCoupon.mockResolvedValueOnce({ coupon: { _id: 'c1', code: 'SAVE10' }, discount: 2000 });
+    redeemCoupon.mockResolvedValueOnce(false);
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+
+    await brainTreePaymentController(request, response);
+
+    expect(reversePayment).toHaveBeenCalledWith(txnSuccess);
+    expect(response.status).toHaveBeenCalledWith(409);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Coupon usage limit reached',
+      paymentCancelled: true,
+    });
+    expect(orderModel.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('should not use the coupon when the sale is declined', async () => {
+    request.body.couponCode = 'SAVE10';
+    applyCoupon.mockResolvedValueOnce({ coupon: { _id: 'c1', code: 'SAVE10' }, discount: 2000 });
+    provider.sale.mockResolvedValueOnce({ success: false, message: 'Declined' });
+
+    await brainTreePaymentController(request, response);
+
+    expect(redeemCoupon).not.toHaveBeenCalled();
+    expect(sendOrderConfirmation).not.toHaveBeenCalled();
+  });
+
+  it('should charge catalogue prices rather than client supplied ones', async () => {
+    request.body.cart = [{ product: 'product1', quantity: 1, price: 1 }];
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+
+    await brainTreePaymentController(request, response);
+
+    expect(provider.sale).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: '100.00' })
+    );
+    expect(orderModel).toHaveBeenCalledWith(
+      expect.objectContaining({
+        products: [{ product: 'product1', quantity: 1, price: 10000 }],
+        total: 10000,
+      })
+    );
+  });
+
+  it('should reject carts containing unknown or deleted products', async () => {
+    request.body.cart.push({ product: 'deleted', quantity: 1, price: 5 });
+
+    await brainTreePaymentController(request, response);
+
+    expect(response.status).toHaveBeenCalledWith(400);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Some products in your cart are no longer available',
+      missing: ['deleted'],
+    });
+    expect(provider.sale).not.toHaveBeenCalled();
+  });
+
+  it('should reject cart lines without a valid quantity', async () => {
+    request.body.cart = [{ product: 'product1', quantity: -3 }];
+
+    await brainTreePaymentController(request, response);
+
+    expect(response.status).toHaveBeenCalledWith(400);
+    expect(provider.sale).not.toHaveBeenCalled();
+  });
+
+  it('should take the stock, save the order and empty the cart together', async () => {
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+
+    await brainTreePaymentController(request, response);
+
+    expect(mongoose.connection.transaction).toHaveBeenCalledTimes(1);
+    expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'product1', quantity: { $gte: 2 } },
+      { $inc: { quantity: -2 } },
+      { session: 'session' }
+    );
+    expect(orderModel.prototype.save).toHaveBeenCalledWith({ session: 'session' });
+    expect(cartModel.updateOne).toHaveBeenCalledWith(
+      { user: '123' },
+      { items: [] },
+      { session: 'session' }
+    );
+  });
+
+  it('should refuse to charge when stock is insufficient', async () => {
+    productModel.find.mockReturnValue({
+      select: jest
+        .fn()
+        .mockResolvedValue([{ _id: 'product1', name: 'Laptop', price: 10000, quantity: 1 }]),
+    });
+
+    await brainTreePaymentController(request, response);
+
+    expect(response.status).toHaveBeenCalledWith(409);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Insufficient stock',
+      insufficient: [
+        { product: 'product1', name: 'Laptop', available: 1, requested: 2 },
+      ],
+    });
+    expect(provider.sale).not.toHaveBeenCalled();
+  });
+
+  it('should void the payment when the stock ran out after charging', async () => {
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+    productModel.findOneAndUpdate.mockResolvedValueOnce(null);
+    productModel.findById.mockResolvedValue({ name: 'Laptop', quantity: 1 });
+
+    await brainTreePaymentController(request, response);
+
+    expect(reversePayment).toHaveBeenCalledWith(txnSuccess);
+    expect(response.status).toHaveBeenCalledWith(409);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Insufficient stock',
+      insufficient: [
+        { product: 'product1', name: 'Laptop', available: 1, requested: 2 },
+      ],
+      paymentCancelled: true,
+    });
+    expect(orderModel.prototype.save).not.toHaveBeenCalled();
+    expect(sendOrderConfirmation).not.toHaveBeenCalled();
+  });
+
+  it('should void the payment when the order can not be saved', async () => {
+    const error = new Error('db down');
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+    orderModel.prototype.save.mockRejectedValueOnce(error);
+
+    await brainTreePaymentController(request, response);
+
+    expect(logSpy).toHaveBeenCalledWith(error);
+    expect(reversePayment).toHaveBeenCalledWith(txnSuccess);
+    expect(response.status).toHaveBeenCalledWith(500);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Your order could not be saved, the payment has been cancelled',
+      paymentCancelled: true,
+      error,
+    });
+    expect(response.json).not.toHaveBeenCalled();
+  });
+
+  it('should say so when the payment can not be given back either', async () => {
+    provider.sale.mockResolvedValueOnce(txnSuccess);
+    orderModel.prototype.save.mockRejectedValueOnce(new Error('db down'));
+    reversePayment.mockRejectedValueOnce(new Error('gateway down'));
+
+    await brainTreePaymentController(request, response);
+
+    expect(response.status).toHaveBeenCalledWith(500);
+    expect(response.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message:
+          'Your order could not be saved and the payment could not be cancelled, please contact us',
+        paymentCancelled: false,
+      })
+    );
+  });
+
+  it('should take no stock when the sale is declined', async () => {
+    provider.sale.mockResolvedValueOnce({ success: false, message: 'Declined' });
+
+    await brainTreePaymentController(request, response);
+
+    expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(mongoose.connection.transaction).not.toHaveBeenCalled();
     expect(orderModel.prototype.save).toHaveBeenCalled();
   });
 
-  it('should not create order when payment fails', async () => {
-    const error = new Error('Payment failed');
+  it('should answer a declined sale with the gateway message', async () => {
+    provider.sale.mockResolvedValueOnce({ success: false, message: 'Declined' });
+
+    await brainTreePaymentController(request, response);
 
-    gateway.transaction.sale.mockImplementationOnce((_, callback) => {
-      callback(error, null);
+    expect(response.status).toHaveBeenCalledWith(402);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Declined',
     });
+    expect(response.json).not.toHaveBeenCalled();
+  });
+
+  it('should mark a declined sale on the order', async () => {
+    provider.sale.mockResolvedValueOnce({ success: false, message: 'Declined' });
+
+    await brainTreePaymentController(request, response);
+
+    expect(orderModel).toHaveBeenCalledWith(
+      expect.objectContaining({ paymentStatus: 'declined' })
+    );
+  });
+
+  it('should not create order when payment fails', async () => {
+    const error = new Error('Payment failed');
+    provider.sale.mockRejectedValueOnce(error);
 
     await brainTreePaymentController(request, response);
 
     expect(response.status).toHaveBeenCalledWith(500);
-    expect(response.send).toHaveBeenCalledWith(error);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Error in payment',
+      error,
+    });
     expect(orderModel.prototype.save).not.toHaveBeenCalled();
   });
 
   it('should log error when sale() throws', async () => {
     const error = new Error('Payment failed');
-    gateway.transaction.sale.mockImplementationOnce(() => {
+    provider.sale.mockImplementationOnce(() => {
       throw error;
     });
 
@@ -182,19 +691,73 @@ describe('brainTreePaymentController', () => {
     });
   });
 
-  it('should handle unauthenticated user with 401 status', async () => {
+  it('should link a guest order to the email and return a lookup token', async () => {
     delete request.user;
+    request.body.email = ' Jane@Example.com ';
+    provider.sale.mockResolvedValueOnce(txnSuccess);
 
     await brainTreePaymentController(request, response);
 
-    expect(response.status).toHaveBeenCalledWith(401);
-    expect(response.send).toHaveBeenCalledWith(new Error('User not authenticated'));
+    expect(orderModel).toHaveBeenCalledWith(
+      expect.objectContaining({
+        buyer: undefined,
+        guestEmail: 'jane@example.com',
+        shippingAddress: { name: 'Jane', address: '1 Computing Drive', phone: '81234567', region: '' },
+      })
+    );
+    expect(userModel.findById).not.toHaveBeenCalled();
+    expect(response.json).toHaveBeenCalledWith({
+      ok: true,
+      order: 'order1',
+      lookupToken: expect.any(String),
+    });
+    expect(sendOrderConfirmation).toHaveBeenCalledWith('order1');
+    // guests have no saved cart to empty
+    expect(cartModel.updateOne).not.toHaveBeenCalled();
   });
 
-  it('should prevent duplicate transactions', async () => {
-    gateway.transaction.sale.mockImplementationOnce((_, callback) => {
-      callback(null, txnSuccess);
+  it('should require a valid email from guests', async () => {
+    delete request.user;
+    request.body.email = 'not-an-email';
+
+    await brainTreePaymentController(request, response);
+
+    expect(response.status).toHaveBeenCalledWith(400);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'A valid email is required to checkout as a guest',
+    });
+    expect(provider.sale).not.toHaveBeenCalled();
+  });
+
+  it('should require a name from guests', async () => {
+    delete request.user;
+    request.body.email = 'jane@example.com';
+    request.body.shippingAddress.name = ' ';
+
+    await brainTreePaymentController(request, response);
+
+    expect(response.status).toHaveBeenCalledWith(400);
+    expect(response.send).toHaveBeenCalledWith({
+      success: false,
+      message: 'Name is required',
     });
+  });
+
+  it('should check coupons for guests without a buyer', async () => {
+    delete request.user;
+    request.body.email = 'jane@example.com';
+    request.body.couponCode = 'SAVE10';
+    applyCoupon.mockResolvedValueOnce({ error: 'Please login to use this coupon' });
+
+    await brainTreePaymentController(request, response);
+
+    expect(applyCoupon).toHaveBeenCalledWith('SAVE10', expect.any(Array), undefined);
+    expect(response.status).toHaveBeenCalledWith(400);
+  });
+
+  it('should prevent duplicate transactions', async () => {
+    provider.sale.mockResolvedValueOnce(txnSuccess);
 
     await brainTreePaymentController(request, response);
     await brainTreePaymentController(request, response);
@@ -0,0 +1,87 @@
+import orderModel from "../models/orderModel.js";
+import { getPaymentProvider } from "../helpers/paymentProvider.js";
+import { paymentEventEntry } from "../helpers/paymentStatusHelper.js";
+
+// orders placed before payment results were normalized keep the raw
+// Braintree result, with the id under transaction
+const byTransaction = (transactionId) => ({
+  $or: [
+    { "payment.transactionId": transactionId },
+    { "payment.transaction.id": transactionId },
+  ],
+});
+
+//payment gateway webhook
+export const paymentWebhookController = async (req, res) => {
+  let event;
+  try {
+    event = await getPaymentProvider().parseWebhook(req.body);
+  } catch (error) {
+    console.log(error);
+    return res.status(400).send({
+      success: false,
+      message: "Invalid webhook signature",
+    });
+  }
+
+  try {
+    // gateways retry until they get a 2xx, so acknowledge what we can't use
+    if (!event.transactionId) {
+      return res.status(200).send({
+        success: true,
+        message: "Event ignored",
+      });
+    }
+
+    const entry = paymentEventEntry(event);
+    // a retried delivery has the same id and is only recorded once
+    const order = await orderModel.findOneAndUpdate(
+      {
+        $and: [
+          byTransaction(event.transactionId),
+          { "paymentEvents.eventId": { $ne: entry.eventId } },
+        ],
+      },
+      { $push: { paymentEvents: entry } },
+      { new: true }
+    );
+    if (!order) {
+      const known = await orderModel.exists(byTransaction(event.transactionId));
+      return res.status(200).send({
+        success: true,
+        message: known ? "Event already recorded" : "No matching order",
+      });
+    }
+
+    // events can arrive out of order, an older one never overrides a newer one
+    if (entry.status) {
+      await orderModel.updateOne(
+        {
+          _id: order._id,
+          $or: [
+            { paymentStatusAt: null },
+            { paymentStatusAt: { $lte: entry.occurredAt } },
+          ],
+        },
+        {
+          $set: {
+            paymentStatus: entry.status,
+            paymentStatusAt: entry.occurredAt,
+          },
+        }
+      );
+    }
+
+    res.status(200).send({
+      success: true,
+      message: "Event recorded",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Processing Payment Webhook",
+      error,
+    });
+  }
+};
@@ -0,0 +1,187 @@
+import { jest } from "@jest/globals";
+import { paymentWebhookController } from "./paymentController";
+import orderModel from "../models/orderModel";
+import {
+  getPaymentProvider,
+  resetPaymentProvider,
+} from "../helpers/paymentProvider";
+
+jest.mock("../models/orderModel.js");
+
+const createMockResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  send: jest.fn(),
+});
+
+const byTransaction = {
+  $or: [
+    { "payment.transactionId": "txn1" },
+    { "payment.transaction.id": "txn1" },
+  ],
+};
+
+let logSpy;
+const originalProvider = process.env.PAYMENT_PROVIDER;
+beforeAll(() => {
+  logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+  // the fake gateway signs sample webhooks locally
+  process.env.PAYMENT_PROVIDER = "fake";
+  resetPaymentProvider();
+});
+
+afterAll(() => {
+  logSpy.mockRestore();
+  process.env.PAYMENT_PROVIDER = originalProvider;
+  resetPaymentProvider();
+});
+
+describe("paymentWebhookController", () => {
+  let res;
+  const signed = (kind, fields) =>
+    getPaymentProvider().sampleWebhook(kind, "txn1", {
+      occurredAt: "2026-01-02T03:04:05.000Z",
+      ...fields,
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = createMockResponse();
+    orderModel.findOneAndUpdate.mockResolvedValue({ _id: "order1" });
+    orderModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it("should record the event on the order and update its status", async () => {
+    const body = await signed("transaction_settled", { id: "evt1" });
+
+    await paymentWebhookController({ body }, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        $and: [byTransaction, { "paymentEvents.eventId": { $ne: "evt1" } }],
+      },
+      {
+        $push: {
+          paymentEvents: expect.objectContaining({
+            eventId: "evt1",
+            kind: "transaction_settled",
+            status: "settled",
+          }),
+        },
+      },
+      { new: true }
+    );
+    expect(orderModel.updateOne).toHaveBeenCalledWith(
+      {
+        _id: "order1",
+        $or: [
+          { paymentStatusAt: null },
+          {
+            paymentStatusAt: { $lte: new Date("2026-01-02T03:04:05.000Z") },
+          },
+        ],
+      },
+      {
+        $set: {
+          paymentStatus: "settled",
+          paymentStatusAt: new Date("2026-01-02T03:04:05.000Z"),
+        },
+      }
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Event recorded",
+    });
+  });
+
+  it("should mark disputes", async () => {
+    const body = await signed("dispute_opened");
+
+    await paymentWebhookController({ body }, res);
+
+    expect(orderModel.updateOne).toHaveBeenCalledWith(
+      expect.anything(),
+      { $set: expect.objectContaining({ paymentStatus: "disputed" }) }
+    );
+  });
+
+  it("should record events without a status of their own", async () => {
+    const body = await signed("transaction_disbursed");
+
+    await paymentWebhookController({ body }, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalled();
+    expect(orderModel.updateOne).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should acknowledge a repeated delivery once more", async () => {
+    const body = await signed("transaction_settled");
+    orderModel.findOneAndUpdate.mockResolvedValue(null);
+    orderModel.exists.mockResolvedValue({ _id: "order1" });
+
+    await paymentWebhookController({ body }, res);
+
+    expect(orderModel.exists).toHaveBeenCalledWith(byTransaction);
+    expect(orderModel.updateOne).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Event already recorded",
+    });
+  });
+
+  it("should acknowledge events for transactions it doesn't know", async () => {
+    const body = await signed("transaction_settled");
+    orderModel.findOneAndUpdate.mockResolvedValue(null);
+    orderModel.exists.mockResolvedValue(null);
+
+    await paymentWebhookController({ body }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "No matching order",
+    });
+  });
+
+  it("should ignore events without a transaction", async () => {
+    const body = await signed("subscription_canceled", {
+      transactionId: undefined,
+    });
+
+    await paymentWebhookController({ body }, res);
+
+    expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Event ignored",
+    });
+  });
+
+  it("should reject a payload that was tampered with", async () => {
+    const body = await signed("transaction_refunded");
+    const event = JSON.parse(Buffer.from(body.payload, "base64").toString());
+    const payload = Buffer.from(
+      JSON.stringify({ ...event, transactionId: "someone-else" })
+    ).toString("base64");
+
+    await paymentWebhookController({ body: { ...body, payload } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Invalid webhook signature",
+    });
+    expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should return 500 when the order can't be updated", async () => {
+    const body = await signed("transaction_settled");
+    orderModel.findOneAndUpdate.mockRejectedValue(new Error("db down"));
+
+    await paymentWebhookController({ body }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
@@ -1,21 +1,35 @@
 import productModel from "../models/productModel.js";
 import categoryModel from "../models/categoryModel.js";
 import orderModel from "../models/orderModel.js";
+import {
+    findShortfalls,
+    placeOrder,
+    priceCart,
+    resolveShipping,
+} from "../helpers/checkoutHelper.js";
+import { applyCoupon } from "../helpers/couponHelper.js";
+import { calculateTax } from "../helpers/taxHelper.js";
+import { selectMethod, shippingQuote } from "../helpers/shippingHelper.js";
+import { storeCurrency, toDecimalString } from "../helpers/moneyHelper.js";
+import { displayAmount } from "../helpers/currencyHelper.js";
+
+import {
+    getPaymentProvider,
+    reversePayment,
+} from "../helpers/paymentProvider.js";
+import { statusHistoryEntry } from "../helpers/orderStatusHelper.js";
+import { checkoutPaymentStatus } from "../helpers/paymentStatusHelper.js";
+import { sendOrderConfirmation } from "../helpers/notificationHelper.js";
+import { normalizeEmail, orderLookupToken } from "../helpers/guestHelper.js";
+import { validateEmail } from "../helpers/validationHelper.js";
+import { nextOrderNumber } from "../helpers/orderNumberHelper.js";
 
 import fs from "fs";
 import slugify from "slugify";
-import braintree from "braintree";
 import dotenv from "dotenv";
 
 dotenv.config();
 
-var gateway = new braintree.BraintreeGateway({
-    environment: braintree.Environment.Sandbox,
-    merchantId: process.env.BRAINTREE_MERCHANT_ID,
-    publicKey: process.env.BRAINTREE_PUBLIC_KEY,
-    privateKey: process.env.BRAINTREE_PRIVATE_KEY,
-});
-
 // create product
 export const createProductController = async (req, res) => {
     try {
@@ -53,6 +67,11 @@ export const createProductController = async (req, res) => {
                 .status(400)
                 .send({ error: "Price must be a positive number" });
         }
+        if (!Number.isInteger(Number(price))) {
+            return res
+                .status(400)
+                .send({ error: "Price must be a whole number of cents" });
+        }
         if (isNaN(quantity)) {
             return res
                 .status(400)
@@ -66,6 +85,7 @@ export const createProductController = async (req, res) => {
 
         const product = new productModel({
             ...req.fields,
+            currency: storeCurrency(),
             slug: slugify(name),
         });
 
@@ -226,6 +246,10 @@ export const updateProductController = async (req, res) => {
                 return res
                     .status(400)
                     .send({ error: "Price must be a positive number" });
+            case !Number.isInteger(Number(price)):
+                return res
+                    .status(400)
+                    .send({ error: "Price must be a whole number of cents" });
             case !category:
                 return res.status(400).send({ error: "Category is required" });
             case !quantity:
@@ -246,7 +270,7 @@ export const updateProductController = async (req, res) => {
 
         const products = await productModel.findByIdAndUpdate(
             req.params.pid,
-            { ...req.fields, slug: slugify(name) },
+            { ...req.fields, currency: storeCurrency(), slug: slugify(name) },
             { new: true }
         );
         if (!products) {
@@ -412,26 +436,68 @@ export const productCategoryController = async (req, res) => {
 //token
 export const braintreeTokenController = async (req, res) => {
     try {
-        gateway.clientToken.generate({}, function (err, response) {
-            if (err) {
-                res.status(500).send(err);
-            }
-            // Handle empty response case
-            if (!response || !response.clientToken) {
-                res.status(500).send({ error: "Invalid token response" });
-            }
-            res.send(response);
+        const provider = getPaymentProvider();
+        const clientToken = await provider.createClientToken();
+        // Handle empty response case
+        if (!clientToken) {
+            return res.status(500).send({ error: "Invalid token response" });
+        }
+        res.send({ success: true, clientToken, provider: provider.name });
+    } catch (error) {
+        console.log(error);
+        res.status(500).send({
+            success: false,
+            message: "Error while getting payment token",
+            error,
         });
+    }
+};
+
+// The buyer was charged but placeOrder saved nothing, give the money back
+// and tell them why
+const sendUnplacedOrder = async (res, placed, payment) => {
+    let paymentCancelled = false;
+    try {
+        paymentCancelled = !!(await reversePayment(payment))?.success;
     } catch (error) {
         console.log(error);
     }
+    if (!paymentCancelled) {
+        // left for support to give back by hand
+        console.log(
+            `Payment ${payment.transactionId} was taken for an order that was not saved`
+        );
+    }
+    if (placed.insufficient) {
+        return res.status(409).send({
+            success: false,
+            message: "Insufficient stock",
+            insufficient: placed.insufficient,
+            paymentCancelled,
+        });
+    }
+    if (placed.couponLimitReached) {
+        return res.status(409).send({
+            success: false,
+            message: "Coupon usage limit reached",
+            paymentCancelled,
+        });
+    }
+    res.status(500).send({
+        success: false,
+        message: paymentCancelled
+            ? "Your order could not be saved, the payment has been cancelled"
+            : "Your order could not be saved and the payment could not be cancelled, please contact us",
+        paymentCancelled,
+        error: placed.error,
+    });
 };
 
 //payment
 export const brainTreePaymentController = async (req, res) => {
     try {
-        const { nonce, cart } = req.body;
-        let total = 0;
+        const { nonce, cart, couponCode, shippingMethod, displayCurrency } =
+            req.body;
         if (!cart || cart.length === 0) {
             return res.status(400).send({
                 success: false,
@@ -439,9 +505,14 @@ export const brainTreePaymentController = async (req, res) => {
             });
         }
 
-        // Check if user is authenticated
-        if (!req.user || !req.user._id) {
-            return res.status(401).send(new Error("User not authenticated"));
+        // signed in buyers own the order, guests are known by their email
+        const buyer = req.user?._id;
+        const guestEmail = buyer ? undefined : normalizeEmail(req.body.email);
+        if (!buyer && !validateEmail(guestEmail)) {
+            return res.status(400).send({
+                success: false,
+                message: "A valid email is required to checkout as a guest",
+            });
         }
 
         if (!nonce) {
@@ -451,32 +522,178 @@ export const brainTreePaymentController = async (req, res) => {
             });
         }
 
-        cart.map((i) => {
-            total += i.price;
-        });
-        let newTransaction = gateway.transaction.sale(
-            {
-                amount: total,
-                paymentMethodNonce: nonce,
-                options: {
-                    submitForSettlement: true,
-                },
-            },
-            function (error, result) {
-                if (result) {
-                    const order = new orderModel({
-                        products: cart,
-                        payment: result,
-                        buyer: req.user._id,
-                    }).save();
-
-                    res.json({ ok: true });
-                } else {
-                    res.status(500).send(error);
-                }
+        const shippingAddress = await resolveShipping(
+            req.body.shippingAddress,
+            buyer
+        );
+        if (!buyer && !shippingAddress.name) {
+            return res.status(400).send({
+                success: false,
+                message: "Name is required",
+            });
+        }
+        if (!shippingAddress.address) {
+            return res.status(400).send({
+                success: false,
+                message: "Shipping address is required",
+            });
+        }
+        if (!shippingAddress.phone) {
+            return res.status(400).send({
+                success: false,
+                message: "Contact phone is required",
+            });
+        }
+
+        // never trust client prices, reprice every line from the catalogue
+        const { items, total: subtotal, missing, invalid } = await priceCart(
+            cart
+        );
+        if (invalid) {
+            return res.status(400).send({
+                success: false,
+                message: "Every cart line needs a product and a quantity",
+            });
+        }
+        if (missing.length) {
+            return res.status(400).send({
+                success: false,
+                message: "Some products in your cart are no longer available",
+                missing,
+            });
+        }
+
+        let coupon;
+        let discount = 0;
+        if (couponCode) {
+            const applied = await applyCoupon(couponCode, items, buyer);
+            if (applied.error) {
+                return res.status(400).send({
+                    success: false,
+                    message: applied.error,
+                });
             }
+            ({ coupon, discount } = applied);
+        }
+
+        const quote = await shippingQuote(
+            items,
+            shippingAddress.region,
+            discount
         );
+        if (quote.unshippable.length) {
+            return res.status(400).send({
+                success: false,
+                message: "Some items in your cart can not be shipped",
+                unshippable: quote.unshippable,
+            });
+        }
+        if (!quote.zone) {
+            return res.status(400).send({
+                success: false,
+                message: "We do not deliver to this region",
+            });
+        }
+        const method = selectMethod(quote, shippingMethod);
+        if (!method) {
+            return res.status(400).send({
+                success: false,
+                message: "Please choose a shipping method",
+            });
+        }
+
+        const tax = await calculateTax(items, shippingAddress.region, discount);
+        const currency = storeCurrency();
+        const total = subtotal - discount + tax.amount + method.fee;
+        // charged in the store currency, the buyer's currency is only recorded
+        const display = await displayAmount(total, displayCurrency);
+
+        // turn the buyer away before charging when the shelves are short,
+        // the stock itself is taken once the payment went through
+        const insufficient = await findShortfalls(items);
+        if (insufficient.length) {
+            return res.status(409).send({
+                success: false,
+                message: "Insufficient stock",
+                insufficient,
+            });
+        }
+
+        // numbered before charging, nothing can fail between the charge and
+        // the checkout transaction without the payment being cancelled
+        const orderNumber = await nextOrderNumber();
+        const result = await getPaymentProvider().sale({
+            amount: toDecimalString(total, currency),
+            nonce,
+        });
+        if (!result) {
+            return res.status(500).send({
+                success: false,
+                message: "Payment failed",
+            });
+        }
+
+        const fields = {
+            orderNumber,
+            products: items,
+            subtotal,
+            discount: coupon ? { code: coupon.code, amount: discount } : undefined,
+            tax,
+            currency,
+            shipping: {
+                zone: quote.zone.name,
+                method: method.name,
+                fee: method.fee,
+                estimatedDays: method.estimatedDays,
+            },
+            total,
+            display,
+            payment: result,
+            paymentStatus: checkoutPaymentStatus(result),
+            paymentStatusAt: new Date(),
+            buyer,
+            guestEmail,
+            shippingAddress,
+            statusHistory: [statusHistoryEntry("Not Process", buyer)],
+        };
+
+        if (!result.success) {
+            // declined, keep the attempt but take no stock or coupon use
+            await new orderModel(fields).save();
+            return res.status(402).send({
+                success: false,
+                message: result.message || "Payment declined",
+            });
+        }
+
+        let placed;
+        try {
+            placed = await placeOrder({ fields, items, coupon, buyer });
+        } catch (error) {
+            console.log(error);
+            placed = { error };
+        }
+        if (!placed.order) {
+            return sendUnplacedOrder(res, placed, result);
+        }
+        const { order } = placed;
+        sendOrderConfirmation(order._id);
+
+        res.json({
+            ok: true,
+            order: order._id,
+            orderNumber: order.orderNumber,
+            // guests have no order list, this opens their order instead
+            ...(guestEmail
+                ? { lookupToken: orderLookupToken(order._id, guestEmail) }
+                : {}),
+        });
     } catch (error) {
         console.log(error);
+        res.status(500).send({
+            success: false,
+            message: "Error in payment",
+            error,
+        });
     }
 };
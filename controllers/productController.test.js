@@ -286,6 +286,18 @@ describe("Product Controller Tests", () => {
             });
         });
 
+        // Fractional Price: prices are stored in whole cents
+        test("should return error if price is not a whole number of cents", async () => {
+            req.fields.price = "54.99";
+
+            await createProductController(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.send).toHaveBeenCalledWith({
+                error: "Price must be a whole number of cents",
+            });
+        });
+
         // Missing Category: Should return error if category is missing
         test("should return error if category is missing", async () => {
             req.fields.category = "";
@@ -578,6 +590,18 @@ describe("Product Controller Tests", () => {
             });
         });
 
+        // Fractional Price: prices are stored in whole cents
+        test("should return error if price is not a whole number of cents", async () => {
+            req.fields.price = "54.99";
+
+            await updateProductController(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.send).toHaveBeenCalledWith({
+                error: "Price must be a whole number of cents",
+            });
+        });
+
         // Missing Category: Should return error if category is missing
         test("should return error if category is missing", async () => {
             req.fields.category = "";
@@ -0,0 +1,380 @@
+import orderModel from "../models/orderModel.js";
+import { releaseStock } from "../helpers/checkoutHelper.js";
+import { toDecimalString } from "../helpers/moneyHelper.js";
+import {
+  normalizeStatus,
+  statusHistoryEntry,
+} from "../helpers/orderStatusHelper.js";
+import { refundPayment } from "../helpers/paymentProvider.js";
+import {
+  RETURN_STATUSES,
+  orderReturnDeadline,
+  refundAmount,
+  returnItems,
+} from "../helpers/returnHelper.js";
+
+const findReturn = (order, returnId) =>
+  order.returns.find((ret) => String(ret._id) === String(returnId));
+
+// Move a return from one status to the next. The status is part of the
+// query, so two admins can't act on the same return at once. Resolves to
+// the updated order, or null when the return was not in status `from`.
+const moveReturn = (returnId, from, to, changedBy, note, update = {}) =>
+  orderModel.findOneAndUpdate(
+    { returns: { $elemMatch: { _id: returnId, status: from } } },
+    {
+      ...update,
+      $set: { "returns.$.status": to, ...update.$set },
+      $push: { "returns.$.history": statusHistoryEntry(to, changedBy, note) },
+    },
+    { new: true }
+  );
+
+// a return that could not be moved is either unknown or already moved on
+const returnConflict = async (res, returnId) => {
+  if (!(await orderModel.exists({ "returns._id": returnId }))) {
+    return res.status(404).send({
+      success: false,
+      message: "Return not found",
+    });
+  }
+  return res.status(409).send({
+    success: false,
+    message: "Return status was changed by someone else, please refresh",
+  });
+};
+
+// Give the buyer their money back for a received return. The return is
+// claimed with `refunding` so a double click can't refund it twice; a failed
+// refund leaves it Received with the error so it can be retried.
+const refundReturn = async (returnId, changedBy) => {
+  const order = await orderModel.findOneAndUpdate(
+    {
+      returns: {
+        $elemMatch: {
+          _id: returnId,
+          status: "Received",
+          refunding: { $ne: true },
+        },
+      },
+    },
+    { $set: { "returns.$.refunding": true } },
+    { new: true }
+  );
+  if (!order) return { conflict: true };
+
+  const ret = findReturn(order, returnId);
+  const amount = refundAmount(order, ret.items);
+  const refund = amount
+    ? await refundPayment(
+        order.payment,
+        toDecimalString(amount, order.currency)
+      ).catch((error) => {
+        console.log(error);
+        return { success: false, message: error.message };
+      })
+    : null;
+
+  if (refund && !refund.success) {
+    const failed = await orderModel.findOneAndUpdate(
+      { "returns._id": returnId },
+      {
+        $set: {
+          "returns.$.refunding": false,
+          "returns.$.refundError": refund.message || "Refund failed",
+        },
+      },
+      { new: true }
+    );
+    return { order: failed, refund };
+  }
+
+  const updated = await moveReturn(
+    returnId,
+    "Received",
+    "Refunded",
+    changedBy,
+    undefined,
+    {
+      $set: {
+        "returns.$.refunding": false,
+        "returns.$.refundAmount": amount,
+        "returns.$.refund": refund,
+        "returns.$.refundError": null,
+      },
+      $inc: { refunded: amount },
+    }
+  );
+  // the whole order has been given back
+  if (amount && updated.refunded >= updated.total) {
+    const fully = await orderModel.findByIdAndUpdate(
+      updated._id,
+      { $set: { paymentStatus: "refunded", paymentStatusAt: new Date() } },
+      { new: true }
+    );
+    return { order: fully, refund };
+  }
+  return { order: updated, refund };
+};
+
+//request return
+export const requestReturnController = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const reason = req.body?.reason?.trim();
+    if (!reason) {
+      return res.status(400).send({
+        success: false,
+        message: "Reason is required",
+      });
+    }
+
+    const order = await orderModel.findOne({
+      _id: orderId,
+      buyer: req.user._id,
+    });
+    if (!order) {
+      return res.status(404).send({
+        success: false,
+        message: "Order not found",
+      });
+    }
+    if (normalizeStatus(order.status) !== "Delivered") {
+      return res.status(400).send({
+        success: false,
+        message: "Only delivered orders can be returned",
+      });
+    }
+    if (!order.payment?.success) {
+      return res.status(400).send({
+        success: false,
+        message: "Only paid orders can be returned",
+      });
+    }
+    const deadline = orderReturnDeadline(order);
+    if (!deadline || deadline < new Date()) {
+      return res.status(400).send({
+        success: false,
+        message: "The return window for this order has closed",
+      });
+    }
+    const { items, error } = returnItems(order, req.body.items);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+
+    // only add the return if no other return was added in the meantime,
+    // otherwise the quantities checked above may be out of date. Returns are
+    // never removed, and older orders have no returns field at all, which
+    // $size would not match.
+    const updated = await orderModel.findOneAndUpdate(
+      {
+        _id: orderId,
+        [`returns.${order.returns.length}`]: { $exists: false },
+      },
+      {
+        $push: {
+          returns: {
+            items,
+            reason,
+            status: "Requested",
+            history: [statusHistoryEntry("Requested", req.user._id, reason)],
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).send({
+        success: false,
+        message: "Another return was just requested, please refresh",
+      });
+    }
+    res.status(201).send({
+      success: true,
+      message: "Return Requested Successfully",
+      order: updated,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Requesting Return",
+      error,
+    });
+  }
+};
+
+//get all returns
+export const getReturnsController = async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !RETURN_STATUSES.includes(status)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid return status",
+      });
+    }
+    const orders = await orderModel
+      .find(
+        status
+          ? { "returns.status": status }
+          : { "returns.0": { $exists: true } }
+      )
+      .select("orderNumber buyer currency total refunded returns createdAt")
+      .populate("buyer", "name email")
+      .populate("returns.items.product", "name")
+      .populate("returns.history.changedBy", "name");
+
+    // one entry per return, with the order it belongs to
+    const returns = orders
+      .flatMap((order) => {
+        const { returns: orderReturns, ...details } = order.toObject();
+        return orderReturns
+          .filter((ret) => !status || ret.status === status)
+          .map((ret) => ({ ...ret, order: details }));
+      })
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    res.status(200).send({
+      success: true,
+      message: "All Returns",
+      returns,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Getting Returns",
+      error,
+    });
+  }
+};
+
+//approve return
+export const approveReturnController = async (req, res) => {
+  try {
+    const order = await moveReturn(
+      req.params.id,
+      "Requested",
+      "Approved",
+      req.user._id,
+      req.body?.note
+    );
+    if (!order) return returnConflict(res, req.params.id);
+    res.status(200).send({
+      success: true,
+      message: "Return Approved",
+      order,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Approving Return",
+      error,
+    });
+  }
+};
+
+//reject return
+export const rejectReturnController = async (req, res) => {
+  try {
+    const note = req.body?.note?.trim();
+    if (!note) {
+      return res.status(400).send({
+        success: false,
+        message: "Tell the buyer why the return is rejected",
+      });
+    }
+    const order = await moveReturn(
+      req.params.id,
+      "Requested",
+      "Rejected",
+      req.user._id,
+      note
+    );
+    if (!order) return returnConflict(res, req.params.id);
+    res.status(200).send({
+      success: true,
+      message: "Return Rejected",
+      order,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Rejecting Return",
+      error,
+    });
+  }
+};
+
+//receive return
+export const receiveReturnController = async (req, res) => {
+  try {
+    const received = await moveReturn(
+      req.params.id,
+      "Approved",
+      "Received",
+      req.user._id,
+      req.body?.note
+    );
+    if (!received) return returnConflict(res, req.params.id);
+    await releaseStock(findReturn(received, req.params.id).items);
+
+    const { order, refund, conflict } = await refundReturn(
+      req.params.id,
+      req.user._id
+    );
+    if (conflict) return returnConflict(res, req.params.id);
+    if (refund && !refund.success) {
+      return res.status(502).send({
+        success: false,
+        message: "Return received and restocked, but the refund failed",
+        order,
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Return Received And Refunded",
+      order,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Receiving Return",
+      error,
+    });
+  }
+};
+
+//retry refund
+export const refundReturnController = async (req, res) => {
+  try {
+    const { order, refund, conflict } = await refundReturn(
+      req.params.id,
+      req.user._id
+    );
+    if (conflict) return returnConflict(res, req.params.id);
+    if (refund && !refund.success) {
+      return res.status(502).send({
+        success: false,
+        message: refund.message || "Refund failed",
+        order,
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Return Refunded",
+      order,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Refunding Return",
+      error,
+    });
+  }
+};
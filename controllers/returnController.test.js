@@ -0,0 +1,411 @@
+import { jest } from "@jest/globals";
+import {
+  approveReturnController,
+  getReturnsController,
+  receiveReturnController,
+  refundReturnController,
+  rejectReturnController,
+  requestReturnController,
+} from "./returnController";
+import orderModel from "../models/orderModel";
+import { releaseStock } from "../helpers/checkoutHelper";
+import { refundPayment } from "../helpers/paymentProvider";
+import { FAKE_VALID_NONCE } from "../helpers/fakePaymentProvider";
+
+jest.mock("../models/orderModel.js");
+jest.mock("../helpers/checkoutHelper.js", () => ({
+  releaseStock: jest.fn(),
+}));
+jest.mock("../helpers/paymentProvider.js", () => ({
+  refundPayment: jest.fn(),
+}));
+
+const createMockResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  send: jest.fn(),
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let logSpy;
+beforeAll(() => {
+  logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  logSpy.mockRestore();
+});
+
+const deliveredOrder = () => ({
+  _id: "order1",
+  status: "Delivered",
+  payment: { success: true, transactionId: "txn1" },
+  currency: "USD",
+  products: [{ product: "p1", quantity: 2, price: 10000 }],
+  subtotal: 20000,
+  total: 20500,
+  refunded: 0,
+  returnableUntil: new Date(Date.now() + DAY),
+  returns: [],
+});
+
+describe("requestReturnController", () => {
+  let req, res, order;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      params: { orderId: "order1" },
+      body: { reason: "Too small", items: [{ product: "p1", quantity: 1 }] },
+      user: { _id: "user1" },
+    };
+    res = createMockResponse();
+    order = deliveredOrder();
+    orderModel.findOne.mockResolvedValue(order);
+    orderModel.findOneAndUpdate.mockResolvedValue({ ...order, returns: [{}] });
+  });
+
+  it("should add a return for the chosen lines", async () => {
+    await requestReturnController(req, res);
+
+    expect(orderModel.findOne).toHaveBeenCalledWith({ _id: "order1", buyer: "user1" });
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: "order1", "returns.0": { $exists: false } },
+      {
+        $push: {
+          returns: {
+            items: [{ product: "p1", quantity: 1, price: 10000 }],
+            reason: "Too small",
+            status: "Requested",
+            history: [
+              expect.objectContaining({ status: "Requested", changedBy: "user1", note: "Too small" }),
+            ],
+          },
+        },
+      },
+      { new: true }
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it.each([
+    ["the order is not delivered", { status: "Shipped" }, "Only delivered orders can be returned"],
+    ["the payment failed", { payment: { success: false } }, "Only paid orders can be returned"],
+    [
+      "the window has closed",
+      { returnableUntil: new Date(Date.now() - DAY) },
+      "The return window for this order has closed",
+    ],
+  ])("should refuse when %s", async (_, changes, message) => {
+    Object.assign(order, changes);
+
+    await requestReturnController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ success: false, message });
+    expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should require a reason", async () => {
+    req.body.reason = " ";
+
+    await requestReturnController(req, res);
+
+    expect(res.send).toHaveBeenCalledWith({ success: false, message: "Reason is required" });
+  });
+
+  it("should reject returning more than was ordered", async () => {
+    req.body.items = [{ product: "p1", quantity: 3 }];
+
+    await requestReturnController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Cannot return more than was ordered",
+    });
+  });
+
+  it("should return 404 for orders of other buyers", async () => {
+    orderModel.findOne.mockResolvedValue(null);
+
+    await requestReturnController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it("should not add the return when another one was added meanwhile", async () => {
+    orderModel.findOneAndUpdate.mockResolvedValue(null);
+
+    await requestReturnController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+describe("getReturnsController", () => {
+  const mockOrders = (orders) => {
+    const query = {
+      select: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockReturnThis(),
+    };
+    query.populate.mockReturnValueOnce(query).mockReturnValueOnce(query).mockResolvedValueOnce(orders);
+    orderModel.find.mockReturnValue(query);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should list each return with its order, newest first", async () => {
+    const res = createMockResponse();
+    mockOrders([
+      {
+        toObject: () => ({
+          _id: "order1",
+          total: 20500,
+          returns: [
+            { _id: "r1", status: "Requested", createdAt: new Date("2024-02-01") },
+            { _id: "r2", status: "Approved", createdAt: new Date("2024-02-03") },
+          ],
+        }),
+      },
+    ]);
+
+    await getReturnsController({ query: { status: "Approved" } }, res);
+
+    expect(orderModel.find).toHaveBeenCalledWith({ "returns.status": "Approved" });
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "All Returns",
+      returns: [
+        {
+          _id: "r2",
+          status: "Approved",
+          createdAt: new Date("2024-02-03"),
+          order: { _id: "order1", total: 20500 },
+        },
+      ],
+    });
+  });
+
+  it("should reject an unknown status", async () => {
+    const res = createMockResponse();
+
+    await getReturnsController({ query: { status: "Lost" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(orderModel.find).not.toHaveBeenCalled();
+  });
+});
+
+describe("approve and reject", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { params: { id: "r1" }, body: { note: "Damaged in transit" }, user: { _id: "admin1" } };
+    res = createMockResponse();
+    orderModel.findOneAndUpdate.mockResolvedValue({ _id: "order1" });
+  });
+
+  it("should approve a requested return", async () => {
+    await approveReturnController(req, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { returns: { $elemMatch: { _id: "r1", status: "Requested" } } },
+      {
+        $set: { "returns.$.status": "Approved" },
+        $push: {
+          "returns.$.history": expect.objectContaining({
+            status: "Approved",
+            changedBy: "admin1",
+            note: "Damaged in transit",
+          }),
+        },
+      },
+      { new: true }
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should need a note to reject", async () => {
+    req.body = {};
+
+    await rejectReturnController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should reject a requested return", async () => {
+    await rejectReturnController(req, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { returns: { $elemMatch: { _id: "r1", status: "Requested" } } },
+      expect.objectContaining({ $set: { "returns.$.status": "Rejected" } }),
+      { new: true }
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should tell a missing return from one that moved on", async () => {
+    orderModel.findOneAndUpdate.mockResolvedValue(null);
+    orderModel.exists.mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: "order1" });
+
+    await approveReturnController(req, res);
+    await approveReturnController(req, res);
+
+    expect(res.status).toHaveBeenNthCalledWith(1, 404);
+    expect(res.status).toHaveBeenNthCalledWith(2, 409);
+  });
+});
+
+describe("receive and refund", () => {
+  let req, res, order, ret;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { params: { id: "r1" }, body: {}, user: { _id: "admin1" } };
+    res = createMockResponse();
+    ret = { _id: "r1", status: "Received", items: [{ product: "p1", quantity: 1, price: 10000 }] };
+    order = { ...deliveredOrder(), returns: [ret] };
+    orderModel.findOneAndUpdate.mockImplementation(async (query, update) => {
+      if (update.$inc) return { ...order, refunded: order.refunded + update.$inc.refunded };
+      return order;
+    });
+    refundPayment.mockResolvedValue({ success: true, transactionId: "txn2", amount: "100.00" });
+  });
+
+  it("should restock the items and refund them", async () => {
+    await receiveReturnController(req, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { returns: { $elemMatch: { _id: "r1", status: "Approved" } } },
+      expect.objectContaining({ $set: { "returns.$.status": "Received" } }),
+      { new: true }
+    );
+    expect(releaseStock).toHaveBeenCalledWith(ret.items);
+    expect(refundPayment).toHaveBeenCalledWith(order.payment, "100.00");
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { returns: { $elemMatch: { _id: "r1", status: "Received" } } },
+      expect.objectContaining({
+        $set: {
+          "returns.$.status": "Refunded",
+          "returns.$.refunding": false,
+          "returns.$.refundAmount": 10000,
+          "returns.$.refund": { success: true, transactionId: "txn2", amount: "100.00" },
+          "returns.$.refundError": null,
+        },
+        $inc: { refunded: 10000 },
+      }),
+      { new: true }
+    );
+    expect(orderModel.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should claim the return before refunding it", async () => {
+    await refundReturnController(req, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenNthCalledWith(
+      1,
+      {
+        returns: {
+          $elemMatch: { _id: "r1", status: "Received", refunding: { $ne: true } },
+        },
+      },
+      { $set: { "returns.$.refunding": true } },
+      { new: true }
+    );
+  });
+
+  it("should mark the order refunded once everything is given back", async () => {
+    order.refunded = 10500;
+
+    await refundReturnController(req, res);
+
+    expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      "order1",
+      { $set: { paymentStatus: "refunded", paymentStatusAt: expect.any(Date) } },
+      { new: true }
+    );
+  });
+
+  it("should keep a failed refund for another try", async () => {
+    refundPayment.mockResolvedValue({ success: false, message: "Gateway unavailable" });
+
+    await receiveReturnController(req, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { "returns._id": "r1" },
+      {
+        $set: {
+          "returns.$.refunding": false,
+          "returns.$.refundError": "Gateway unavailable",
+        },
+      },
+      { new: true }
+    );
+    expect(res.status).toHaveBeenCalledWith(502);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        success: false,
+        message: "Return received and restocked, but the refund failed",
+      })
+    );
+  });
+
+  it("should refund an approved return through the fake gateway", async () => {
+    const actual = jest.requireActual("../helpers/paymentProvider.js");
+    process.env.PAYMENT_PROVIDER = "fake";
+    actual.resetPaymentProvider();
+    const gateway = actual.getPaymentProvider();
+    const payment = await gateway.sale({ amount: "205.00", nonce: FAKE_VALID_NONCE });
+    // the gateway settles overnight and tells us through the webhook
+    await gateway.parseWebhook(
+      await gateway.sampleWebhook("transaction_settled", payment.transactionId)
+    );
+    order.payment = payment;
+    refundPayment.mockImplementation(actual.refundPayment);
+
+    try {
+      await receiveReturnController(req, res);
+    } finally {
+      actual.resetPaymentProvider();
+      delete process.env.PAYMENT_PROVIDER;
+    }
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { returns: { $elemMatch: { _id: "r1", status: "Received" } } },
+      expect.objectContaining({
+        $set: expect.objectContaining({
+          "returns.$.refund": expect.objectContaining({ success: true, amount: "100.00" }),
+          "returns.$.refundError": null,
+        }),
+        $inc: { refunded: 10000 },
+      }),
+      { new: true }
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should not refund a return somebody else is refunding", async () => {
+    orderModel.findOneAndUpdate.mockResolvedValue(null);
+    orderModel.exists.mockResolvedValue({ _id: "order1" });
+
+    await refundReturnController(req, res);
+
+    expect(refundPayment).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it("should return 500 when restocking fails", async () => {
+    releaseStock.mockRejectedValueOnce(new Error("db down"));
+
+    await receiveReturnController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(refundPayment).not.toHaveBeenCalled();
+  });
+});
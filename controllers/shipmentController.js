@@ -0,0 +1,252 @@
+import carrierModel from "../models/carrierModel.js";
+import orderModel from "../models/orderModel.js";
+import {
+  normalizeStatus,
+  statusHistoryEntry,
+} from "../helpers/orderStatusHelper.js";
+import {
+  canShip,
+  isTrackingTemplate,
+  shipmentItems,
+  shipsEverything,
+  trackingLink,
+} from "../helpers/shipmentHelper.js";
+import { sendShipmentEmail } from "../helpers/notificationHelper.js";
+
+const CARRIER_FIELDS = ["name", "trackingUrl"];
+
+const pickCarrierFields = (body) =>
+  CARRIER_FIELDS.reduce(
+    (fields, key) =>
+      body[key] === undefined ? fields : { ...fields, [key]: body[key] },
+    {}
+  );
+
+// returns an error message, or nothing when the carrier can be saved
+const validateCarrier = ({ name, trackingUrl }) => {
+  if (!name?.trim()) return "Name is required";
+  if (trackingUrl?.trim() && !isTrackingTemplate(trackingUrl.trim())) {
+    return "Tracking link must be a web address containing {tracking}";
+  }
+};
+
+// an empty date is fine, anything else has to parse
+const parseDate = (value) => (value ? new Date(value) : undefined);
+const isInvalidDate = (date) => date !== undefined && isNaN(date.getTime());
+
+//create carrier
+export const createCarrierController = async (req, res) => {
+  try {
+    const fields = pickCarrierFields(req.body);
+    const message = validateCarrier(fields);
+    if (message) {
+      return res.status(400).send({ success: false, message });
+    }
+    const existing = await carrierModel.findOne({ name: fields.name.trim() });
+    if (existing) {
+      return res.status(409).send({
+        success: false,
+        message: "Carrier already exists",
+      });
+    }
+    const carrier = await new carrierModel(fields).save();
+    res.status(201).send({
+      success: true,
+      message: "Carrier Created Successfully",
+      carrier,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Creating Carrier",
+      error,
+    });
+  }
+};
+
+//get all carriers
+export const getCarriersController = async (req, res) => {
+  try {
+    const carriers = await carrierModel.find({}).sort({ name: 1 });
+    res.status(200).send({
+      success: true,
+      message: "All Carriers",
+      carriers,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Getting Carriers",
+      error,
+    });
+  }
+};
+
+//update carrier
+export const updateCarrierController = async (req, res) => {
+  try {
+    const carrier = await carrierModel.findById(req.params.id);
+    if (!carrier) {
+      return res.status(404).send({
+        success: false,
+        message: "Carrier not found",
+      });
+    }
+    const fields = pickCarrierFields(req.body);
+    const message = validateCarrier({ ...carrier.toObject(), ...fields });
+    if (message) {
+      return res.status(400).send({ success: false, message });
+    }
+    carrier.set(fields);
+    await carrier.save();
+    res.status(200).send({
+      success: true,
+      message: "Carrier Updated Successfully",
+      carrier,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Updating Carrier",
+      error,
+    });
+  }
+};
+
+//delete carrier
+export const deleteCarrierController = async (req, res) => {
+  try {
+    await carrierModel.findByIdAndDelete(req.params.id);
+    res.status(200).send({
+      success: true,
+      message: "Carrier Deleted Successfully",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Deleting Carrier",
+      error,
+    });
+  }
+};
+
+//ship some or all of an order
+export const createShipmentController = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const trackingNumber = req.body.trackingNumber?.trim();
+    if (!trackingNumber) {
+      return res.status(400).send({
+        success: false,
+        message: "Tracking number is required",
+      });
+    }
+    const shippedAt = parseDate(req.body.shippedAt) || new Date();
+    const estimatedDelivery = parseDate(req.body.estimatedDelivery);
+    if (isInvalidDate(shippedAt) || isInvalidDate(estimatedDelivery)) {
+      return res.status(400).send({
+        success: false,
+        message: "Dates must look like YYYY-MM-DD",
+      });
+    }
+    if (estimatedDelivery && estimatedDelivery < shippedAt) {
+      return res.status(400).send({
+        success: false,
+        message: "Estimated delivery can't be before the ship date",
+      });
+    }
+    const carrier = req.body.carrier
+      ? await carrierModel.findById(req.body.carrier)
+      : null;
+    if (!carrier) {
+      return res.status(400).send({
+        success: false,
+        message: "Choose a carrier",
+      });
+    }
+
+    const order = await orderModel.findById(orderId);
+    if (!order) {
+      return res.status(404).send({
+        success: false,
+        message: "Order not found",
+      });
+    }
+    if (!canShip(order.status)) {
+      return res.status(400).send({
+        success: false,
+        message: `Cannot ship an order that is ${normalizeStatus(
+          order.status
+        )}`,
+      });
+    }
+    const { items, error } = shipmentItems(order, req.body.items);
+    if (error) {
+      return res.status(400).send({ success: false, message: error });
+    }
+
+    const shipment = {
+      carrier: carrier.name,
+      trackingNumber,
+      trackingUrl: trackingLink(carrier.trackingUrl, trackingNumber),
+      items,
+      shippedAt,
+      estimatedDelivery,
+      shippedBy: req.user._id,
+    };
+    // the last parcel out moves the order to Shipped
+    const shipsOrder =
+      normalizeStatus(order.status) === "Processing" &&
+      shipsEverything(order, items);
+    // only add the shipment if nothing changed since the quantities above
+    // were checked, so two admins can't ship the same items twice (see
+    // requestReturnController for why this isn't $size)
+    const updated = await orderModel.findOneAndUpdate(
+      {
+        _id: orderId,
+        status: order.status,
+        [`shipments.${order.shipments.length}`]: { $exists: false },
+      },
+      {
+        ...(shipsOrder ? { $set: { status: "Shipped" } } : {}),
+        $push: {
+          shipments: shipment,
+          ...(shipsOrder
+            ? {
+                statusHistory: statusHistoryEntry(
+                  "Shipped",
+                  req.user._id,
+                  `Shipped with ${carrier.name}`
+                ),
+              }
+            : {}),
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).send({
+        success: false,
+        message: "Order was changed by someone else, please refresh",
+      });
+    }
+    // not awaited, the email tells the buyer about the status change too
+    sendShipmentEmail(updated._id, updated.shipments.at(-1));
+    res.status(201).send({
+      success: true,
+      message: "Shipment Added Successfully",
+      order: updated,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Adding Shipment",
+      error,
+    });
+  }
+};
@@ -0,0 +1,364 @@
+import { jest } from "@jest/globals";
+import {
+  createCarrierController,
+  createShipmentController,
+  deleteCarrierController,
+  getCarriersController,
+  updateCarrierController,
+} from "./shipmentController";
+import carrierModel from "../models/carrierModel";
+import orderModel from "../models/orderModel";
+import { sendShipmentEmail } from "../helpers/notificationHelper";
+
+jest.mock("../models/carrierModel.js");
+jest.mock("../models/orderModel.js");
+jest.mock("../helpers/notificationHelper.js", () => ({
+  sendShipmentEmail: jest.fn(),
+}));
+
+const createMockResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  send: jest.fn(),
+});
+
+const template = "https://post.example.com/track?id={tracking}";
+
+let logSpy;
+beforeAll(() => {
+  logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  logSpy.mockRestore();
+});
+
+describe("createCarrierController", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { body: { name: "Example Post", trackingUrl: template } };
+    res = createMockResponse();
+    carrierModel.findOne.mockResolvedValue(null);
+    carrierModel.prototype.save.mockResolvedValue({ _id: "c1" });
+  });
+
+  it("should create a carrier with its tracking link", async () => {
+    await createCarrierController(req, res);
+
+    expect(carrierModel).toHaveBeenCalledWith({
+      name: "Example Post",
+      trackingUrl: template,
+    });
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should allow carriers without a tracking link", async () => {
+    delete req.body.trackingUrl;
+
+    await createCarrierController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should refuse links without a place for the tracking number", async () => {
+    req.body.trackingUrl = "https://post.example.com/track";
+
+    await createCarrierController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Tracking link must be a web address containing {tracking}",
+    });
+  });
+
+  it("should require a name", async () => {
+    req.body.name = " ";
+
+    await createCarrierController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(carrierModel.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it("should refuse duplicate names", async () => {
+    carrierModel.findOne.mockResolvedValue({ _id: "c1" });
+
+    await createCarrierController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
+
+describe("getCarriersController", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should list carriers by name", async () => {
+    const sort = jest.fn().mockResolvedValue([{ name: "Example Post" }]);
+    carrierModel.find.mockReturnValue({ sort });
+    const res = createMockResponse();
+
+    await getCarriersController({}, res);
+
+    expect(sort).toHaveBeenCalledWith({ name: 1 });
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "All Carriers",
+      carriers: [{ name: "Example Post" }],
+    });
+  });
+
+  it("should return 500 when the carriers can't be read", async () => {
+    carrierModel.find.mockImplementation(() => {
+      throw new Error("db down");
+    });
+    const res = createMockResponse();
+
+    await getCarriersController({}, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
+
+describe("updateCarrierController", () => {
+  let carrier, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    carrier = {
+      toObject: () => ({ name: "Example Post", trackingUrl: template }),
+      set: jest.fn(),
+      save: jest.fn(),
+    };
+    carrierModel.findById.mockResolvedValue(carrier);
+    res = createMockResponse();
+  });
+
+  it("should change the tracking link", async () => {
+    const trackingUrl = "https://post.example.com/t/{tracking}";
+
+    await updateCarrierController(
+      { params: { id: "c1" }, body: { trackingUrl } },
+      res
+    );
+
+    expect(carrier.set).toHaveBeenCalledWith({ trackingUrl });
+    expect(carrier.save).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should return 404 for unknown carriers", async () => {
+    carrierModel.findById.mockResolvedValue(null);
+
+    await updateCarrierController({ params: { id: "c9" }, body: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe("deleteCarrierController", () => {
+  it("should delete the carrier", async () => {
+    const res = createMockResponse();
+
+    await deleteCarrierController({ params: { id: "c1" } }, res);
+
+    expect(carrierModel.findByIdAndDelete).toHaveBeenCalledWith("c1");
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+});
+
+describe("createShipmentController", () => {
+  let req, res, order;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      params: { orderId: "order1" },
+      body: {
+        carrier: "c1",
+        trackingNumber: " AB123 ",
+        shippedAt: "2024-03-01",
+        estimatedDelivery: "2024-03-04",
+        items: [{ product: "p1", quantity: 1 }],
+      },
+      user: { _id: "admin1" },
+    };
+    res = createMockResponse();
+    order = {
+      _id: "order1",
+      status: "Processing",
+      products: [
+        { product: "p1", quantity: 2, price: 10000 },
+        { product: "p2", quantity: 1, price: 500 },
+      ],
+      shipments: [],
+    };
+    carrierModel.findById.mockResolvedValue({
+      name: "Example Post",
+      trackingUrl: template,
+    });
+    orderModel.findById.mockResolvedValue(order);
+    orderModel.findOneAndUpdate.mockImplementation((filter, update) =>
+      Promise.resolve({
+        ...order,
+        status: update.$set?.status || order.status,
+        shipments: [update.$push.shipments],
+      })
+    );
+  });
+
+  it("should add a partial shipment without shipping the order", async () => {
+    await createShipmentController(req, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        _id: "order1",
+        status: "Processing",
+        "shipments.0": { $exists: false },
+      },
+      {
+        $push: {
+          shipments: {
+            carrier: "Example Post",
+            trackingNumber: "AB123",
+            trackingUrl: "https://post.example.com/track?id=AB123",
+            items: [{ product: "p1", quantity: 1 }],
+            shippedAt: new Date("2024-03-01"),
+            estimatedDelivery: new Date("2024-03-04"),
+            shippedBy: "admin1",
+          },
+        },
+      },
+      { new: true }
+    );
+    expect(sendShipmentEmail).toHaveBeenCalledWith(
+      "order1",
+      expect.objectContaining({ trackingNumber: "AB123" })
+    );
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should mark the order shipped when the last items go out", async () => {
+    order.shipments = [{ items: [{ product: "p1", quantity: 2 }] }];
+    req.body.items = [{ product: "p2", quantity: 1 }];
+
+    await createShipmentController(req, res);
+
+    const [filter, update] = orderModel.findOneAndUpdate.mock.calls[0];
+    expect(filter["shipments.1"]).toEqual({ $exists: false });
+    expect(update.$set).toEqual({ status: "Shipped" });
+    expect(update.$push.statusHistory).toEqual(
+      expect.objectContaining({
+        status: "Shipped",
+        changedBy: "admin1",
+        note: "Shipped with Example Post",
+      })
+    );
+  });
+
+  it("should ship everything left when no items are chosen", async () => {
+    delete req.body.items;
+
+    await createShipmentController(req, res);
+
+    const [, update] = orderModel.findOneAndUpdate.mock.calls[0];
+    expect(update.$push.shipments.items).toEqual([
+      { product: "p1", quantity: 2 },
+      { product: "p2", quantity: 1 },
+    ]);
+    expect(update.$set).toEqual({ status: "Shipped" });
+  });
+
+  it("should record tracking for orders already marked shipped", async () => {
+    order.status = "Shipped";
+
+    await createShipmentController(req, res);
+
+    const [, update] = orderModel.findOneAndUpdate.mock.calls[0];
+    expect(update.$set).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should refuse orders that are not being processed", async () => {
+    order.status = "Not Process";
+
+    await createShipmentController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Cannot ship an order that is Not Process",
+    });
+    expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should refuse more items than are left to ship", async () => {
+    req.body.items = [{ product: "p2", quantity: 2 }];
+
+    await createShipmentController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Cannot ship more than is left to ship",
+    });
+  });
+
+  it("should require a tracking number and a carrier", async () => {
+    req.body.trackingNumber = "";
+    await createShipmentController(req, res);
+
+    req.body.trackingNumber = "AB123";
+    carrierModel.findById.mockResolvedValue(null);
+    await createShipmentController(req, res);
+
+    expect(res.send).toHaveBeenNthCalledWith(1, {
+      success: false,
+      message: "Tracking number is required",
+    });
+    expect(res.send).toHaveBeenNthCalledWith(2, {
+      success: false,
+      message: "Choose a carrier",
+    });
+  });
+
+  it("should refuse a delivery estimate before the ship date", async () => {
+    req.body.estimatedDelivery = "2024-02-28";
+
+    await createShipmentController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Estimated delivery can't be before the ship date",
+    });
+  });
+
+  it("should refuse dates that don't parse", async () => {
+    req.body.shippedAt = "soon";
+
+    await createShipmentController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it("should return 409 when the order changed meanwhile", async () => {
+    orderModel.findOneAndUpdate.mockResolvedValue(null);
+
+    await createShipmentController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(sendShipmentEmail).not.toHaveBeenCalled();
+  });
+
+  it("should return 404 for unknown orders", async () => {
+    orderModel.findById.mockResolvedValue(null);
+
+    await createShipmentController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,147 @@
+import shippingZoneModel from "../models/shippingZoneModel.js";
+import { isMinorAmount } from "../helpers/moneyHelper.js";
+
+const ZONE_FIELDS = ["name", "regions", "methods", "active"];
+
+const pickZoneFields = (body) =>
+  ZONE_FIELDS.reduce(
+    (fields, key) =>
+      body[key] === undefined ? fields : { ...fields, [key]: body[key] },
+    {}
+  );
+
+// returns an error message, or nothing when every method can be priced
+const validateMethod = ({ name, type, fee, freeOver, tiers = [] }) => {
+  if (!name?.trim()) return "Every shipping method needs a name";
+  if (!["flat", "weight", "value"].includes(type)) {
+    return "Shipping method type must be flat, weight or value";
+  }
+  if (type === "flat" && !(Number(fee) >= 0)) {
+    return "Flat rate methods need a fee";
+  }
+  if (type !== "flat" && !tiers.length) {
+    return `${name} needs at least one rate tier`;
+  }
+  if (tiers.some((tier) => !(Number(tier.fee) >= 0))) {
+    return "Every rate tier needs a fee";
+  }
+  // fees are minor units, see moneyHelper
+  const amounts = [fee, freeOver, ...tiers.map((tier) => tier.fee)];
+  if (amounts.some((amount) => amount != null && !isMinorAmount(amount))) {
+    return "Fees must be a whole number of cents";
+  }
+};
+
+const validateZone = ({ name, regions = [], methods = [] }) => {
+  if (!name?.trim()) return "Name is required";
+  if (!Array.isArray(regions)) return "Regions must be a list";
+  if (!Array.isArray(methods) || !methods.length) {
+    return "Add at least one shipping method";
+  }
+  for (const method of methods) {
+    const message = validateMethod(method);
+    if (message) return message;
+  }
+};
+
+//create zone
+export const createZoneController = async (req, res) => {
+  try {
+    const fields = pickZoneFields(req.body);
+    const message = validateZone(fields);
+    if (message) {
+      return res.status(400).send({ success: false, message });
+    }
+    const existing = await shippingZoneModel.findOne({
+      name: fields.name.trim(),
+    });
+    if (existing) {
+      return res.status(409).send({
+        success: false,
+        message: "Shipping zone already exists",
+      });
+    }
+    const zone = await new shippingZoneModel(fields).save();
+    res.status(201).send({
+      success: true,
+      message: "Shipping Zone Created Successfully",
+      zone,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Creating Shipping Zone",
+      error,
+    });
+  }
+};
+
+//get all zones
+export const getZonesController = async (req, res) => {
+  try {
+    const zones = await shippingZoneModel.find({}).sort({ name: 1 });
+    res.status(200).send({
+      success: true,
+      message: "All Shipping Zones",
+      zones,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Getting Shipping Zones",
+      error,
+    });
+  }
+};
+
+//update zone
+export const updateZoneController = async (req, res) => {
+  try {
+    const zone = await shippingZoneModel.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).send({
+        success: false,
+        message: "Shipping zone not found",
+      });
+    }
+    const fields = pickZoneFields(req.body);
+    const message = validateZone({ ...zone.toObject(), ...fields });
+    if (message) {
+      return res.status(400).send({ success: false, message });
+    }
+    zone.set(fields);
+    await zone.save();
+    res.status(200).send({
+      success: true,
+      message: "Shipping Zone Updated Successfully",
+      zone,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Updating Shipping Zone",
+      error,
+    });
+  }
+};
+
+//delete zone
+export const deleteZoneController = async (req, res) => {
+  try {
+    await shippingZoneModel.findByIdAndDelete(req.params.id);
+    res.status(200).send({
+      success: true,
+      message: "Shipping Zone Deleted Successfully",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Deleting Shipping Zone",
+      error,
+    });
+  }
+};
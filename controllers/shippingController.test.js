@@ -0,0 +1,174 @@
+import { jest } from "@jest/globals";
+import {
+  createZoneController,
+  deleteZoneController,
+  getZonesController,
+  updateZoneController,
+} from "./shippingController";
+import shippingZoneModel from "../models/shippingZoneModel";
+
+jest.mock("../models/shippingZoneModel.js");
+
+const createMockResponse = () => ({
+  status: jest.fn().mockReturnThis(),
+  send: jest.fn(),
+});
+
+const standard = { name: "Standard", type: "flat", fee: 500, freeOver: 10000 };
+
+let logSpy;
+beforeAll(() => {
+  logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  logSpy.mockRestore();
+});
+
+describe("createZoneController", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      body: {
+        name: "Singapore",
+        regions: ["SG"],
+        methods: [standard],
+        createdAt: "2020-01-01",
+      },
+    };
+    res = createMockResponse();
+    shippingZoneModel.findOne.mockResolvedValue(null);
+    shippingZoneModel.prototype.save.mockResolvedValue({ name: "Singapore" });
+  });
+
+  it("should create a zone from the allowed fields", async () => {
+    await createZoneController(req, res);
+
+    expect(shippingZoneModel).toHaveBeenCalledWith({
+      name: "Singapore",
+      regions: ["SG"],
+      methods: [standard],
+    });
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it("should reject a duplicate name", async () => {
+    shippingZoneModel.findOne.mockResolvedValue({ name: "Singapore" });
+
+    await createZoneController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(shippingZoneModel.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    [{ methods: [standard] }, "Name is required"],
+    [{ name: "SG", methods: [] }, "Add at least one shipping method"],
+    [{ name: "SG", methods: [{ type: "flat", fee: 1 }] }, "Every shipping method needs a name"],
+    [
+      { name: "SG", methods: [{ name: "Drone", type: "air" }] },
+      "Shipping method type must be flat, weight or value",
+    ],
+    [{ name: "SG", methods: [{ name: "Post", type: "flat" }] }, "Flat rate methods need a fee"],
+    [
+      { name: "SG", methods: [{ name: "Courier", type: "weight", tiers: [] }] },
+      "Courier needs at least one rate tier",
+    ],
+    [
+      { name: "SG", methods: [{ name: "Courier", type: "value", tiers: [{ upTo: 5 }] }] },
+      "Every rate tier needs a fee",
+    ],
+    [
+      { name: "SG", methods: [{ name: "Post", type: "flat", fee: 4.99 }] },
+      "Fees must be a whole number of cents",
+    ],
+  ])("should reject %o", async (body, message) => {
+    req.body = body;
+
+    await createZoneController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ success: false, message });
+  });
+});
+
+describe("getZonesController", () => {
+  it("should list zones by name", async () => {
+    const res = createMockResponse();
+    const sort = jest.fn().mockResolvedValue([{ name: "Singapore" }]);
+    shippingZoneModel.find.mockReturnValue({ sort });
+
+    await getZonesController({}, res);
+
+    expect(sort).toHaveBeenCalledWith({ name: 1 });
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "All Shipping Zones",
+      zones: [{ name: "Singapore" }],
+    });
+  });
+});
+
+describe("updateZoneController", () => {
+  let req, res, zone;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { params: { id: "z1" }, body: { active: false } };
+    res = createMockResponse();
+    zone = {
+      toObject: () => ({ name: "Singapore", regions: ["SG"], methods: [standard] }),
+      set: jest.fn(),
+      save: jest.fn().mockResolvedValue(),
+    };
+    shippingZoneModel.findById.mockResolvedValue(zone);
+  });
+
+  it("should update the zone", async () => {
+    await updateZoneController(req, res);
+
+    expect(zone.set).toHaveBeenCalledWith({ active: false });
+    expect(zone.save).toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should validate the result of the update", async () => {
+    req.body = { methods: [] };
+
+    await updateZoneController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(zone.save).not.toHaveBeenCalled();
+  });
+
+  it("should return 404 for unknown zones", async () => {
+    shippingZoneModel.findById.mockResolvedValue(null);
+
+    await updateZoneController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe("deleteZoneController", () => {
+  it("should delete the zone", async () => {
+    const res = createMockResponse();
+    shippingZoneModel.findByIdAndDelete.mockResolvedValue({});
+
+    await deleteZoneController({ params: { id: "z1" } }, res);
+
+    expect(shippingZoneModel.findByIdAndDelete).toHaveBeenCalledWith("z1");
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should return 500 when deleting fails", async () => {
+    const res = createMockResponse();
+    shippingZoneModel.findByIdAndDelete.mockRejectedValue(new Error("db down"));
+
+    await deleteZoneController({ params: { id: "z1" } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+});
@@ -0,0 +1,147 @@
+import categoryModel from "../models/categoryModel.js";
+import productModel from "../models/productModel.js";
+import { normalizeStatus } from "./orderStatusHelper.js";
+
+export const INTERVALS = ["day", "week", "month"];
+
+export const DEFAULT_RANGE_DAYS = 30;
+export const TOP_LIMIT = 5;
+
+// Orders that count as sales: paid for and not cancelled. Every order is
+// charged in the store currency, so totals can be summed as they are.
+export const salesMatch = (createdAt) => ({
+  createdAt,
+  "payment.success": true,
+  status: { $nin: ["Cancelled", "cancel"] },
+});
+
+// what the store kept of an order, returns refunded after the sale are
+// taken off; orders saved before refunds were tracked have none
+const netRevenue = {
+  $subtract: ["$total", { $ifNull: ["$refunded", 0] }],
+};
+
+// start of the day, week (Monday) or month each document falls in
+const periodOf = (interval) => ({
+  $dateTrunc: {
+    date: "$createdAt",
+    unit: interval,
+    ...(interval === "week" ? { startOfWeek: "monday" } : {}),
+  },
+});
+
+export const revenueSeriesPipeline = (createdAt, interval) => [
+  { $match: salesMatch(createdAt) },
+  {
+    $group: {
+      _id: periodOf(interval),
+      revenue: { $sum: netRevenue },
+      orders: { $sum: 1 },
+    },
+  },
+  { $sort: { _id: 1 } },
+];
+
+export const salesTotalsPipeline = (createdAt) => [
+  { $match: salesMatch(createdAt) },
+  {
+    $group: { _id: null, revenue: { $sum: netRevenue }, orders: { $sum: 1 } },
+  },
+];
+
+// sold line items joined to their product, shared by the top lists below
+const soldItems = (createdAt) => [
+  { $match: salesMatch(createdAt) },
+  { $unwind: "$products" },
+  {
+    $lookup: {
+      from: productModel.collection.name,
+      localField: "products.product",
+      foreignField: "_id",
+      as: "product",
+    },
+  },
+  { $unwind: { path: "$product", preserveNullAndEmptyArrays: true } },
+];
+
+const rankBy = (group) => [
+  {
+    $group: {
+      ...group,
+      quantity: { $sum: "$products.quantity" },
+      revenue: {
+        $sum: { $multiply: ["$products.price", "$products.quantity"] },
+      },
+    },
+  },
+  { $sort: { revenue: -1, quantity: -1 } },
+  { $limit: TOP_LIMIT },
+];
+
+export const topProductsPipeline = (createdAt) => [
+  ...soldItems(createdAt),
+  ...rankBy({ _id: "$products.product", name: { $first: "$product.name" } }),
+];
+
+export const topCategoriesPipeline = (createdAt) => [
+  ...soldItems(createdAt),
+  ...rankBy({ _id: "$product.category" }),
+  {
+    $lookup: {
+      from: categoryModel.collection.name,
+      localField: "_id",
+      foreignField: "_id",
+      as: "category",
+    },
+  },
+  {
+    $project: {
+      quantity: 1,
+      revenue: 1,
+      name: { $first: "$category.name" },
+    },
+  },
+];
+
+// every order placed in the range, whatever became of it
+export const statusCountsPipeline = (createdAt) => [
+  { $match: { createdAt } },
+  { $group: { _id: "$status", count: { $sum: 1 } } },
+];
+
+export const newCustomersPipeline = (createdAt, interval) => [
+  { $match: { createdAt, role: { $ne: 1 } } },
+  { $group: { _id: periodOf(interval), customers: { $sum: 1 } } },
+  { $sort: { _id: 1 } },
+];
+
+// legacy status spellings are counted with the status they stand for
+export const mergeStatusCounts = (rows) =>
+  Object.entries(
+    rows.reduce((counts, { _id, count }) => {
+      const status = normalizeStatus(_id);
+      counts[status] = (counts[status] || 0) + count;
+      return counts;
+    }, {})
+  ).map(([status, count]) => ({ status, count }));
+
+// one entry per period with sales and sign ups side by side
+export const mergeSeries = (sales, customers) => {
+  const periods = new Map();
+  const entry = (period) => {
+    const key = new Date(period).toISOString();
+    if (!periods.has(key)) {
+      periods.set(key, { period: key, revenue: 0, orders: 0, customers: 0 });
+    }
+    return periods.get(key);
+  };
+  sales.forEach(({ _id, revenue, orders }) =>
+    Object.assign(entry(_id), { revenue, orders })
+  );
+  customers.forEach(({ _id, customers: count }) => {
+    entry(_id).customers = count;
+  });
+  return [...periods.values()].sort((a, b) =>
+    a.period.localeCompare(b.period)
+  );
+};
@@ -0,0 +1,149 @@
+import {
+  mergeSeries,
+  mergeStatusCounts,
+  newCustomersPipeline,
+  revenueSeriesPipeline,
+  salesMatch,
+  salesTotalsPipeline,
+  topCategoriesPipeline,
+  topProductsPipeline,
+} from "./analyticsHelper";
+
+const createdAt = {
+  $gte: new Date("2024-02-01"),
+  $lt: new Date("2024-03-01"),
+};
+
+describe("analytics pipelines", () => {
+  it("should only count paid orders that were not cancelled as sales", () => {
+    expect(salesMatch(createdAt)).toEqual({
+      createdAt,
+      "payment.success": true,
+      status: { $nin: ["Cancelled", "cancel"] },
+    });
+  });
+
+  it("should group revenue by the start of each period", () => {
+    const [match, group, sort] = revenueSeriesPipeline(createdAt, "month");
+
+    expect(match).toEqual({ $match: salesMatch(createdAt) });
+    expect(group.$group).toEqual({
+      _id: { $dateTrunc: { date: "$createdAt", unit: "month" } },
+      revenue: {
+        $sum: { $subtract: ["$total", { $ifNull: ["$refunded", 0] }] },
+      },
+      orders: { $sum: 1 },
+    });
+    expect(sort).toEqual({ $sort: { _id: 1 } });
+  });
+
+  it("should take refunds off the revenue of partially refunded orders", () => {
+    // just enough of mongo's expression language for the revenue sum
+    const evaluate = (expression, doc) => {
+      if (typeof expression === "string" && expression.startsWith("$")) {
+        return doc[expression.slice(1)];
+      }
+      if (expression?.$subtract) {
+        const [a, b] = expression.$subtract.map((e) => evaluate(e, doc));
+        return a - b;
+      }
+      if (expression?.$ifNull) {
+        const [value, fallback] = expression.$ifNull;
+        return evaluate(value, doc) ?? fallback;
+      }
+      return expression;
+    };
+    const [, group] = salesTotalsPipeline(createdAt);
+    const revenue = (orders) =>
+      orders.reduce(
+        (sum, order) => sum + evaluate(group.$group.revenue.$sum, order),
+        0
+      );
+
+    expect(
+      revenue([
+        { total: 20000, refunded: 5000 },
+        { total: 10000, refunded: 0 },
+        { total: 3000 },
+      ])
+    ).toBe(28000);
+  });
+
+  it("should start weeks on a Monday", () => {
+    const [, group] = newCustomersPipeline(createdAt, "week");
+
+    expect(group.$group._id.$dateTrunc).toEqual({
+      date: "$createdAt",
+      unit: "week",
+      startOfWeek: "monday",
+    });
+  });
+
+  it("should leave admins out of new customers", () => {
+    const [match] = newCustomersPipeline(createdAt, "day");
+
+    expect(match.$match).toEqual({ createdAt, role: { $ne: 1 } });
+  });
+
+  it("should rank products by the revenue of their line items", () => {
+    const pipeline = topProductsPipeline(createdAt);
+    const lookup = pipeline.find((stage) => stage.$lookup);
+    const group = pipeline.find((stage) => stage.$group);
+
+    expect(lookup.$lookup.from).toBe("products");
+    expect(group.$group.revenue).toEqual({
+      $sum: { $multiply: ["$products.price", "$products.quantity"] },
+    });
+    expect(pipeline.slice(-2)).toEqual([
+      { $sort: { revenue: -1, quantity: -1 } },
+      { $limit: 5 },
+    ]);
+  });
+
+  it("should group categories through the products sold", () => {
+    const pipeline = topCategoriesPipeline(createdAt);
+    const group = pipeline.find((stage) => stage.$group);
+    const lookups = pipeline.filter((stage) => stage.$lookup);
+
+    expect(group.$group._id).toBe("$product.category");
+    expect(lookups.map((stage) => stage.$lookup.from)).toEqual([
+      "products",
+      "categories",
+    ]);
+  });
+});
+
+describe("mergeStatusCounts", () => {
+  it("should count legacy spellings with their current status", () => {
+    expect(
+      mergeStatusCounts([
+        { _id: "Delivered", count: 3 },
+        { _id: "delivered", count: 1 },
+        { _id: "Not Process", count: 2 },
+      ])
+    ).toEqual([
+      { status: "Delivered", count: 4 },
+      { status: "Not Process", count: 2 },
+    ]);
+  });
+});
+
+describe("mergeSeries", () => {
+  it("should line up sales and sign ups by period", () => {
+    const feb1 = new Date("2024-02-01");
+    const feb2 = new Date("2024-02-02");
+
+    expect(
+      mergeSeries(
+        [{ _id: feb2, revenue: 5000, orders: 2 }],
+        [
+          { _id: feb1, customers: 1 },
+          { _id: feb2, customers: 3 },
+        ]
+      )
+    ).toEqual([
+      { period: feb1.toISOString(), revenue: 0, orders: 0, customers: 1 },
+      { period: feb2.toISOString(), revenue: 5000, orders: 2, customers: 3 },
+    ]);
+  });
+});
@@ -15,24 +15,8 @@ export const comparePassword = async (password,hashedPassword) => {
     return bcrypt.compare(password, hashedPassword);
 }
 
-export const validateEmail = (email) => {
-  // pattern from https://www.geeksforgeeks.org/how-to-validate-email-address-using-javascript-with-regex/
-  return String(email)
-    .toLowerCase()
-    .match(
-      /^(([^<>()[\]\\.,;:\s@"]+(\.[^<>()[\]\\.,;:\s@"]+)*)|.(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/
-    );
-};
-  
-// Function to check valid phone number
-export const validatePhone = (phone) => {
-  // pattern from https://www.geeksforgeeks.org/how-to-validate-phone-numbers-using-javascript-with-regex/
-  const pattern = /^(\+?\d{1,3}[-.\s]?)?(\(?\d{3}\)?[-.\s]?)?\d{3}[-.\s]?\d{4}$/;
-  return pattern.test(phone);
-};
-  
-// Function to check valid password
-export const validatePassword = (password) => {
-  const pattern = /^(?=.*[0-9])(?=.*[a-zA-Z])(?=.*[!@#$%^&*])[a-zA-Z0-9!@#$%^&*]{8,15}$/;
-  return pattern.test(password);
-};
\ No newline at end of file
+export {
+  validateEmail,
+  validatePhone,
+  validatePassword,
+} from "./validationHelper.js";
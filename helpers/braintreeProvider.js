@@ -0,0 +1,92 @@
+import braintree from "braintree";
+
+const ENVIRONMENTS = {
+  sandbox: braintree.Environment.Sandbox,
+  production: braintree.Environment.Production,
+};
+
+// flatten a Braintree result into the shared payment result shape
+const toPaymentResult = (result) => ({
+  provider: "braintree",
+  success: !!result?.success,
+  transactionId: result?.transaction?.id,
+  status: result?.transaction?.status,
+  amount: result?.transaction?.amount,
+  message: result?.message,
+});
+
+// Flatten a webhook notification into the shared webhook event shape.
+// Braintree sends no event id, so one is made from what it does send.
+const toWebhookEvent = (notification) => {
+  const transaction =
+    notification.transaction || notification.dispute?.transaction;
+  // a refund settles as a credit transaction of its own
+  const refunded =
+    notification.kind === "transaction_settled" &&
+    transaction?.type === "credit" &&
+    transaction.refundedTransactionId;
+  const occurredAt = notification.timestamp
+    ? new Date(notification.timestamp)
+    : new Date();
+  return {
+    id: [
+      notification.kind,
+      notification.dispute?.id || transaction?.id,
+      occurredAt.toISOString(),
+    ].join(":"),
+    kind: refunded ? "transaction_refunded" : notification.kind,
+    transactionId: refunded ? transaction.refundedTransactionId : transaction?.id,
+    amount: transaction?.amount,
+    occurredAt,
+  };
+};
+
+export const createBraintreeProvider = (config = process.env) => {
+  const environment =
+    ENVIRONMENTS[(config.BRAINTREE_ENVIRONMENT || "sandbox").toLowerCase()];
+  if (!environment) {
+    throw new Error(
+      `Unknown Braintree environment "${config.BRAINTREE_ENVIRONMENT}"`
+    );
+  }
+  const gateway = new braintree.BraintreeGateway({
+    environment,
+    merchantId: config.BRAINTREE_MERCHANT_ID,
+    publicKey: config.BRAINTREE_PUBLIC_KEY,
+    privateKey: config.BRAINTREE_PRIVATE_KEY,
+  });
+
+  return {
+    name: "braintree",
+    createClientToken: async () => {
+      const response = await gateway.clientToken.generate({});
+      return response?.clientToken;
+    },
+    sale: async ({ amount, nonce }) =>
+      toPaymentResult(
+        await gateway.transaction.sale({
+          amount,
+          paymentMethodNonce: nonce,
+          options: {
+            submitForSettlement: true,
+          },
+        })
+      ),
+    refund: async (transactionId, amount) =>
+      toPaymentResult(
+        await gateway.transaction.refund(transactionId, amount)
+      ),
+    voidTransaction: async (transactionId) =>
+      toPaymentResult(await gateway.transaction.void(transactionId)),
+    // Braintree posts bt_signature and bt_payload as form fields
+    parseWebhook: async (body = {}) =>
+      toWebhookEvent(
+        await gateway.webhookNotification.parse(
+          body.bt_signature,
+          body.bt_payload
+        )
+      ),
+    sampleWebhook: async (kind, transactionId) =>
+      gateway.webhookTesting.sampleNotification(kind, transactionId),
+  };
+};
@@ -0,0 +1,62 @@
+import orderModel from "../models/orderModel.js";
+import { releaseStock } from "./checkoutHelper.js";
+import { releaseCoupon } from "./couponHelper.js";
+import { statusHistoryEntry } from "./orderStatusHelper.js";
+import { reversePayment } from "./paymentProvider.js";
+
+// Cancel an order for its buyer or an admin. The order is claimed first so
+// two cancels can't refund it twice and a parcel added in the meantime stops
+// the cancellation; if the money can't be given back the claim is undone.
+// Resolves to { order }, { conflict: true } or { refundFailed: true }.
+export const cancelOrder = async (order, { reason, changedBy }) => {
+  const cancelled = await orderModel.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: order.status,
+      "shipments.0": { $exists: false },
+    },
+    {
+      $set: {
+        status: "Cancelled",
+        cancellation: { reason, cancelledAt: new Date() },
+      },
+      $push: {
+        statusHistory: statusHistoryEntry("Cancelled", changedBy, reason),
+      },
+    },
+    { new: true }
+  );
+  if (!cancelled) return { conflict: true };
+
+  // declined attempts never took money, stock or a coupon use
+  if (!order.payment?.success) return { order: cancelled };
+
+  const refund = await reversePayment(order.payment).catch((error) => {
+    console.log(error);
+  });
+  if (!refund?.success) {
+    await orderModel.findByIdAndUpdate(order._id, {
+      $set: { status: order.status },
+      $unset: { cancellation: "" },
+      $pop: { statusHistory: 1 },
+    });
+    return { refundFailed: true };
+  }
+
+  await releaseStock(order.products);
+  if (order.discount?.code) {
+    await releaseCoupon(order.discount.code, order.buyer);
+  }
+  const updated = await orderModel.findByIdAndUpdate(
+    order._id,
+    {
+      $set: {
+        "cancellation.refund": refund,
+        paymentStatus: "refunded",
+        paymentStatusAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  return { order: updated };
+};
@@ -0,0 +1,85 @@
+import { jest } from "@jest/globals";
+import orderModel from "../models/orderModel.js";
+import { releaseStock } from "./checkoutHelper.js";
+import { releaseCoupon } from "./couponHelper.js";
+import { reversePayment } from "./paymentProvider.js";
+import { cancelOrder } from "./cancellationHelper.js";
+
+jest.mock("../models/orderModel.js");
+jest.mock("./checkoutHelper.js");
+jest.mock("./couponHelper.js");
+jest.mock("./paymentProvider.js");
+
+describe("cancelOrder", () => {
+  let order;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    order = {
+      _id: "order1",
+      buyer: "user1",
+      status: "Processing",
+      payment: { success: true, transactionId: "txn1" },
+      discount: { code: "SAVE10", amount: 200 },
+      products: [{ product: "p1", quantity: 2, price: 1000 }],
+    };
+    orderModel.findOneAndUpdate.mockResolvedValue({
+      ...order,
+      status: "Cancelled",
+    });
+    orderModel.findByIdAndUpdate.mockResolvedValue({
+      ...order,
+      status: "Cancelled",
+      paymentStatus: "refunded",
+    });
+    reversePayment.mockResolvedValue({ success: true, status: "voided" });
+  });
+
+  it("should reverse the payment before giving back stock and coupon", async () => {
+    const result = await cancelOrder(order, {
+      reason: "Changed my mind",
+      changedBy: "user1",
+    });
+
+    expect(reversePayment).toHaveBeenCalledWith(order.payment);
+    expect(releaseStock).toHaveBeenCalledWith(order.products);
+    expect(releaseCoupon).toHaveBeenCalledWith("SAVE10", "user1");
+    expect(result.order.paymentStatus).toBe("refunded");
+  });
+
+  it("should report a conflict when the order moved in the meantime", async () => {
+    orderModel.findOneAndUpdate.mockResolvedValue(null);
+
+    expect(await cancelOrder(order, { changedBy: "admin1" })).toEqual({
+      conflict: true,
+    });
+    expect(reversePayment).not.toHaveBeenCalled();
+  });
+
+  it("should undo the claim when the payment can't be reversed", async () => {
+    reversePayment.mockRejectedValue(new Error("Gateway down"));
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+
+    const result = await cancelOrder(order, { changedBy: "admin1" });
+
+    expect(result).toEqual({ refundFailed: true });
+    expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith("order1", {
+      $set: { status: "Processing" },
+      $unset: { cancellation: "" },
+      $pop: { statusHistory: 1 },
+    });
+    expect(releaseStock).not.toHaveBeenCalled();
+    logSpy.mockRestore();
+  });
+
+  it("should only change the status of an unpaid order", async () => {
+    order.payment = { success: false };
+
+    const result = await cancelOrder(order, { changedBy: "admin1" });
+
+    expect(result.order.status).toBe("Cancelled");
+    expect(reversePayment).not.toHaveBeenCalled();
+    expect(releaseStock).not.toHaveBeenCalled();
+    expect(releaseCoupon).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,161 @@
+import mongoose from "mongoose";
+import cartModel from "../models/cartModel.js";
+import orderModel from "../models/orderModel.js";
+import productModel from "../models/productModel.js";
+import userModel from "../models/userModel.js";
+import { redeemCoupon } from "./couponHelper.js";
+
+const lineProductId = (line) => String(line?.product?._id || line?.product);
+
+// addresses were saved as free text by older sign up forms
+export const formatAddress = (address) => {
+  if (!address) return "";
+  if (typeof address === "string") return address;
+  return Object.values(address).filter(Boolean).join(", ");
+};
+
+// Delivery details are copied onto the order so later profile edits don't
+// move past orders. Anything the buyer left blank comes from their profile,
+// guests (no userId) have to fill in everything.
+export const resolveShipping = async (shipping, userId) => {
+  const clean = (value) => (typeof value === "string" ? value.trim() : "");
+  let name = clean(shipping?.name);
+  let address = clean(shipping?.address);
+  let phone = clean(shipping?.phone);
+  const region = clean(shipping?.region).toUpperCase();
+  if (userId && (!name || !address || !phone)) {
+    const user = await userModel
+      .findById(userId)
+      .select("name address phone");
+    name = name || user?.name || "";
+    address = address || formatAddress(user?.address);
+    phone = phone || user?.phone || "";
+  }
+  return { name, address, phone, region };
+};
+
+// Price a cart from the catalogue. Only product ids and quantities are taken
+// from the client; unit prices always come from productModel.
+export const priceCart = async (cart) => {
+  const invalid = cart.filter(
+    (line) =>
+      !line?.product ||
+      !Number.isInteger(Number(line.quantity)) ||
+      Number(line.quantity) < 1
+  );
+  if (invalid.length) {
+    return { items: [], total: 0, missing: [], invalid: true };
+  }
+
+  const ids = [...new Set(cart.map(lineProductId))];
+  const products = await productModel
+    .find({ _id: { $in: ids } })
+    .select("-photo");
+
+  const items = [];
+  const missing = [];
+  ids.forEach((id) => {
+    const product = products.find((p) => String(p._id) === id);
+    if (!product) {
+      missing.push(id);
+      return;
+    }
+    const quantity = cart
+      .filter((line) => lineProductId(line) === id)
+      .reduce((sum, line) => sum + Number(line.quantity), 0);
+    items.push({ product: product._id, quantity, price: product.price });
+  });
+
+  // prices are whole minor units (see moneyHelper), so this sum is exact
+  const total = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  return { items, total, missing, invalid: false };
+};
+
+const shortfall = (item, product) => ({
+  product: String(item.product),
+  name: product?.name,
+  available: product?.quantity || 0,
+  requested: item.quantity,
+});
+
+// Lines the shelves can't fill right now. Only reads, so checkout can turn
+// the buyer away before charging them; reserveStock takes the stock later.
+export const findShortfalls = async (items) => {
+  const products = await productModel
+    .find({ _id: { $in: items.map((item) => item.product) } })
+    .select("name quantity");
+  return items
+    .map((item) => [
+      item,
+      products.find(({ _id }) => String(_id) === lineProductId(item)),
+    ])
+    .filter(([item, product]) => (product?.quantity || 0) < item.quantity)
+    .map(([item, product]) => shortfall(item, product));
+};
+
+// Take the stock for every line with a conditional decrement, so two buyers
+// can never both take the last unit. Runs in the checkout transaction, when
+// a line comes up short the transaction is aborted and puts back the rest.
+export const reserveStock = async (items, session) => {
+  const insufficient = [];
+  for (const item of items) {
+    const product = await productModel.findOneAndUpdate(
+      { _id: item.product, quantity: { $gte: item.quantity } },
+      { $inc: { quantity: -item.quantity } },
+      { session }
+    );
+    if (!product) {
+      const current = await productModel.findById(
+        item.product,
+        "name quantity",
+        { session }
+      );
+      insufficient.push(shortfall(item, current));
+    }
+  }
+  return { insufficient };
+};
+
+export const releaseStock = async (items) => {
+  for (const item of items) {
+    await productModel.findByIdAndUpdate(item.product, {
+      $inc: { quantity: item.quantity },
+    });
+  }
+};
+
+// thrown to roll back the checkout transaction when the stock or coupon ran
+// out, the reason is kept in placeOrder's result
+const CHECKOUT_ABORTED = new Error("Checkout aborted");
+
+// Everything checkout writes once the payment went through, in one
+// transaction: the stock, the coupon use, the order and the buyer's saved
+// cart, so either all of it is saved or none of it. Resolves to { order },
+// or to { insufficient } or { couponLimitReached } when another checkout took
+// the stock or the last use of the coupon after the checks before charging.
+// Transactions need mongo to run as a replica set (Atlas always does).
+export const placeOrder = async ({ fields, items, coupon, buyer }) => {
+  let outcome;
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      // retried from the top on transient errors
+      const { insufficient } = await reserveStock(items, session);
+      if (insufficient.length) {
+        outcome = { insufficient };
+        throw CHECKOUT_ABORTED;
+      }
+      if (coupon && !(await redeemCoupon(coupon, session, buyer))) {
+        outcome = { couponLimitReached: true };
+        throw CHECKOUT_ABORTED;
+      }
+      const order = await new orderModel(fields).save({ session });
+      if (buyer) {
+        await cartModel.updateOne({ user: buyer }, { items: [] }, { session });
+      }
+      outcome = { order };
+    });
+  } catch (error) {
+    if (error !== CHECKOUT_ABORTED) throw error;
+  }
+  return outcome;
+};
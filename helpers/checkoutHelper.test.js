@@ -0,0 +1,354 @@
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import {
+  findShortfalls,
+  formatAddress,
+  placeOrder,
+  priceCart,
+  reserveStock,
+  releaseStock,
+  resolveShipping,
+} from "./checkoutHelper";
+import cartModel from "../models/cartModel";
+import orderModel from "../models/orderModel";
+import productModel from "../models/productModel";
+import userModel from "../models/userModel";
+import { redeemCoupon } from "./couponHelper";
+
+jest.mock("../models/cartModel.js");
+jest.mock("../models/orderModel.js");
+jest.mock("../models/productModel.js");
+jest.mock("../models/userModel.js");
+jest.mock("./couponHelper.js", () => ({
+  redeemCoupon: jest.fn(),
+}));
+
+const mockCatalogue = (products) => {
+  productModel.find.mockReturnValue({
+    select: jest.fn().mockResolvedValue(products),
+  });
+};
+
+describe("priceCart", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should price lines in cents from the catalogue and ignore client prices", async () => {
+    mockCatalogue([
+      { _id: "p1", price: 1999 },
+      { _id: "p2", price: 500 },
+    ]);
+
+    const result = await priceCart([
+      { product: { _id: "p1", price: 1 }, quantity: 3, price: 1 },
+      { product: "p2", quantity: 1 },
+    ]);
+
+    expect(productModel.find).toHaveBeenCalledWith({
+      _id: { $in: ["p1", "p2"] },
+    });
+    expect(result).toEqual({
+      items: [
+        { product: "p1", quantity: 3, price: 1999 },
+        { product: "p2", quantity: 1, price: 500 },
+      ],
+      total: 6497,
+      missing: [],
+      invalid: false,
+    });
+  });
+
+  it("should combine repeated lines for the same product", async () => {
+    mockCatalogue([{ _id: "p1", price: 2 }]);
+
+    const { items, total } = await priceCart([
+      { product: "p1", quantity: 1 },
+      { product: "p1", quantity: 2 },
+    ]);
+
+    expect(items).toEqual([{ product: "p1", quantity: 3, price: 2 }]);
+    expect(total).toBe(6);
+  });
+
+  it("should report products that no longer exist", async () => {
+    mockCatalogue([{ _id: "p1", price: 2 }]);
+
+    const { missing } = await priceCart([
+      { product: "p1", quantity: 1 },
+      { product: "gone", quantity: 1 },
+    ]);
+
+    expect(missing).toEqual(["gone"]);
+  });
+
+  it.each([[0], [-1], [1.5], ["abc"]])(
+    "should flag a quantity of %p as invalid",
+    async (quantity) => {
+      const result = await priceCart([{ product: "p1", quantity }]);
+
+      expect(result.invalid).toBe(true);
+      expect(productModel.find).not.toHaveBeenCalled();
+    }
+  );
+});
+
+describe("formatAddress", () => {
+  it("should format structured and free text addresses", () => {
+    expect(formatAddress("1 Main St")).toBe("1 Main St");
+    expect(formatAddress({ street: "1 Main St", city: "Singapore", zip: "" })).toBe(
+      "1 Main St, Singapore"
+    );
+    expect(formatAddress(undefined)).toBe("");
+  });
+});
+
+describe("resolveShipping", () => {
+  const mockProfile = (user) => {
+    userModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue(user),
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should keep the details the buyer entered", async () => {
+    const shipping = await resolveShipping(
+      {
+        name: " Jane ",
+        address: "2 Science Park ",
+        phone: "61234567",
+        region: "sg",
+      },
+      "u1"
+    );
+
+    expect(shipping).toEqual({
+      name: "Jane",
+      address: "2 Science Park",
+      phone: "61234567",
+      region: "SG",
+    });
+    expect(userModel.findById).not.toHaveBeenCalled();
+  });
+
+  it("should fill blanks from the buyer's profile", async () => {
+    mockProfile({ name: "Jane", address: "1 Computing Drive", phone: "81234567" });
+
+    const shipping = await resolveShipping({ address: "2 Science Park" }, "u1");
+
+    expect(userModel.findById).toHaveBeenCalledWith("u1");
+    expect(shipping).toEqual({
+      name: "Jane",
+      address: "2 Science Park",
+      phone: "81234567",
+      region: "",
+    });
+  });
+
+  it("should leave fields empty when nobody provided them", async () => {
+    mockProfile(null);
+
+    expect(await resolveShipping(undefined, "u1")).toEqual({
+      name: "",
+      address: "",
+      phone: "",
+      region: "",
+    });
+  });
+
+  it("should not look up a profile for guests", async () => {
+    const shipping = await resolveShipping({ address: "2 Science Park" });
+
+    expect(userModel.findById).not.toHaveBeenCalled();
+    expect(shipping).toEqual({
+      name: "",
+      address: "2 Science Park",
+      phone: "",
+      region: "",
+    });
+  });
+});
+
+describe("findShortfalls", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should list the lines there is not enough stock for", async () => {
+    mockCatalogue([
+      { _id: "p1", name: "Laptop", quantity: 5 },
+      { _id: "p2", name: "Pen", quantity: 1 },
+    ]);
+
+    const insufficient = await findShortfalls([
+      { product: "p1", quantity: 2, price: 5 },
+      { product: "p2", quantity: 3, price: 1 },
+      { product: "p3", quantity: 1, price: 1 },
+    ]);
+
+    expect(productModel.find).toHaveBeenCalledWith({
+      _id: { $in: ["p1", "p2", "p3"] },
+    });
+    expect(insufficient).toEqual([
+      { product: "p2", name: "Pen", available: 1, requested: 3 },
+      { product: "p3", name: undefined, available: 0, requested: 1 },
+    ]);
+  });
+});
+
+describe("reserveStock", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should decrement only when enough stock is left", async () => {
+    productModel.findOneAndUpdate.mockResolvedValue({ _id: "p1" });
+
+    const { insufficient } = await reserveStock(
+      [{ product: "p1", quantity: 2, price: 5 }],
+      "session"
+    );
+
+    expect(insufficient).toEqual([]);
+    expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: "p1", quantity: { $gte: 2 } },
+      { $inc: { quantity: -2 } },
+      { session: "session" }
+    );
+  });
+
+  it("should report short lines and leave putting stock back to the transaction", async () => {
+    productModel.findOneAndUpdate
+      .mockResolvedValueOnce({ _id: "p1" })
+      .mockResolvedValueOnce(null);
+    productModel.findById.mockResolvedValue({ name: "Pen", quantity: 1 });
+
+    const { insufficient } = await reserveStock(
+      [
+        { product: "p1", quantity: 2, price: 5 },
+        { product: "p2", quantity: 3, price: 1 },
+      ],
+      "session"
+    );
+
+    expect(insufficient).toEqual([
+      { product: "p2", name: "Pen", available: 1, requested: 3 },
+    ]);
+    expect(productModel.findById).toHaveBeenCalledWith("p2", "name quantity", {
+      session: "session",
+    });
+    expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should treat a deleted product as having no stock", async () => {
+    productModel.findOneAndUpdate.mockResolvedValue(null);
+    productModel.findById.mockResolvedValue(null);
+
+    const { insufficient } = await reserveStock([
+      { product: "p1", quantity: 1, price: 5 },
+    ]);
+
+    expect(insufficient).toEqual([
+      { product: "p1", name: undefined, available: 0, requested: 1 },
+    ]);
+  });
+});
+
+describe("placeOrder", () => {
+  const items = [{ product: "p1", quantity: 2, price: 5 }];
+  const coupon = { _id: "c1", code: "SAVE10" };
+  const fields = { products: items, total: 10 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest
+      .spyOn(mongoose.connection, "transaction")
+      .mockImplementation((fn) => fn("session"));
+    productModel.findOneAndUpdate.mockResolvedValue({ _id: "p1" });
+    redeemCoupon.mockResolvedValue(true);
+    orderModel.prototype.save.mockResolvedValue({ _id: "order1" });
+  });
+
+  afterAll(() => {
+    mongoose.connection.transaction.mockRestore();
+  });
+
+  it("should write the stock, coupon, order and cart in one transaction", async () => {
+    const result = await placeOrder({ fields, items, coupon, buyer: "u1" });
+
+    expect(result).toEqual({ order: { _id: "order1" } });
+    expect(mongoose.connection.transaction).toHaveBeenCalledTimes(1);
+    expect(redeemCoupon).toHaveBeenCalledWith(coupon, "session", "u1");
+    expect(orderModel).toHaveBeenCalledWith(fields);
+    expect(orderModel.prototype.save).toHaveBeenCalledWith({
+      session: "session",
+    });
+    expect(cartModel.updateOne).toHaveBeenCalledWith(
+      { user: "u1" },
+      { items: [] },
+      { session: "session" }
+    );
+  });
+
+  it("should leave guests without a cart to empty", async () => {
+    await placeOrder({ fields, items });
+
+    expect(redeemCoupon).not.toHaveBeenCalled();
+    expect(cartModel.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("should abort when the stock ran out", async () => {
+    productModel.findOneAndUpdate.mockResolvedValue(null);
+    productModel.findById.mockResolvedValue({ name: "Laptop", quantity: 1 });
+
+    const result = await placeOrder({ fields, items, coupon, buyer: "u1" });
+
+    expect(result).toEqual({
+      insufficient: [
+        { product: "p1", name: "Laptop", available: 1, requested: 2 },
+      ],
+    });
+    expect(redeemCoupon).not.toHaveBeenCalled();
+    expect(orderModel.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it("should abort when the coupon ran out", async () => {
+    redeemCoupon.mockResolvedValue(false);
+
+    const result = await placeOrder({ fields, items, coupon, buyer: "u1" });
+
+    expect(result).toEqual({ couponLimitReached: true });
+    expect(orderModel.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it("should pass on anything else that goes wrong", async () => {
+    const error = new Error("db down");
+    orderModel.prototype.save.mockRejectedValue(error);
+
+    await expect(
+      placeOrder({ fields, items, coupon, buyer: "u1" })
+    ).rejects.toBe(error);
+  });
+});
+
+describe("releaseStock", () => {
+  it("should add each line's quantity back", async () => {
+    jest.clearAllMocks();
+    productModel.findByIdAndUpdate.mockResolvedValue({});
+
+    await releaseStock([
+      { product: "p1", quantity: 2 },
+      { product: "p2", quantity: 1 },
+    ]);
+
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith("p1", {
+      $inc: { quantity: 2 },
+    });
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith("p2", {
+      $inc: { quantity: 1 },
+    });
+  });
+});
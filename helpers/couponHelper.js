@@ -0,0 +1,134 @@
+import couponModel from "../models/couponModel.js";
+import couponRedemptionModel from "../models/couponRedemptionModel.js";
+import orderModel from "../models/orderModel.js";
+import productModel from "../models/productModel.js";
+import { formatMoney } from "./moneyHelper.js";
+
+const sameId = (a, b) => String(a) === String(b);
+
+const hasLimit = (limit) => limit !== undefined && limit !== null;
+
+// Lines the coupon can discount. Unscoped coupons cover the whole cart.
+const eligibleLines = async (coupon, items) => {
+  const products = coupon.products || [];
+  const categories = coupon.categories || [];
+  if (!products.length && !categories.length) return items;
+
+  const catalogue = categories.length
+    ? await productModel
+        .find({ _id: { $in: items.map((item) => item.product) } })
+        .select("_id category")
+    : [];
+  return items.filter((item) => {
+    if (products.some((id) => sameId(id, item.product))) return true;
+    const product = catalogue.find((p) => sameId(p._id, item.product));
+    return categories.some((id) => sameId(id, product?.category));
+  });
+};
+
+export const discountFor = (coupon, amount) =>
+  coupon.type === "percent"
+    ? Math.round((amount * Math.min(coupon.value, 100)) / 100)
+    : Math.min(coupon.value, amount);
+
+// Work out what a coupon takes off a priced cart (see priceCart). Returns
+// { coupon, discount } or { error } explaining why it can't be used.
+export const applyCoupon = async (code, items, userId, now = new Date()) => {
+  const coupon = await couponModel.findOne({
+    code: String(code).trim().toUpperCase(),
+  });
+  if (!coupon || !coupon.active) {
+    return { error: "Invalid coupon code" };
+  }
+  if (coupon.startsAt && now < coupon.startsAt) {
+    return { error: "Coupon is not active yet" };
+  }
+  if (coupon.expiresAt && now > coupon.expiresAt) {
+    return { error: "Coupon has expired" };
+  }
+  if (hasLimit(coupon.usageLimit) && coupon.usedCount >= coupon.usageLimit) {
+    return { error: "Coupon usage limit reached" };
+  }
+  if (hasLimit(coupon.perUserLimit)) {
+    // a guest could use a new email every time
+    if (!userId) {
+      return { error: "Please login to use this coupon" };
+    }
+    // declined attempts are saved too but never used the coupon. A quick
+    // check before charging, redeemCoupon enforces the limit.
+    const used = await orderModel.countDocuments({
+      buyer: userId,
+      "discount.code": coupon.code,
+      "payment.success": true,
+      status: { $nin: ["Cancelled", "cancel"] },
+    });
+    if (used >= coupon.perUserLimit) {
+      return { error: "You have already used this coupon" };
+    }
+  }
+
+  const subtotal = items.reduce(
+    (sum, item) => sum + item.price * item.quantity,
+    0
+  );
+  if (subtotal < (coupon.minSpend || 0)) {
+    return {
+      error: `Spend at least ${formatMoney(
+        coupon.minSpend
+      )} to use this coupon`,
+    };
+  }
+  const lines = await eligibleLines(coupon, items);
+  if (!lines.length) {
+    return { error: "Coupon does not apply to any item in your cart" };
+  }
+  const eligible = lines.reduce(
+    (sum, item) => sum + item.price * item.quantity,
+    0
+  );
+  return { coupon, discount: discountFor(coupon, eligible) };
+};
+
+const redeemForUser = async (coupon, userId, session) => {
+  try {
+    // the upsert creates the buyer's first record; once they reached the
+    // limit the filter misses and the insert trips the unique index instead
+    return !!(await couponRedemptionModel.findOneAndUpdate(
+      { code: coupon.code, user: userId, count: { $lt: coupon.perUserLimit } },
+      { $inc: { count: 1 } },
+      { upsert: true, new: true, session }
+    ));
+  } catch (error) {
+    if (error?.code === 11000) return false;
+    throw error;
+  }
+};
+
+// count a use, refusing if the overall or the buyer's limit was hit in the
+// meantime; runs in the checkout transaction (see placeOrder), which rolls
+// back the overall count when the buyer's is refused
+export const redeemCoupon = async (coupon, session, userId) => {
+  const counted = await couponModel.findOneAndUpdate(
+    hasLimit(coupon.usageLimit)
+      ? { _id: coupon._id, usedCount: { $lt: coupon.usageLimit } }
+      : { _id: coupon._id },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  if (!counted) return false;
+  if (!hasLimit(coupon.perUserLimit)) return true;
+  return redeemForUser(coupon, userId, session);
+};
+
+export const releaseCoupon = async (code, userId) => {
+  await couponModel.findOneAndUpdate(
+    { code, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  if (userId) {
+    await couponRedemptionModel.findOneAndUpdate(
+      { code, user: userId, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+};
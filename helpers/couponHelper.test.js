@@ -0,0 +1,261 @@
+import { jest } from "@jest/globals";
+import {
+  applyCoupon,
+  discountFor,
+  redeemCoupon,
+  releaseCoupon,
+} from "./couponHelper";
+import couponModel from "../models/couponModel";
+import couponRedemptionModel from "../models/couponRedemptionModel";
+import orderModel from "../models/orderModel";
+import productModel from "../models/productModel";
+
+jest.mock("../models/couponModel.js");
+jest.mock("../models/couponRedemptionModel.js");
+jest.mock("../models/orderModel.js");
+jest.mock("../models/productModel.js");
+
+const items = [
+  { product: "p1", quantity: 2, price: 50 },
+  { product: "p2", quantity: 1, price: 20 },
+];
+
+const mockCoupon = (fields) => {
+  const coupon = {
+    _id: "c1",
+    code: "SAVE10",
+    type: "percent",
+    value: 10,
+    minSpend: 0,
+    categories: [],
+    products: [],
+    usedCount: 0,
+    active: true,
+    ...fields,
+  };
+  couponModel.findOne.mockResolvedValue(coupon);
+  return coupon;
+};
+
+describe("discountFor", () => {
+  it("should take a percentage off", () => {
+    expect(discountFor({ type: "percent", value: 15 }, 3333)).toBe(500);
+  });
+
+  it("should never take off more than the amount", () => {
+    expect(discountFor({ type: "fixed", value: 50 }, 20)).toBe(20);
+    expect(discountFor({ type: "percent", value: 150 }, 20)).toBe(20);
+  });
+});
+
+describe("applyCoupon", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should look codes up case insensitively", async () => {
+    mockCoupon();
+
+    const { discount } = await applyCoupon(" save10 ", items, "u1");
+
+    expect(couponModel.findOne).toHaveBeenCalledWith({ code: "SAVE10" });
+    expect(discount).toBe(12);
+  });
+
+  it("should reject unknown and disabled coupons", async () => {
+    couponModel.findOne.mockResolvedValue(null);
+    expect(await applyCoupon("NOPE", items, "u1")).toEqual({
+      error: "Invalid coupon code",
+    });
+
+    mockCoupon({ active: false });
+    expect(await applyCoupon("SAVE10", items, "u1")).toEqual({
+      error: "Invalid coupon code",
+    });
+  });
+
+  it("should only work inside the validity window", async () => {
+    const now = new Date("2025-06-15");
+    mockCoupon({ startsAt: new Date("2025-07-01") });
+    expect((await applyCoupon("SAVE10", items, "u1", now)).error).toBe(
+      "Coupon is not active yet"
+    );
+
+    mockCoupon({ expiresAt: new Date("2025-06-01") });
+    expect((await applyCoupon("SAVE10", items, "u1", now)).error).toBe(
+      "Coupon has expired"
+    );
+  });
+
+  it("should stop once the overall usage limit is reached", async () => {
+    mockCoupon({ usageLimit: 5, usedCount: 5 });
+
+    expect((await applyCoupon("SAVE10", items, "u1")).error).toBe(
+      "Coupon usage limit reached"
+    );
+  });
+
+  it("should count the buyer's earlier paid orders against the per user limit", async () => {
+    mockCoupon({ perUserLimit: 1 });
+    orderModel.countDocuments.mockResolvedValue(1);
+
+    const result = await applyCoupon("SAVE10", items, "u1");
+
+    expect(orderModel.countDocuments).toHaveBeenCalledWith({
+      buyer: "u1",
+      "discount.code": "SAVE10",
+      "payment.success": true,
+      status: { $nin: ["Cancelled", "cancel"] },
+    });
+    expect(result.error).toBe("You have already used this coupon");
+  });
+
+  it("should not let guests use coupons limited per user", async () => {
+    mockCoupon({ perUserLimit: 1 });
+
+    const result = await applyCoupon("SAVE10", items, undefined);
+
+    expect(orderModel.countDocuments).not.toHaveBeenCalled();
+    expect(result.error).toBe("Please login to use this coupon");
+  });
+
+  it("should require the minimum spend", async () => {
+    mockCoupon({ minSpend: 150 });
+
+    expect((await applyCoupon("SAVE10", items, "u1")).error).toBe(
+      "Spend at least $1.50 to use this coupon"
+    );
+  });
+
+  it("should only discount products in scope", async () => {
+    mockCoupon({ type: "fixed", value: 30, products: ["p2"] });
+
+    const { discount } = await applyCoupon("SAVE10", items, "u1");
+
+    expect(discount).toBe(20);
+  });
+
+  it("should discount products from the scoped categories", async () => {
+    mockCoupon({ categories: ["cat1"] });
+    productModel.find.mockReturnValue({
+      select: jest.fn().mockResolvedValue([
+        { _id: "p1", category: "cat1" },
+        { _id: "p2", category: "cat2" },
+      ]),
+    });
+
+    const { discount } = await applyCoupon("SAVE10", items, "u1");
+
+    expect(discount).toBe(10);
+  });
+
+  it("should reject coupons that match nothing in the cart", async () => {
+    mockCoupon({ products: ["p9"] });
+
+    expect((await applyCoupon("SAVE10", items, "u1")).error).toBe(
+      "Coupon does not apply to any item in your cart"
+    );
+  });
+});
+
+describe("redeemCoupon", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should only count a use while under the limit", async () => {
+    couponModel.findOneAndUpdate.mockResolvedValue(null);
+
+    expect(await redeemCoupon({ _id: "c1", usageLimit: 3 }, "session")).toBe(
+      false
+    );
+    expect(couponModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: "c1", usedCount: { $lt: 3 } },
+      { $inc: { usedCount: 1 } },
+      { session: "session" }
+    );
+  });
+
+  it("should always count unlimited coupons", async () => {
+    couponModel.findOneAndUpdate.mockResolvedValue({ _id: "c1" });
+
+    expect(await redeemCoupon({ _id: "c1" }, "session")).toBe(true);
+    expect(couponModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: "c1" },
+      { $inc: { usedCount: 1 } },
+      { session: "session" }
+    );
+  });
+
+  it("should count the buyer's use in the same transaction", async () => {
+    couponModel.findOneAndUpdate.mockResolvedValue({ _id: "c1" });
+    couponRedemptionModel.findOneAndUpdate.mockResolvedValue({ count: 1 });
+
+    expect(
+      await redeemCoupon(
+        { _id: "c1", code: "SAVE10", perUserLimit: 2 },
+        "session",
+        "u1"
+      )
+    ).toBe(true);
+    expect(couponRedemptionModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { code: "SAVE10", user: "u1", count: { $lt: 2 } },
+      { $inc: { count: 1 } },
+      { upsert: true, new: true, session: "session" }
+    );
+  });
+
+  it("should refuse a buyer who reached the per user limit", async () => {
+    couponModel.findOneAndUpdate.mockResolvedValue({ _id: "c1" });
+    couponRedemptionModel.findOneAndUpdate.mockRejectedValue(
+      Object.assign(new Error("E11000"), { code: 11000 })
+    );
+
+    expect(
+      await redeemCoupon(
+        { _id: "c1", code: "SAVE10", perUserLimit: 1 },
+        "session",
+        "u1"
+      )
+    ).toBe(false);
+  });
+
+  it("should not count the buyer's use when the overall limit was hit", async () => {
+    couponModel.findOneAndUpdate.mockResolvedValue(null);
+
+    expect(
+      await redeemCoupon(
+        { _id: "c1", code: "SAVE10", usageLimit: 3, perUserLimit: 1 },
+        "session",
+        "u1"
+      )
+    ).toBe(false);
+    expect(couponRedemptionModel.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should pass on other errors counting the buyer's use", async () => {
+    const error = new Error("db down");
+    couponModel.findOneAndUpdate.mockResolvedValue({ _id: "c1" });
+    couponRedemptionModel.findOneAndUpdate.mockRejectedValue(error);
+
+    await expect(
+      redeemCoupon({ _id: "c1", code: "SAVE10", perUserLimit: 1 }, "s", "u1")
+    ).rejects.toBe(error);
+  });
+
+  it("should give a use back", async () => {
+    couponModel.findOneAndUpdate.mockResolvedValue({});
+    couponRedemptionModel.findOneAndUpdate.mockResolvedValue({});
+
+    await releaseCoupon("SAVE10", "u1");
+
+    expect(couponModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { code: "SAVE10", usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+    expect(couponRedemptionModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { code: "SAVE10", user: "u1", count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  });
+});
@@ -0,0 +1,39 @@
+import exchangeRateModel from "../models/exchangeRateModel.js";
+import { storeCurrency, toMajorUnits, toMinorUnits } from "./moneyHelper.js";
+
+// ISO 4217 codes Intl knows how to format
+export const isCurrencyCode = (code) => {
+  if (!/^[A-Z]{3}$/.test(String(code || ""))) return false;
+  try {
+    new Intl.NumberFormat("en-US", { style: "currency", currency: code });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// minor units of one currency to minor units of another at rate
+export const convertMoney = (minor, rate, from, to) =>
+  toMinorUnits(toMajorUnits(minor, from) * rate, to);
+
+// The rate for showing store prices in currency. Falls back to the store
+// currency when none is asked for or the rate has since been removed.
+export const findRate = async (currency) => {
+  const base = storeCurrency();
+  const code = String(currency || "").toUpperCase();
+  if (code && code !== base) {
+    const found = await exchangeRateModel.findOne({ currency: code });
+    if (found) return { currency: found.currency, rate: found.rate };
+  }
+  return { currency: base, rate: 1 };
+};
+
+// an amount in store currency as shown to the buyer: { currency, rate, amount }
+export const displayAmount = async (amount, currency) => {
+  const { currency: code, rate } = await findRate(currency);
+  return {
+    currency: code,
+    rate,
+    amount: convertMoney(amount, rate, storeCurrency(), code),
+  };
+};
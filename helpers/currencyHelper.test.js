@@ -0,0 +1,77 @@
+import { jest } from "@jest/globals";
+import {
+  convertMoney,
+  displayAmount,
+  findRate,
+  isCurrencyCode,
+} from "./currencyHelper";
+import exchangeRateModel from "../models/exchangeRateModel";
+
+jest.mock("../models/exchangeRateModel.js");
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("isCurrencyCode", () => {
+  it.each([
+    ["EUR", true],
+    ["SGD", true],
+    ["eur", false],
+    ["EURO", false],
+    ["", false],
+    [undefined, false],
+  ])("should check %p", (code, expected) => {
+    expect(isCurrencyCode(code)).toBe(expected);
+  });
+});
+
+describe("convertMoney", () => {
+  it("should convert between minor units of two currencies", () => {
+    expect(convertMoney(5499, 1.35, "USD", "SGD")).toBe(7424);
+  });
+
+  it("should allow for currencies without decimals", () => {
+    expect(convertMoney(1000, 150.5, "USD", "JPY")).toBe(1505);
+    expect(convertMoney(1505, 0.0066, "JPY", "USD")).toBe(993);
+  });
+});
+
+describe("findRate", () => {
+  it("should look up the rate of another currency", async () => {
+    exchangeRateModel.findOne.mockResolvedValue({ currency: "EUR", rate: 0.9 });
+
+    await expect(findRate("eur")).resolves.toEqual({
+      currency: "EUR",
+      rate: 0.9,
+    });
+    expect(exchangeRateModel.findOne).toHaveBeenCalledWith({ currency: "EUR" });
+  });
+
+  it("should not look up the store currency", async () => {
+    await expect(findRate("USD")).resolves.toEqual({ currency: "USD", rate: 1 });
+    await expect(findRate()).resolves.toEqual({ currency: "USD", rate: 1 });
+    expect(exchangeRateModel.findOne).not.toHaveBeenCalled();
+  });
+
+  it("should fall back to the store currency when the rate is gone", async () => {
+    exchangeRateModel.findOne.mockResolvedValue(null);
+
+    await expect(findRate("EUR")).resolves.toEqual({
+      currency: "USD",
+      rate: 1,
+    });
+  });
+});
+
+describe("displayAmount", () => {
+  it("should convert a store amount for display", async () => {
+    exchangeRateModel.findOne.mockResolvedValue({ currency: "EUR", rate: 0.9 });
+
+    await expect(displayAmount(2000, "EUR")).resolves.toEqual({
+      currency: "EUR",
+      rate: 0.9,
+      amount: 1800,
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { storeDetails } from "./invoiceHelper.js";
+import { formatMoney, storeCurrency } from "./moneyHelper.js";
+import { orderReference } from "./orderNumberHelper.js";
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+export const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+// Build the text and html parts from the same content. Blocks are either a
+// paragraph string or { list: [...] } for bullet points.
+const compose = (store, subject, greeting, blocks) => {
+  const signOff = `Thank you,\n${store.name}`;
+  const text = [
+    greeting,
+    ...blocks.map((block) =>
+      block.list ? block.list.map((item) => `- ${item}`).join("\n") : block
+    ),
+    signOff,
+  ].join("\n\n");
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...blocks.map((block) =>
+      block.list
+        ? `<ul>${block.list
+            .map((item) => `<li>${escapeHtml(item)}</li>`)
+            .join("")}</ul>`
+        : `<p>${escapeHtml(block)}</p>`
+    ),
+    `<p>${escapeHtml(signOff).replace("\n", "<br>")}</p>`,
+  ].join("\n");
+  return { subject, text, html };
+};
+
+const greet = (name) => (name ? `Hi ${name},` : "Hi,");
+
+const orderLines = (order) => {
+  const money = (amount) =>
+    formatMoney(amount || 0, order.currency || storeCurrency());
+  return [
+    ...(order.products || []).map(
+      (item) =>
+        `${item.quantity} x ${item.product?.name || "Item"}: ${money(
+          item.price * item.quantity
+        )}`
+    ),
+    `Total: ${money(order.total)}`,
+  ];
+};
+
+// guests have no account to sign in to, they follow this link instead
+const lookupLink = (lookupUrl) =>
+  lookupUrl ? [`You can check on your order at ${lookupUrl}`] : [];
+
+const welcome = ({ name }, store) =>
+  compose(store, `Welcome to ${store.name}`, greet(name), [
+    `Your ${store.name} account is ready. You can now sign in to shop, track your orders and download invoices.`,
+  ]);
+
+const orderConfirmation = ({ name, order, lookupUrl }, store) =>
+  compose(
+    store,
+    `Your ${store.name} order ${orderReference(order)}`,
+    greet(name),
+    [
+      `We have received your order ${orderReference(order)} and will let you know when it ships.`,
+      { list: orderLines(order) },
+      ...(order.shippingAddress?.address
+        ? [`Shipping to: ${order.shippingAddress.address}`]
+        : []),
+      ...lookupLink(lookupUrl),
+    ]
+  );
+
+const orderStatusChanged = ({ name, order, note, lookupUrl }, store) =>
+  compose(
+    store,
+    `Your ${store.name} order ${orderReference(order)} is now ${order.status}`,
+    greet(name),
+    [
+      `The status of your order ${orderReference(order)} has changed to ${order.status}.`,
+      ...(note ? [`Note: ${note}`] : []),
+      ...lookupLink(lookupUrl),
+    ]
+  );
+
+const shipmentLines = (order, shipment) =>
+  shipment.items.map((item) => {
+    const ordered = order.products?.find(
+      (line) =>
+        String(line.product?._id || line.product) === String(item.product)
+    );
+    return `${item.quantity} x ${ordered?.product?.name || "Item"}`;
+  });
+
+const orderShipped = ({ name, order, shipment, lookupUrl }, store) =>
+  compose(
+    store,
+    `Your ${store.name} order ${orderReference(order)} has shipped`,
+    greet(name),
+    [
+      `These items from your order ${orderReference(order)} are on their way with ${shipment.carrier}:`,
+      { list: shipmentLines(order, shipment) },
+      `Tracking number: ${shipment.trackingNumber}`,
+      ...(shipment.trackingUrl
+        ? [`Track your parcel at ${shipment.trackingUrl}`]
+        : []),
+      ...(shipment.estimatedDelivery
+        ? [
+            // picked as a whole day, e.g. "Mon, 04 Mar 2024"
+            `Estimated delivery: ${new Date(shipment.estimatedDelivery)
+              .toUTCString()
+              .slice(0, 16)}`,
+          ]
+        : []),
+      ...lookupLink(lookupUrl),
+    ]
+  );
+
+const passwordReset = ({ name }, store) =>
+  compose(store, `Your ${store.name} password was reset`, greet(name), [
+    "The password of your account was just reset. If this wasn't you, please contact us straight away.",
+  ]);
+
+const claimGuestOrders = ({ name, count, claimUrl }, store) =>
+  compose(
+    store,
+    `Add your earlier orders to your ${store.name} account`,
+    greet(name),
+    [
+      `We found ${count} order(s) placed as a guest with this email address. To see them in your account, open ${claimUrl}`,
+      "If you did not create this account, you can ignore this email and the orders stay where they are.",
+    ]
+  );
+
+export const templates = {
+  welcome,
+  claimGuestOrders,
+  orderConfirmation,
+  orderStatusChanged,
+  orderShipped,
+  passwordReset,
+};
+
+// { subject, text, html } for one of the templates above
+export const renderEmail = (name, data, store = storeDetails()) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return template(data, store);
+};
@@ -0,0 +1,151 @@
+import { escapeHtml, renderEmail } from "./emailTemplates";
+
+const store = { name: "Virtual Vault", address: "", email: "shop@example.com" };
+
+const order = {
+  _id: "order1",
+  status: "Shipped",
+  currency: "USD",
+  products: [
+    { product: { name: "Laptop" }, quantity: 2, price: 150000 },
+    { product: null, quantity: 1, price: 999 },
+  ],
+  total: 300999,
+  shippingAddress: { name: "Jane", address: "1 Computing Drive" },
+};
+
+describe("escapeHtml", () => {
+  it("should escape characters that have a meaning in html", () => {
+    expect(escapeHtml(`<b>"Tom" & 'Jerry'</b>`)).toBe(
+      "&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;"
+    );
+  });
+
+  it("should treat missing values as empty", () => {
+    expect(escapeHtml(undefined)).toBe("");
+  });
+});
+
+describe("renderEmail", () => {
+  it("should welcome a new customer", () => {
+    const email = renderEmail("welcome", { name: "Jane" }, store);
+
+    expect(email.subject).toBe("Welcome to Virtual Vault");
+    expect(email.text).toMatch(/^Hi Jane,/);
+    expect(email.text).toMatch(/Thank you,\nVirtual Vault$/);
+    expect(email.html).toContain("<p>Hi Jane,</p>");
+  });
+
+  it("should list the items and total of a new order", () => {
+    const email = renderEmail("orderConfirmation", { name: "Jane", order }, store);
+
+    expect(email.subject).toBe("Your Virtual Vault order order1");
+    expect(email.text).toContain("- 2 x Laptop: $3,000.00");
+    expect(email.text).toContain("- 1 x Item: $9.99");
+    expect(email.text).toContain("- Total: $3,009.99");
+    expect(email.text).toContain("Shipping to: 1 Computing Drive");
+    expect(email.html).toContain("<li>2 x Laptop: $3,000.00</li>");
+  });
+
+  it("should quote the order number of newer orders", () => {
+    const email = renderEmail(
+      "orderConfirmation",
+      { name: "Jane", order: { ...order, orderNumber: "VV-2026-000123" } },
+      store
+    );
+
+    expect(email.subject).toBe("Your Virtual Vault order VV-2026-000123");
+    expect(email.text).toContain("We have received your order VV-2026-000123");
+  });
+
+  it("should give guests the link to their order", () => {
+    const email = renderEmail(
+      "orderConfirmation",
+      { order, lookupUrl: "https://shop.example.com/order-lookup?order=order1" },
+      store
+    );
+
+    expect(email.text).toContain(
+      "You can check on your order at https://shop.example.com/order-lookup?order=order1"
+    );
+  });
+
+  it("should tell the buyer about a status change and the note", () => {
+    const email = renderEmail(
+      "orderStatusChanged",
+      { name: "Jane", order, note: "Sent with SingPost" },
+      store
+    );
+
+    expect(email.subject).toBe("Your Virtual Vault order order1 is now Shipped");
+    expect(email.text).toContain("has changed to Shipped");
+    expect(email.text).toContain("Note: Sent with SingPost");
+  });
+
+  it("should tell the buyer what shipped and how to track it", () => {
+    const shipped = {
+      ...order,
+      products: [
+        { product: { _id: "p1", name: "Laptop" }, quantity: 2, price: 150000 },
+      ],
+    };
+    const email = renderEmail(
+      "orderShipped",
+      {
+        name: "Jane",
+        order: shipped,
+        shipment: {
+          carrier: "Example Post",
+          trackingNumber: "AB123",
+          trackingUrl: "https://post.example.com/track?id=AB123",
+          items: [{ product: "p1", quantity: 1 }],
+          estimatedDelivery: new Date("2024-03-04"),
+        },
+      },
+      store
+    );
+
+    expect(email.subject).toBe("Your Virtual Vault order order1 has shipped");
+    expect(email.text).toContain("on their way with Example Post");
+    expect(email.text).toContain("- 1 x Laptop");
+    expect(email.text).toContain("Tracking number: AB123");
+    expect(email.text).toContain(
+      "Track your parcel at https://post.example.com/track?id=AB123"
+    );
+    expect(email.text).toContain("Estimated delivery: Mon, 04 Mar 2024");
+  });
+
+  it("should send the link that adds guest orders to the account", () => {
+    const email = renderEmail(
+      "claimGuestOrders",
+      { name: "Jane", count: 2, claimUrl: "https://shop.example.com/claim" },
+      store
+    );
+
+    expect(email.subject).toBe(
+      "Add your earlier orders to your Virtual Vault account"
+    );
+    expect(email.text).toContain("We found 2 order(s)");
+    expect(email.text).toContain("open https://shop.example.com/claim");
+  });
+
+  it("should confirm a password reset", () => {
+    const email = renderEmail("passwordReset", {}, store);
+
+    expect(email.subject).toBe("Your Virtual Vault password was reset");
+    expect(email.text).toMatch(/^Hi,/);
+  });
+
+  it("should escape customer supplied text in the html part", () => {
+    const email = renderEmail("welcome", { name: "<script>" }, store);
+
+    expect(email.html).toContain("<p>Hi &lt;script&gt;,</p>");
+    expect(email.text).toContain("Hi <script>,");
+  });
+
+  it("should reject an unknown template", () => {
+    expect(() => renderEmail("newsletter", {}, store)).toThrow(
+      'Unknown email template "newsletter"'
+    );
+  });
+});
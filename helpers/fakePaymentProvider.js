@@ -0,0 +1,137 @@
+import crypto from "crypto";
+
+// Deterministic in-process stand-in for a real gateway so checkout can run
+// offline. Any nonce containing "declined" is refused, everything else is
+// approved. Transactions only live as long as the process.
+export const FAKE_CLIENT_TOKEN = "fake-client-token";
+export const FAKE_VALID_NONCE = "fake-valid-nonce";
+export const FAKE_DECLINED_NONCE = "fake-processor-declined-visa-nonce";
+
+const VOIDABLE = ["authorized", "submitted_for_settlement"];
+const REFUNDABLE = ["settling", "settled"];
+
+const toAmount = (amount) => Number(amount).toFixed(2);
+
+const sign = (payload, secret) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+// Webhooks are { payload, signature }: the event as base64 JSON and its
+// HMAC-SHA256 under FAKE_WEBHOOK_SECRET. Nothing settles on its own, a
+// transaction settles when its transaction_settled webhook is read, so
+// refunds work after sending one (see scripts/sampleWebhook.js).
+export const createFakePaymentProvider = (config = process.env) => {
+  const transactions = new Map();
+  const webhookSecret = config.FAKE_WEBHOOK_SECRET || "fake-webhook-secret";
+  let sequence = 0;
+
+  const record = (amount, status) => {
+    sequence += 1;
+    const transaction = {
+      id: `fake_txn_${sequence}`,
+      amount: toAmount(amount),
+      status,
+      refunded: 0,
+    };
+    transactions.set(transaction.id, transaction);
+    return transaction;
+  };
+
+  // move a transaction along the way the real gateway does overnight, voided
+  // and declined transactions never settle
+  const settle = (transactionId) => {
+    const transaction = transactions.get(transactionId);
+    if (VOIDABLE.includes(transaction?.status)) {
+      transaction.status = "settled";
+    }
+    return transaction;
+  };
+
+  const result = (transaction, success, message) => ({
+    provider: "fake",
+    success,
+    transactionId: transaction?.id,
+    status: transaction?.status,
+    amount: transaction?.amount,
+    message,
+  });
+
+  return {
+    name: "fake",
+    createClientToken: async () => FAKE_CLIENT_TOKEN,
+    sale: async ({ amount, nonce }) => {
+      if (!nonce) {
+        return result(null, false, "Payment method nonce is required");
+      }
+      if (String(nonce).includes("declined")) {
+        const declined = record(amount, "processor_declined");
+        return result(declined, false, "Processor Declined");
+      }
+      const transaction = record(amount, "submitted_for_settlement");
+      return result(transaction, true, "Approved");
+    },
+    refund: async (transactionId, amount) => {
+      const transaction = transactions.get(transactionId);
+      if (!transaction) {
+        return result(null, false, "Transaction not found");
+      }
+      if (!REFUNDABLE.includes(transaction.status)) {
+        return result(
+          transaction,
+          false,
+          "Cannot refund a transaction unless it is settled"
+        );
+      }
+      const remaining = Number(transaction.amount) - transaction.refunded;
+      const refundAmount =
+        amount === undefined ? remaining : Number(amount);
+      if (!(refundAmount > 0) || refundAmount - remaining > 0.001) {
+        return result(transaction, false, "Refund amount is too large");
+      }
+      transaction.refunded += refundAmount;
+      const refund = record(refundAmount, "submitted_for_settlement");
+      return result(refund, true, "Refunded");
+    },
+    voidTransaction: async (transactionId) => {
+      const transaction = transactions.get(transactionId);
+      if (!transaction) {
+        return result(null, false, "Transaction not found");
+      }
+      if (!VOIDABLE.includes(transaction.status)) {
+        return result(
+          transaction,
+          false,
+          "Transaction can only be voided before settlement"
+        );
+      }
+      transaction.status = "voided";
+      return result(transaction, true, "Voided");
+    },
+    parseWebhook: async ({ payload, signature } = {}) => {
+      const expected = Buffer.from(sign(String(payload || ""), webhookSecret));
+      const given = Buffer.from(String(signature || ""));
+      if (
+        expected.length !== given.length ||
+        !crypto.timingSafeEqual(expected, given)
+      ) {
+        throw new Error("Invalid webhook signature");
+      }
+      const event = JSON.parse(Buffer.from(payload, "base64").toString("utf8"));
+      if (event.kind === "transaction_settled") settle(event.transactionId);
+      return { ...event, occurredAt: new Date(event.occurredAt) };
+    },
+    sampleWebhook: async (kind, transactionId, fields = {}) => {
+      // unique across runs, the receiver drops ids it has already seen
+      const event = {
+        id: `fake_evt_${crypto.randomUUID()}`,
+        kind,
+        transactionId,
+        amount: transactions.get(transactionId)?.amount,
+        occurredAt: new Date().toISOString(),
+        ...fields,
+      };
+      const payload = Buffer.from(JSON.stringify(event)).toString("base64");
+      return { payload, signature: sign(payload, webhookSecret) };
+    },
+    settle,
+  };
+};
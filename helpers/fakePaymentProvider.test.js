@@ -0,0 +1,161 @@
+import {
+  createFakePaymentProvider,
+  FAKE_CLIENT_TOKEN,
+  FAKE_DECLINED_NONCE,
+  FAKE_VALID_NONCE,
+} from "./fakePaymentProvider";
+
+describe("fake payment provider", () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = createFakePaymentProvider();
+  });
+
+  it("should hand out a fixed client token", async () => {
+    expect(await provider.createClientToken()).toBe(FAKE_CLIENT_TOKEN);
+  });
+
+  it("should approve a valid nonce with sequential transaction ids", async () => {
+    const first = await provider.sale({ amount: 10, nonce: FAKE_VALID_NONCE });
+    const second = await provider.sale({ amount: "5.5", nonce: "anything" });
+
+    expect(first).toEqual({
+      provider: "fake",
+      success: true,
+      transactionId: "fake_txn_1",
+      status: "submitted_for_settlement",
+      amount: "10.00",
+      message: "Approved",
+    });
+    expect(second.transactionId).toBe("fake_txn_2");
+    expect(second.amount).toBe("5.50");
+  });
+
+  it("should decline nonces that ask to be declined", async () => {
+    const result = await provider.sale({
+      amount: 10,
+      nonce: FAKE_DECLINED_NONCE,
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.status).toBe("processor_declined");
+    expect(result.message).toBe("Processor Declined");
+  });
+
+  it("should fail a sale without a nonce", async () => {
+    const result = await provider.sale({ amount: 10 });
+
+    expect(result.success).toBe(false);
+  });
+
+  it("should void a transaction before settlement only", async () => {
+    const { transactionId } = await provider.sale({
+      amount: 10,
+      nonce: FAKE_VALID_NONCE,
+    });
+
+    const voided = await provider.voidTransaction(transactionId);
+    const again = await provider.voidTransaction(transactionId);
+
+    expect(voided.success).toBe(true);
+    expect(voided.status).toBe("voided");
+    expect(again.success).toBe(false);
+  });
+
+  it("should only refund settled transactions, up to the amount charged", async () => {
+    const { transactionId } = await provider.sale({
+      amount: 10,
+      nonce: FAKE_VALID_NONCE,
+    });
+
+    expect((await provider.refund(transactionId)).success).toBe(false);
+
+    provider.settle(transactionId);
+    const partial = await provider.refund(transactionId, 4);
+    const tooMuch = await provider.refund(transactionId, 7);
+    const rest = await provider.refund(transactionId);
+
+    expect(partial).toEqual(
+      expect.objectContaining({ success: true, amount: "4.00" })
+    );
+    expect(tooMuch.success).toBe(false);
+    expect(rest).toEqual(
+      expect.objectContaining({ success: true, amount: "6.00" })
+    );
+  });
+
+  it("should report unknown transactions", async () => {
+    expect((await provider.refund("nope")).message).toBe(
+      "Transaction not found"
+    );
+    expect((await provider.voidTransaction("nope")).success).toBe(false);
+  });
+
+  it("should sign sample webhooks it can read back", async () => {
+    const { transactionId } = await provider.sale({
+      amount: 10,
+      nonce: FAKE_VALID_NONCE,
+    });
+
+    const body = await provider.sampleWebhook(
+      "transaction_settled",
+      transactionId
+    );
+    const event = await provider.parseWebhook(body);
+
+    expect(event).toEqual({
+      id: expect.stringMatching(/^fake_evt_/),
+      kind: "transaction_settled",
+      transactionId,
+      amount: "10.00",
+      occurredAt: expect.any(Date),
+    });
+  });
+
+  it("should settle a transaction once its settled webhook is read", async () => {
+    const { transactionId } = await provider.sale({
+      amount: 10,
+      nonce: FAKE_VALID_NONCE,
+    });
+
+    await provider.parseWebhook(
+      await provider.sampleWebhook("transaction_settled", transactionId)
+    );
+
+    expect((await provider.voidTransaction(transactionId)).success).toBe(false);
+    expect((await provider.refund(transactionId, 4)).success).toBe(true);
+  });
+
+  it("should never settle a voided transaction", async () => {
+    const { transactionId } = await provider.sale({
+      amount: 10,
+      nonce: FAKE_VALID_NONCE,
+    });
+    await provider.voidTransaction(transactionId);
+
+    await provider.parseWebhook(
+      await provider.sampleWebhook("transaction_settled", transactionId)
+    );
+
+    expect(provider.settle(transactionId).status).toBe("voided");
+    expect((await provider.refund(transactionId)).success).toBe(false);
+  });
+
+  it("should reject webhooks with a bad signature", async () => {
+    const body = await provider.sampleWebhook("dispute_opened", "fake_txn_1");
+    const forged = await createFakePaymentProvider({
+      FAKE_WEBHOOK_SECRET: "guess",
+    }).sampleWebhook("dispute_opened", "fake_txn_1");
+
+    await expect(
+      provider.parseWebhook({ ...body, signature: "0".repeat(64) })
+    ).rejects.toThrow("Invalid webhook signature");
+    await expect(provider.parseWebhook(forged)).rejects.toThrow(
+      "Invalid webhook signature"
+    );
+    await expect(provider.parseWebhook({})).rejects.toThrow(
+      "Invalid webhook signature"
+    );
+  });
+});
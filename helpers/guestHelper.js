@@ -0,0 +1,106 @@
+import crypto from "crypto";
+import orderModel from "../models/orderModel.js";
+
+// Guest orders are tied to an email address instead of an account. Emails
+// are compared the way people type them, in any case and with stray spaces.
+export const normalizeEmail = (email) =>
+  typeof email === "string" ? email.trim().toLowerCase() : "";
+
+// an empty key would let anyone sign lookup and claim links
+const lookupSecret = (config = process.env) => {
+  const secret = config.ORDER_LOOKUP_SECRET || config.JWT_SECRET;
+  if (!secret) {
+    throw new Error("ORDER_LOOKUP_SECRET or JWT_SECRET must be set");
+  }
+  return secret;
+};
+
+// Signs the order id and email so a guest can open their order from a link
+// without typing the email again. It is an HMAC rather than a JWT so it can
+// never be mistaken for a sign in token.
+export const orderLookupToken = (orderId, email, config = process.env) =>
+  crypto
+    .createHmac("sha256", lookupSecret(config))
+    .update(`${orderId}:${normalizeEmail(email)}`)
+    .digest("base64url");
+
+// constant time, so a token can't be guessed one character at a time
+const sameToken = (expected, token) => {
+  if (typeof token !== "string") return false;
+  const given = Buffer.from(token);
+  const wanted = Buffer.from(expected);
+  return (
+    wanted.length === given.length && crypto.timingSafeEqual(wanted, given)
+  );
+};
+
+export const checkLookupToken = (
+  orderId,
+  email,
+  token,
+  config = process.env
+) => {
+  if (!email) return false;
+  return sameToken(orderLookupToken(orderId, email, config), token);
+};
+
+const clientUrl = (config = process.env) =>
+  (config.CLIENT_URL || "http://localhost:3000").replace(/\/+$/, "");
+
+// link to the order lookup page, for guest order emails
+export const orderLookupUrl = (order, config = process.env) => {
+  const params = new URLSearchParams({
+    order: String(order._id),
+    token: orderLookupToken(order._id, order.guestEmail, config),
+  });
+  return `${clientUrl(config)}/order-lookup?${params}`;
+};
+
+// Anyone can register with any email, so guest orders only move to a new
+// account once its owner follows a link mailed to that address. Lookup
+// tokens can't stand in for this one, a guest gets those by typing the
+// order number and email.
+export const claimOrdersToken = (userId, email, config = process.env) =>
+  crypto
+    .createHmac("sha256", lookupSecret(config))
+    .update(`claim:${userId}:${normalizeEmail(email)}`)
+    .digest("base64url");
+
+export const checkClaimOrdersToken = (
+  userId,
+  email,
+  token,
+  config = process.env
+) => {
+  if (!email) return false;
+  return sameToken(claimOrdersToken(userId, email, config), token);
+};
+
+export const claimOrdersUrl = (user, config = process.env) => {
+  const params = new URLSearchParams({
+    user: String(user._id),
+    token: claimOrdersToken(user._id, user.email, config),
+  });
+  return `${clientUrl(config)}/claim-orders?${params}`;
+};
+
+// guest orders the account could claim
+export const countGuestOrders = async (email) => {
+  const guestEmail = normalizeEmail(email);
+  if (!guestEmail) return 0;
+  return orderModel.countDocuments({ guestEmail, buyer: null });
+};
+
+// Orders placed as a guest with the account's email move to the account,
+// call it only after checkClaimOrdersToken.
+// guestEmail is kept so the lookup link in old emails keeps working.
+// Resolves to the number of orders claimed.
+export const claimGuestOrders = async (user) => {
+  const email = normalizeEmail(user?.email);
+  if (!email) return 0;
+  const result = await orderModel.updateMany(
+    { guestEmail: email, buyer: null },
+    { $set: { buyer: user._id } }
+  );
+  return result?.modifiedCount || 0;
+};
@@ -0,0 +1,170 @@
+import { jest } from "@jest/globals";
+import orderModel from "../models/orderModel.js";
+import {
+  checkClaimOrdersToken,
+  checkLookupToken,
+  claimGuestOrders,
+  claimOrdersToken,
+  claimOrdersUrl,
+  countGuestOrders,
+  normalizeEmail,
+  orderLookupToken,
+  orderLookupUrl,
+} from "./guestHelper.js";
+
+jest.mock("../models/orderModel.js");
+
+const config = { ORDER_LOOKUP_SECRET: "secret" };
+
+describe("normalizeEmail", () => {
+  it("should ignore case and surrounding spaces", () => {
+    expect(normalizeEmail(" Jane@Example.COM ")).toBe("jane@example.com");
+  });
+
+  it("should turn anything else into an empty string", () => {
+    expect(normalizeEmail(undefined)).toBe("");
+    expect(normalizeEmail({ $ne: null })).toBe("");
+  });
+});
+
+describe("order lookup tokens", () => {
+  const token = orderLookupToken("order1", "jane@example.com", config);
+
+  it("should accept the token for the same order and email", () => {
+    expect(checkLookupToken("order1", "Jane@example.com", token, config)).toBe(
+      true
+    );
+  });
+
+  it("should refuse the token for another order, email or secret", () => {
+    expect(checkLookupToken("order2", "jane@example.com", token, config)).toBe(
+      false
+    );
+    expect(checkLookupToken("order1", "john@example.com", token, config)).toBe(
+      false
+    );
+    expect(
+      checkLookupToken("order1", "jane@example.com", token, {
+        ORDER_LOOKUP_SECRET: "other",
+      })
+    ).toBe(false);
+  });
+
+  it("should fall back to the JWT secret", () => {
+    expect(
+      orderLookupToken("order1", "jane@example.com", { JWT_SECRET: "secret" })
+    ).toBe(token);
+  });
+
+  it("should refuse to sign without a secret", () => {
+    expect(() => orderLookupToken("order1", "jane@example.com", {})).toThrow(
+      "ORDER_LOOKUP_SECRET or JWT_SECRET must be set"
+    );
+  });
+
+  it("should refuse missing or malformed tokens", () => {
+    expect(checkLookupToken("order1", "jane@example.com", "", config)).toBe(
+      false
+    );
+    expect(checkLookupToken("order1", "jane@example.com", ["x"], config)).toBe(
+      false
+    );
+    expect(checkLookupToken("order1", undefined, token, config)).toBe(false);
+  });
+
+  it("should fall back to the JWT secret", () => {
+    expect(
+      orderLookupToken("order1", "jane@example.com", { JWT_SECRET: "secret" })
+    ).toBe(token);
+  });
+
+  it("should link to the lookup page of the client", () => {
+    const url = orderLookupUrl(
+      { _id: "order1", guestEmail: "jane@example.com" },
+      { ...config, CLIENT_URL: "https://shop.example.com/" }
+    );
+
+    expect(url).toBe(
+      `https://shop.example.com/order-lookup?order=order1&token=${token}`
+    );
+  });
+});
+
+describe("claim orders tokens", () => {
+  const token = claimOrdersToken("user1", "jane@example.com", config);
+
+  it("should accept the token for the same account and email", () => {
+    expect(
+      checkClaimOrdersToken("user1", "Jane@example.com", token, config)
+    ).toBe(true);
+  });
+
+  it("should refuse the token for another account or email", () => {
+    expect(
+      checkClaimOrdersToken("user2", "jane@example.com", token, config)
+    ).toBe(false);
+    expect(
+      checkClaimOrdersToken("user1", "john@example.com", token, config)
+    ).toBe(false);
+    expect(
+      checkClaimOrdersToken("user1", "jane@example.com", undefined, config)
+    ).toBe(false);
+  });
+
+  it("should not accept an order lookup token", () => {
+    const lookup = orderLookupToken("user1", "jane@example.com", config);
+
+    expect(
+      checkClaimOrdersToken("user1", "jane@example.com", lookup, config)
+    ).toBe(false);
+  });
+
+  it("should link to the claim page of the client", () => {
+    const url = claimOrdersUrl(
+      { _id: "user1", email: "jane@example.com" },
+      { ...config, CLIENT_URL: "https://shop.example.com" }
+    );
+
+    expect(url).toBe(
+      `https://shop.example.com/claim-orders?user=user1&token=${token}`
+    );
+  });
+});
+
+describe("countGuestOrders", () => {
+  it("should count the unclaimed guest orders of the email", async () => {
+    orderModel.countDocuments.mockResolvedValue(2);
+
+    expect(await countGuestOrders(" Jane@Example.com")).toBe(2);
+    expect(orderModel.countDocuments).toHaveBeenCalledWith({
+      guestEmail: "jane@example.com",
+      buyer: null,
+    });
+  });
+});
+
+describe("claimGuestOrders", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should move unclaimed guest orders with the email to the user", async () => {
+    orderModel.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+    const claimed = await claimGuestOrders({
+      _id: "user1",
+      email: "Jane@Example.com",
+    });
+
+    expect(orderModel.updateMany).toHaveBeenCalledWith(
+      { guestEmail: "jane@example.com", buyer: null },
+      { $set: { buyer: "user1" } }
+    );
+    expect(claimed).toBe(2);
+  });
+
+  it("should not claim anything without an email", async () => {
+    expect(await claimGuestOrders({ _id: "user1" })).toBe(0);
+    expect(orderModel.updateMany).not.toHaveBeenCalled();
+  });
+});
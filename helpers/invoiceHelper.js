@@ -0,0 +1,116 @@
+import PDFDocument from "pdfkit";
+import { formatAddress } from "./checkoutHelper.js";
+import { formatMoney, storeCurrency } from "./moneyHelper.js";
+import { orderReference } from "./orderNumberHelper.js";
+
+const orderMoney = (order) => (amount) =>
+  formatMoney(amount || 0, order.currency || storeCurrency());
+
+export const storeDetails = (config = process.env) => ({
+  name: config.STORE_NAME || "Virtual Vault",
+  address: config.STORE_ADDRESS || "",
+  email: config.STORE_EMAIL || "",
+});
+
+// lines between the item list and the total, for orders that have them
+const orderCharges = (order) => {
+  const money = orderMoney(order);
+  const charges = [];
+  if (order.discount?.amount) {
+    charges.push({
+      label: `Discount (${order.discount.code})`,
+      amount: `-${money(order.discount.amount)}`,
+    });
+  }
+  if (order.shipping?.method) {
+    charges.push({
+      label: `Shipping (${order.shipping.method})`,
+      amount: money(order.shipping.fee),
+    });
+  }
+  if (order.tax?.label) {
+    charges.push({
+      label: `${order.tax.label} (${order.tax.region})`,
+      amount: money(order.tax.amount),
+    });
+  }
+  return charges;
+};
+
+// everything printed on the invoice, kept apart from the layout
+export const invoiceData = (order, store = storeDetails()) => {
+  const money = orderMoney(order);
+  const items = (order.products || []).map(({ product, quantity, price }) => ({
+    name: product?.name || "Product no longer available",
+    quantity,
+    price: money(price),
+    subtotal: money(price * quantity),
+  }));
+  return {
+    store,
+    number: orderReference(order),
+    date: new Date(order.createdAt).toDateString(),
+    // orders placed before addresses were snapshotted fall back to the profile
+    buyer: {
+      name: order.shippingAddress?.name || order.buyer?.name || "",
+      address:
+        order.shippingAddress?.address || formatAddress(order.buyer?.address),
+      phone: order.shippingAddress?.phone || "",
+    },
+    items,
+    charges: orderCharges(order),
+    total: money(order.total),
+    transactionId:
+      order.payment?.transactionId || order.payment?.transaction?.id || "-",
+    status: order.status,
+  };
+};
+
+// returns a PDF stream, the caller pipes it and calls end()
+export const createInvoice = (order, options = {}) => {
+  const data = invoiceData(order, options.store);
+  const doc = new PDFDocument({ size: "A4", margin: 50, ...options.pdf });
+
+  doc.fontSize(20).text(data.store.name);
+  doc.fontSize(10);
+  if (data.store.address) doc.text(data.store.address);
+  if (data.store.email) doc.text(data.store.email);
+  doc.moveDown();
+
+  doc.fontSize(16).text("Invoice");
+  doc.fontSize(10);
+  doc.text(`Invoice number: ${data.number}`);
+  doc.text(`Order date: ${data.date}`);
+  doc.text(`Payment transaction: ${data.transactionId}`);
+  doc.moveDown();
+
+  doc.text("Bill to:");
+  doc.text(data.buyer.name);
+  if (data.buyer.address) doc.text(data.buyer.address);
+  if (data.buyer.phone) doc.text(data.buyer.phone);
+  doc.moveDown();
+
+  const columns = [50, 300, 370, 460];
+  // long product names wrap, so continue below the tallest cell
+  const row = (cells) => {
+    const top = doc.y;
+    let bottom = top;
+    cells.forEach((cell, i) => {
+      doc.text(String(cell), columns[i], top, { width: i ? 80 : 240 });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom;
+    doc.moveDown(0.5);
+  };
+  row(["Item", "Quantity", "Price", "Subtotal"]);
+  data.items.forEach((item) =>
+    row([item.name, item.quantity, item.price, item.subtotal])
+  );
+  doc.moveDown();
+  data.charges.forEach((charge) =>
+    doc.text(`${charge.label}: ${charge.amount}`, columns[2], doc.y)
+  );
+  doc.fontSize(12).text(`Total: ${data.total}`, columns[2], doc.y);
+
+  return doc;
+};
@@ -0,0 +1,116 @@
+import { createInvoice, invoiceData, storeDetails } from "./invoiceHelper";
+
+const order = {
+  _id: "order1",
+  createdAt: "2025-02-04T13:42:16.741Z",
+  buyer: { name: "Jane", address: "1 Computing Drive" },
+  products: [
+    { product: { name: "Laptop" }, quantity: 2, price: 149999 },
+    { product: null, quantity: 1, price: 500 },
+  ],
+  total: 300498,
+  currency: "USD",
+  payment: { success: true, transactionId: "txn1" },
+  status: "Processing",
+};
+
+const store = { name: "Test Store", address: "1 Main St", email: "a@b.c" };
+
+const renderToBuffer = (doc) =>
+  new Promise((resolve) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.end();
+  });
+
+describe("invoiceHelper", () => {
+  it("should collect the invoice details from the order", () => {
+    expect(invoiceData(order, store)).toEqual({
+      store,
+      number: "order1",
+      date: new Date(order.createdAt).toDateString(),
+      buyer: { name: "Jane", address: "1 Computing Drive", phone: "" },
+      items: [
+        { name: "Laptop", quantity: 2, price: "$1,499.99", subtotal: "$2,999.98" },
+        {
+          name: "Product no longer available",
+          quantity: 1,
+          price: "$5.00",
+          subtotal: "$5.00",
+        },
+      ],
+      charges: [],
+      total: "$3,004.98",
+      transactionId: "txn1",
+      status: "Processing",
+    });
+  });
+
+  it("should number the invoice after the order number", () => {
+    const data = invoiceData({ ...order, orderNumber: "VV-2026-000123" }, store);
+
+    expect(data.number).toBe("VV-2026-000123");
+  });
+
+  it("should read the transaction id of payments stored by older versions", () => {
+    const data = invoiceData(
+      { ...order, payment: { transaction: { id: "old1" } } },
+      store
+    );
+
+    expect(data.transactionId).toBe("old1");
+  });
+
+  it("should print the shipping details captured at checkout", () => {
+    const data = invoiceData(
+      {
+        ...order,
+        shippingAddress: { name: "Office", address: "2 Science Park", phone: "61234567" },
+      },
+      store
+    );
+
+    expect(data.buyer).toEqual({
+      name: "Office",
+      address: "2 Science Park",
+      phone: "61234567",
+    });
+  });
+
+  it("should list the discount, shipping and tax charged on the order", () => {
+    const data = invoiceData(
+      {
+        ...order,
+        discount: { code: "SAVE10", amount: 30000 },
+        tax: { region: "SG", label: "GST", amount: 24345 },
+        shipping: { zone: "Singapore", method: "Express", fee: 1200 },
+      },
+      store
+    );
+
+    expect(data.charges).toEqual([
+      { label: "Discount (SAVE10)", amount: "-$300.00" },
+      { label: "Shipping (Express)", amount: "$12.00" },
+      { label: "GST (SG)", amount: "$243.45" },
+    ]);
+  });
+
+  it("should print amounts in the currency of the order", () => {
+    const data = invoiceData({ ...order, currency: "JPY", total: 1500 }, store);
+
+    expect(data.total).toBe("¥1,500");
+  });
+
+  it("should take store details from configuration", () => {
+    expect(storeDetails({ STORE_NAME: "Shop" }).name).toBe("Shop");
+    expect(storeDetails({}).name).toBe("Virtual Vault");
+  });
+
+  it("should render a pdf document", async () => {
+    const buffer = await renderToBuffer(createInvoice(order, { store }));
+
+    expect(buffer.subarray(0, 5).toString()).toBe("%PDF-");
+    expect(buffer.toString()).toContain("%%EOF");
+  });
+});
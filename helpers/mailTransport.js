@@ -0,0 +1,89 @@
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// Every mail transport exposes the same promise based interface:
+//
+//   name                                   transport key, e.g. "smtp"
+//   send({ from, to, subject, text, html })  deliver one message
+//
+// send resolves to { transport, messageId } and rejects when the message
+// could not be handed over.
+
+// real delivery through any SMTP server
+export const createSmtpTransport = (config = process.env) => {
+  const transporter = nodemailer.createTransport({
+    host: config.SMTP_HOST,
+    port: Number(config.SMTP_PORT || 587),
+    secure: config.SMTP_SECURE === "true",
+    auth: config.SMTP_USER
+      ? { user: config.SMTP_USER, pass: config.SMTP_PASS }
+      : undefined,
+  });
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { transport: "smtp", messageId: info.messageId };
+    },
+  };
+};
+
+// one JSON file per message under MAIL_DIR, for development and tests
+export const createFileTransport = (config = process.env) => {
+  const dir = config.MAIL_DIR || path.join("tmp", "mail");
+  let sequence = 0;
+  return {
+    name: "file",
+    send: async (message) => {
+      sequence += 1;
+      const messageId = `${Date.now()}-${process.pid}-${sequence}`;
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(dir, `${messageId}.json`),
+        JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+      );
+      return { transport: "file", messageId };
+    },
+  };
+};
+
+// prints the text part, handy while running the app locally
+export const createConsoleTransport = () => {
+  let sequence = 0;
+  return {
+    name: "console",
+    send: async ({ from, to, subject, text }) => {
+      sequence += 1;
+      console.log(
+        `Mail from ${from} to ${to}\nSubject: ${subject}\n\n${text}\n`
+      );
+      return { transport: "console", messageId: `console-${sequence}` };
+    },
+  };
+};
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport;
+
+// picked once from MAIL_TRANSPORT, defaults to console
+export const getMailTransport = () => {
+  if (!transport) {
+    const name = (process.env.MAIL_TRANSPORT || "console").toLowerCase();
+    const create = transports[name];
+    if (!create) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = create(process.env);
+  }
+  return transport;
+};
+
+export const resetMailTransport = () => {
+  transport = undefined;
+};
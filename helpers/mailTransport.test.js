@@ -0,0 +1,146 @@
+import { jest } from "@jest/globals";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import nodemailer from "nodemailer";
+import {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  getMailTransport,
+  resetMailTransport,
+} from "./mailTransport";
+
+jest.mock("nodemailer", () => {
+  const transporter = { sendMail: jest.fn() };
+  return { createTransport: jest.fn(() => transporter) };
+});
+
+const message = {
+  from: "shop@example.com",
+  to: "jane@example.com",
+  subject: "Hello",
+  text: "Hi Jane,",
+  html: "<p>Hi Jane,</p>",
+};
+
+describe("getMailTransport", () => {
+  const originalTransport = process.env.MAIL_TRANSPORT;
+
+  beforeEach(() => {
+    resetMailTransport();
+  });
+
+  afterAll(() => {
+    process.env.MAIL_TRANSPORT = originalTransport;
+    resetMailTransport();
+  });
+
+  it("should default to the console", () => {
+    delete process.env.MAIL_TRANSPORT;
+
+    expect(getMailTransport().name).toBe("console");
+  });
+
+  it("should select the transport from configuration", () => {
+    process.env.MAIL_TRANSPORT = "File";
+
+    expect(getMailTransport().name).toBe("file");
+  });
+
+  it("should reuse the same transport instance", () => {
+    process.env.MAIL_TRANSPORT = "console";
+
+    expect(getMailTransport()).toBe(getMailTransport());
+  });
+
+  it("should reject an unknown transport", () => {
+    process.env.MAIL_TRANSPORT = "pigeon";
+
+    expect(() => getMailTransport()).toThrow('Unknown mail transport "pigeon"');
+  });
+});
+
+describe("createSmtpTransport", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should connect with the configured server and credentials", () => {
+    createSmtpTransport({
+      SMTP_HOST: "smtp.example.com",
+      SMTP_PORT: "465",
+      SMTP_SECURE: "true",
+      SMTP_USER: "shop",
+      SMTP_PASS: "secret",
+    });
+
+    expect(nodemailer.createTransport).toHaveBeenCalledWith({
+      host: "smtp.example.com",
+      port: 465,
+      secure: true,
+      auth: { user: "shop", pass: "secret" },
+    });
+  });
+
+  it("should leave out auth and use port 587 by default", () => {
+    createSmtpTransport({ SMTP_HOST: "localhost" });
+
+    expect(nodemailer.createTransport).toHaveBeenCalledWith({
+      host: "localhost",
+      port: 587,
+      secure: false,
+      auth: undefined,
+    });
+  });
+
+  it("should hand the message to nodemailer", async () => {
+    const transport = createSmtpTransport({ SMTP_HOST: "localhost" });
+    const transporter = nodemailer.createTransport();
+    transporter.sendMail.mockResolvedValueOnce({ messageId: "<abc@example>" });
+
+    const result = await transport.send(message);
+
+    expect(transporter.sendMail).toHaveBeenCalledWith(message);
+    expect(result).toEqual({ transport: "smtp", messageId: "<abc@example>" });
+  });
+});
+
+describe("createFileTransport", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "mail-"));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it("should write each message to its own JSON file", async () => {
+    const transport = createFileTransport({ MAIL_DIR: dir });
+
+    const first = await transport.send(message);
+    const second = await transport.send({ ...message, subject: "Again" });
+
+    expect(first.messageId).not.toBe(second.messageId);
+    const saved = JSON.parse(
+      await fs.promises.readFile(path.join(dir, `${first.messageId}.json`))
+    );
+    expect(saved).toEqual({ ...message, sentAt: expect.any(String) });
+    expect(await fs.promises.readdir(dir)).toHaveLength(2);
+  });
+});
+
+describe("createConsoleTransport", () => {
+  it("should print the text part of the message", async () => {
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+
+    const result = await createConsoleTransport().send(message);
+
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining("Subject: Hello"));
+    expect(logSpy).toHaveBeenCalledWith(expect.stringContaining("Hi Jane,"));
+    expect(result).toEqual({ transport: "console", messageId: "console-1" });
+    logSpy.mockRestore();
+  });
+});
@@ -0,0 +1,33 @@
+// Money is kept as a whole number of minor units (cents for USD) next to an
+// ISO 4217 currency code. Only whole numbers are ever added up, so totals
+// can't drift the way float prices do.
+
+export const storeCurrency = (config = process.env) =>
+  (config.STORE_CURRENCY || "USD").toUpperCase();
+
+// number of decimals the currency uses, 2 for USD, 0 for JPY
+export const minorDigits = (currency = storeCurrency()) =>
+  new Intl.NumberFormat("en-US", { style: "currency", currency })
+    .resolvedOptions().maximumFractionDigits;
+
+// "54.99" -> 5499; goes through the exponent so 1.005 does not become 100.4999
+export const toMinorUnits = (amount, currency = storeCurrency()) =>
+  Math.round(Number(`${Number(amount)}e${minorDigits(currency)}`));
+
+export const toMajorUnits = (minor, currency = storeCurrency()) =>
+  Number(`${minor || 0}e-${minorDigits(currency)}`);
+
+// plain decimal string, what payment gateways expect
+export const toDecimalString = (minor, currency = storeCurrency()) =>
+  toMajorUnits(minor, currency).toFixed(minorDigits(currency));
+
+export const formatMoney = (minor, currency = storeCurrency()) =>
+  new Intl.NumberFormat("en-US", { style: "currency", currency }).format(
+    toMajorUnits(minor, currency)
+  );
+
+export const isMinorAmount = (amount) =>
+  amount !== "" &&
+  amount !== null &&
+  Number.isInteger(Number(amount)) &&
+  Number(amount) >= 0;
@@ -0,0 +1,52 @@
+import {
+  formatMoney,
+  isMinorAmount,
+  minorDigits,
+  storeCurrency,
+  toDecimalString,
+  toMajorUnits,
+  toMinorUnits,
+} from "./moneyHelper";
+
+describe("moneyHelper", () => {
+  it("should default the store currency to USD", () => {
+    expect(storeCurrency({})).toBe("USD");
+    expect(storeCurrency({ STORE_CURRENCY: "sgd" })).toBe("SGD");
+  });
+
+  it("should know how many decimals a currency has", () => {
+    expect(minorDigits("USD")).toBe(2);
+    expect(minorDigits("JPY")).toBe(0);
+  });
+
+  it("should convert to minor units without float error", () => {
+    expect(toMinorUnits("54.99", "USD")).toBe(5499);
+    expect(toMinorUnits(1.005, "USD")).toBe(101);
+    expect(toMinorUnits(0.1 + 0.2, "USD")).toBe(30);
+    expect(toMinorUnits(1500, "JPY")).toBe(1500);
+  });
+
+  it("should convert back to major units", () => {
+    expect(toMajorUnits(5499, "USD")).toBe(54.99);
+    expect(toMajorUnits(undefined, "USD")).toBe(0);
+  });
+
+  it("should give payment gateways a plain decimal string", () => {
+    expect(toDecimalString(20000, "USD")).toBe("200.00");
+    expect(toDecimalString(5, "USD")).toBe("0.05");
+    expect(toDecimalString(1500, "JPY")).toBe("1500");
+  });
+
+  it("should format amounts for people", () => {
+    expect(formatMoney(105498, "USD")).toBe("$1,054.98");
+    expect(formatMoney(0, "USD")).toBe("$0.00");
+  });
+
+  it("should only accept whole, non negative amounts", () => {
+    expect(isMinorAmount(5499)).toBe(true);
+    expect(isMinorAmount("0")).toBe(true);
+    expect(isMinorAmount(54.99)).toBe(false);
+    expect(isMinorAmount(-1)).toBe(false);
+    expect(isMinorAmount("")).toBe(false);
+  });
+});
@@ -0,0 +1,78 @@
+import orderModel from "../models/orderModel.js";
+import { renderEmail } from "./emailTemplates.js";
+import { claimOrdersUrl, orderLookupUrl } from "./guestHelper.js";
+import { storeDetails } from "./invoiceHelper.js";
+import { getMailTransport } from "./mailTransport.js";
+
+const sender = (config = process.env) =>
+  config.MAIL_FROM || storeDetails(config).email || "no-reply@localhost";
+
+// Render one of the email templates and send it. A notification must never
+// fail the request that triggered it, so errors are logged and the promise
+// resolves to false instead.
+export const sendEmail = async (to, template, data) => {
+  try {
+    if (!to) return false;
+    const message = renderEmail(template, data);
+    await getMailTransport().send({ from: sender(), to, ...message });
+    return true;
+  } catch (error) {
+    console.log(error);
+    return false;
+  }
+};
+
+export const sendWelcomeEmail = (user) =>
+  sendEmail(user?.email, "welcome", { name: user?.name });
+
+// the link moves the guest orders over, see claimOrdersToken
+export const sendClaimOrdersEmail = (user, count) =>
+  sendEmail(user?.email, "claimGuestOrders", {
+    name: user?.name,
+    count,
+    claimUrl: claimOrdersUrl(user),
+  });
+
+export const sendPasswordResetEmail = (user) =>
+  sendEmail(user?.email, "passwordReset", { name: user?.name });
+
+// orders only reference the buyer and products, load what the email shows
+const loadOrder = (orderId) =>
+  orderModel
+    .findById(orderId)
+    .populate("products.product", "name")
+    .populate("buyer", "name email");
+
+const sendOrderEmail = async (orderId, template, data = {}) => {
+  try {
+    const order = await loadOrder(orderId);
+    if (!order) return false;
+    if (!order.buyer) {
+      // guest checkout, the details are on the order itself
+      return sendEmail(order.guestEmail, template, {
+        ...data,
+        name: order.shippingAddress?.name,
+        order,
+        lookupUrl: orderLookupUrl(order),
+      });
+    }
+    return sendEmail(order.buyer.email, template, {
+      ...data,
+      name: order.buyer.name,
+      order,
+    });
+  } catch (error) {
+    console.log(error);
+    return false;
+  }
+};
+
+export const sendOrderConfirmation = (orderId) =>
+  sendOrderEmail(orderId, "orderConfirmation");
+
+export const sendOrderStatusEmail = (orderId, note) =>
+  sendOrderEmail(orderId, "orderStatusChanged", { note });
+
+// the shipment is sent rather than looked up, it is part of the order
+export const sendShipmentEmail = (orderId, shipment) =>
+  sendOrderEmail(orderId, "orderShipped", { shipment });
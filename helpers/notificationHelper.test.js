@@ -0,0 +1,186 @@
+import { jest } from "@jest/globals";
+import orderModel from "../models/orderModel";
+import { getMailTransport } from "./mailTransport";
+import {
+  sendClaimOrdersEmail,
+  sendEmail,
+  sendOrderConfirmation,
+  sendOrderStatusEmail,
+  sendShipmentEmail,
+  sendWelcomeEmail,
+} from "./notificationHelper";
+
+jest.mock("../models/orderModel.js");
+jest.mock("./mailTransport", () => {
+  const transport = { name: "test", send: jest.fn() };
+  return { getMailTransport: () => transport };
+});
+
+const transport = getMailTransport();
+
+const order = {
+  _id: "order1",
+  status: "Processing",
+  products: [{ product: { name: "Laptop" }, quantity: 1, price: 150000 }],
+  total: 150000,
+  buyer: { name: "Jane", email: "jane@example.com" },
+};
+
+// findById(...).populate(...).populate(...) resolving to the order
+const mockFindOrder = (result) => {
+  const query = { populate: jest.fn() };
+  query.populate
+    .mockReturnValueOnce(query)
+    .mockReturnValueOnce(Promise.resolve(result));
+  orderModel.findById.mockReturnValue(query);
+  return query;
+};
+
+let logSpy;
+beforeAll(() => {
+  logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+  process.env.ORDER_LOOKUP_SECRET = "lookup-secret";
+});
+
+afterAll(() => {
+  logSpy.mockRestore();
+  delete process.env.ORDER_LOOKUP_SECRET;
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  transport.send.mockResolvedValue({ transport: "test", messageId: "m1" });
+});
+
+describe("sendEmail", () => {
+  const originalFrom = process.env.MAIL_FROM;
+
+  afterAll(() => {
+    process.env.MAIL_FROM = originalFrom;
+  });
+
+  it("should render the template and send it from MAIL_FROM", async () => {
+    process.env.MAIL_FROM = "shop@example.com";
+
+    const sent = await sendEmail("jane@example.com", "welcome", { name: "Jane" });
+
+    expect(sent).toBe(true);
+    expect(transport.send).toHaveBeenCalledWith({
+      from: "shop@example.com",
+      to: "jane@example.com",
+      subject: expect.stringContaining("Welcome"),
+      text: expect.stringContaining("Hi Jane,"),
+      html: expect.stringContaining("<p>Hi Jane,</p>"),
+    });
+  });
+
+  it("should resolve false instead of throwing when sending fails", async () => {
+    transport.send.mockRejectedValueOnce(new Error("connection refused"));
+
+    await expect(sendEmail("jane@example.com", "welcome", {})).resolves.toBe(false);
+  });
+
+  it("should not send without a recipient", async () => {
+    await expect(sendWelcomeEmail({ name: "Jane" })).resolves.toBe(false);
+    expect(transport.send).not.toHaveBeenCalled();
+  });
+});
+
+describe("sendClaimOrdersEmail", () => {
+  it("should mail the account owner a link with their user id", async () => {
+    const sent = await sendClaimOrdersEmail(
+      { _id: "user1", name: "Jane", email: "jane@example.com" },
+      2
+    );
+
+    expect(sent).toBe(true);
+    expect(transport.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        to: "jane@example.com",
+        text: expect.stringMatching(/\/claim-orders\?user=user1&token=\S+/),
+      })
+    );
+  });
+});
+
+describe("order notifications", () => {
+  it("should send the confirmation to the buyer of the order", async () => {
+    const query = mockFindOrder(order);
+
+    const sent = await sendOrderConfirmation("order1");
+
+    expect(sent).toBe(true);
+    expect(orderModel.findById).toHaveBeenCalledWith("order1");
+    expect(query.populate).toHaveBeenCalledWith("buyer", "name email");
+    expect(transport.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        to: "jane@example.com",
+        text: expect.stringContaining("1 x Laptop"),
+      })
+    );
+  });
+
+  it("should include the note in a status email", async () => {
+    mockFindOrder(order);
+
+    await sendOrderStatusEmail("order1", "Picked by warehouse");
+
+    expect(transport.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        subject: expect.stringContaining("is now Processing"),
+        text: expect.stringContaining("Note: Picked by warehouse"),
+      })
+    );
+  });
+
+  it("should email guests at the address on the order with a lookup link", async () => {
+    mockFindOrder({
+      ...order,
+      buyer: undefined,
+      guestEmail: "guest@example.com",
+      shippingAddress: { name: "Guest", address: "1 Computing Drive" },
+    });
+
+    await sendOrderConfirmation("order1");
+
+    expect(transport.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        to: "guest@example.com",
+        text: expect.stringMatching(/Hi Guest,[\s\S]*order-lookup\?order=order1&token=/),
+      })
+    );
+  });
+
+  it("should send the shipment with its tracking number", async () => {
+    mockFindOrder(order);
+
+    await sendShipmentEmail("order1", {
+      carrier: "Example Post",
+      trackingNumber: "AB123",
+      items: [],
+    });
+
+    expect(transport.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        to: "jane@example.com",
+        subject: expect.stringContaining("has shipped"),
+        text: expect.stringContaining("Tracking number: AB123"),
+      })
+    );
+  });
+
+  it("should resolve false when the order can not be found", async () => {
+    mockFindOrder(null);
+
+    await expect(sendOrderConfirmation("missing")).resolves.toBe(false);
+    expect(transport.send).not.toHaveBeenCalled();
+  });
+
+  it("should resolve false when loading the order fails", async () => {
+    orderModel.findById.mockImplementation(() => {
+      throw new Error("db down");
+    });
+
+    await expect(sendOrderStatusEmail("order1")).resolves.toBe(false);
+  });
+});
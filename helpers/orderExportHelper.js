@@ -0,0 +1,103 @@
+import { storeCurrency, toDecimalString } from "./moneyHelper.js";
+import { checkoutPaymentStatus } from "./paymentStatusHelper.js";
+
+export const EXPORT_FORMATS = ["csv", "json"];
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+};
+
+// one row per order, amounts as plain decimals in the order's currency so
+// they can be matched against the payment processor's statements
+export const exportRecord = (order) => {
+  const currency = order.currency || storeCurrency();
+  const money = (minor) => toDecimalString(minor || 0, currency);
+  return {
+    orderId: String(order._id),
+    orderNumber: order.orderNumber || "",
+    date: order.createdAt ? new Date(order.createdAt).toISOString() : "",
+    // guest orders have no buyer, only the details given at checkout
+    buyerName: order.buyer?.name || order.shippingAddress?.name || "",
+    buyerEmail: order.buyer?.email || order.guestEmail || "",
+    status: order.status || "",
+    // orders placed before payment statuses were tracked only have payment
+    paymentStatus: order.paymentStatus || checkoutPaymentStatus(order.payment),
+    // older payments kept the whole gateway transaction
+    transactionId:
+      order.payment?.transactionId || order.payment?.transaction?.id || "",
+    currency,
+    items: (order.products || []).map(({ product, quantity, price }) => ({
+      product: String(product?._id || product || ""),
+      name: product?.name || "",
+      quantity,
+      price: money(price),
+      amount: money(price * quantity),
+    })),
+    subtotal: money(order.subtotal),
+    discount: money(order.discount?.amount),
+    tax: money(order.tax?.amount),
+    shipping: money(order.shipping?.fee),
+    total: money(order.total),
+  };
+};
+
+const CSV_COLUMNS = [
+  "orderId",
+  "orderNumber",
+  "date",
+  "buyerName",
+  "buyerEmail",
+  "status",
+  "paymentStatus",
+  "transactionId",
+  "currency",
+  "items",
+  "subtotal",
+  "discount",
+  "tax",
+  "shipping",
+  "total",
+];
+
+// Quote every cell, and stop spreadsheets from running text that starts
+// like a formula (a buyer named "=HYPERLINK(...)" for example).
+export const csvCell = (value) => {
+  const text = String(value ?? "");
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+// line items share one cell, e.g. "2 x Laptop @ 1500.00; 1 x Mouse @ 9.99"
+const csvItems = (items) =>
+  items
+    .map(
+      (item) =>
+        `${item.quantity} x ${item.name || item.product || "Item"} @ ${item.price}`
+    )
+    .join("; ");
+
+export const csvLine = (record) =>
+  CSV_COLUMNS.map((column) =>
+    csvCell(column === "items" ? csvItems(record.items) : record[column])
+  ).join(",") + "\r\n";
+
+// Yields the export one order at a time, so only the current document is in
+// memory however many orders match. Works with any (async) iterable such as
+// a mongoose query cursor.
+export async function* exportChunks(orders, format) {
+  if (format === "csv") {
+    yield CSV_COLUMNS.map(csvCell).join(",") + "\r\n";
+    for await (const order of orders) {
+      yield csvLine(exportRecord(order));
+    }
+    return;
+  }
+  let separator = "";
+  yield "[";
+  for await (const order of orders) {
+    yield separator + JSON.stringify(exportRecord(order));
+    separator = ",\n";
+  }
+  yield "]\n";
+}
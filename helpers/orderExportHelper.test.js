@@ -0,0 +1,127 @@
+import { csvCell, csvLine, exportChunks, exportRecord } from "./orderExportHelper";
+
+const order = {
+  _id: "order1",
+  orderNumber: "VV-2024-000001",
+  createdAt: new Date("2024-02-16T08:00:00Z"),
+  buyer: { name: "Jane", email: "jane@example.com" },
+  status: "Shipped",
+  paymentStatus: "settled",
+  payment: { success: true, transactionId: "txn1" },
+  currency: "USD",
+  products: [
+    { product: { _id: "p1", name: "Laptop" }, quantity: 2, price: 150000 },
+    { product: null, quantity: 1, price: 999 },
+  ],
+  subtotal: 300999,
+  discount: { code: "SAVE10", amount: 1000 },
+  tax: { amount: 2700 },
+  shipping: { fee: 499 },
+  total: 303198,
+};
+
+const collect = async (chunks) => {
+  let text = "";
+  for await (const chunk of chunks) text += chunk;
+  return text;
+};
+
+describe("exportRecord", () => {
+  it("should flatten an order with decimal amounts", () => {
+    expect(exportRecord(order)).toEqual({
+      orderId: "order1",
+      orderNumber: "VV-2024-000001",
+      date: "2024-02-16T08:00:00.000Z",
+      buyerName: "Jane",
+      buyerEmail: "jane@example.com",
+      status: "Shipped",
+      paymentStatus: "settled",
+      transactionId: "txn1",
+      currency: "USD",
+      items: [
+        { product: "p1", name: "Laptop", quantity: 2, price: "1500.00", amount: "3000.00" },
+        { product: "", name: "", quantity: 1, price: "9.99", amount: "9.99" },
+      ],
+      subtotal: "3009.99",
+      discount: "10.00",
+      tax: "27.00",
+      shipping: "4.99",
+      total: "3031.98",
+    });
+  });
+
+  it("should read the transaction id of payments stored by older versions", () => {
+    const record = exportRecord({
+      _id: "o2",
+      payment: { success: true, transaction: { id: "old1" } },
+    });
+
+    expect(record.transactionId).toBe("old1");
+  });
+
+  it("should work out the payment status of older orders", () => {
+    const record = exportRecord({ _id: "o2", payment: { success: false } });
+
+    expect(record.paymentStatus).toBe("declined");
+    expect(record.orderNumber).toBe("");
+    expect(record.total).toBe("0.00");
+  });
+
+  it("should take the buyer of a guest order from the checkout details", () => {
+    const record = exportRecord({
+      ...order,
+      buyer: undefined,
+      guestEmail: "guest@example.com",
+      shippingAddress: { name: "Guest" },
+    });
+
+    expect(record.buyerName).toBe("Guest");
+    expect(record.buyerEmail).toBe("guest@example.com");
+  });
+});
+
+describe("csvCell", () => {
+  it("should quote cells and double embedded quotes", () => {
+    expect(csvCell('Say "hi", Jane')).toBe('"Say ""hi"", Jane"');
+    expect(csvCell(undefined)).toBe('""');
+  });
+
+  it("should defuse text a spreadsheet would run as a formula", () => {
+    expect(csvCell("=HYPERLINK(\"x\")")).toBe('"\'=HYPERLINK(""x"")"');
+    expect(csvCell("-1")).toBe('"\'-1"');
+  });
+});
+
+describe("exportChunks", () => {
+  it("should write a header and one csv line per order", async () => {
+    const text = await collect(exportChunks([order], "csv"));
+    const lines = text.split("\r\n");
+
+    expect(lines[0]).toBe(
+      '"orderId","orderNumber","date","buyerName","buyerEmail","status","paymentStatus","transactionId","currency","items","subtotal","discount","tax","shipping","total"'
+    );
+    expect(lines[1]).toBe(csvLine(exportRecord(order)).trimEnd());
+    expect(lines[1]).toContain('"2 x Laptop @ 1500.00; 1 x Item @ 9.99"');
+    expect(lines).toHaveLength(3);
+  });
+
+  it("should write a json array that parses back", async () => {
+    const text = await collect(exportChunks([order, order], "json"));
+
+    expect(JSON.parse(text)).toEqual([exportRecord(order), exportRecord(order)]);
+  });
+
+  it("should write an empty json array when nothing matches", async () => {
+    expect(JSON.parse(await collect(exportChunks([], "json")))).toEqual([]);
+  });
+
+  it("should read orders from an async source", async () => {
+    async function* cursor() {
+      yield order;
+    }
+
+    const text = await collect(exportChunks(cursor(), "csv"));
+
+    expect(text.split("\r\n")).toHaveLength(3);
+  });
+});
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+import counterModel from "../models/counterModel.js";
+
+export const DEFAULT_ORDER_NUMBER_PREFIX = "VV";
+
+// zero padded so numbers sort and read the same, a busier year just grows
+export const ORDER_NUMBER_DIGITS = 6;
+
+const ORDER_NUMBER_PATTERN = /^[A-Z0-9]+(-[A-Z0-9]+)*-\d{4}-\d{6,}$/;
+
+export const orderNumberPrefix = (config = process.env) =>
+  (config.ORDER_NUMBER_PREFIX || DEFAULT_ORDER_NUMBER_PREFIX)
+    .trim()
+    .toUpperCase();
+
+// e.g. VV-2026-000123
+export const formatOrderNumber = (prefix, year, seq) =>
+  `${prefix}-${year}-${String(seq).padStart(ORDER_NUMBER_DIGITS, "0")}`;
+
+// The next number of the year the order is placed in. $inc on the counter is
+// atomic, so concurrent checkouts each get their own number; numbers are
+// never reused, but a checkout that fails after this leaves a gap.
+export const nextOrderNumber = async (date = new Date(), config) => {
+  const year = date.getUTCFullYear();
+  const counter = await counterModel.findOneAndUpdate(
+    { _id: `order-${year}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return formatOrderNumber(orderNumberPrefix(config), year, counter.seq);
+};
+
+// what to call an order in emails, invoices and file names
+export const orderReference = (order) => order.orderNumber || String(order._id);
+
+// How to find an order someone typed in: by its order number, or by its id
+// for orders placed before they had numbers. null when it can be neither.
+export const orderKey = (value) => {
+  const text = String(value ?? "").trim();
+  if (ORDER_NUMBER_PATTERN.test(text.toUpperCase())) {
+    return { orderNumber: text.toUpperCase() };
+  }
+  return mongoose.isValidObjectId(text) ? { _id: text } : null;
+};
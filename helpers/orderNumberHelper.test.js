@@ -0,0 +1,78 @@
+import { jest } from "@jest/globals";
+import counterModel from "../models/counterModel.js";
+import {
+  formatOrderNumber,
+  nextOrderNumber,
+  orderKey,
+  orderNumberPrefix,
+} from "./orderNumberHelper.js";
+
+jest.mock("../models/counterModel.js");
+
+describe("orderNumberPrefix", () => {
+  it("should default to VV", () => {
+    expect(orderNumberPrefix({})).toBe("VV");
+  });
+
+  it("should use ORDER_NUMBER_PREFIX in capitals", () => {
+    expect(orderNumberPrefix({ ORDER_NUMBER_PREFIX: " shop " })).toBe("SHOP");
+  });
+});
+
+describe("formatOrderNumber", () => {
+  it("should pad the sequence to six digits", () => {
+    expect(formatOrderNumber("VV", 2026, 123)).toBe("VV-2026-000123");
+  });
+
+  it("should keep counting past a million orders", () => {
+    expect(formatOrderNumber("VV", 2026, 1234567)).toBe("VV-2026-1234567");
+  });
+});
+
+describe("nextOrderNumber", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    counterModel.findOneAndUpdate.mockResolvedValue({ seq: 42 });
+  });
+
+  it("should take the next value of the year's counter", async () => {
+    const number = await nextOrderNumber(new Date("2026-03-01T10:00:00Z"), {
+      ORDER_NUMBER_PREFIX: "VV",
+    });
+
+    expect(counterModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: "order-2026" },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    expect(number).toBe("VV-2026-000042");
+  });
+
+  it("should start a new counter each year", async () => {
+    await nextOrderNumber(new Date("2027-01-01T00:00:00Z"), {});
+
+    expect(counterModel.findOneAndUpdate.mock.calls[0][0]).toEqual({
+      _id: "order-2027",
+    });
+  });
+});
+
+describe("orderKey", () => {
+  it("should find orders by their number, whatever the case", () => {
+    expect(orderKey(" vv-2026-000123 ")).toEqual({
+      orderNumber: "VV-2026-000123",
+    });
+  });
+
+  it("should find older orders by their id", () => {
+    expect(orderKey("64b7f0c2a1b2c3d4e5f60718")).toEqual({
+      _id: "64b7f0c2a1b2c3d4e5f60718",
+    });
+  });
+
+  it("should give up on anything else", () => {
+    expect(orderKey("not-an-id")).toBeNull();
+    expect(orderKey({ $ne: null })).toBeNull();
+    expect(orderKey(undefined)).toBeNull();
+  });
+});
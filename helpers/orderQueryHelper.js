@@ -0,0 +1,113 @@
+import userModel from "../models/userModel.js";
+import { isMinorAmount } from "./moneyHelper.js";
+import { ORDER_STATUSES, statusSpellings } from "./orderStatusHelper.js";
+
+export const ORDER_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  "total-desc": { total: -1, createdAt: -1 },
+  "total-asc": { total: 1, createdAt: -1 },
+};
+
+export const DEFAULT_PER_PAGE = 20;
+export const MAX_PER_PAGE = 100;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// createdAt condition for whole days from..to, so `to` includes every order
+// placed on that day; null when either date can not be read
+export const dateRange = (from, to) => {
+  const start = from && parseDate(from);
+  const end = to && parseDate(to);
+  if (start === null || end === null) return null;
+  const range = {};
+  if (start) range.$gte = start;
+  if (end) range.$lt = new Date(end.getTime() + DAY);
+  return range;
+};
+
+// Turn the admin filter query string into a mongo filter. Dates are whole
+// days (see dateRange). Totals are minor units like everywhere else. The
+// buyer text matches a name or email, or the email of a guest order, and
+// the number text any part of an order number.
+// Resolves to { filter } or { error } with a message for the admin.
+export const buildOrderFilter = async ({
+  status,
+  from,
+  to,
+  buyer,
+  minTotal,
+  maxTotal,
+  payment,
+  number,
+} = {}) => {
+  const filter = {};
+
+  if (status) {
+    if (!ORDER_STATUSES.includes(status)) {
+      return { error: "Invalid order status" };
+    }
+    filter.status = { $in: statusSpellings(status) };
+  }
+
+  if (from || to) {
+    const range = dateRange(from, to);
+    if (!range) return { error: "Dates must look like YYYY-MM-DD" };
+    filter.createdAt = range;
+  }
+
+  if (minTotal || maxTotal) {
+    const amounts = [minTotal, maxTotal].filter(Boolean).map(Number);
+    if (amounts.some((amount) => !isMinorAmount(amount))) {
+      return { error: "Totals must be a whole number of cents" };
+    }
+    filter.total = {};
+    if (minTotal) filter.total.$gte = Number(minTotal);
+    if (maxTotal) filter.total.$lte = Number(maxTotal);
+  }
+
+  if (payment) {
+    if (!["success", "failed"].includes(payment)) {
+      return { error: "Payment must be success or failed" };
+    }
+    filter["payment.success"] =
+      payment === "success" ? true : { $ne: true };
+  }
+
+  if (number?.trim()) {
+    // order numbers are always stored in capitals
+    filter.orderNumber = new RegExp(escapeRegex(number.trim().toUpperCase()));
+  }
+
+  if (buyer?.trim()) {
+    const pattern = new RegExp(escapeRegex(buyer.trim()), "i");
+    const buyers = await userModel
+      .find({ $or: [{ name: pattern }, { email: pattern }] })
+      .select("_id");
+    filter.$or = [
+      { buyer: { $in: buyers.map((user) => user._id) } },
+      { guestEmail: pattern },
+    ];
+  }
+
+  return { filter };
+};
+
+export const orderSort = (sort) => ORDER_SORTS[sort] || ORDER_SORTS.newest;
+
+// page and perPage from the query string, clamped to sensible values
+export const orderPage = ({ page, perPage } = {}) => {
+  const size = Math.min(
+    Math.max(parseInt(perPage, 10) || DEFAULT_PER_PAGE, 1),
+    MAX_PER_PAGE
+  );
+  const current = Math.max(parseInt(page, 10) || 1, 1);
+  return { page: current, perPage: size, skip: (current - 1) * size };
+};
@@ -0,0 +1,88 @@
+import { jest } from "@jest/globals";
+import userModel from "../models/userModel";
+import { buildOrderFilter, orderPage, orderSort } from "./orderQueryHelper";
+
+jest.mock("../models/userModel.js");
+
+describe("buildOrderFilter", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should match everything without filters", async () => {
+    await expect(buildOrderFilter({})).resolves.toEqual({ filter: {} });
+    expect(userModel.find).not.toHaveBeenCalled();
+  });
+
+  it("should include the whole last day of the range", async () => {
+    const { filter } = await buildOrderFilter({ to: "2024-02-29" });
+
+    expect(filter.createdAt).toEqual({ $lt: new Date("2024-03-01") });
+  });
+
+  it("should treat orders without a successful payment as failed", async () => {
+    const { filter } = await buildOrderFilter({ payment: "failed" });
+
+    expect(filter["payment.success"]).toEqual({ $ne: true });
+  });
+
+  it("should find guest orders by their email", async () => {
+    userModel.find.mockReturnValue({
+      select: jest.fn().mockResolvedValue([{ _id: "u1" }]),
+    });
+
+    const { filter } = await buildOrderFilter({ buyer: "jane" });
+
+    expect(filter.$or).toEqual([
+      { buyer: { $in: ["u1"] } },
+      { guestEmail: /jane/i },
+    ]);
+  });
+
+  it("should match any part of an order number", async () => {
+    const { filter } = await buildOrderFilter({ number: " vv-2026-0001 " });
+
+    expect(filter.orderNumber).toEqual(/VV-2026-0001/);
+    expect(filter.orderNumber.test("VV-2026-000123")).toBe(true);
+  });
+
+  it("should search buyers literally rather than as a pattern", async () => {
+    userModel.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+    const { filter } = await buildOrderFilter({ buyer: " a+b@x.com " });
+
+    expect(userModel.find).toHaveBeenCalledWith({
+      $or: [{ name: /a\+b@x\.com/i }, { email: /a\+b@x\.com/i }],
+    });
+    expect(filter.$or).toEqual([
+      { buyer: { $in: [] } },
+      { guestEmail: /a\+b@x\.com/i },
+    ]);
+  });
+});
+
+describe("orderSort", () => {
+  it("should fall back to the newest orders first", () => {
+    expect(orderSort("oldest")).toEqual({ createdAt: 1 });
+    expect(orderSort("cheapest")).toEqual({ createdAt: -1 });
+  });
+});
+
+describe("orderPage", () => {
+  it("should default to the first page of 20", () => {
+    expect(orderPage({})).toEqual({ page: 1, perPage: 20, skip: 0 });
+  });
+
+  it("should keep page and size within bounds", () => {
+    expect(orderPage({ page: "-2", perPage: "500" })).toEqual({
+      page: 1,
+      perPage: 100,
+      skip: 0,
+    });
+    expect(orderPage({ page: "4", perPage: "5" })).toEqual({
+      page: 4,
+      perPage: 5,
+      skip: 15,
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// Order lifecycle. Cancelling is only possible until the first parcel ships.
+export const ORDER_STATUSES = [
+  "Not Process",
+  "Processing",
+  "Shipped",
+  "Delivered",
+  "Cancelled",
+];
+
+const TRANSITIONS = {
+  "Not Process": ["Processing", "Cancelled"],
+  Processing: ["Shipped", "Cancelled"],
+  Shipped: ["Delivered"],
+  Delivered: [],
+  Cancelled: [],
+};
+
+// spellings written by older versions of the admin screen
+const LEGACY_STATUSES = {
+  delivered: "Delivered",
+  deliverd: "Delivered",
+  cancel: "Cancelled",
+};
+
+export const normalizeStatus = (status) => LEGACY_STATUSES[status] || status;
+
+// the status and every older spelling saved for it, for querying orders
+export const statusSpellings = (status) => [
+  status,
+  ...Object.keys(LEGACY_STATUSES).filter(
+    (legacy) => LEGACY_STATUSES[legacy] === status
+  ),
+];
+
+export const nextStatuses = (status) =>
+  TRANSITIONS[normalizeStatus(status)] || [];
+
+export const canTransition = (from, to) => nextStatuses(from).includes(to);
+
+// a parcel that is already on its way can't be called back, so an order with
+// shipments can't be cancelled even while it is still Processing; an order
+// that was never paid for can only be cancelled
+export const orderNextStatuses = (order) =>
+  nextStatuses(order.status).filter((status) =>
+    status === "Cancelled" ? !order.shipments?.length : !!order.payment?.success
+  );
+
+export const canChangeStatus = (order, to) =>
+  orderNextStatuses(order).includes(to);
+
+export const statusHistoryEntry = (status, changedBy, note) => ({
+  status,
+  changedAt: new Date(),
+  changedBy,
+  note,
+});
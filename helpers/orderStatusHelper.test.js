@@ -0,0 +1,79 @@
+import {
+  canChangeStatus,
+  canTransition,
+  nextStatuses,
+  normalizeStatus,
+  orderNextStatuses,
+  statusHistoryEntry,
+  statusSpellings,
+} from "./orderStatusHelper";
+
+describe("orderStatusHelper", () => {
+  it("should walk an order forward one step at a time", () => {
+    expect(nextStatuses("Not Process")).toEqual(["Processing", "Cancelled"]);
+    expect(nextStatuses("Processing")).toEqual(["Shipped", "Cancelled"]);
+    expect(nextStatuses("Shipped")).toEqual(["Delivered"]);
+  });
+
+  it("should only allow cancelling before the order ships", () => {
+    expect(canTransition("Processing", "Cancelled")).toBe(true);
+    expect(canTransition("Shipped", "Cancelled")).toBe(false);
+    expect(canTransition("Delivered", "Cancelled")).toBe(false);
+  });
+
+  it("should not allow cancelling once a parcel has shipped", () => {
+    const order = {
+      status: "Processing",
+      payment: { success: true },
+      shipments: [{ items: [] }],
+    };
+    expect(orderNextStatuses(order)).toEqual(["Shipped"]);
+    expect(canChangeStatus(order, "Cancelled")).toBe(false);
+    expect(canChangeStatus({ status: "Processing" }, "Cancelled")).toBe(true);
+  });
+
+  it("should only allow cancelling an order that was not paid for", () => {
+    const order = { status: "Not Process", payment: { success: false } };
+
+    expect(orderNextStatuses(order)).toEqual(["Cancelled"]);
+    expect(canChangeStatus(order, "Processing")).toBe(false);
+    expect(canChangeStatus({ status: "Processing" }, "Shipped")).toBe(false);
+    expect(
+      canChangeStatus(
+        { status: "Not Process", payment: { success: true } },
+        "Processing"
+      )
+    ).toBe(true);
+  });
+
+  it("should not allow skipping or reversing steps", () => {
+    expect(canTransition("Not Process", "Shipped")).toBe(false);
+    expect(canTransition("Shipped", "Processing")).toBe(false);
+    expect(canTransition("Cancelled", "Not Process")).toBe(false);
+  });
+
+  it("should map legacy spellings onto the current statuses", () => {
+    expect(normalizeStatus("delivered")).toBe("Delivered");
+    expect(normalizeStatus("deliverd")).toBe("Delivered");
+    expect(normalizeStatus("cancel")).toBe("Cancelled");
+    expect(nextStatuses("cancel")).toEqual([]);
+  });
+
+  it("should return no transitions for unknown statuses", () => {
+    expect(nextStatuses("Pending")).toEqual([]);
+  });
+
+  it("should build a timestamped history entry", () => {
+    expect(statusHistoryEntry("Shipped", "admin1", "via DHL")).toEqual({
+      status: "Shipped",
+      changedAt: expect.any(Date),
+      changedBy: "admin1",
+      note: "via DHL",
+    });
+  });
+
+  it("should list the legacy spellings saved for a status", () => {
+    expect(statusSpellings("Delivered")).toEqual(["Delivered", "delivered", "deliverd"]);
+    expect(statusSpellings("Processing")).toEqual(["Processing"]);
+  });
+});
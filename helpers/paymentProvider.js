@@ -0,0 +1,68 @@
+import { createBraintreeProvider } from "./braintreeProvider.js";
+import { createFakePaymentProvider } from "./fakePaymentProvider.js";
+
+// Every payment provider exposes the same promise based interface:
+//
+//   name                            provider key, e.g. "braintree"
+//   createClientToken()             token handed to the checkout UI
+//   sale({ amount, nonce })         charge and submit for settlement
+//   refund(transactionId, amount)   full refund when amount is omitted
+//   voidTransaction(transactionId)  cancel before settlement
+//   parseWebhook(body)              verify and read a webhook request body
+//   sampleWebhook(kind, transactionId)  signed body for trying webhooks out
+//
+// sale, refund and voidTransaction resolve to a payment result:
+//   { provider, success, transactionId, status, amount, message }
+//
+// parseWebhook rejects when the signature doesn't match, otherwise resolves
+// to a webhook event:
+//   { id, kind, transactionId, amount, occurredAt }
+//
+// Amounts crossing this interface are decimal strings in major units
+// ("54.99"), see toDecimalString in moneyHelper.
+const providers = {
+  braintree: createBraintreeProvider,
+  fake: createFakePaymentProvider,
+};
+
+let provider;
+
+// picked once from PAYMENT_PROVIDER, defaults to braintree
+export const getPaymentProvider = () => {
+  if (!provider) {
+    const name = (process.env.PAYMENT_PROVIDER || "braintree").toLowerCase();
+    const create = providers[name];
+    if (!create) {
+      throw new Error(`Unknown payment provider "${name}"`);
+    }
+    provider = create(process.env);
+  }
+  return provider;
+};
+
+export const resetPaymentProvider = () => {
+  provider = undefined;
+};
+
+// Give the money back for a payment stored on an order. The stored status
+// goes stale once Braintree settles, so try a void first and fall back to a
+// full refund when the transaction can no longer be voided.
+export const reversePayment = async (payment) => {
+  const transactionId = payment?.transactionId || payment?.transaction?.id;
+  if (!transactionId) {
+    throw new Error("Payment has no transaction to reverse");
+  }
+  const gateway = getPaymentProvider();
+  const voided = await gateway.voidTransaction(transactionId);
+  if (voided?.success) return voided;
+  return gateway.refund(transactionId);
+};
+
+// Refund part of a payment stored on an order, amount is a decimal string.
+export const refundPayment = async (payment, amount) => {
+  const transactionId = payment?.transactionId || payment?.transaction?.id;
+  if (!transactionId) {
+    throw new Error("Payment has no transaction to refund");
+  }
+  return getPaymentProvider().refund(transactionId, amount);
+};
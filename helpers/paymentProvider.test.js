@@ -0,0 +1,303 @@
+import { jest } from "@jest/globals";
+import braintree from "braintree";
+import {
+  getPaymentProvider,
+  resetPaymentProvider,
+  refundPayment,
+  reversePayment,
+} from "./paymentProvider";
+import { FAKE_VALID_NONCE } from "./fakePaymentProvider";
+import { createBraintreeProvider } from "./braintreeProvider";
+
+jest.mock("braintree", () => {
+  const gateway = {
+    clientToken: { generate: jest.fn() },
+    transaction: { sale: jest.fn(), refund: jest.fn(), void: jest.fn() },
+    webhookNotification: { parse: jest.fn() },
+    webhookTesting: { sampleNotification: jest.fn() },
+  };
+  return {
+    BraintreeGateway: jest.fn(() => gateway),
+    Environment: {
+      Sandbox: "sandbox",
+      Production: "production",
+    },
+  };
+});
+
+describe("getPaymentProvider", () => {
+  const originalProvider = process.env.PAYMENT_PROVIDER;
+
+  beforeEach(() => {
+    resetPaymentProvider();
+  });
+
+  afterAll(() => {
+    process.env.PAYMENT_PROVIDER = originalProvider;
+    resetPaymentProvider();
+  });
+
+  it("should default to braintree", () => {
+    delete process.env.PAYMENT_PROVIDER;
+
+    expect(getPaymentProvider().name).toBe("braintree");
+  });
+
+  it("should select the fake provider from configuration", () => {
+    process.env.PAYMENT_PROVIDER = "fake";
+
+    expect(getPaymentProvider().name).toBe("fake");
+  });
+
+  it("should reuse the same provider instance", () => {
+    process.env.PAYMENT_PROVIDER = "fake";
+
+    expect(getPaymentProvider()).toBe(getPaymentProvider());
+  });
+
+  it("should reject an unknown provider", () => {
+    process.env.PAYMENT_PROVIDER = "cash";
+
+    expect(() => getPaymentProvider()).toThrow(
+      'Unknown payment provider "cash"'
+    );
+  });
+});
+
+describe("braintree provider", () => {
+  let provider, gateway;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider = createBraintreeProvider({
+      BRAINTREE_MERCHANT_ID: "merchant",
+      BRAINTREE_PUBLIC_KEY: "public",
+      BRAINTREE_PRIVATE_KEY: "private",
+    });
+    gateway = braintree.BraintreeGateway.mock.results[0].value;
+  });
+
+  it("should use the sandbox unless configured otherwise", () => {
+    expect(braintree.BraintreeGateway).toHaveBeenCalledWith({
+      environment: "sandbox",
+      merchantId: "merchant",
+      publicKey: "public",
+      privateKey: "private",
+    });
+  });
+
+  it("should honour BRAINTREE_ENVIRONMENT", () => {
+    createBraintreeProvider({ BRAINTREE_ENVIRONMENT: "Production" });
+
+    expect(braintree.BraintreeGateway).toHaveBeenLastCalledWith(
+      expect.objectContaining({ environment: "production" })
+    );
+  });
+
+  it("should reject an unknown environment", () => {
+    expect(() =>
+      createBraintreeProvider({ BRAINTREE_ENVIRONMENT: "moon" })
+    ).toThrow('Unknown Braintree environment "moon"');
+  });
+
+  it("should return the generated client token", async () => {
+    gateway.clientToken.generate.mockResolvedValue({ clientToken: "abc" });
+
+    expect(await provider.createClientToken()).toBe("abc");
+  });
+
+  it("should submit sales for settlement and normalise the result", async () => {
+    gateway.transaction.sale.mockResolvedValue({
+      success: true,
+      transaction: { id: "t1", status: "submitted_for_settlement", amount: "5.00" },
+    });
+
+    const result = await provider.sale({ amount: "5.00", nonce: "n" });
+
+    expect(gateway.transaction.sale).toHaveBeenCalledWith({
+      amount: "5.00",
+      paymentMethodNonce: "n",
+      options: { submitForSettlement: true },
+    });
+    expect(result).toEqual({
+      provider: "braintree",
+      success: true,
+      transactionId: "t1",
+      status: "submitted_for_settlement",
+      amount: "5.00",
+      message: undefined,
+    });
+  });
+
+  it("should pass refunds and voids through to the gateway", async () => {
+    gateway.transaction.refund.mockResolvedValue({
+      success: false,
+      message: "Cannot refund",
+    });
+    gateway.transaction.void.mockResolvedValue({
+      success: true,
+      transaction: { id: "t1", status: "voided" },
+    });
+
+    const refund = await provider.refund("t1", "2.00");
+    const voided = await provider.voidTransaction("t1");
+
+    expect(gateway.transaction.refund).toHaveBeenCalledWith("t1", "2.00");
+    expect(refund.success).toBe(false);
+    expect(refund.message).toBe("Cannot refund");
+    expect(voided.status).toBe("voided");
+  });
+
+  it("should verify webhooks with the gateway and flatten them", async () => {
+    gateway.webhookNotification.parse.mockResolvedValue({
+      kind: "transaction_settled",
+      timestamp: "2026-01-02T03:04:05Z",
+      transaction: { id: "t1", type: "sale", amount: "5.00" },
+    });
+
+    const event = await provider.parseWebhook({
+      bt_signature: "sig",
+      bt_payload: "payload",
+    });
+
+    expect(gateway.webhookNotification.parse).toHaveBeenCalledWith(
+      "sig",
+      "payload"
+    );
+    expect(event).toEqual({
+      id: "transaction_settled:t1:2026-01-02T03:04:05.000Z",
+      kind: "transaction_settled",
+      transactionId: "t1",
+      amount: "5.00",
+      occurredAt: new Date("2026-01-02T03:04:05Z"),
+    });
+  });
+
+  it("should report a settled refund against the original sale", async () => {
+    gateway.webhookNotification.parse.mockResolvedValue({
+      kind: "transaction_settled",
+      timestamp: "2026-01-02T03:04:05Z",
+      transaction: {
+        id: "r1",
+        type: "credit",
+        refundedTransactionId: "t1",
+        amount: "2.00",
+      },
+    });
+
+    const event = await provider.parseWebhook({});
+
+    expect(event).toEqual(
+      expect.objectContaining({
+        kind: "transaction_refunded",
+        transactionId: "t1",
+        amount: "2.00",
+      })
+    );
+  });
+
+  it("should find the transaction of a dispute", async () => {
+    gateway.webhookNotification.parse.mockResolvedValue({
+      kind: "dispute_opened",
+      timestamp: "2026-01-02T03:04:05Z",
+      dispute: { id: "d1", transaction: { id: "t1", amount: "5.00" } },
+    });
+
+    const event = await provider.parseWebhook({});
+
+    expect(event.id).toBe("dispute_opened:d1:2026-01-02T03:04:05.000Z");
+    expect(event.transactionId).toBe("t1");
+  });
+
+  it("should reject webhooks the gateway can't verify", async () => {
+    gateway.webhookNotification.parse.mockRejectedValue(
+      new Error("invalid signature")
+    );
+
+    await expect(provider.parseWebhook({})).rejects.toThrow(
+      "invalid signature"
+    );
+  });
+});
+
+describe("reversePayment", () => {
+  let provider;
+
+  beforeEach(() => {
+    process.env.PAYMENT_PROVIDER = "fake";
+    resetPaymentProvider();
+    provider = getPaymentProvider();
+  });
+
+  afterAll(() => {
+    resetPaymentProvider();
+  });
+
+  it("should void a transaction that has not settled", async () => {
+    const payment = await provider.sale({ amount: "10.00", nonce: FAKE_VALID_NONCE });
+
+    const result = await reversePayment(payment);
+
+    expect(result.success).toBe(true);
+    expect(result.status).toBe("voided");
+  });
+
+  it("should refund a transaction once it has settled", async () => {
+    const payment = await provider.sale({ amount: "10.00", nonce: FAKE_VALID_NONCE });
+    provider.settle(payment.transactionId);
+
+    const result = await reversePayment(payment);
+
+    expect(result.success).toBe(true);
+    expect(result.amount).toBe("10.00");
+  });
+
+  it("should understand payments stored by older versions", async () => {
+    const payment = await provider.sale({ amount: "3.00", nonce: FAKE_VALID_NONCE });
+
+    const result = await reversePayment({
+      success: true,
+      transaction: { id: payment.transactionId },
+    });
+
+    expect(result.success).toBe(true);
+  });
+
+  it("should refuse payments without a transaction", async () => {
+    await expect(reversePayment({ success: false })).rejects.toThrow(
+      "Payment has no transaction to reverse"
+    );
+  });
+});
+
+describe("refundPayment", () => {
+  let provider;
+
+  beforeEach(() => {
+    process.env.PAYMENT_PROVIDER = "fake";
+    resetPaymentProvider();
+    provider = getPaymentProvider();
+  });
+
+  afterAll(() => {
+    resetPaymentProvider();
+  });
+
+  it("should refund part of a settled payment", async () => {
+    const payment = await provider.sale({ amount: "10.00", nonce: FAKE_VALID_NONCE });
+    provider.settle(payment.transactionId);
+
+    const first = await refundPayment(payment, "4.00");
+    const second = await refundPayment(payment, "7.00");
+
+    expect(first.success).toBe(true);
+    expect(first.amount).toBe("4.00");
+    expect(second.success).toBe(false);
+  });
+
+  it("should refuse payments without a transaction", async () => {
+    await expect(refundPayment({ success: false }, "1.00")).rejects.toThrow(
+      "Payment has no transaction to refund"
+    );
+  });
+});
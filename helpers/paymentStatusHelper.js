@@ -0,0 +1,37 @@
+// Normalized payment state of an order. order.payment keeps the raw gateway
+// result from checkout, gateway webhooks move paymentStatus on from there.
+export const PAYMENT_STATUSES = [
+  "authorized",
+  "settled",
+  "declined",
+  "refunded",
+  "disputed",
+];
+
+// webhook kinds (Braintree's names) and the status each one leads to; kinds
+// not listed are recorded on the order without changing its status
+const WEBHOOK_STATUSES = {
+  transaction_authorized: "authorized",
+  transaction_settled: "settled",
+  transaction_settlement_declined: "declined",
+  transaction_refunded: "refunded",
+  dispute_opened: "disputed",
+  dispute_won: "settled",
+  dispute_lost: "refunded",
+  dispute_accepted: "refunded",
+};
+
+export const paymentStatusFor = (kind) => WEBHOOK_STATUSES[kind];
+
+// where a payment stands right after the sale at checkout
+export const checkoutPaymentStatus = (result) =>
+  result?.success ? "authorized" : "declined";
+
+export const paymentEventEntry = (event) => ({
+  eventId: event.id,
+  kind: event.kind,
+  status: paymentStatusFor(event.kind),
+  amount: event.amount,
+  occurredAt: event.occurredAt,
+  receivedAt: new Date(),
+});
@@ -0,0 +1,52 @@
+import {
+  checkoutPaymentStatus,
+  paymentEventEntry,
+  paymentStatusFor,
+} from "./paymentStatusHelper";
+
+describe("paymentStatusFor", () => {
+  it.each([
+    ["transaction_settled", "settled"],
+    ["transaction_settlement_declined", "declined"],
+    ["transaction_refunded", "refunded"],
+    ["dispute_opened", "disputed"],
+    ["dispute_won", "settled"],
+    ["dispute_lost", "refunded"],
+  ])("should map %s to %s", (kind, status) => {
+    expect(paymentStatusFor(kind)).toBe(status);
+  });
+
+  it("should leave other kinds without a status", () => {
+    expect(paymentStatusFor("transaction_disbursed")).toBeUndefined();
+  });
+});
+
+describe("checkoutPaymentStatus", () => {
+  it("should treat an approved sale as authorized", () => {
+    expect(checkoutPaymentStatus({ success: true })).toBe("authorized");
+    expect(checkoutPaymentStatus({ success: false })).toBe("declined");
+  });
+});
+
+describe("paymentEventEntry", () => {
+  it("should record the event with the status it leads to", () => {
+    const occurredAt = new Date("2026-01-02T03:04:05Z");
+
+    expect(
+      paymentEventEntry({
+        id: "evt1",
+        kind: "dispute_opened",
+        transactionId: "txn1",
+        amount: "20.00",
+        occurredAt,
+      })
+    ).toEqual({
+      eventId: "evt1",
+      kind: "dispute_opened",
+      status: "disputed",
+      amount: "20.00",
+      occurredAt,
+      receivedAt: expect.any(Date),
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { normalizeStatus } from "./orderStatusHelper.js";
+
+// Return (RMA) lifecycle. Goods are restocked when they are received and the
+// refund is issued straight after; Received only lasts while it is pending.
+export const RETURN_STATUSES = [
+  "Requested",
+  "Approved",
+  "Rejected",
+  "Received",
+  "Refunded",
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const returnWindowDays = (config = process.env) => {
+  const days = Number(config.RETURN_WINDOW_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+};
+
+// last moment a return can be requested for goods delivered at deliveredAt
+export const returnDeadline = (deliveredAt, config = process.env) =>
+  new Date(new Date(deliveredAt).getTime() + returnWindowDays(config) * DAY);
+
+const lastShippedAt = (order) =>
+  (order.shipments || [])
+    .map((shipment) => shipment.shippedAt)
+    .filter(Boolean)
+    .sort((a, b) => new Date(b) - new Date(a))[0];
+
+// Orders delivered before returnableUntil was recorded fall back to the
+// time of their Delivered status change. Without one, the last parcel
+// going out or the order being placed stand in; updatedAt would move the
+// deadline on with every later edit.
+export const orderReturnDeadline = (order, config = process.env) => {
+  if (order.returnableUntil) return new Date(order.returnableUntil);
+  const delivered = [...(order.statusHistory || [])]
+    .reverse()
+    .find((entry) => normalizeStatus(entry.status) === "Delivered");
+  const deliveredAt =
+    delivered?.changedAt || lastShippedAt(order) || order.createdAt;
+  return deliveredAt ? returnDeadline(deliveredAt, config) : null;
+};
+
+const productKey = (product) => String(product?._id || product);
+
+// units of each product that can still be returned, rejected returns free
+// their units up again
+export const returnableQuantities = (order) => {
+  const quantities = {};
+  (order.products || []).forEach((item) => {
+    const key = productKey(item.product);
+    quantities[key] = (quantities[key] || 0) + item.quantity;
+  });
+  (order.returns || [])
+    .filter((ret) => ret.status !== "Rejected")
+    .forEach((ret) =>
+      ret.items.forEach((item) => {
+        quantities[productKey(item.product)] -= item.quantity;
+      })
+    );
+  return quantities;
+};
+
+// Check the requested lines against the order. Resolves to the lines priced
+// from the order, or an error message for the buyer.
+export const returnItems = (order, requested = []) => {
+  const lines = (Array.isArray(requested) ? requested : []).filter(
+    (item) => Number(item?.quantity) > 0
+  );
+  if (!lines.length) return { error: "Choose at least one item to return" };
+  const left = returnableQuantities(order);
+  const items = [];
+  for (const line of lines) {
+    const key = productKey(line.product);
+    const ordered = order.products.find(
+      (item) => productKey(item.product) === key
+    );
+    const quantity = Number(line.quantity);
+    if (!ordered) return { error: "Item is not part of this order" };
+    if (!Number.isInteger(quantity) || quantity > left[key]) {
+      return { error: "Cannot return more than was ordered" };
+    }
+    left[key] -= quantity;
+    items.push({
+      product: ordered.product?._id || ordered.product,
+      quantity,
+      price: ordered.price,
+    });
+  }
+  return { items };
+};
+
+// What goes back to the buyer for the returned lines: their price, their
+// share of the product's tax and less their share of any discount. Shipping
+// is kept. Never more than what is left of the order total.
+export const refundAmount = (order, items) => {
+  const subtotal =
+    order.subtotal ||
+    order.products.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const orderedOf = (product) =>
+    order.products
+      .filter((item) => productKey(item.product) === productKey(product))
+      .reduce((sum, item) => sum + item.quantity, 0);
+  const amount = items.reduce((sum, item) => {
+    const value = item.price * item.quantity;
+    const taxLine = order.tax?.lines?.find(
+      (line) => productKey(line.product) === productKey(item.product)
+    );
+    const tax = taxLine
+      ? (taxLine.amount * item.quantity) / orderedOf(item.product)
+      : 0;
+    const discount = subtotal
+      ? ((order.discount?.amount || 0) * value) / subtotal
+      : 0;
+    return sum + value + tax - discount;
+  }, 0);
+  const left = (order.total || 0) - (order.refunded || 0);
+  return Math.max(Math.min(Math.round(amount), left), 0);
+};
@@ -0,0 +1,144 @@
+import {
+  orderReturnDeadline,
+  refundAmount,
+  returnDeadline,
+  returnItems,
+  returnWindowDays,
+  returnableQuantities,
+} from "./returnHelper";
+
+const order = {
+  products: [
+    { product: "p1", quantity: 2, price: 10000 },
+    { product: "p2", quantity: 1, price: 5000 },
+  ],
+  subtotal: 25000,
+  discount: { code: "SAVE10", amount: 2500 },
+  tax: {
+    amount: 2250,
+    lines: [
+      { product: "p1", amount: 1800 },
+      { product: "p2", amount: 450 },
+    ],
+  },
+  shipping: { fee: 500 },
+  total: 25250,
+  refunded: 0,
+  returns: [],
+};
+
+describe("return window", () => {
+  it("should default to 30 days", () => {
+    expect(returnWindowDays({})).toBe(30);
+    expect(returnWindowDays({ RETURN_WINDOW_DAYS: "14" })).toBe(14);
+    expect(returnWindowDays({ RETURN_WINDOW_DAYS: "soon" })).toBe(30);
+  });
+
+  it("should count the window from delivery", () => {
+    expect(returnDeadline("2024-02-01T00:00:00Z", { RETURN_WINDOW_DAYS: "7" })).toEqual(
+      new Date("2024-02-08T00:00:00Z")
+    );
+  });
+
+  it("should use the recorded deadline of an order", () => {
+    const returnableUntil = new Date("2024-03-01");
+
+    expect(orderReturnDeadline({ returnableUntil })).toEqual(returnableUntil);
+  });
+
+  it("should fall back to when older orders were delivered", () => {
+    const deadline = orderReturnDeadline(
+      {
+        statusHistory: [
+          { status: "Shipped", changedAt: new Date("2024-01-30T00:00:00Z") },
+          { status: "delivered", changedAt: new Date("2024-02-01T00:00:00Z") },
+        ],
+      },
+      { RETURN_WINDOW_DAYS: "10" }
+    );
+
+    expect(deadline).toEqual(new Date("2024-02-11T00:00:00Z"));
+  });
+
+  it("should count from the last parcel sent without a delivery date", () => {
+    const deadline = orderReturnDeadline(
+      {
+        shipments: [
+          { shippedAt: new Date("2024-01-20T00:00:00Z") },
+          { shippedAt: new Date("2024-01-25T00:00:00Z") },
+        ],
+        createdAt: new Date("2024-01-10T00:00:00Z"),
+        updatedAt: new Date("2024-06-01T00:00:00Z"),
+      },
+      { RETURN_WINDOW_DAYS: "10" }
+    );
+
+    expect(deadline).toEqual(new Date("2024-02-04T00:00:00Z"));
+  });
+
+  it("should count from the order date as a last resort", () => {
+    const deadline = orderReturnDeadline(
+      {
+        createdAt: new Date("2024-01-10T00:00:00Z"),
+        updatedAt: new Date("2024-06-01T00:00:00Z"),
+      },
+      { RETURN_WINDOW_DAYS: "10" }
+    );
+
+    expect(deadline).toEqual(new Date("2024-01-20T00:00:00Z"));
+  });
+});
+
+describe("returnItems", () => {
+  it("should price the returned lines from the order", () => {
+    expect(returnItems(order, [{ product: "p1", quantity: "1" }])).toEqual({
+      items: [{ product: "p1", quantity: 1, price: 10000 }],
+    });
+  });
+
+  it("should skip lines with nothing to return", () => {
+    expect(returnItems(order, [{ product: "p1", quantity: 0 }])).toEqual({
+      error: "Choose at least one item to return",
+    });
+  });
+
+  it("should reject products that are not on the order", () => {
+    expect(returnItems(order, [{ product: "p9", quantity: 1 }]).error).toBe(
+      "Item is not part of this order"
+    );
+  });
+
+  it("should not return more than is left after earlier returns", () => {
+    const returned = {
+      ...order,
+      returns: [
+        { status: "Approved", items: [{ product: "p1", quantity: 1 }] },
+        { status: "Rejected", items: [{ product: "p2", quantity: 1 }] },
+      ],
+    };
+
+    expect(returnableQuantities(returned)).toEqual({ p1: 1, p2: 1 });
+    expect(returnItems(returned, [{ product: "p1", quantity: 2 }]).error).toBe(
+      "Cannot return more than was ordered"
+    );
+  });
+});
+
+describe("refundAmount", () => {
+  it("should refund the price and tax less the share of the discount", () => {
+    // 10000 + 1800 / 2 - 2500 * 10000 / 25000
+    expect(refundAmount(order, [{ product: "p1", quantity: 1, price: 10000 }])).toBe(9900);
+  });
+
+  it("should keep the shipping fee when everything comes back", () => {
+    const items = order.products.map((item) => ({ ...item }));
+
+    expect(refundAmount(order, items)).toBe(24750);
+  });
+
+  it("should never refund more than is left of the total", () => {
+    const items = [{ product: "p1", quantity: 2, price: 10000 }];
+
+    expect(refundAmount({ ...order, refunded: 25000 }, items)).toBe(250);
+  });
+});
@@ -0,0 +1,80 @@
+import { normalizeStatus } from "./orderStatusHelper.js";
+
+export const TRACKING_PLACEHOLDER = "{tracking}";
+
+// shipments can be added once the order is being processed, and to shipped
+// orders that were marked shipped before shipments were recorded
+export const SHIPPABLE_STATUSES = ["Processing", "Shipped"];
+
+// a link template must be a web address with somewhere to put the number
+export const isTrackingTemplate = (template) =>
+  /^https?:\/\/\S+$/i.test(template || "") &&
+  template.includes(TRACKING_PLACEHOLDER);
+
+// the carrier's tracking page for one parcel, or "" without a template
+export const trackingLink = (template, trackingNumber) =>
+  template
+    ? template
+        .split(TRACKING_PLACEHOLDER)
+        .join(encodeURIComponent(trackingNumber))
+    : "";
+
+const productKey = (product) => String(product?._id || product);
+
+// units of each product that have not gone out in a shipment yet
+export const unshippedQuantities = (order) => {
+  const quantities = {};
+  (order.products || []).forEach((item) => {
+    const key = productKey(item.product);
+    quantities[key] = (quantities[key] || 0) + item.quantity;
+  });
+  (order.shipments || []).forEach((shipment) =>
+    shipment.items.forEach((item) => {
+      quantities[productKey(item.product)] -= item.quantity;
+    })
+  );
+  return quantities;
+};
+
+// Check the lines of a new shipment against what is left to ship. Without
+// any lines the shipment takes everything that is left. Resolves to the
+// lines, or an error message for the admin.
+export const shipmentItems = (order, requested) => {
+  const left = unshippedQuantities(order);
+  if (!Array.isArray(requested) || !requested.length) {
+    const items = Object.entries(left)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([product, quantity]) => ({ product, quantity }));
+    return items.length
+      ? { items }
+      : { error: "Every item of this order has already shipped" };
+  }
+  const lines = requested.filter((item) => Number(item?.quantity) > 0);
+  if (!lines.length) return { error: "Choose at least one item to ship" };
+  const items = [];
+  for (const line of lines) {
+    const key = productKey(line.product);
+    const quantity = Number(line.quantity);
+    if (left[key] === undefined) {
+      return { error: "Item is not part of this order" };
+    }
+    if (!Number.isInteger(quantity) || quantity > left[key]) {
+      return { error: "Cannot ship more than is left to ship" };
+    }
+    left[key] -= quantity;
+    items.push({ product: key, quantity });
+  }
+  return { items };
+};
+
+// whether the order has nothing left to ship once `items` go out
+export const shipsEverything = (order, items = []) => {
+  const left = unshippedQuantities(order);
+  items.forEach((item) => {
+    left[productKey(item.product)] -= item.quantity;
+  });
+  return Object.values(left).every((quantity) => quantity <= 0);
+};
+
+export const canShip = (status) =>
+  SHIPPABLE_STATUSES.includes(normalizeStatus(status));
@@ -0,0 +1,127 @@
+import {
+  canShip,
+  isTrackingTemplate,
+  shipmentItems,
+  shipsEverything,
+  trackingLink,
+  unshippedQuantities,
+} from "./shipmentHelper.js";
+
+const order = (shipments = []) => ({
+  products: [
+    { product: { _id: "p1" }, quantity: 2, price: 10000 },
+    { product: "p2", quantity: 1, price: 500 },
+  ],
+  shipments,
+});
+
+describe("tracking links", () => {
+  it("should accept web addresses with a place for the number", () => {
+    expect(isTrackingTemplate("https://post.example.com/t?id={tracking}")).toBe(
+      true
+    );
+    expect(isTrackingTemplate("https://post.example.com/track")).toBe(false);
+    expect(isTrackingTemplate("javascript:alert('{tracking}')")).toBe(false);
+    expect(isTrackingTemplate(undefined)).toBe(false);
+  });
+
+  it("should put the encoded tracking number into the template", () => {
+    expect(
+      trackingLink(
+        "https://post.example.com/{tracking}?q={tracking}",
+        "AB 12/3"
+      )
+    ).toBe("https://post.example.com/AB%2012%2F3?q=AB%2012%2F3");
+  });
+
+  it("should have no link without a template", () => {
+    expect(trackingLink("", "AB123")).toBe("");
+  });
+});
+
+describe("unshippedQuantities", () => {
+  it("should take shipped units off what was ordered", () => {
+    expect(
+      unshippedQuantities(order([{ items: [{ product: "p1", quantity: 1 }] }]))
+    ).toEqual({ p1: 1, p2: 1 });
+  });
+});
+
+describe("shipmentItems", () => {
+  it("should ship everything that is left when no lines are given", () => {
+    const { items } = shipmentItems(
+      order([{ items: [{ product: "p1", quantity: 1 }] }])
+    );
+
+    expect(items).toEqual([
+      { product: "p1", quantity: 1 },
+      { product: "p2", quantity: 1 },
+    ]);
+  });
+
+  it("should keep the lines of a partial shipment", () => {
+    const { items } = shipmentItems(order(), [
+      { product: "p1", quantity: 1 },
+      { product: "p2", quantity: 0 },
+    ]);
+
+    expect(items).toEqual([{ product: "p1", quantity: 1 }]);
+  });
+
+  it("should refuse more than is left to ship", () => {
+    expect(
+      shipmentItems(order([{ items: [{ product: "p2", quantity: 1 }] }]), [
+        { product: "p2", quantity: 1 },
+      ]).error
+    ).toBe("Cannot ship more than is left to ship");
+    expect(
+      shipmentItems(order(), [{ product: "p1", quantity: 1.5 }]).error
+    ).toBe("Cannot ship more than is left to ship");
+  });
+
+  it("should refuse products that are not on the order", () => {
+    expect(shipmentItems(order(), [{ product: "p9", quantity: 1 }]).error).toBe(
+      "Item is not part of this order"
+    );
+  });
+
+  it("should refuse a shipment without items", () => {
+    expect(shipmentItems(order(), [{ product: "p1", quantity: 0 }]).error).toBe(
+      "Choose at least one item to ship"
+    );
+    expect(
+      shipmentItems(
+        order([
+          {
+            items: [
+              { product: "p1", quantity: 2 },
+              { product: "p2", quantity: 1 },
+            ],
+          },
+        ])
+      ).error
+    ).toBe("Every item of this order has already shipped");
+  });
+});
+
+describe("shipsEverything", () => {
+  it("should tell whether the items are the last ones to ship", () => {
+    const partial = order([{ items: [{ product: "p1", quantity: 2 }] }]);
+
+    expect(shipsEverything(partial, [{ product: "p2", quantity: 1 }])).toBe(
+      true
+    );
+    expect(shipsEverything(order(), [{ product: "p2", quantity: 1 }])).toBe(
+      false
+    );
+  });
+});
+
+describe("canShip", () => {
+  it("should ship orders being processed or already shipped", () => {
+    expect(canShip("Processing")).toBe(true);
+    expect(canShip("Shipped")).toBe(true);
+    expect(canShip("Not Process")).toBe(false);
+    expect(canShip("cancel")).toBe(false);
+  });
+});
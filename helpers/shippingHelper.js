@@ -0,0 +1,65 @@
+import productModel from "../models/productModel.js";
+import shippingZoneModel from "../models/shippingZoneModel.js";
+
+// the zone listing the region, or the catch-all zone without regions
+export const findZone = async (region) => {
+  const code = String(region || "").toUpperCase();
+  return (
+    (code &&
+      (await shippingZoneModel.findOne({ active: true, regions: code }))) ||
+    (await shippingZoneModel.findOne({ active: true, regions: { $size: 0 } }))
+  );
+};
+
+// fee for one method, or null when the cart falls outside its rate table
+export const methodFee = (method, { weight, value }) => {
+  if (method.freeOver != null && value >= method.freeOver) return 0;
+  if (method.type === "flat") return method.fee || 0;
+  const measure = method.type === "weight" ? weight : value;
+  const tier = [...(method.tiers || [])]
+    .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity))
+    .find((t) => t.upTo == null || measure <= t.upTo);
+  return tier ? tier.fee : null;
+};
+
+// Work out the shipping methods open to a priced cart (see priceCart).
+// Products flagged shipping: false can not be delivered and are reported
+// back in unshippable. The order value used for tiers and free shipping is
+// the subtotal after any discount.
+export const shippingQuote = async (items, region, discount = 0) => {
+  const products = await productModel
+    .find({ _id: { $in: items.map((item) => item.product) } })
+    .select("_id name shipping weight");
+  const lookup = (item) =>
+    products.find((p) => String(p._id) === String(item.product));
+
+  const unshippable = items
+    .filter((item) => lookup(item)?.shipping === false)
+    .map((item) => ({ product: item.product, name: lookup(item).name }));
+  const weight = items.reduce(
+    (sum, item) => sum + (lookup(item)?.weight || 0) * item.quantity,
+    0
+  );
+  const value =
+    items.reduce((sum, item) => sum + item.price * item.quantity, 0) -
+    discount;
+
+  const zone = await findZone(region);
+  const methods = (zone?.methods || [])
+    .map((method) => ({
+      _id: method._id,
+      name: method.name,
+      estimatedDays: method.estimatedDays,
+      fee: methodFee(method, { weight, value }),
+    }))
+    .filter((method) => method.fee !== null);
+
+  return {
+    zone: zone ? { _id: zone._id, name: zone.name } : null,
+    methods,
+    unshippable,
+  };
+};
+
+export const selectMethod = (quote, methodId) =>
+  quote.methods.find((method) => String(method._id) === String(methodId));
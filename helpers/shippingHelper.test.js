@@ -0,0 +1,174 @@
+import { jest } from "@jest/globals";
+import {
+  findZone,
+  methodFee,
+  selectMethod,
+  shippingQuote,
+} from "./shippingHelper";
+import productModel from "../models/productModel";
+import shippingZoneModel from "../models/shippingZoneModel";
+
+jest.mock("../models/productModel.js");
+jest.mock("../models/shippingZoneModel.js");
+
+const items = [
+  { product: "p1", quantity: 2, price: 30 },
+  { product: "p2", quantity: 1, price: 40 },
+];
+
+const mockProducts = (products) => {
+  productModel.find.mockReturnValue({
+    select: jest.fn().mockResolvedValue(products),
+  });
+};
+
+const byWeight = {
+  _id: "m2",
+  name: "Courier",
+  type: "weight",
+  tiers: [
+    { upTo: 5, fee: 8 },
+    { upTo: 1, fee: 4 },
+  ],
+};
+
+describe("methodFee", () => {
+  it("should charge the flat fee", () => {
+    expect(methodFee({ type: "flat", fee: 4.5 }, { weight: 0, value: 10 })).toBe(
+      4.5
+    );
+  });
+
+  it("should pick the first tier the cart fits in", () => {
+    expect(methodFee(byWeight, { weight: 0.5, value: 0 })).toBe(4);
+    expect(methodFee(byWeight, { weight: 3, value: 0 })).toBe(8);
+  });
+
+  it("should look value based tiers up by order value", () => {
+    const method = {
+      type: "value",
+      tiers: [{ upTo: 50, fee: 6 }, { fee: 3 }],
+    };
+    expect(methodFee(method, { weight: 10, value: 40 })).toBe(6);
+    expect(methodFee(method, { weight: 10, value: 400 })).toBe(3);
+  });
+
+  it("should be unavailable when the cart is past the last tier", () => {
+    expect(methodFee(byWeight, { weight: 12, value: 0 })).toBeNull();
+  });
+
+  it("should ship for free above the threshold", () => {
+    const method = { type: "flat", fee: 5, freeOver: 100 };
+    expect(methodFee(method, { weight: 0, value: 99.99 })).toBe(5);
+    expect(methodFee(method, { weight: 0, value: 100 })).toBe(0);
+  });
+});
+
+describe("findZone", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should find the zone listing the region", async () => {
+    const zone = { name: "Malaysia" };
+    shippingZoneModel.findOne.mockResolvedValueOnce(zone);
+
+    expect(await findZone("my")).toBe(zone);
+    expect(shippingZoneModel.findOne).toHaveBeenCalledWith({
+      active: true,
+      regions: "MY",
+    });
+  });
+
+  it("should fall back to the zone without regions", async () => {
+    const rest = { name: "Rest of World" };
+    shippingZoneModel.findOne
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(rest);
+
+    expect(await findZone("ZZ")).toBe(rest);
+    expect(shippingZoneModel.findOne).toHaveBeenLastCalledWith({
+      active: true,
+      regions: { $size: 0 },
+    });
+  });
+});
+
+describe("shippingQuote", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    shippingZoneModel.findOne.mockResolvedValue({
+      _id: "z1",
+      name: "Singapore",
+      methods: [
+        {
+          _id: "m1",
+          name: "Standard",
+          type: "flat",
+          fee: 5,
+          freeOver: 100,
+          estimatedDays: "3-5 days",
+        },
+        byWeight,
+      ],
+    });
+  });
+
+  it("should price every method the cart qualifies for", async () => {
+    mockProducts([
+      { _id: "p1", weight: 1 },
+      { _id: "p2", weight: 0.5 },
+    ]);
+
+    const quote = await shippingQuote(items, "SG", 10);
+
+    expect(quote).toEqual({
+      zone: { _id: "z1", name: "Singapore" },
+      methods: [
+        { _id: "m1", name: "Standard", estimatedDays: "3-5 days", fee: 5 },
+        { _id: "m2", name: "Courier", estimatedDays: undefined, fee: 8 },
+      ],
+      unshippable: [],
+    });
+  });
+
+  it("should leave out methods the cart is too heavy for", async () => {
+    mockProducts([{ _id: "p1", weight: 4 }]);
+
+    const quote = await shippingQuote(items, "SG");
+
+    expect(quote.methods.map((method) => method.name)).toEqual(["Standard"]);
+    expect(quote.methods[0].fee).toBe(0);
+  });
+
+  it("should list products that can not be shipped", async () => {
+    mockProducts([
+      { _id: "p1", name: "Sofa", shipping: false },
+      { _id: "p2", name: "Book" },
+    ]);
+
+    const quote = await shippingQuote(items, "SG");
+
+    expect(quote.unshippable).toEqual([{ product: "p1", name: "Sofa" }]);
+  });
+
+  it("should have no methods without a zone", async () => {
+    mockProducts([]);
+    shippingZoneModel.findOne.mockResolvedValue(null);
+
+    expect(await shippingQuote(items, "ZZ")).toEqual({
+      zone: null,
+      methods: [],
+      unshippable: [],
+    });
+  });
+});
+
+describe("selectMethod", () => {
+  it("should match the method by id", () => {
+    const quote = { methods: [{ _id: { toString: () => "m1" }, fee: 3 }] };
+
+    expect(selectMethod(quote, "m1").fee).toBe(3);
+    expect(selectMethod(quote, undefined)).toBeUndefined();
+  });
+});
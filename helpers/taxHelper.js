@@ -0,0 +1,70 @@
+import productModel from "../models/productModel.js";
+import defaultTaxRates, { DEFAULT_TAX_REGION } from "../config/taxRates.js";
+
+export const loadTaxRates = (config = process.env) =>
+  config.TAX_RATES ? JSON.parse(config.TAX_RATES) : defaultTaxRates;
+
+const defaultRegion = (rates, config) =>
+  [config.DEFAULT_TAX_REGION, DEFAULT_TAX_REGION, Object.keys(rates)[0]].find(
+    (code) => rates[code]
+  );
+
+// unknown or missing regions are taxed like the store's home region
+export const resolveTaxRegion = (region, config = process.env) => {
+  const rates = loadTaxRates(config);
+  const code = String(region || "").toUpperCase();
+  return rates[code] ? code : defaultRegion(rates, config);
+};
+
+export const taxRegions = (config = process.env) =>
+  Object.entries(loadTaxRates(config)).map(([code, { name, label }]) => ({
+    code,
+    name,
+    label,
+  }));
+
+// Tax every priced line (see priceCart) at the rate for its product's tax
+// class. A cart level discount is spread over the lines by value before tax.
+export const calculateTax = async (
+  items,
+  region,
+  discount = 0,
+  config = process.env
+) => {
+  const rates = loadTaxRates(config);
+  const code = resolveTaxRegion(region, config);
+  const { label, rates: classRates = {} } = rates[code] || {};
+
+  const products = await productModel
+    .find({ _id: { $in: items.map((item) => item.product) } })
+    .select("_id taxClass");
+  const subtotal = items.reduce(
+    (sum, item) => sum + item.price * item.quantity,
+    0
+  );
+  const lines = items.map((item) => {
+    const product = products.find(
+      (p) => String(p._id) === String(item.product)
+    );
+    const taxClass = product?.taxClass || "standard";
+    const rate = classRates[taxClass] ?? classRates.standard ?? 0;
+    const lineTotal = item.price * item.quantity;
+    const taxable = Math.round(
+      lineTotal - (subtotal ? (discount * lineTotal) / subtotal : 0)
+    );
+    return {
+      product: item.product,
+      taxClass,
+      rate,
+      taxable,
+      amount: Math.round(taxable * rate),
+    };
+  });
+
+  return {
+    region: code,
+    label,
+    amount: lines.reduce((sum, line) => sum + line.amount, 0),
+    lines,
+  };
+};
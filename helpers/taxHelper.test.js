@@ -0,0 +1,134 @@
+import { jest } from "@jest/globals";
+import {
+  calculateTax,
+  loadTaxRates,
+  resolveTaxRegion,
+  taxRegions,
+} from "./taxHelper";
+import productModel from "../models/productModel";
+
+jest.mock("../models/productModel.js");
+
+const items = [
+  { product: "p1", quantity: 2, price: 5000 },
+  { product: "p2", quantity: 1, price: 10000 },
+];
+
+const mockTaxClasses = (products) => {
+  productModel.find.mockReturnValue({
+    select: jest.fn().mockResolvedValue(products),
+  });
+};
+
+describe("loadTaxRates", () => {
+  it("should use the bundled rates by default", () => {
+    expect(loadTaxRates({}).SG.rates.standard).toBe(0.09);
+  });
+
+  it("should read rates from TAX_RATES", () => {
+    const rates = { XX: { name: "Test", label: "VAT", rates: { standard: 0.2 } } };
+    expect(loadTaxRates({ TAX_RATES: JSON.stringify(rates) })).toEqual(rates);
+  });
+});
+
+describe("resolveTaxRegion", () => {
+  it("should accept a known region in any case", () => {
+    expect(resolveTaxRegion("my", {})).toBe("MY");
+  });
+
+  it("should fall back to the default region", () => {
+    expect(resolveTaxRegion("", {})).toBe("SG");
+    expect(resolveTaxRegion("ZZ", { DEFAULT_TAX_REGION: "US" })).toBe("US");
+  });
+});
+
+describe("taxRegions", () => {
+  it("should list regions with their tax label", () => {
+    expect(taxRegions({})).toContainEqual({
+      code: "MY",
+      name: "Malaysia",
+      label: "SST",
+    });
+  });
+});
+
+describe("calculateTax", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should tax each line at the rate for its tax class", async () => {
+    mockTaxClasses([
+      { _id: "p1", taxClass: "standard" },
+      { _id: "p2", taxClass: "reduced" },
+    ]);
+
+    const tax = await calculateTax(items, "MY", 0, {});
+
+    expect(tax).toEqual({
+      region: "MY",
+      label: "SST",
+      amount: 1500,
+      lines: [
+        { product: "p1", taxClass: "standard", rate: 0.1, taxable: 10000, amount: 1000 },
+        { product: "p2", taxClass: "reduced", rate: 0.05, taxable: 10000, amount: 500 },
+      ],
+    });
+  });
+
+  it("should charge the standard rate for classes the region does not have", async () => {
+    mockTaxClasses([{ _id: "p1", taxClass: "reduced" }, { _id: "p2" }]);
+
+    const tax = await calculateTax(items, "SG", 0, {});
+
+    expect(tax.lines.map((line) => line.rate)).toEqual([0.09, 0.09]);
+    expect(tax.amount).toBe(1800);
+  });
+
+  it("should not tax exempt products", async () => {
+    mockTaxClasses([
+      { _id: "p1", taxClass: "exempt" },
+      { _id: "p2", taxClass: "standard" },
+    ]);
+
+    const tax = await calculateTax(items, "SG", 0, {});
+
+    expect(tax.lines[0].amount).toBe(0);
+    expect(tax.amount).toBe(900);
+  });
+
+  it("should spread a discount over the lines before taxing", async () => {
+    mockTaxClasses([
+      { _id: "p1", taxClass: "standard" },
+      { _id: "p2", taxClass: "exempt" },
+    ]);
+
+    const tax = await calculateTax(items, "SG", 2000, {});
+
+    expect(tax.lines.map((line) => line.taxable)).toEqual([9000, 9000]);
+    expect(tax.amount).toBe(810);
+  });
+
+  it("should round tax to whole cents", async () => {
+    mockTaxClasses([]);
+
+    const tax = await calculateTax(
+      [{ product: "p1", quantity: 1, price: 1999 }],
+      "SG",
+      0,
+      {}
+    );
+
+    expect(tax.lines[0].amount).toBe(180);
+    expect(tax.amount).toBe(180);
+  });
+
+  it("should use the default region when none is given", async () => {
+    mockTaxClasses([]);
+
+    const tax = await calculateTax(items, undefined, 0, {});
+
+    expect(tax.region).toBe("SG");
+    expect(tax.label).toBe("GST");
+  });
+});
@@ -22,9 +22,11 @@ describe("Integration Tests - Order Endpoints '/braintree/token' and '/braintree
   const ORDERS = {
     _id: new mongoose.Types.ObjectId("67a21938cf4efddf1e5358d1"),
     products: [
-      new mongoose.Types.ObjectId("66db427fdb0119d9234b27f3"),
-      new mongoose.Types.ObjectId("66db427fdb0119d9234b27f3"),
-      new mongoose.Types.ObjectId("66db427fdb0119d9234b27f3"),
+      {
+        product: new mongoose.Types.ObjectId("66db427fdb0119d9234b27f3"),
+        quantity: 3,
+        price: 200,
+      },
     ],
     payment: {
       errors: {
@@ -184,6 +186,18 @@ describe("Integration Tests - Order Endpoints '/braintree/token' and '/braintree
         .set("Authorization", token);
       expect(response.status).toBe(200);
       expect(response.body[0].payment.message).toBe(ORDERS.payment.message);
+      expect(response.body[0].products[0].quantity).toBe(3);
+      expect(response.body[0].products[0].product.name).toBe("Product 2");
+    });
+
+    test("Should not invoice an order whose payment failed", async () => {
+      const response = await request(app)
+        .get(`/api/v1/auth/orders/${ORDERS._id}/invoice`)
+        .set("Authorization", token);
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe(
+        "Invoices are only available for paid orders"
+      );
     });
 
     test("Should prevent non-admin users from accessing all orders", async () => {
@@ -214,25 +228,107 @@ describe("Integration Tests - Order Endpoints '/braintree/token' and '/braintree
       adminToken = adminLoginRes.body.token;
     });
 
+    test("Should let admin filter and page through all orders", async () => {
+      const response = await request(app)
+        .get("/api/v1/auth/all-orders")
+        .query({ buyer: "cs4217", payment: "failed", perPage: 1 })
+        .set("Authorization", adminToken);
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(1);
+      expect(response.body.page).toBe(1);
+      expect(response.body.orders[0]._id).toBe(String(ORDERS._id));
+      expect(response.body.orders[0].buyer.email).toBe(USERS.email);
+    });
+
+    test("Should reject an unknown status filter", async () => {
+      const response = await request(app)
+        .get("/api/v1/auth/all-orders")
+        .query({ status: "Lost" })
+        .set("Authorization", adminToken);
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("Invalid order status");
+    });
+
     test("Should allow admin to update order status", async () => {
       const response = await request(app)
         .put(`/api/v1/auth/order-status/${ORDERS._id}`)
         .set("Authorization", adminToken)
-        .send({ status: "Processed" });
+        .send({ status: "Processing", note: "Packing" });
       expect(response.status).toBe(200);
-      expect(response.body.status).toBe("Processed");
+      expect(response.body.status).toBe("Processing");
+      const entry = response.body.statusHistory.at(-1);
+      expect(entry.status).toBe("Processing");
+      expect(entry.note).toBe("Packing");
+      expect(entry.changedBy).toBeDefined();
+    });
+
+    test("Should reject skipping straight to delivered", async () => {
+      const response = await request(app)
+        .put(`/api/v1/auth/order-status/${ORDERS._id}`)
+        .set("Authorization", adminToken)
+        .send({ status: "Delivered" });
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.allowed).toEqual(["Shipped", "Cancelled"]);
     });
 
     test("Should handle invalid order ID gracefully when updating status", async () => {
       const response = await request(app)
         .put("/api/v1/auth/order-status/1234")
         .set("Authorization", adminToken)
-        .send({ status: "Processed" });
+        .send({ status: "Processing" });
       expect(response.status).toBe(500);
       expect(response.body.success).toBe(false);
       expect(response.body.message).toBe("Error While Updating Order");
     });
   });
 
+  describe("Order Cancellation Tests", () => {
+    let token, adminToken;
+    beforeAll(async () => {
+      const loginRes = await request(app)
+        .post("/api/v1/auth/login")
+        .send({ email: "cs4217@test.com", password: "cs4218@test.com" });
+      token = loginRes.body.token;
+      const adminLoginRes = await request(app)
+        .post("/api/v1/auth/login")
+        .send({ email: "admin@4218.sg", password: "admin@test.sg" });
+      adminToken = adminLoginRes.body.token;
+    });
+
+    test("Should not let other users cancel the order", async () => {
+      const response = await request(app)
+        .post(`/api/v1/auth/orders/${ORDERS._id}/cancel`)
+        .set("Authorization", adminToken)
+        .send({ reason: "Not mine" });
+      expect(response.status).toBe(404);
+    });
+
+    test("Should let the buyer cancel an order that has not shipped", async () => {
+      const response = await request(app)
+        .post(`/api/v1/auth/orders/${ORDERS._id}/cancel`)
+        .set("Authorization", token)
+        .send({ reason: "Changed my mind" });
+      expect(response.status).toBe(200);
+      expect(response.body.order.status).toBe("Cancelled");
+      expect(response.body.order.cancellation.reason).toBe("Changed my mind");
+
+      const product = await mongoose.connection
+        .collection("products")
+        .findOne({ _id: PRODUCTS[1]._id });
+      // the fixture's payment failed, so no stock was taken to give back
+      expect(product.quantity).toBe(20);
+    });
+
+    test("Should refuse to cancel an order twice", async () => {
+      const response = await request(app)
+        .post(`/api/v1/auth/orders/${ORDERS._id}/cancel`)
+        .set("Authorization", token)
+        .send({ reason: "Changed my mind" });
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("Order can no longer be cancelled");
+    });
+  });
+
   
 });
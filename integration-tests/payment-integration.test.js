@@ -1,7 +1,7 @@
 import { test, describe } from "@jest/globals";
 import { server, app } from "../server.js";
 import request from "supertest";
-import { MongoMemoryServer } from "mongodb-memory-server";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
 import mongoose from "mongoose";
 
 describe("Testing Payment Gateway Endpoints '/braintree/token' and '/braintree/payment'", () => {
@@ -40,7 +40,7 @@ describe("Testing Payment Gateway Endpoints '/braintree/token' and '/braintree/p
       name: "Product 1",
       slug: "product-1",
       description: "This is product 1",
-      price: 100,
+      price: 10000,
       category: new mongoose.Types.ObjectId(), // Use 'new' to correctly instantiate ObjectId
       quantity: 10,
       shipping: true
@@ -49,16 +49,29 @@ describe("Testing Payment Gateway Endpoints '/braintree/token' and '/braintree/p
       name: "Product 2",
       slug: "product-2",
       description: "This is product 2",
-      price: 200,
+      price: 20000,
       category: new mongoose.Types.ObjectId(), // Use 'new' to correctly instantiate ObjectId
       quantity: 20,
       shipping: true
     }
   ];
 
+  const STANDARD_DELIVERY = new mongoose.Types.ObjectId();
+  const SHIPPING_ZONES = [
+    {
+      name: "Everywhere",
+      regions: [],
+      active: true,
+      methods: [
+        { _id: STANDARD_DELIVERY, name: "Standard", type: "flat", fee: 500, tiers: [] }
+      ]
+    }
+  ];
+
   beforeAll(async () => {
       if (mongoose.connection.readyState === 0) {
-        const mongoServer = await MongoMemoryServer.create();
+        // checkout saves orders in a transaction, which needs a replica set
+        const mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
         const mongoUri = mongoServer.getUri();
         await mongoose.connect(mongoUri, {
           useNewUrlParser: true,
@@ -70,6 +83,7 @@ describe("Testing Payment Gateway Endpoints '/braintree/token' and '/braintree/p
       await mongoose.connection.collection("users").insertOne(USERS);
       await mongoose.connection.collection("categories").insertMany(CATEGORIES);
       await mongoose.connection.collection("products").insertMany(PRODUCTS);
+      await mongoose.connection.collection("shippingzones").insertMany(SHIPPING_ZONES);
     });
   
     afterAll(async () => {
@@ -101,10 +115,54 @@ describe("Testing Payment Gateway Endpoints '/braintree/token' and '/braintree/p
         .set("Authorization", token)
         .send({
           nonce: "fake-valid-nonce",
-          cart: [PRODUCTS[0]]
+          cart: [{ product: PRODUCTS[0], quantity: 1, price: 10000 }],
+          shippingMethod: STANDARD_DELIVERY
+        });
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        ok: true,
+        order: expect.any(String),
+        orderNumber: expect.stringMatching(/^VV-\d{4}-\d{6}$/),
+      });
+    });
+
+    test("should store the shipping address on the order", async () => {
+      const response = await request(app)
+        .post(`/api/v1/product/braintree/payment`)
+        .set("Authorization", token)
+        .send({
+          nonce: "fake-valid-nonce",
+          cart: [{ product: PRODUCTS[0], quantity: 1, price: 10000 }],
+          shippingAddress: { name: "Office", address: "2 Science Park", phone: "61234567" },
+          shippingMethod: STANDARD_DELIVERY
         });
       expect(response.status).toBe(200);
-      expect(response.body).toEqual({ ok: true });
+      const order = await mongoose.connection
+        .collection("orders")
+        .findOne({}, { sort: { createdAt: -1 } });
+      expect(order.shippingAddress).toEqual({
+        name: "Office",
+        address: "2 Science Park",
+        phone: "61234567",
+        region: ""
+      });
+      expect(order.shipping).toEqual({
+        zone: "Everywhere",
+        method: "Standard",
+        fee: 500
+      });
+    });
+
+    test("should ask for a shipping method", async () => {
+      const response = await request(app)
+        .post(`/api/v1/product/braintree/payment`)
+        .set("Authorization", token)
+        .send({
+          nonce: "fake-valid-nonce",
+          cart: [{ product: PRODUCTS[0], quantity: 1, price: 10000 }]
+        });
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("Please choose a shipping method");
     });
 
     test("should handle missing nonce request for payment", async () => {
@@ -112,7 +170,7 @@ describe("Testing Payment Gateway Endpoints '/braintree/token' and '/braintree/p
         .post(`/api/v1/product/braintree/payment`)
         .set("Authorization", token)
         .send({
-          cart: [PRODUCTS[0]]
+          cart: [{ product: PRODUCTS[0], quantity: 1, price: 10000 }]
         });
       expect(response.status).toBe(400);
       expect(response.body.success).toBe(false);
@@ -12,7 +12,7 @@ describe("Testing Product Endpoint '/get-product/:slug'", () => {
             name: "Product 1",
             slug: "product-1",
             description: "This is product 1",
-            price: 100,
+            price: 10000,
             category: new mongoose.Types.ObjectId(),
             quantity: 10,
             shipping: true,
@@ -95,7 +95,7 @@ describe("Testing Product Endpoint '/update-product/:pid' and '/delete-product/:
             name: "Product 1",
             slug: "product-1",
             description: "This is product 1",
-            price: 100,
+            price: 10000,
             category: new mongoose.Types.ObjectId(),
             quantity: 10,
             shipping: true,
@@ -104,7 +104,7 @@ describe("Testing Product Endpoint '/update-product/:pid' and '/delete-product/:
             name: "Product 2",
             slug: "product-2",
             description: "This is product 2",
-            price: 200,
+            price: 20000,
             category: new mongoose.Types.ObjectId(),
             quantity: 20,
             shipping: true,
@@ -150,7 +150,7 @@ describe("Testing Product Endpoint '/update-product/:pid' and '/delete-product/:
         // UPDATE
         test("should update the price of an existing product", async () => {
             const productId = PRODUCTS[0]._id;
-            const updatedPrice = 123;
+            const updatedPrice = 12300;
 
             const response = await request(app)
                 .put(`/api/v1/product/update-product/${productId}`)
@@ -179,7 +179,7 @@ describe("Testing Product Endpoint '/update-product/:pid' and '/delete-product/:
             const updatedDetails = {
                 name: "Product 1",
                 description: "This is product 1",
-                price: 99,
+                price: 9900,
                 category: new mongoose.Types.ObjectId(),
                 quantity: 10,
                 shipping: true,
@@ -261,7 +261,7 @@ describe("Testing Product Endpoint '/update-product/:pid' and '/delete-product/:
             const validProductData = {
                 name: "New Product",
                 description: "This is a new product",
-                price: 99.99,
+                price: 9999,
                 category: CATEGORIES[0]._id.toString(),
                 quantity: 10,
                 shipping: true,
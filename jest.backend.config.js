@@ -9,7 +9,8 @@ module.exports = {
   testMatch: [
     "<rootDir>/controllers/*.test.js", 
     "<rootDir>/middlewares/*.test.js",
-    "<rootDir>/helpers/*.test.js"
+    "<rootDir>/helpers/*.test.js",
+    "<rootDir>/migrations/*.test.js"
   ],
 
   collectCoverage: true,
@@ -18,6 +19,7 @@ module.exports = {
     "controllers/**/*.js",
     "helpers/**/*.js",
     "middlewares/**/*.js",
+    "migrations/**/*.js",
     "models/**/*.js",
   ],
   coverageDirectory: "coverage/backend",
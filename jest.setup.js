@@ -1,2 +1,4 @@
 // jest.setup.js
-process.env.DEV_MODE = 'test';
\ No newline at end of file
+process.env.DEV_MODE = 'test';
+// keep payments offline and deterministic
+process.env.PAYMENT_PROVIDER = 'fake';
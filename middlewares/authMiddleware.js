@@ -25,6 +25,12 @@ export const requireSignIn = async (req, res, next) => {
     }
 };
 
+// Lets guests through without a token, a token that is sent must be valid
+export const optionalSignIn = async (req, res, next) => {
+    if (!req.headers.authorization) return next();
+    return requireSignIn(req, res, next);
+};
+
 //admin access
 export const isAdmin = async (req, res, next) => {
     try {
@@ -1,4 +1,4 @@
-import { requireSignIn, isAdmin } from './authMiddleware';
+import { requireSignIn, optionalSignIn, isAdmin } from './authMiddleware';
 import JWT from 'jsonwebtoken';
 import userModel from '../models/userModel.js';
 
@@ -52,6 +52,55 @@ describe('requireSignIn middleware', () => {
   });
 });
 
+describe('optionalSignIn middleware', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = { headers: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn()
+    };
+    next = jest.fn();
+    console.log = jest.fn();
+    process.env.JWT_SECRET = 'testsecret';
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should let guests through without a user', async () => {
+    await optionalSignIn(req, res, next);
+
+    expect(JWT.verify).not.toHaveBeenCalled();
+    expect(req.user).toBeUndefined();
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should set req.user when a valid token is sent', async () => {
+    req.headers.authorization = 'token123';
+    JWT.verify.mockReturnValue({ _id: 'user123' });
+
+    await optionalSignIn(req, res, next);
+
+    expect(req.user).toEqual({ _id: 'user123' });
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should refuse an invalid token rather than treat it as a guest', async () => {
+    req.headers.authorization = 'expired';
+    JWT.verify.mockImplementation(() => {
+      throw new Error('jwt expired');
+    });
+
+    await optionalSignIn(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
 describe('isAdmin middleware', () => {
   let req, res, next;
 
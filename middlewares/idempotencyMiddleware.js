@@ -0,0 +1,115 @@
+import crypto from "crypto";
+import idempotencyKeyModel from "../models/idempotencyKeyModel.js";
+
+const DEFAULT_TTL_MINUTES = 24 * 60;
+
+const keyTtl = () =>
+    (Number(process.env.IDEMPOTENCY_KEY_TTL_MINUTES) || DEFAULT_TTL_MINUTES) *
+    60 *
+    1000;
+
+// JSON with object keys sorted, so the same checkout always hashes the same
+const canonical = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+    if (value && typeof value === "object") {
+        return `{${Object.keys(value)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`)
+            .join(",")}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+// everything the checkout depends on; the payment nonce is single use, a
+// retry of the same checkout carries a new one
+const hashRequest = (body) => {
+    const { nonce, ...checkout } = body || {};
+    return crypto
+        .createHash("sha256")
+        .update(canonical(checkout))
+        .digest("hex");
+};
+
+// Successful responses are kept for replays, anything else frees the key so
+// the client can retry after fixing the problem. The exception is a payment
+// that went through but could not be cancelled: a retry would charge the
+// buyer again, so that answer is kept too.
+const keepResponse = (statusCode, body) =>
+    (statusCode >= 200 && statusCode < 300) || body?.paymentCancelled === false;
+
+const settleKey = (record, statusCode, body) =>
+    keepResponse(statusCode, body)
+        ? idempotencyKeyModel.updateOne(
+              { _id: record._id },
+              { status: "completed", response: { statusCode, body } }
+          )
+        : idempotencyKeyModel.deleteOne({ _id: record._id });
+
+// Replays of a request carrying the same Idempotency-Key header get the
+// original response instead of running the handler again
+export const idempotent = async (req, res, next) => {
+    try {
+        const key = req.headers["idempotency-key"];
+        if (!key) return next();
+        if (key.length > 255) {
+            return res.status(400).send({
+                success: false,
+                message: "Invalid idempotency key",
+            });
+        }
+
+        // guests share one key space, their keys are random per checkout
+        const user = req.user?._id || null;
+        const requestHash = hashRequest(req.body);
+        // the TTL monitor only runs every minute, don't trust stale keys
+        await idempotencyKeyModel.deleteOne({
+            user,
+            key,
+            expiresAt: { $lte: new Date() },
+        });
+
+        let record;
+        try {
+            record = await idempotencyKeyModel.create({
+                key,
+                user,
+                requestHash,
+                expiresAt: new Date(Date.now() + keyTtl()),
+            });
+        } catch (error) {
+            if (error?.code !== 11000) throw error;
+            const existing = await idempotencyKeyModel.findOne({ user, key });
+            if (existing?.requestHash !== requestHash) {
+                return res.status(422).send({
+                    success: false,
+                    message: "Idempotency key was already used for a different request",
+                });
+            }
+            if (existing.status !== "completed") {
+                return res.status(409).send({
+                    success: false,
+                    message: "This request is already being processed",
+                });
+            }
+            return res
+                .status(existing.response.statusCode)
+                .send(existing.response.body);
+        }
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            settleKey(record, res.statusCode, body).catch((error) =>
+                console.log(error)
+            );
+            return json(body);
+        };
+        next();
+    } catch (error) {
+        console.log(error);
+        res.status(500).send({
+            success: false,
+            message: "Error in idempotency middleware",
+            error,
+        });
+    }
+};
@@ -0,0 +1,209 @@
+import { idempotent } from './idempotencyMiddleware';
+import idempotencyKeyModel from '../models/idempotencyKeyModel.js';
+
+jest.mock('../models/idempotencyKeyModel.js');
+
+const duplicateKeyError = () => Object.assign(new Error('E11000'), { code: 11000 });
+
+describe('idempotent middleware', () => {
+  let req, res, next, json;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    json = jest.fn();
+    req = {
+      headers: { 'idempotency-key': 'key-1' },
+      user: { _id: 'user1' },
+      body: { nonce: 'nonce', cart: [{ product: 'p1', quantity: 1 }] }
+    };
+    res = {
+      statusCode: 200,
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+      json
+    };
+    next = jest.fn();
+    console.log = jest.fn();
+    idempotencyKeyModel.deleteOne.mockResolvedValue({});
+    idempotencyKeyModel.updateOne.mockResolvedValue({});
+    idempotencyKeyModel.create.mockResolvedValue({ _id: 'record1' });
+    delete process.env.IDEMPOTENCY_KEY_TTL_MINUTES;
+  });
+
+  test('should pass requests without a key straight through', async () => {
+    delete req.headers['idempotency-key'];
+
+    await idempotent(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(idempotencyKeyModel.create).not.toHaveBeenCalled();
+  });
+
+  test('should claim a new key for the user and run the handler', async () => {
+    await idempotent(req, res, next);
+
+    expect(idempotencyKeyModel.create).toHaveBeenCalledWith({
+      key: 'key-1',
+      user: 'user1',
+      requestHash: expect.any(String),
+      expiresAt: expect.any(Date)
+    });
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should claim keys for guests without a user', async () => {
+    delete req.user;
+
+    await idempotent(req, res, next);
+
+    expect(idempotencyKeyModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({ key: 'key-1', user: null })
+    );
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should expire keys after the configured window', async () => {
+    process.env.IDEMPOTENCY_KEY_TTL_MINUTES = '10';
+    const before = Date.now();
+
+    await idempotent(req, res, next);
+
+    const { expiresAt } = idempotencyKeyModel.create.mock.calls[0][0];
+    expect(expiresAt.getTime() - before).toBeGreaterThanOrEqual(10 * 60 * 1000);
+    expect(expiresAt.getTime() - before).toBeLessThan(11 * 60 * 1000);
+  });
+
+  test('should drop an expired key before claiming it again', async () => {
+    await idempotent(req, res, next);
+
+    expect(idempotencyKeyModel.deleteOne).toHaveBeenCalledWith({
+      user: 'user1',
+      key: 'key-1',
+      expiresAt: { $lte: expect.any(Date) }
+    });
+  });
+
+  test('should store a successful response for replays', async () => {
+    await idempotent(req, res, next);
+    res.json({ ok: true });
+
+    expect(json).toHaveBeenCalledWith({ ok: true });
+    expect(idempotencyKeyModel.updateOne).toHaveBeenCalledWith(
+      { _id: 'record1' },
+      { status: 'completed', response: { statusCode: 200, body: { ok: true } } }
+    );
+  });
+
+  test('should release the key when the request fails', async () => {
+    await idempotent(req, res, next);
+    res.statusCode = 409;
+    res.json({ success: false, message: 'Insufficient stock' });
+
+    expect(idempotencyKeyModel.updateOne).not.toHaveBeenCalled();
+    expect(idempotencyKeyModel.deleteOne).toHaveBeenLastCalledWith({ _id: 'record1' });
+  });
+
+  test('should keep the answer when a payment was taken but not cancelled', async () => {
+    const body = { success: false, message: 'Your order could not be saved', paymentCancelled: false };
+    await idempotent(req, res, next);
+    res.statusCode = 500;
+    res.json(body);
+
+    expect(idempotencyKeyModel.updateOne).toHaveBeenCalledWith(
+      { _id: 'record1' },
+      { status: 'completed', response: { statusCode: 500, body } }
+    );
+    expect(idempotencyKeyModel.deleteOne).not.toHaveBeenCalledWith({ _id: 'record1' });
+  });
+
+  test('should replay the stored response instead of running the handler', async () => {
+    await idempotent(req, res, next);
+    const { requestHash } = idempotencyKeyModel.create.mock.calls[0][0];
+    jest.clearAllMocks();
+    idempotencyKeyModel.create.mockRejectedValue(duplicateKeyError());
+    idempotencyKeyModel.findOne.mockResolvedValue({
+      status: 'completed',
+      requestHash,
+      response: { statusCode: 200, body: { ok: true } }
+    });
+
+    await idempotent(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({ ok: true });
+  });
+
+  test('should reject a replay while the first request is still running', async () => {
+    await idempotent(req, res, next);
+    const { requestHash } = idempotencyKeyModel.create.mock.calls[0][0];
+    jest.clearAllMocks();
+    idempotencyKeyModel.create.mockRejectedValue(duplicateKeyError());
+    idempotencyKeyModel.findOne.mockResolvedValue({ status: 'pending', requestHash });
+
+    await idempotent(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  const hashOf = async (body) => {
+    jest.clearAllMocks();
+    idempotencyKeyModel.create.mockResolvedValue({ _id: 'record1' });
+    await idempotent({ ...req, body }, res, next);
+    return idempotencyKeyModel.create.mock.calls[0][0].requestHash;
+  };
+
+  test('should hash every checkout field but the payment nonce', async () => {
+    const checkout = {
+      cart: [{ product: 'p1', quantity: 1 }],
+      couponCode: 'SAVE10',
+      shippingMethod: 'Standard',
+      shippingAddress: { address: '1 Main St', region: 'SG' },
+      email: 'jane@example.com',
+    };
+    const hash = await hashOf({ ...checkout, nonce: 'first' });
+
+    expect(await hashOf({ nonce: 'retry', ...checkout })).toBe(hash);
+    expect(await hashOf({ ...checkout, couponCode: 'SAVE20' })).not.toBe(hash);
+    expect(await hashOf({ ...checkout, shippingMethod: 'Express' })).not.toBe(hash);
+    expect(
+      await hashOf({ ...checkout, shippingAddress: { address: '1 Main St', region: 'MY' } })
+    ).not.toBe(hash);
+    expect(await hashOf({ ...checkout, email: 'john@example.com' })).not.toBe(hash);
+  });
+
+  test('should hash the same checkout the same whatever the key order', async () => {
+    const hash = await hashOf({ cart: [], shippingAddress: { address: 'a', region: 'SG' } });
+
+    expect(await hashOf({ shippingAddress: { region: 'SG', address: 'a' }, cart: [] })).toBe(hash);
+  });
+
+  test('should reject reusing a key for a different cart', async () => {
+    idempotencyKeyModel.create.mockRejectedValue(duplicateKeyError());
+    idempotencyKeyModel.findOne.mockResolvedValue({ status: 'completed', requestHash: 'other' });
+
+    await idempotent(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(422);
+  });
+
+  test('should reject overly long keys', async () => {
+    req.headers['idempotency-key'] = 'k'.repeat(256);
+
+    await idempotent(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('should return 500 when the key store fails', async () => {
+    idempotencyKeyModel.create.mockRejectedValue(new Error('db down'));
+
+    await idempotent(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { runMigrations } from "./runMigrations.js";
+import * as moneyToMinorUnits from "./moneyToMinorUnits.js";
+import * as orderItemsFromProductIds from "./orderItemsFromProductIds.js";
+
+dotenv.config();
+
+// oldest first, never reorder or remove entries
+const migrations = [moneyToMinorUnits, orderItemsFromProductIds];
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGO_URL);
+  try {
+    const results = await runMigrations(mongoose.connection.db, migrations);
+    if (!results.length) console.log("Nothing to migrate");
+    results.forEach(({ name, result }) =>
+      console.log(`Applied ${name}`, result)
+    );
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.log(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,114 @@
+import { storeCurrency, toMinorUnits } from "../helpers/moneyHelper.js";
+
+// Prices and every other amount used to be stored as float major units
+// (54.99). Rewrite them as whole minor units (5499) in the store currency.
+export const name = "money-to-minor-units";
+
+const forEach = async (cursor, update) => {
+  const ops = [];
+  for await (const doc of cursor) {
+    ops.push({
+      updateOne: { filter: { _id: doc._id }, update: await update(doc) },
+    });
+  }
+  return ops;
+};
+
+const write = async (collection, ops) => {
+  if (ops.length) await collection.bulkWrite(ops);
+  return ops.length;
+};
+
+// only documents without a currency still hold major units, everything this
+// migration writes gets one so running it again can't multiply twice
+const unmigrated = { currency: { $exists: false } };
+
+export const up = async (db, config = process.env) => {
+  const currency = storeCurrency(config);
+  const minor = (amount) =>
+    typeof amount === "number" ? toMinorUnits(amount, currency) : amount;
+
+  const products = db.collection("products");
+  // minor unit price of a product, whether or not it was converted already
+  const priceOf = async (id) => {
+    const product = await products.findOne({ _id: id });
+    if (!product) return 0;
+    return product.currency ? product.price : minor(product.price);
+  };
+  // the oldest orders only kept a list of product ids, one unit each
+  const lines = (items = []) =>
+    Promise.all(
+      items.map(async (item) =>
+        item?._bsontype === "ObjectId"
+          ? { product: item, quantity: 1, price: await priceOf(item) }
+          : { ...item, price: minor(item.price) }
+      )
+    );
+
+  const productOps = await forEach(products.find(unmigrated), (product) => ({
+    $set: { price: minor(product.price), currency },
+  }));
+
+  const carts = db.collection("carts");
+  const cartOps = await forEach(carts.find(unmigrated), async (cart) => ({
+    $set: { items: await lines(cart.items), currency },
+  }));
+
+  const orders = db.collection("orders");
+  const orderOps = await forEach(orders.find(unmigrated), async (order) => {
+    const fields = {
+      products: await lines(order.products),
+      total: minor(order.total),
+      currency,
+    };
+    if (order.subtotal != null) fields.subtotal = minor(order.subtotal);
+    if (order.discount) {
+      fields["discount.amount"] = minor(order.discount.amount);
+    }
+    if (order.tax) {
+      fields["tax.amount"] = minor(order.tax.amount);
+      fields["tax.lines"] = (order.tax.lines || []).map((line) => ({
+        ...line,
+        taxable: minor(line.taxable),
+        amount: minor(line.amount),
+      }));
+    }
+    if (order.shipping) fields["shipping.fee"] = minor(order.shipping.fee);
+    return { $set: fields };
+  });
+
+  // percentage coupons are left alone
+  const coupons = db.collection("coupons");
+  const couponOps = await forEach(coupons.find(unmigrated), (coupon) => ({
+    $set: {
+      value: coupon.type === "fixed" ? minor(coupon.value) : coupon.value,
+      minSpend: minor(coupon.minSpend),
+      currency,
+    },
+  }));
+
+  const zones = db.collection("shippingzones");
+  const zoneOps = await forEach(zones.find(unmigrated), (zone) => ({
+    $set: {
+      methods: (zone.methods || []).map((method) => ({
+        ...method,
+        fee: minor(method.fee),
+        freeOver: minor(method.freeOver),
+        // weight tiers are in kg and stay as they are
+        tiers: (method.tiers || []).map((tier) => ({
+          upTo: method.type === "value" ? minor(tier.upTo) : tier.upTo,
+          fee: minor(tier.fee),
+        })),
+      })),
+      currency,
+    },
+  }));
+
+  return {
+    products: await write(products, productOps),
+    carts: await write(carts, cartOps),
+    orders: await write(orders, orderOps),
+    coupons: await write(coupons, couponOps),
+    shippingzones: await write(zones, zoneOps),
+  };
+};
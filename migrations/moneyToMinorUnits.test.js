@@ -0,0 +1,177 @@
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { up } from "./moneyToMinorUnits";
+import { runMigrations } from "./runMigrations";
+
+// just enough of a mongodb collection for the migration
+const fakeCollection = (docs = []) => ({
+  find: jest.fn((query = {}) =>
+    docs.filter((doc) =>
+      query.currency?.$exists === false ? doc.currency === undefined : true
+    )
+  ),
+  findOne: jest.fn(async (query) =>
+    docs.find((doc) =>
+      Object.entries(query).every(([key, value]) => String(doc[key]) === String(value))
+    )
+  ),
+  insertOne: jest.fn(async (doc) => docs.push(doc)),
+  bulkWrite: jest.fn(),
+});
+
+const fakeDb = (collections) => ({
+  collection: (name) => (collections[name] ||= fakeCollection()),
+});
+
+const updatesOf = (collection) =>
+  collection.bulkWrite.mock.calls[0][0].map((op) => op.updateOne.update.$set);
+
+describe("moneyToMinorUnits", () => {
+  it("should convert product prices that have no currency yet", async () => {
+    const products = fakeCollection([
+      { _id: "p1", price: 54.99 },
+      { _id: "p2", price: 1.005 },
+      { _id: "p3", price: 1200, currency: "USD" },
+    ]);
+
+    const result = await up(fakeDb({ products }), {});
+
+    expect(updatesOf(products)).toEqual([
+      { price: 5499, currency: "USD" },
+      { price: 101, currency: "USD" },
+    ]);
+    expect(result.products).toBe(2);
+  });
+
+  it("should use the number of decimals of the store currency", async () => {
+    const products = fakeCollection([{ _id: "p1", price: 1500 }]);
+
+    await up(fakeDb({ products }), { STORE_CURRENCY: "jpy" });
+
+    expect(updatesOf(products)).toEqual([{ price: 1500, currency: "JPY" }]);
+  });
+
+  it("should convert every amount on an order", async () => {
+    const orders = fakeCollection([
+      {
+        _id: "o1",
+        products: [{ product: "p1", quantity: 2, price: 10.5 }],
+        subtotal: 21,
+        discount: { code: "SAVE1", amount: 1 },
+        tax: {
+          amount: 1.8,
+          lines: [{ product: "p1", rate: 0.09, taxable: 20, amount: 1.8 }],
+        },
+        shipping: { method: "Standard", fee: 4.99 },
+        total: 26.79,
+      },
+    ]);
+
+    await up(fakeDb({ orders }), {});
+
+    expect(updatesOf(orders)).toEqual([
+      {
+        products: [{ product: "p1", quantity: 2, price: 1050 }],
+        subtotal: 2100,
+        "discount.amount": 100,
+        "tax.amount": 180,
+        "tax.lines": [{ product: "p1", rate: 0.09, taxable: 2000, amount: 180 }],
+        "shipping.fee": 499,
+        total: 2679,
+        currency: "USD",
+      },
+    ]);
+  });
+
+  it("should leave percentages and weights alone", async () => {
+    const coupons = fakeCollection([
+      { _id: "c1", type: "percent", value: 10, minSpend: 50 },
+      { _id: "c2", type: "fixed", value: 5 },
+    ]);
+    const shippingzones = fakeCollection([
+      {
+        _id: "z1",
+        methods: [
+          { name: "Courier", type: "weight", tiers: [{ upTo: 2.5, fee: 8 }] },
+          { name: "Post", type: "value", freeOver: 100, tiers: [{ upTo: 50, fee: 3 }] },
+        ],
+      },
+    ]);
+
+    await up(fakeDb({ coupons, shippingzones }), {});
+
+    expect(updatesOf(coupons)).toEqual([
+      { value: 10, minSpend: 5000, currency: "USD" },
+      { value: 500, minSpend: undefined, currency: "USD" },
+    ]);
+    const [{ methods }] = updatesOf(shippingzones);
+    expect(methods[0].tiers).toEqual([{ upTo: 2.5, fee: 800 }]);
+    expect(methods[1]).toEqual(
+      expect.objectContaining({
+        freeOver: 10000,
+        tiers: [{ upTo: 5000, fee: 300 }],
+      })
+    );
+  });
+
+  it("should turn the product ids of the oldest orders into lines", async () => {
+    const laptop = new mongoose.Types.ObjectId();
+    const mouse = new mongoose.Types.ObjectId();
+    const products = fakeCollection([
+      { _id: laptop, price: 999.99 },
+      { _id: mouse, price: 2500, currency: "USD" },
+    ]);
+    const orders = fakeCollection([{ _id: "o1", products: [laptop, mouse] }]);
+
+    await up(fakeDb({ products, orders }), {});
+
+    expect(updatesOf(orders)[0].products).toEqual([
+      { product: laptop, quantity: 1, price: 99999 },
+      { product: mouse, quantity: 1, price: 2500 },
+    ]);
+  });
+
+  it("should skip carts, coupons and zones that were already converted", async () => {
+    const carts = fakeCollection([
+      { _id: "cart1", items: [{ product: "p1", quantity: 1, price: 5 }] },
+      { _id: "cart2", items: [{ product: "p1", quantity: 1, price: 500 }], currency: "USD" },
+    ]);
+    const coupons = fakeCollection([
+      { _id: "c1", type: "fixed", value: 500, minSpend: 0, currency: "USD" },
+    ]);
+    const shippingzones = fakeCollection([
+      { _id: "z1", methods: [{ name: "Post", type: "flat", fee: 499 }], currency: "USD" },
+    ]);
+
+    const result = await up(fakeDb({ carts, coupons, shippingzones }), {});
+
+    expect(updatesOf(carts)).toEqual([
+      { items: [{ product: "p1", quantity: 1, price: 500 }], currency: "USD" },
+    ]);
+    expect(result).toEqual(
+      expect.objectContaining({ carts: 1, coupons: 0, shippingzones: 0 })
+    );
+  });
+
+  it("should not write anything when there is nothing to convert", async () => {
+    const products = fakeCollection([]);
+
+    await up(fakeDb({ products }), {});
+
+    expect(products.bulkWrite).not.toHaveBeenCalled();
+  });
+});
+
+describe("runMigrations", () => {
+  it("should apply a migration once and record it", async () => {
+    const migration = { name: "first", up: jest.fn().mockResolvedValue("done") };
+    const db = fakeDb({});
+
+    const results = await runMigrations(db, [migration], {});
+    const again = await runMigrations(db, [migration], {});
+
+    expect(migration.up).toHaveBeenCalledTimes(1);
+    expect(results).toEqual([{ name: "first", result: "done" }]);
+    expect(again).toEqual([]);
+  });
+});
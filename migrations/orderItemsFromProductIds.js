@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// The oldest orders only kept a list of product ids. money-to-minor-units
+// turns those into lines now, but databases migrated before it did were left
+// with { buffer, price: null } entries instead. Rebuild both as one unit of
+// the product at its current price.
+export const name = "order-items-from-product-ids";
+
+// the product id an entry stands for, or null for a proper line
+const legacyProductId = (item) => {
+  if (item?._bsontype === "ObjectId") return item;
+  if (item?.product || !item?.buffer) return null;
+  const bytes =
+    item.buffer._bsontype === "Binary" ? item.buffer.buffer : item.buffer;
+  return new mongoose.Types.ObjectId(bytes);
+};
+
+export const up = async (db) => {
+  const products = db.collection("products");
+  const priceOf = async (id) =>
+    (await products.findOne({ _id: id }))?.price || 0;
+
+  const orders = db.collection("orders");
+  const ops = [];
+  for await (const order of orders.find({
+    $or: [
+      { products: { $type: "objectId" } },
+      { "products.buffer": { $exists: true } },
+    ],
+  })) {
+    const items = order.products || [];
+    if (!items.some(legacyProductId)) continue;
+    const lines = await Promise.all(
+      items.map(async (item) => {
+        const product = legacyProductId(item);
+        return product
+          ? { product, quantity: 1, price: await priceOf(product) }
+          : item;
+      })
+    );
+    ops.push({
+      updateOne: {
+        filter: { _id: order._id },
+        update: { $set: { products: lines } },
+      },
+    });
+  }
+
+  if (ops.length) await orders.bulkWrite(ops);
+  return { orders: ops.length };
+};
@@ -0,0 +1,82 @@
+import { jest } from "@jest/globals";
+import mongoose from "mongoose";
+import { up } from "./orderItemsFromProductIds";
+
+const fakeCollection = (docs = []) => ({
+  find: jest.fn(() => docs),
+  findOne: jest.fn(async ({ _id }) =>
+    docs.find((doc) => String(doc._id) === String(_id))
+  ),
+  bulkWrite: jest.fn(),
+});
+
+const fakeDb = (collections) => ({
+  collection: (name) => (collections[name] ||= fakeCollection()),
+});
+
+describe("orderItemsFromProductIds", () => {
+  const laptop = new mongoose.Types.ObjectId();
+  const mouse = new mongoose.Types.ObjectId();
+  let products;
+
+  beforeEach(() => {
+    products = fakeCollection([
+      { _id: laptop, price: 99999, currency: "USD" },
+      { _id: mouse, price: 2500, currency: "USD" },
+    ]);
+  });
+
+  it("should turn bare product ids into one unit at the current price", async () => {
+    const orders = fakeCollection([{ _id: "o1", products: [laptop, mouse] }]);
+
+    const result = await up(fakeDb({ products, orders }));
+
+    expect(orders.bulkWrite).toHaveBeenCalledWith([
+      {
+        updateOne: {
+          filter: { _id: "o1" },
+          update: {
+            $set: {
+              products: [
+                { product: laptop, quantity: 1, price: 99999 },
+                { product: mouse, quantity: 1, price: 2500 },
+              ],
+            },
+          },
+        },
+      },
+    ]);
+    expect(result).toEqual({ orders: 1 });
+  });
+
+  it("should rebuild ids an earlier migration saved as a buffer", async () => {
+    const orders = fakeCollection([
+      {
+        _id: "o1",
+        products: [
+          { buffer: new mongoose.mongo.Binary(laptop.id), price: null },
+          { product: mouse, quantity: 2, price: 2500 },
+        ],
+      },
+    ]);
+
+    await up(fakeDb({ products, orders }));
+
+    const [[ops]] = orders.bulkWrite.mock.calls;
+    expect(ops[0].updateOne.update.$set.products).toEqual([
+      { product: laptop, quantity: 1, price: 99999 },
+      { product: mouse, quantity: 2, price: 2500 },
+    ]);
+  });
+
+  it("should leave orders that already have lines alone", async () => {
+    const orders = fakeCollection([
+      { _id: "o1", products: [{ product: laptop, quantity: 1, price: 99999 }] },
+    ]);
+
+    const result = await up(fakeDb({ products, orders }));
+
+    expect(orders.bulkWrite).not.toHaveBeenCalled();
+    expect(result).toEqual({ orders: 0 });
+  });
+});
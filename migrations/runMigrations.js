@@ -0,0 +1,13 @@
+// Applies each migration once, in order. Applied ones are recorded in the
+// migrations collection so running this again is safe.
+export const runMigrations = async (db, migrations, config = process.env) => {
+  const applied = db.collection("migrations");
+  const results = [];
+  for (const migration of migrations) {
+    if (await applied.findOne({ name: migration.name })) continue;
+    const result = await migration.up(db, config);
+    await applied.insertOne({ name: migration.name, appliedAt: new Date() });
+    results.push({ name: migration.name, result });
+  }
+  return results;
+};
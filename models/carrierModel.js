@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// A delivery company admins can pick when shipping an order. trackingUrl is
+// a link template, {tracking} in it is replaced by the tracking number, e.g.
+// https://www.example-post.com/track?id={tracking}
+const carrierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    trackingUrl: {
+      type: String,
+      trim: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Carrier", carrierSchema);
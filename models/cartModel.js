@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+import { storeCurrency } from "../helpers/moneyHelper.js";
+
+const cartItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // minor units, copied from the product
+    price: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+      unique: true,
+    },
+    items: [cartItemSchema],
+    // currency of the item prices
+    currency: {
+      type: String,
+      uppercase: true,
+      default: () => storeCurrency(),
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Cart", cartSchema);
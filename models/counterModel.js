@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// A named sequence, e.g. "order-2026" for the order numbers of that year.
+// seq is the last value handed out and only ever goes up with $inc.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+export default mongoose.model("Counter", counterSchema);
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import { storeCurrency } from "../helpers/moneyHelper.js";
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["percent", "fixed"],
+    },
+    // a percentage, or minor units of currency for fixed coupons
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // minor units
+    minSpend: {
+      type: Number,
+      default: 0,
+    },
+    // fixed values and minSpend are in this currency
+    currency: {
+      type: String,
+      uppercase: true,
+      default: () => storeCurrency(),
+    },
+    // when both are empty the coupon applies to the whole cart
+    categories: [
+      {
+        type: mongoose.ObjectId,
+        ref: "Category",
+      },
+    ],
+    products: [
+      {
+        type: mongoose.ObjectId,
+        ref: "Products",
+      },
+    ],
+    // leave empty for unlimited use
+    usageLimit: {
+      type: Number,
+    },
+    perUserLimit: {
+      type: Number,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    startsAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Coupon", couponSchema);
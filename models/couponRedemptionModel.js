@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// How many times a buyer has used a coupon with a per user limit. count only
+// moves with conditional $inc updates in the checkout transaction (see
+// redeemCoupon), so parallel checkouts can't go past the limit.
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ code: 1, user: 1 }, { unique: true });
+
+export default mongoose.model("CouponRedemption", couponRedemptionSchema);
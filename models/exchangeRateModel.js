@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// How many units of currency one unit of the store currency buys, e.g.
+// { currency: "SGD", rate: 1.35 } against a USD store. Only used to show
+// prices, charges are always settled in the store currency.
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("ExchangeRate", exchangeRateSchema);
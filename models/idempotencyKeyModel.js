@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    // empty for guest checkouts
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+    },
+    requestHash: {
+      type: String,
+    },
+    status: {
+      type: String,
+      default: "pending",
+      enum: ["pending", "completed"],
+    },
+    response: {},
+    // mongo removes the key once this date has passed
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+export default mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -1,25 +1,300 @@
 import mongoose from "mongoose";
+import { ORDER_STATUSES } from "../helpers/orderStatusHelper.js";
+import { PAYMENT_STATUSES } from "../helpers/paymentStatusHelper.js";
+import { RETURN_STATUSES } from "../helpers/returnHelper.js";
 
+// the oldest orders stored bare product ids instead, `npm run migrate` turns
+// them into lines (see migrations/orderItemsFromProductIds)
+const orderItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    price: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      required: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    changedBy: {
+      type: mongoose.ObjectId,
+      ref: "users",
+    },
+    note: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+const cancellationSchema = new mongoose.Schema(
+  {
+    reason: {
+      type: String,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    refund: {},
+  },
+  { _id: false }
+);
+
+// a buyer's request to send back some of the order, see returnHelper
+const returnSchema = new mongoose.Schema(
+  {
+    items: [orderItemSchema],
+    reason: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      default: "Requested",
+      enum: RETURN_STATUSES,
+    },
+    history: [statusHistorySchema],
+    // set while the refund is with the payment provider
+    refunding: {
+      type: Boolean,
+    },
+    refundAmount: {
+      type: Number,
+    },
+    refund: {},
+    refundError: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+const shipmentItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+// One parcel sent to the buyer, an order may go out in several. Carrier
+// and link are copied from the carrier so later edits don't break them.
+const shipmentSchema = new mongoose.Schema(
+  {
+    carrier: {
+      type: String,
+      required: true,
+    },
+    trackingNumber: {
+      type: String,
+      required: true,
+    },
+    trackingUrl: {
+      type: String,
+    },
+    items: [shipmentItemSchema],
+    shippedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    estimatedDelivery: {
+      type: Date,
+    },
+    shippedBy: {
+      type: mongoose.ObjectId,
+      ref: "users",
+    },
+  },
+  { timestamps: true }
+);
+
+// one gateway webhook, see paymentStatusHelper
+const paymentEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: true,
+    },
+    kind: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+    },
+    // decimal string as sent by the gateway
+    amount: {
+      type: String,
+    },
+    occurredAt: {
+      type: Date,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const taxLineSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+    },
+    taxClass: String,
+    rate: Number,
+    taxable: Number,
+    amount: Number,
+  },
+  { _id: false }
+);
+
+// copied from the checkout form, not a reference to the buyer's profile
+const shippingAddressSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+    },
+    address: {
+      type: String,
+      required: true,
+    },
+    phone: {
+      type: String,
+      required: true,
+    },
+    region: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+// every amount on an order is in whole minor units of its currency
 const orderSchema = new mongoose.Schema(
   {
-    products: [
-      {
-        type: mongoose.ObjectId,
-        ref: "Products",
-      },
-    ],
+    // what buyers and support quote, e.g. VV-2026-000123, see
+    // orderNumberHelper; orders placed before numbers were added have none
+    orderNumber: {
+      type: String,
+    },
+    products: [orderItemSchema],
+    currency: {
+      type: String,
+    },
+    subtotal: {
+      type: Number,
+    },
+    discount: {
+      code: String,
+      amount: Number,
+    },
+    tax: {
+      region: String,
+      label: String,
+      amount: Number,
+      lines: [taxLineSchema],
+    },
+    // the delivery method picked at checkout
+    shipping: {
+      zone: String,
+      method: String,
+      fee: Number,
+      estimatedDays: String,
+    },
+    total: {
+      type: Number,
+    },
+    // total and currency above are what was charged (the store currency),
+    // this is the same total as shown in the buyer's chosen currency
+    display: {
+      currency: String,
+      rate: Number,
+      amount: Number,
+    },
     payment: {},
+    paymentStatus: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+    },
+    // when the event behind paymentStatus happened at the gateway
+    paymentStatusAt: {
+      type: Date,
+    },
+    paymentEvents: [paymentEventSchema],
     buyer: {
       type: mongoose.ObjectId,
       ref: "users",
     },
+    // set instead of buyer for guest checkouts, see guestHelper
+    guestEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    shippingAddress: shippingAddressSchema,
     status: {
       type: String,
       default: "Not Process",
-      enum: ["Not Process", "Processing", "Shipped", "delivered", "cancel"],
+      enum: ORDER_STATUSES,
+    },
+    statusHistory: [statusHistorySchema],
+    shipments: [shipmentSchema],
+    cancellation: cancellationSchema,
+    // set when the order is delivered, see returnHelper
+    returnableUntil: {
+      type: Date,
+    },
+    returns: [returnSchema],
+    // minor units given back through returns so far
+    refunded: {
+      type: Number,
+      default: 0,
     },
   },
   { timestamps: true }
 );
 
-export default mongoose.model("Order", orderSchema);
\ No newline at end of file
+// webhooks find their order by the gateway transaction
+orderSchema.index({ "payment.transactionId": 1 });
+// the admin order list filters and sorts on these
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ buyer: 1, createdAt: -1 });
+// guest orders are looked up and claimed by email
+orderSchema.index({ guestEmail: 1 }, { sparse: true });
+// unique so a number can never point at two orders
+orderSchema.index({ orderNumber: 1 }, { unique: true, sparse: true });
+// the admin returns page lists returns by status
+orderSchema.index({ "returns.status": 1 });
+
+export default mongoose.model("Order", orderSchema);
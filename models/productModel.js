@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { storeCurrency } from "../helpers/moneyHelper.js";
 
 const productSchema = new mongoose.Schema(
   {
@@ -14,9 +15,19 @@ const productSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // whole minor units of currency, e.g. 5499 for $54.99
     price: {
       type: Number,
       required: true,
+      validate: {
+        validator: Number.isInteger,
+        message: "Price must be a whole number of minor units",
+      },
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      default: () => storeCurrency(),
     },
     category: {
       type: mongoose.ObjectId,
@@ -31,9 +42,20 @@ const productSchema = new mongoose.Schema(
       data: Buffer,
       contentType: String,
     },
+    // false for products we can not deliver
     shipping: {
       type: Boolean,
     },
+    // in kg, used by weight based shipping rates
+    weight: {
+      type: Number,
+      default: 0,
+    },
+    // picks the rate from config/taxRates.js
+    taxClass: {
+      type: String,
+      default: "standard",
+    },
   },
   { timestamps: true }
 );
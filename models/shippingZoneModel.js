@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import { storeCurrency } from "../helpers/moneyHelper.js";
+
+// a weight (kg) or value (minor units) band; the last band may leave upTo
+// empty to catch the rest
+const rateTierSchema = new mongoose.Schema(
+  {
+    upTo: {
+      type: Number,
+    },
+    fee: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const shippingMethodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // flat charges fee, weight and value look the fee up in tiers
+  type: {
+    type: String,
+    required: true,
+    enum: ["flat", "weight", "value"],
+  },
+  // minor units, like every amount here
+  fee: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  tiers: [rateTierSchema],
+  // orders worth at least this much ship for free
+  freeOver: {
+    type: Number,
+  },
+  estimatedDays: {
+    type: String,
+  },
+});
+
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    // region codes of the delivery address, a zone without any covers
+    // every region no other zone does
+    regions: [
+      {
+        type: String,
+        uppercase: true,
+        trim: true,
+      },
+    ],
+    methods: [shippingMethodSchema],
+    // fees and value tiers are in this currency
+    currency: {
+      type: String,
+      uppercase: true,
+      default: () => storeCurrency(),
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("ShippingZone", shippingZoneSchema);
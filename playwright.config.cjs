@@ -74,6 +74,8 @@ module.exports = defineConfig({
     command: 'npm run dev',
     url: 'http://127.0.0.1:3000',
     reuseExistingServer: !process.env.CI,
+    /* Checkout against the in-process fake payment provider, no network needed */
+    env: { PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER || 'fake' },
   },
 });
 
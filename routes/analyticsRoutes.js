@@ -0,0 +1,11 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import { salesAnalyticsController } from "../controllers/analyticsController.js";
+
+const router = express.Router();
+
+//routes
+//sales analytics
+router.get("/sales", requireSignIn, isAdmin, salesAnalyticsController);
+
+export default router;
@@ -7,7 +7,12 @@ import {
   updateProfileController,
   getOrdersController,
   getAllOrdersController,
+  exportOrdersController,
   orderStatusController,
+  cancelOrderController,
+  orderInvoiceController,
+  orderLookupController,
+  claimGuestOrdersController,
 } from "../controllers/authController.js";
 import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
 
@@ -42,9 +47,24 @@ router.put("/profile", requireSignIn, updateProfileController);
 //orders
 router.get("/orders", requireSignIn, getOrdersController);
 
+//cancel order
+router.post("/orders/:id/cancel", requireSignIn, cancelOrderController);
+
+//order invoice
+router.get("/orders/:id/invoice", requireSignIn, orderInvoiceController);
+
+//guest order lookup
+router.post("/order-lookup", orderLookupController);
+
+//guest orders to a new account, from the emailed link
+router.post("/claim-orders", claimGuestOrdersController);
+
 //all orders
 router.get("/all-orders", requireSignIn, isAdmin, getAllOrdersController);
 
+//export orders
+router.get("/all-orders/export", requireSignIn, isAdmin, exportOrdersController);
+
 // order status update
 router.put(
   "/order-status/:orderId",
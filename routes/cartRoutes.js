@@ -0,0 +1,41 @@
+import express from "express";
+import { optionalSignIn, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  addToCartController,
+  checkoutSummaryController,
+  clearCartController,
+  getCartController,
+  mergeCartController,
+  removeFromCartController,
+  taxRegionsController,
+  updateCartController,
+} from "../controllers/cartController.js";
+
+const router = express.Router();
+
+//routes
+//get cart
+router.get("/get-cart", requireSignIn, getCartController);
+
+//add item
+router.post("/add-item", requireSignIn, addToCartController);
+
+//replace cart
+router.put("/update-cart", requireSignIn, updateCartController);
+
+//remove item
+router.delete("/remove-item/:pid", requireSignIn, removeFromCartController);
+
+//clear cart
+router.delete("/clear-cart", requireSignIn, clearCartController);
+
+//merge guest cart on login
+router.post("/merge-cart", requireSignIn, mergeCartController);
+
+//tax regions
+router.get("/tax-regions", taxRegionsController);
+
+//price breakdown before payment
+router.post("/checkout-summary", optionalSignIn, checkoutSummaryController);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from "express";
+import { isAdmin, optionalSignIn, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  createCouponController,
+  deleteCouponController,
+  getCouponsController,
+  updateCouponController,
+  validateCouponController,
+} from "../controllers/couponController.js";
+
+const router = express.Router();
+
+//routes
+//create coupon
+router.post("/create-coupon", requireSignIn, isAdmin, createCouponController);
+
+//get all coupons
+router.get("/get-coupons", requireSignIn, isAdmin, getCouponsController);
+
+//update coupon
+router.put(
+  "/update-coupon/:id",
+  requireSignIn,
+  isAdmin,
+  updateCouponController
+);
+
+//delete coupon
+router.delete(
+  "/delete-coupon/:id",
+  requireSignIn,
+  isAdmin,
+  deleteCouponController
+);
+
+//validate coupon against a cart
+router.post("/validate-coupon", optionalSignIn, validateCouponController);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  createRateController,
+  deleteRateController,
+  getRatesController,
+  updateRateController,
+} from "../controllers/currencyController.js";
+
+const router = express.Router();
+
+//routes
+//create rate
+router.post("/create-rate", requireSignIn, isAdmin, createRateController);
+
+//get all rates
+router.get("/get-rates", getRatesController);
+
+//update rate
+router.put("/update-rate/:id", requireSignIn, isAdmin, updateRateController);
+
+//delete rate
+router.delete(
+  "/delete-rate/:id",
+  requireSignIn,
+  isAdmin,
+  deleteRateController
+);
+
+export default router;
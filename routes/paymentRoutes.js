@@ -0,0 +1,14 @@
+import express from "express";
+import { paymentWebhookController } from "../controllers/paymentController.js";
+
+const router = express.Router();
+
+//routes
+//gateway webhooks, Braintree posts them form encoded
+router.post(
+  "/webhook",
+  express.urlencoded({ extended: false }),
+  paymentWebhookController
+);
+
+export default router;
@@ -15,7 +15,12 @@ import {
   searchProductController,
   updateProductController,
 } from "../controllers/productController.js";
-import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  isAdmin,
+  optionalSignIn,
+  requireSignIn,
+} from "../middlewares/authMiddleware.js";
+import { idempotent } from "../middlewares/idempotencyMiddleware.js";
 import formidable from "express-formidable";
 
 const router = express.Router();
@@ -71,7 +76,12 @@ router.get("/product-category/:slug", productCategoryController);
 //token
 router.get("/braintree/token", braintreeTokenController);
 
-//payments
-router.post("/braintree/payment", requireSignIn, brainTreePaymentController);
+//payments, guests can checkout too
+router.post(
+  "/braintree/payment",
+  optionalSignIn,
+  idempotent,
+  brainTreePaymentController
+);
 
 export default router;
\ No newline at end of file
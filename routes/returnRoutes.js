@@ -0,0 +1,33 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  approveReturnController,
+  getReturnsController,
+  receiveReturnController,
+  refundReturnController,
+  rejectReturnController,
+  requestReturnController,
+} from "../controllers/returnController.js";
+
+const router = express.Router();
+
+//routes
+//request return
+router.post("/request/:orderId", requireSignIn, requestReturnController);
+
+//get all returns
+router.get("/all-returns", requireSignIn, isAdmin, getReturnsController);
+
+//approve return
+router.put("/approve/:id", requireSignIn, isAdmin, approveReturnController);
+
+//reject return
+router.put("/reject/:id", requireSignIn, isAdmin, rejectReturnController);
+
+//receive return
+router.put("/receive/:id", requireSignIn, isAdmin, receiveReturnController);
+
+//retry refund
+router.put("/refund/:id", requireSignIn, isAdmin, refundReturnController);
+
+export default router;
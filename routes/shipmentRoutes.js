@@ -0,0 +1,44 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  createCarrierController,
+  createShipmentController,
+  deleteCarrierController,
+  getCarriersController,
+  updateCarrierController,
+} from "../controllers/shipmentController.js";
+
+const router = express.Router();
+
+//routes
+//create carrier
+router.post("/create-carrier", requireSignIn, isAdmin, createCarrierController);
+
+//get all carriers
+router.get("/get-carriers", requireSignIn, isAdmin, getCarriersController);
+
+//update carrier
+router.put(
+  "/update-carrier/:id",
+  requireSignIn,
+  isAdmin,
+  updateCarrierController
+);
+
+//delete carrier
+router.delete(
+  "/delete-carrier/:id",
+  requireSignIn,
+  isAdmin,
+  deleteCarrierController
+);
+
+//ship an order
+router.post(
+  "/create-shipment/:orderId",
+  requireSignIn,
+  isAdmin,
+  createShipmentController
+);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import { isAdmin, requireSignIn } from "../middlewares/authMiddleware.js";
+import {
+  createZoneController,
+  deleteZoneController,
+  getZonesController,
+  updateZoneController,
+} from "../controllers/shippingController.js";
+
+const router = express.Router();
+
+//routes
+//create zone
+router.post("/create-zone", requireSignIn, isAdmin, createZoneController);
+
+//get all zones
+router.get("/get-zones", requireSignIn, isAdmin, getZonesController);
+
+//update zone
+router.put("/update-zone/:id", requireSignIn, isAdmin, updateZoneController);
+
+//delete zone
+router.delete(
+  "/delete-zone/:id",
+  requireSignIn,
+  isAdmin,
+  deleteZoneController
+);
+
+export default router;
@@ -0,0 +1,24 @@
+import dotenv from "dotenv";
+import { getPaymentProvider } from "../helpers/paymentProvider.js";
+
+dotenv.config();
+
+// Prints a webhook body signed by the configured payment provider, ready to
+// post to the receiver:
+//   curl -d "$(npm run -s webhook:sample -- transaction_settled <txn id>)" \
+//     http://localhost:6060/api/v1/payment/webhook
+const main = async () => {
+  const [kind, transactionId] = process.argv.slice(2);
+  if (!kind || !transactionId) {
+    console.log("Usage: npm run webhook:sample -- <kind> <transaction id>");
+    process.exitCode = 1;
+    return;
+  }
+  const body = await getPaymentProvider().sampleWebhook(kind, transactionId);
+  console.log(new URLSearchParams(body).toString());
+};
+
+main().catch((error) => {
+  console.log(error);
+  process.exitCode = 1;
+});
@@ -6,6 +6,14 @@ import connectDB from "./config/db.js";
 import authRoutes from "./routes/authRoute.js";
 import categoryRoutes from "./routes/categoryRoutes.js";
 import productRoutes from "./routes/productRoutes.js";
+import cartRoutes from "./routes/cartRoutes.js";
+import couponRoutes from "./routes/couponRoutes.js";
+import shippingRoutes from "./routes/shippingRoutes.js";
+import currencyRoutes from "./routes/currencyRoutes.js";
+import paymentRoutes from "./routes/paymentRoutes.js";
+import analyticsRoutes from "./routes/analyticsRoutes.js";
+import returnRoutes from "./routes/returnRoutes.js";
+import shipmentRoutes from "./routes/shipmentRoutes.js";
 import cors from "cors";
 
 // configure env
@@ -26,6 +34,14 @@ app.use(morgan("dev"));
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/category", categoryRoutes);
 app.use("/api/v1/product", productRoutes);
+app.use("/api/v1/cart", cartRoutes);
+app.use("/api/v1/coupon", couponRoutes);
+app.use("/api/v1/shipping", shippingRoutes);
+app.use("/api/v1/currency", currencyRoutes);
+app.use("/api/v1/payment", paymentRoutes);
+app.use("/api/v1/analytics", analyticsRoutes);
+app.use("/api/v1/returns", returnRoutes);
+app.use("/api/v1/shipment", shipmentRoutes);
 
 // rest api
 
@@ -15,7 +15,7 @@ test.describe('Cart Page UI Tests', () => {
         {
           _id: 'prod-1',
           name: 'Test Product',
-          price: 100,
+          price: 10000,
           description: 'This is a test product',
         }
       ]));
@@ -32,8 +32,8 @@ test.describe('Cart Page UI Tests', () => {
     await expect(page.getByText('This is a test product')).toBeVisible();
     await expect(page.getByRole('button', { name: 'Remove' })).toBeVisible();
     await expect(page.getByRole('main')).toContainText('Total : $100');
-    await expect(page.getByText('Price : 100')).toBeVisible();
-    await expect(page.getByRole('button', { name: 'Update Address' })).toBeVisible();
+    await expect(page.getByText('Price : $100.00')).toBeVisible();
+    await expect(page.getByRole('button', { name: 'Change Address' })).toBeVisible();
     await expect(page.getByRole('button', { name: 'Make Payment' })).toBeVisible();
     });
 
@@ -60,7 +60,7 @@ test.describe('Cart Page UI Tests', () => {
       cart.push({
         _id: 'prod-2',
         name: 'Test Product 2',
-        price: 50,
+        price: 5000,
         description: 'This is another test product',
       });
       localStorage.setItem('cart', JSON.stringify(cart));
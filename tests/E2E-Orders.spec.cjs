@@ -26,9 +26,9 @@ test.describe('Order Page UI Tests', () => {
         await expect(page.locator('thead')).toContainText('date');
         await expect(page.locator('thead')).toContainText('Payment');
         await expect(page.locator('thead')).toContainText('Quantity');
-        await expect(page.locator('div').filter({ hasText: /^NUS T-shirtPlain NUS T-shirt for salePrice : 4\.99$/ }).first()).toBeVisible();
-        await expect(page.locator('div').filter({ hasText: /^LaptopA powerful laptopPrice : 1499\.99$/ }).first()).toBeVisible();
-        await expect(page.locator('div').filter({ hasText: /^LaptopA powerful laptopPrice : 1499\.99$/ }).nth(2)).toBeVisible();
+        await expect(page.locator('div').filter({ hasText: /^NUS T-shirtPlain NUS T-shirt for salePrice : \$4\.99$/ }).first()).toBeVisible();
+        await expect(page.locator('div').filter({ hasText: /^LaptopA powerful laptopPrice : \$1,499\.99$/ }).first()).toBeVisible();
+        await expect(page.locator('div').filter({ hasText: /^LaptopA powerful laptopPrice : \$1,499\.99$/ }).nth(2)).toBeVisible();
         await expect(page.locator('tbody')).toContainText('3');
     });
 